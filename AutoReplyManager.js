@@ -0,0 +1,419 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const MessageTemplate = require('./MessageTemplate');
+
+const MATCH_TYPES = ['exact', 'contains', 'regex', 'first-message'];
+
+const DEFAULT_PRIORITY = 10;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const MAX_PATTERN_LENGTH = 500;
+
+// A quantifier that can repeat without bound: *, + or {n,} / {n,m}
+const REPEAT = /^(\*|\+|\{\d+,\d*\})/;
+
+/**
+ * Why a regex could take exponential time on a crafted message, or null when it looks safe.
+ * Catches the usual culprits: a repeated group that itself repeats, like (a+)+ or (\w*\s?)*, and back-references.
+ */
+function getUnsafePatternReason(pattern) {
+    const groups = [{ repeats: false }]; // Whether each open group contains a repeat
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            if (/[1-9]/.test(pattern[i + 1] || '')) {
+                return 'back-references like \\1 are not supported';
+            }
+            i++;
+        } else if (char === '[') {
+            // Skip the character class; quantifiers inside it are literal
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+        } else if (char === ')') {
+            const group = groups.length > 1 ? groups.pop() : { repeats: false };
+            const repeated = REPEAT.test(pattern.slice(i + 1));
+            if (group.repeats && repeated) {
+                return 'a repeated group contains another repeat, like (a+)+';
+            }
+            if (group.repeats) {
+                groups[groups.length - 1].repeats = true;
+            }
+        } else if (REPEAT.test(pattern.slice(i))) {
+            groups[groups.length - 1].repeats = true;
+        }
+    }
+    return null;
+}
+
+/**
+ * Keyword auto-replies. Rules apply to one device or all of a user's devices and are tried
+ * in priority order (lowest number first); the first matching rule inside its active hours
+ * answers, unless it already answered that contact within its cooldown.
+ */
+class AutoReplyManager {
+    constructor(io, deviceManager, campaignManager, inboxManager, storage = getStorage()) {
+        this.io = io;
+        this.deviceManager = deviceManager;
+        this.campaignManager = campaignManager;
+        this.inboxManager = inboxManager;
+        this.storage = storage;
+        this.rules = new Map(); // Map<ruleId, rule>
+        this.lastReplies = new Map(); // Map<`${ruleId}:${phoneNumber}`, Date> - replies in flight or sent since startup
+        this.compiledPatterns = new Map(); // Map<ruleId, { pattern, regex }> - regex rules, compiled on first use
+
+        // Load existing rules on startup
+        this.loadRules();
+
+        // Answer inbound messages on every device
+        this.deviceManager.onIncomingMessage((incoming) => this.handleIncomingMessage(incoming));
+    }
+
+    /**
+     * Create a rule, or update one when ruleId is given
+     */
+    saveRule(userId, data, ruleId = null) {
+        const existing = ruleId ? this.rules.get(ruleId) : null;
+        if (ruleId && (!existing || existing.userId !== userId)) {
+            throw new Error('Rule not found');
+        }
+
+        const rule = {
+            ...(existing || { id: uuidv4(), userId: userId, createdAt: new Date() }),
+            ...this.normalizeRule(userId, data, existing),
+            updatedAt: new Date()
+        };
+
+        // Drop the file of a replaced or removed attachment
+        if (existing && existing.attachment && (!rule.attachment || rule.attachment.path !== existing.attachment.path)) {
+            this.removeAttachmentFile(existing.attachment);
+        }
+
+        this.rules.set(rule.id, rule);
+        this.storage.saveAutoReplyRule(rule);
+        this.io.to(userId).emit('auto-reply-rules-updated', { userId: userId });
+
+        console.log(`🤖 Auto-reply rule "${rule.name}" ${existing ? 'updated' : 'created'} for user ${userId}`);
+        return rule;
+    }
+
+    /**
+     * Validate rule settings. Fields left out keep their current value on updates.
+     */
+    normalizeRule(userId, data, existing = null) {
+        const value = (field, fallback) => data[field] !== undefined ? data[field] : (existing ? existing[field] : fallback);
+
+        const matchType = value('matchType', 'exact');
+        if (!MATCH_TYPES.includes(matchType)) {
+            throw new Error(`Match type must be one of: ${MATCH_TYPES.join(', ')}`);
+        }
+
+        const pattern = matchType === 'first-message' ? '' : String(value('pattern', '') || '').trim();
+        if (matchType !== 'first-message' && !pattern) {
+            throw new Error('A rule needs text to match');
+        }
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            throw new Error(`Match text can be at most ${MAX_PATTERN_LENGTH} characters`);
+        }
+        if (matchType === 'regex') {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`Match text is not a valid regular expression: ${pattern}`);
+            }
+            const unsafe = getUnsafePatternReason(pattern);
+            if (unsafe) {
+                throw new Error(`Match text could make matching hang: ${unsafe}. Simplify the regular expression.`);
+            }
+        }
+
+        const deviceId = value('deviceId', null) || null;
+        if (deviceId) {
+            const device = this.deviceManager.getDevice(deviceId);
+            if (!device || device.userId !== userId) {
+                throw new Error('Device not found or access denied');
+            }
+        }
+
+        let attachment = data.attachment !== undefined ? data.attachment : (existing ? existing.attachment : null);
+        if (data.removeAttachment === true || data.removeAttachment === 'true') {
+            attachment = null;
+        }
+        attachment = attachment ? {
+            path: attachment.path,
+            originalname: attachment.originalname,
+            mimetype: attachment.mimetype,
+            size: attachment.size
+        } : null;
+
+        const reply = String(value('reply', '') || '').trim();
+        if (!reply && !attachment) {
+            throw new Error('A rule needs a reply message or a file');
+        }
+
+        const priority = parseInt(value('priority', DEFAULT_PRIORITY));
+        if (isNaN(priority)) {
+            throw new Error('Priority must be a number');
+        }
+
+        const cooldownMinutes = Number(value('cooldownMinutes', DEFAULT_COOLDOWN_MINUTES));
+        if (isNaN(cooldownMinutes) || cooldownMinutes < 1 || cooldownMinutes > MAX_COOLDOWN_MINUTES) {
+            throw new Error(`Cooldown must be between 1 and ${MAX_COOLDOWN_MINUTES} minutes`);
+        }
+
+        const enabled = value('enabled', true);
+
+        return {
+            name: String(value('name', '') || '').trim() || (matchType === 'first-message' ? 'First message' : pattern.substring(0, 40)),
+            deviceId: deviceId, // null = every device of the user
+            matchType: matchType,
+            pattern: pattern,
+            reply: reply,
+            attachment: attachment,
+            priority: priority,
+            activeHours: this.campaignManager.normalizeSendWindow(value('activeHours', null)), // Same shape as a campaign send window
+            cooldownMinutes: cooldownMinutes,
+            enabled: enabled === true || enabled === 'true'
+        };
+    }
+
+    /**
+     * Turn a rule on or off
+     */
+    setRuleEnabled(userId, ruleId, enabled) {
+        return this.saveRule(userId, { enabled: Boolean(enabled) }, ruleId);
+    }
+
+    deleteRule(userId, ruleId) {
+        const rule = this.rules.get(ruleId);
+        if (!rule || rule.userId !== userId) {
+            return false;
+        }
+
+        this.rules.delete(ruleId);
+        this.compiledPatterns.delete(ruleId);
+        this.storage.deleteAutoReplyRule(ruleId);
+        if (rule.attachment) {
+            this.removeAttachmentFile(rule.attachment);
+        }
+        this.io.to(userId).emit('auto-reply-rules-updated', { userId: userId });
+
+        console.log(`🤖 Auto-reply rule "${rule.name}" deleted for user ${userId}`);
+        return true;
+    }
+
+    removeAttachmentFile(attachment) {
+        fs.unlink(attachment.path, (err) => {
+            if (err && err.code !== 'ENOENT') console.error('Error deleting auto-reply file:', err);
+        });
+    }
+
+    /**
+     * A user's rules in the order they are tried
+     */
+    getUserRules(userId) {
+        return Array.from(this.rules.values())
+            .filter(rule => rule.userId === userId)
+            .sort((a, b) => a.priority - b.priority || new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Whether an inbound message matches a rule's text condition
+     */
+    matchesRule(rule, incoming) {
+        const body = (incoming.body || '').trim();
+
+        switch (rule.matchType) {
+            case 'exact':
+                // Ignore case and trailing punctuation, like opt-out keywords
+                return body.replace(/[.!?\s]+$/, '').toLowerCase() === rule.pattern.replace(/[.!?\s]+$/, '').toLowerCase();
+            case 'contains':
+                return body.toLowerCase().includes(rule.pattern.toLowerCase());
+            case 'regex': {
+                const regex = this.getRuleRegex(rule);
+                return regex ? regex.test(body) : false;
+            }
+            case 'first-message':
+                return this.isFirstMessage(incoming);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Compiled pattern of a regex rule, rebuilt when the pattern changes.
+     * Null for patterns that don't compile or were saved before unsafe ones were rejected.
+     */
+    getRuleRegex(rule) {
+        const cached = this.compiledPatterns.get(rule.id);
+        if (cached && cached.pattern === rule.pattern) {
+            return cached.regex;
+        }
+
+        let regex = null;
+        const unsafe = getUnsafePatternReason(rule.pattern);
+        if (unsafe) {
+            console.warn(`⚠️ Auto-reply rule "${rule.name}" is skipped: ${unsafe}`);
+        } else {
+            try {
+                regex = new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                regex = null;
+            }
+        }
+        this.compiledPatterns.set(rule.id, { pattern: rule.pattern, regex: regex });
+        return regex;
+    }
+
+    /**
+     * Whether this is the first message the contact ever sent the user
+     * (the inbox stores the message before the rules run)
+     */
+    isFirstMessage(incoming) {
+        const earlier = this.inboxManager.getUserInbox(incoming.userId).filter(message =>
+            message.id !== incoming.id && !message.isGroup &&
+            this.campaignManager.isSamePhoneNumber(message.phoneNumber, incoming.phoneNumber, incoming.userId));
+        return earlier.length === 0;
+    }
+
+    /**
+     * When a rule last answered a contact - in memory since startup, otherwise from message history
+     */
+    getLastReplyTime(rule, phoneNumber) {
+        const key = `${rule.id}:${phoneNumber}`;
+        if (this.lastReplies.has(key)) {
+            return this.lastReplies.get(key);
+        }
+
+        const messages = this.campaignManager.getUserMessages(rule.userId);
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const message = messages[i];
+            if (message.source === 'auto-reply' && message.autoReply?.ruleId === rule.id &&
+                this.campaignManager.isSamePhoneNumber(message.recipient?.phoneNumber, phoneNumber, rule.userId)) {
+                return new Date(message.timestamp);
+            }
+        }
+        return null;
+    }
+
+    isCoolingDown(rule, phoneNumber, now = new Date()) {
+        const lastReply = this.getLastReplyTime(rule, phoneNumber);
+        return Boolean(lastReply && now - lastReply < rule.cooldownMinutes * 60 * 1000);
+    }
+
+    /**
+     * First rule that should handle an inbound message, or null
+     */
+    findRule(incoming) {
+        for (const rule of this.getUserRules(incoming.userId)) {
+            if (!rule.enabled) continue;
+            if (rule.deviceId && rule.deviceId !== incoming.deviceId) continue;
+            if (this.campaignManager.getSendWindowDelay(rule.activeHours) > 0) continue;
+            if (this.matchesRule(rule, incoming)) {
+                return rule;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Answer an inbound message with the first matching rule
+     */
+    async handleIncomingMessage(incoming) {
+        if (incoming.isGroup || !incoming.phoneNumber) return;
+
+        // Opted-out senders (including a STOP just now) get no automated messages
+        if (this.campaignManager.isSuppressed(incoming.userId, incoming.phoneNumber)) return;
+
+        const rule = this.findRule(incoming);
+        if (!rule) return;
+
+        // A matching rule on cooldown ends the search, so a lower catch-all rule can't answer a looping bot
+        if (this.isCoolingDown(rule, incoming.phoneNumber)) {
+            console.log(`🤖 Auto-reply rule "${rule.name}" is cooling down for ${incoming.phoneNumber}`);
+            return;
+        }
+        this.lastReplies.set(`${rule.id}:${incoming.phoneNumber}`, new Date());
+
+        await this.sendAutoReply(rule, incoming);
+    }
+
+    /**
+     * Send a rule's reply from the device the message came in on and store it in history
+     */
+    async sendAutoReply(rule, incoming) {
+        // Campaign data about the contact (name, CSV columns) personalizes the reply when there is any
+        const outbound = this.campaignManager.findLastOutboundMessage(incoming.userId, incoming.phoneNumber);
+        const recipient = outbound && outbound.recipient ? { ...outbound.recipient, phoneNumber: incoming.phoneNumber } : {
+            phoneNumber: incoming.phoneNumber,
+            name: incoming.senderName || incoming.phoneNumber
+        };
+        const content = rule.reply ? MessageTemplate.render(rule.reply, recipient).content : '';
+
+        const startTime = Date.now();
+        const record = {
+            id: uuidv4(),
+            userId: incoming.userId,
+            campaignId: null,
+            campaignName: 'Auto Reply',
+            recipient: { phoneNumber: incoming.phoneNumber, name: recipient.name || incoming.phoneNumber },
+            content: content,
+            deviceId: incoming.deviceId,
+            deviceName: incoming.deviceName,
+            status: 'sent',
+            timestamp: new Date(),
+            responseTime: null,
+            source: 'auto-reply',
+            autoReply: {
+                ruleId: rule.id,
+                ruleName: rule.name,
+                matchType: rule.matchType,
+                inboundId: incoming.id
+            }
+        };
+
+        try {
+            const result = await this.deviceManager.sendMessage(incoming.deviceId, incoming.phoneNumber, content, rule.attachment, {
+                enableTypingSimulation: false
+            });
+            record.whatsappMessageId = result?.id?._serialized || null;
+            console.log(`🤖 Auto-reply "${rule.name}" sent to ${incoming.phoneNumber}`);
+        } catch (error) {
+            record.status = 'failed';
+            record.error = error.message;
+            console.error(`Error sending auto-reply "${rule.name}" to ${incoming.phoneNumber}:`, error.message);
+        }
+        record.responseTime = Date.now() - startTime;
+
+        this.campaignManager.storeMessage(record);
+        this.io.to(incoming.userId).emit('auto-reply-sent', {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            phoneNumber: incoming.phoneNumber,
+            status: record.status,
+            error: record.error || null
+        });
+        return record;
+    }
+
+    /**
+     * Load rules from storage
+     */
+    loadRules() {
+        try {
+            const savedRules = this.storage.loadAutoReplyRules();
+            savedRules.forEach(rule => this.rules.set(rule.id, rule));
+            console.log(`Loaded ${savedRules.length} auto-reply rules from storage`);
+        } catch (error) {
+            console.error('Error loading auto-reply rules:', error);
+        }
+    }
+}
+
+AutoReplyManager.MATCH_TYPES = MATCH_TYPES;
+AutoReplyManager.getUnsafePatternReason = getUnsafePatternReason;
+
+module.exports = AutoReplyManager;
@@ -1,24 +1,52 @@
 const fs = require('fs');
-const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const MessageTemplate = require('./MessageTemplate');
+const PhoneNumber = require('./PhoneNumber');
+
+// setTimeout overflows past ~24.8 days, so long waits are re-checked in steps
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+// Pause between WhatsApp registration checks on the same device
+const NUMBER_CHECK_DELAY = 1000;
+
+// Finished "validate list" jobs are kept in memory this long for the CSV download
+const VALIDATION_JOB_TTL = 60 * 60 * 1000;
+
+// Follow-up message parts sent after the main message
+const MESSAGE_PART_TYPES = ['text', 'media', 'document', 'voice'];
+const MAX_MESSAGE_PARTS = 10;
+const MAX_PART_DELAY = 60; // seconds
+
+// Campaigns in these statuses are sending or will send without being resumed
+const RUNNING_STATUSES = ['active', 'scheduled', 'waiting-window', 'quota-wait', 'validating'];
 
 class CampaignManager {
-    constructor(io, deviceManager) {
+    constructor(io, deviceManager, storage = getStorage(), suppressionManager = null) {
         this.io = io;
         this.deviceManager = deviceManager;
+        this.storage = storage;
+        this.suppressionManager = suppressionManager;
         this.campaigns = new Map(); // Map<campaignId, campaign>
         this.userCampaigns = new Map(); // Map<userId, Set<campaignId>>
         this.campaignTimers = new Map(); // Map<campaignId, timeoutId>
+        this.activeSends = new Set(); // Set<campaignId> - campaigns with a send in flight
+        this.campaignWorkers = new Map(); // Map<campaignId, { workers: Map<deviceId, worker>, inFlight: Set<index> }> - parallel sending
+        this.validatingCampaigns = new Set(); // Set<campaignId> - campaigns checking numbers before sending
+        this.validationJobs = new Map(); // Map<jobId, job> - standalone "validate list" runs
         this.messageHistory = new Map(); // Map<userId, Array<message>> - Store individual messages
-        
-        // File path for persistent storage
-        this.campaignsFilePath = path.join(__dirname, 'campaigns.json');
-        this.messagesFilePath = path.join(__dirname, 'messages.json');
+        this.messagesByWhatsAppId = new Map(); // Map<serializedMessageId, message> - for delivery receipts
+        this.skipChecks = []; // Extra (campaign, recipient) => skip reason checks, e.g. sequence replies
+        this.campaignFinishedHandlers = []; // Called with a campaign once it completes or is stopped
+        this.messageStoredHandlers = []; // Called with every message added to history
         
         // Load existing campaigns and messages on startup
         this.loadCampaigns();
         this.loadMessages();
         
+        // Track delivered/read receipts for sent messages
+        this.deviceManager.onMessageAck((receipt) => this.handleMessageAck(receipt));
+        
         // Start recovery service for interrupted campaigns
         this.startCampaignRecovery();
     }
@@ -27,14 +55,63 @@ class CampaignManager {
      * Create and start a new campaign
      */
     async createCampaign(userId, campaignData) {
+        const campaign = this.buildCampaign(userId, campaignData);
+        const campaignId = campaign.id;
+
+        // Store campaign
+        this.campaigns.set(campaignId, campaign);
+        
+        // Add to user's campaigns
+        if (!this.userCampaigns.has(userId)) {
+            this.userCampaigns.set(userId, new Set());
+        }
+        this.userCampaigns.get(userId).add(campaignId);
+
+        // Save to storage for persistence
+        this.saveCampaign(campaign, { recipients: true });
+
+        if (campaign.status === 'scheduled') {
+            this.broadcastCampaignStatus(campaign);
+        }
+
+        // Start processing campaign, or hold it until its scheduled time
+        this.startOrScheduleCampaign(campaignId);
+
+        return campaign;
+    }
+
+    /**
+     * Validate campaign settings and build the campaign record, without storing or starting it
+     */
+    buildCampaign(userId, campaignData) {
+        const scheduledAt = campaignData.scheduledAt ? new Date(campaignData.scheduledAt) : null;
+        if (scheduledAt && isNaN(scheduledAt.getTime())) {
+            throw new Error('Invalid scheduledAt date');
+        }
+        const sendWindow = this.normalizeSendWindow(campaignData.sendWindow);
+        const messageVariants = MessageTemplate.normalizeVariants(campaignData.messageVariants);
+        const variantMode = MessageTemplate.normalizeVariantMode(campaignData.variantMode);
+        const parts = this.normalizeParts(campaignData.parts);
+        // Entry points reject unknown placeholders up front; retries and sequence steps send them as written
+        const unknownPlaceholders = MessageTemplate.findUnknownPlaceholders(
+            [campaignData.message, ...messageVariants, ...parts.map(part => part.text)],
+            MessageTemplate.getColumns(campaignData.recipients)
+        );
+        if (unknownPlaceholders.length > 0) {
+            console.warn(`⚠️ No matching column for ${unknownPlaceholders.map(name => `{${name}}`).join(', ')}; sending as written`);
+        }
+
         const campaignId = uuidv4();
         const campaign = {
             id: campaignId,
             userId: userId,
             name: campaignData.name || `Campaign ${Date.now()}`,
             message: campaignData.message,
+            messageVariants: messageVariants, // Alternative bodies used alongside message
+            parts: parts, // Follow-up parts sent after message, in order
             recipients: campaignData.recipients,
             attachment: campaignData.attachment,
+            uploads: campaignData.uploads || [], // Uploaded files and folders removed once the campaign and its retries finish
             options: {
                 delay: campaignData.delay || 2000,
                 rotationStrategy: campaignData.rotationStrategy || 'round-robin',
@@ -42,14 +119,32 @@ class CampaignManager {
                 messagesPerDevice: campaignData.messagesPerDevice || 10,
                 customMinDelay: campaignData.customMinDelay,
                 customMaxDelay: campaignData.customMaxDelay,
-                enableTypingSimulation: campaignData.enableTypingSimulation !== false
+                enableTypingSimulation: campaignData.enableTypingSimulation !== false,
+                parallelSending: campaignData.parallelSending !== false,
+                variantMode: variantMode,
+                attachmentColumn: campaignData.attachmentColumn || null,
+                sendWindow: sendWindow,
+                validateNumbers: Boolean(campaignData.validateNumbers)
             },
-            status: 'active',
+            scheduledAt: scheduledAt,
+            parentCampaignId: campaignData.parentCampaignId || null,
+            rootCampaignId: campaignData.rootCampaignId || null,
+            retryPass: campaignData.retryPass || 0,
+            sequenceId: campaignData.sequenceId || null, // Set when the campaign sends one step of a sequence
+            sequenceStep: campaignData.sequenceStep || null,
+            segmentId: campaignData.segmentId || null, // Set when the recipients are a snapshot of a contact segment
+            segmentName: campaignData.segmentName || null,
+            status: scheduledAt && scheduledAt > new Date() ? 'scheduled' : 'active',
             progress: {
                 total: campaignData.recipients.length,
                 sent: 0,
                 failed: 0,
-                currentIndex: 0
+                suppressed: 0,
+                invalid: 0,
+                delivered: 0,
+                read: 0,
+                currentIndex: 0,
+                completedAhead: [] // Indexes past currentIndex already finished by parallel workers
             },
             rotationState: {
                 strategy: campaignData.rotationStrategy || 'round-robin',
@@ -64,22 +159,156 @@ class CampaignManager {
             lastProcessedAt: new Date()
         };
 
-        // Store campaign
-        this.campaigns.set(campaignId, campaign);
-        
-        // Add to user's campaigns
-        if (!this.userCampaigns.has(userId)) {
-            this.userCampaigns.set(userId, new Set());
+        return campaign;
+    }
+
+    /**
+     * Run a campaign through the send pipeline without sending anything: each recipient's rendered
+     * parts, the device that would send them and when. Rotation, delays, the send window and device
+     * caps apply as in processCampaign; random delays and typing pauses are sampled, so times are estimates.
+     */
+    previewCampaign(userId, campaignData) {
+        const campaign = this.buildCampaign(userId, campaignData);
+        const options = campaign.options;
+        const startsAt = campaign.status === 'scheduled' ? campaign.scheduledAt.getTime() : Date.now();
+        const warnings = [];
+
+        // Ready devices as processCampaign picks them; with none connected, the selected ones as if they were
+        const userDevices = this.deviceManager.getUserDevices(userId)
+            .filter(device => !options.selectedDevices || options.selectedDevices.includes(device.id));
+        const readyDevices = userDevices.filter(device => device.isReady);
+        if (userDevices.length === 0) {
+            warnings.push('No WhatsApp devices are selected, so no device is assigned');
+        } else if (readyDevices.length === 0) {
+            warnings.push('None of the selected devices is connected; the preview assumes they will be');
+        }
+        if (options.validateNumbers) {
+            warnings.push('Numbers are checked on WhatsApp when the campaign starts; unregistered ones will be skipped then');
         }
-        this.userCampaigns.get(userId).add(campaignId);
 
-        // Save to disk for persistence
-        this.saveCampaigns();
+        // Projected sending-cap counts per device, and when each is free again for parallel sending
+        const slots = (readyDevices.length > 0 ? readyDevices : userDevices).map(device => ({
+            device: device,
+            usage: device.usage || {},
+            freeAt: startsAt,
+            messages: 0
+        }));
+        let clock = startsAt;
+        let finishesAt = startsAt;
 
-        // Start processing campaign
-        this.processCampaign(campaignId);
+        const recipients = campaign.recipients.map((recipient, index) => {
+            const entry = {
+                index: index,
+                phoneNumber: recipient.phoneNumber,
+                name: recipient.name || ''
+            };
 
-        return campaign;
+            const skip = this.getSkipReason(campaign, recipient);
+            if (skip) {
+                return { ...entry, status: skip.status, error: skip.error };
+            }
+
+            const parts = this.getRecipientParts(campaign, recipient, index);
+            const { slot, sendAt } = this.pickPreviewDevice(campaign, slots, clock);
+
+            // Part delays and typing simulation, as sendToRecipient and DeviceManager.sendMessage wait them
+            let sentAt = sendAt;
+            parts.forEach((part, partIndex) => {
+                if (partIndex > 0) {
+                    sentAt += part.delay * 1000;
+                }
+                if (options.enableTypingSimulation) {
+                    sentAt += Math.round(this.deviceManager.calculateTypingDuration(part.content || '') + this.deviceManager.generateRandomPause()) + 200;
+                }
+                if (slot) {
+                    slot.usage = this.deviceManager.countDeviceSend(slot.usage, new Date(sentAt));
+                }
+            });
+
+            clock = sentAt + this.calculateMessageDelay(options);
+            finishesAt = Math.max(finishesAt, sentAt);
+            if (slot) {
+                slot.messages++;
+                slot.freeAt = clock;
+                this.updateRotationState(campaign.rotationState, slot.device.id, options);
+            }
+
+            return {
+                ...entry,
+                status: 'send',
+                content: parts[0].content,
+                variant: parts[0].variant,
+                parts: parts.map(part => ({
+                    type: part.type,
+                    content: part.content,
+                    attachment: part.attachment ? part.attachment.originalname : null,
+                    delay: part.delay
+                })),
+                deviceId: slot ? slot.device.id : null,
+                deviceName: slot ? slot.device.name : null,
+                sendAt: new Date(sendAt)
+            };
+        });
+
+        const skipped = {};
+        recipients.filter(recipient => recipient.status !== 'send').forEach(recipient => {
+            skipped[recipient.status] = (skipped[recipient.status] || 0) + 1;
+        });
+
+        return {
+            startsAt: new Date(startsAt),
+            finishesAt: new Date(finishesAt),
+            estimatedDuration: finishesAt - startsAt,
+            messages: recipients.length - Object.values(skipped).reduce((sum, count) => sum + count, 0),
+            skipped: skipped,
+            parallelSending: options.parallelSending,
+            rotationStrategy: options.rotationStrategy,
+            devices: slots.map(slot => ({
+                id: slot.device.id,
+                name: slot.device.name,
+                isReady: slot.device.isReady,
+                messages: slot.messages
+            })),
+            warnings: warnings,
+            recipients: recipients
+        };
+    }
+
+    /**
+     * Device for the next previewed recipient and when it sends: with parallel sending the first device
+     * to be free, otherwise the rotation strategy's pick among devices under their caps.
+     * Returns { slot, sendAt } with slot null when there are no devices.
+     */
+    pickPreviewDevice(campaign, slots, clock) {
+        const options = campaign.options;
+        const openAt = (time) => time + this.getSendWindowDelay(options.sendWindow, new Date(time));
+        const quotaAt = (slot, time) => this.deviceManager.getQuotaStatus(slot.device.id, new Date(time), slot.usage);
+
+        if (slots.length === 0) {
+            return { slot: null, sendAt: openAt(clock) };
+        }
+
+        for (;;) {
+            if (options.parallelSending) {
+                const slot = slots.reduce((first, candidate) => candidate.freeAt < first.freeAt ? candidate : first);
+                const sendAt = openAt(slot.freeAt);
+                const quota = quotaAt(slot, sendAt);
+                if (!quota.capped) {
+                    return { slot: slot, sendAt: sendAt };
+                }
+                slot.freeAt = quota.resetsAt.getTime() + 1000;
+                continue;
+            }
+
+            const sendAt = openAt(clock);
+            const available = slots.filter(slot => !quotaAt(slot, sendAt).capped);
+            if (available.length > 0) {
+                const device = this.selectDeviceByStrategy(available.map(slot => slot.device), campaign.rotationState, options);
+                return { slot: slots.find(slot => slot.device === device), sendAt: sendAt };
+            }
+            // Every device is capped; wait for the first cap to reset, as waitForDeviceQuota does
+            clock = Math.min(...slots.map(slot => quotaAt(slot, sendAt).resetsAt.getTime())) + 1000;
+        }
     }
 
     /**
@@ -87,11 +316,54 @@ class CampaignManager {
      */
     async processCampaign(campaignId) {
         const campaign = this.campaigns.get(campaignId);
-        if (!campaign || campaign.status !== 'active') {
+        if (!campaign) {
+            return;
+        }
+
+        if (campaign.status === 'scheduled') {
+            this.startOrScheduleCampaign(campaignId);
+            return;
+        }
+
+        if (!['active', 'waiting-window', 'quota-wait', 'validating'].includes(campaign.status)) {
+            return;
+        }
+
+        // Check the list is on WhatsApp once, before the first message goes out
+        if (campaign.options.validateNumbers && !campaign.validatedAt) {
+            this.validateCampaignRecipients(campaignId);
             return;
         }
 
         try {
+            // Hold the campaign while outside its send window
+            const windowDelay = this.getSendWindowDelay(campaign.options.sendWindow);
+            if (windowDelay > 0) {
+                if (campaign.status !== 'waiting-window') {
+                    campaign.waitingUntil = new Date(Date.now() + windowDelay);
+                    delete campaign.waitReason;
+                    this.setCampaignStatus(campaign, 'waiting-window');
+                    console.log(`Campaign ${campaignId}: outside send window, waiting until ${campaign.waitingUntil.toISOString()}`);
+                }
+                this.scheduleNextMessage(campaignId, Math.min(windowDelay, MAX_TIMER_DELAY));
+                return;
+            }
+
+            if (campaign.status === 'waiting-window') {
+                delete campaign.waitingUntil;
+                this.setCampaignStatus(campaign, 'active');
+                console.log(`Campaign ${campaignId}: send window open, resuming`);
+            }
+
+            // Opted-out and unregistered numbers are skipped without using a device
+            // (parallel workers skip them as they claim recipients)
+            const nextRecipient = campaign.recipients[campaign.progress.currentIndex];
+            const skip = !campaign.options.parallelSending && nextRecipient && this.getSkipReason(campaign, nextRecipient);
+            if (skip) {
+                this.skipRecipient(campaign, nextRecipient, skip.status, skip.error);
+                return;
+            }
+
             // Ensure rotation state Maps are properly initialized
             if (!campaign.rotationState.deviceUsage || !(campaign.rotationState.deviceUsage instanceof Map)) {
                 campaign.rotationState.deviceUsage = new Map();
@@ -133,92 +405,49 @@ class CampaignManager {
                 });
             }
 
+            // Devices at their hourly/daily cap sit out until it resets
+            const availableDevices = selectedDevices.filter(device => !this.deviceManager.isDeviceCapped(device.id));
+            if (availableDevices.length === 0) {
+                this.waitForDeviceQuota(campaign, selectedDevices);
+                return;
+            }
+
+            if (campaign.status === 'quota-wait') {
+                delete campaign.waitingUntil;
+                delete campaign.waitReason;
+                this.setCampaignStatus(campaign, 'active');
+                console.log(`Campaign ${campaignId}: device sending limits reset, resuming`);
+            }
+
+            // Each device sends on its own timer, pulling from the shared recipient cursor
+            if (campaign.options.parallelSending) {
+                this.startDeviceWorkers(campaign, availableDevices);
+                return;
+            }
+
             // Process one message at a time for reliability
             if (campaign.progress.currentIndex < campaign.recipients.length) {
                 const recipient = campaign.recipients[campaign.progress.currentIndex];
-                
-                try {
-                    // Select device based on strategy
-                    console.log(`Campaign ${campaignId}: Selecting device using strategy '${campaign.options.rotationStrategy}' from ${selectedDevices.length} devices`);
-                    const device = this.selectDeviceByStrategy(selectedDevices, campaign.rotationState, campaign.options);
-                    console.log(`Campaign ${campaignId}: Selected device:`, { id: device.id, name: device.name });
-                    
-                    // Emit progress update
-                    this.io.to(campaign.userId).emit('bulk-message-progress', {
-                        campaignId: campaignId,
-                        campaignName: campaign.name,
-                        current: campaign.progress.currentIndex + 1,
-                        total: campaign.progress.total,
-                        sent: campaign.progress.sent,
-                        failed: campaign.progress.failed,
-                        recipient: recipient.phoneNumber,
-                        deviceId: device.id,
-                        deviceName: device.name,
-                        enableTypingSimulation: campaign.options.enableTypingSimulation !== false
-                    });
 
-                    // Send message with typing simulation
-                    const personalizedMessage = this.personalizeMessage(campaign.message, recipient);
-                    console.log(`Sending message to ${recipient.phoneNumber} with typing simulation: ${campaign.options.enableTypingSimulation !== false}`);
-                    await this.deviceManager.sendMessage(device.id, recipient.phoneNumber, personalizedMessage, campaign.attachment, {
-                        enableTypingSimulation: campaign.options.enableTypingSimulation !== false
-                    });
-                    
-                    // Update progress
-                    campaign.progress.sent++;
-                    this.updateRotationState(campaign.rotationState, device.id, campaign.options);
-                    
-                    // Store message in history
-                    this.storeMessage({
-                        id: uuidv4(),
-                        userId: campaign.userId,
-                        campaignId: campaignId,
-                        campaignName: campaign.name,
-                        recipient: recipient,
-                        content: personalizedMessage,
-                        deviceId: device.id,
-                        deviceName: device.name,
-                        status: 'sent',
-                        timestamp: new Date(),
-                        responseTime: null
-                    });
-                    
-                    // Emit success
-                    this.io.to(campaign.userId).emit('bulk-message-sent', {
-                        campaignId: campaignId,
-                        recipient: recipient,
-                        success: true,
-                        deviceId: device.id,
-                        deviceName: device.name
-                    });
+                // Select device based on strategy
+                console.log(`Campaign ${campaignId}: Selecting device using strategy '${campaign.options.rotationStrategy}' from ${availableDevices.length} devices`);
+                const device = this.selectDeviceByStrategy(availableDevices, campaign.rotationState, campaign.options);
+                console.log(`Campaign ${campaignId}: Selected device:`, { id: device.id, name: device.name });
 
-                } catch (error) {
-                    console.error(`Error sending message in campaign ${campaignId}:`, error);
-                    
-                    campaign.progress.failed++;
-                    
-                    // Store failed message in history
-                    this.storeMessage({
-                        id: uuidv4(),
-                        userId: campaign.userId,
-                        campaignId: campaignId,
-                        campaignName: campaign.name,
-                        recipient: recipient,
-                        content: this.personalizeMessage(campaign.message, recipient),
-                        deviceId: null,
-                        deviceName: 'Failed',
-                        status: 'failed',
-                        timestamp: new Date(),
-                        responseTime: null,
-                        error: error.message
-                    });
-                    
-                    // Emit error
-                    this.io.to(campaign.userId).emit('bulk-message-error', {
-                        campaignId: campaignId,
-                        recipient: recipient,
-                        error: error.message
-                    });
+                this.activeSends.add(campaignId);
+                let finished;
+                try {
+                    finished = await this.sendToRecipient(campaign, recipient, campaign.progress.currentIndex, device);
+                } finally {
+                    this.activeSends.delete(campaignId);
+                }
+
+                // The device hit its limit mid-send: the same recipient goes next, on a device that can send
+                if (!finished) {
+                    if (campaign.status === 'active') {
+                        this.scheduleNextMessage(campaignId, 0);
+                    }
+                    return;
                 }
 
                 // Update campaign state
@@ -226,14 +455,14 @@ class CampaignManager {
                 campaign.updatedAt = new Date();
                 campaign.lastProcessedAt = new Date();
                 
-                // Save progress to disk
-                this.saveCampaigns();
+                // Save progress to storage
+                this.saveCampaign(campaign);
 
                 // Check if campaign is complete
                 if (campaign.progress.currentIndex >= campaign.recipients.length) {
                     this.completeCampaign(campaignId);
-                } else {
-                    // Schedule next message with calculated delay
+                } else if (campaign.status === 'active') {
+                    // Schedule next message with calculated delay (skipped once paused or stopped mid-send)
                     const delay = this.calculateMessageDelay(campaign.options);
                     this.scheduleNextMessage(campaignId, delay);
                 }
@@ -246,6 +475,391 @@ class CampaignManager {
         }
     }
 
+    /**
+     * Send a recipient's message parts from a device and record the outcome in progress and history.
+     * Each part is its own history record; the first failing part ends the sequence for that recipient
+     * and a retry resumes from it. Parts already sent are persisted so a restart doesn't repeat them.
+     * Returns false when the device hit its sending limit first: nothing is recorded and the recipient
+     * is sent again (from the part it stopped at) once a device can send.
+     */
+    async sendToRecipient(campaign, recipient, index, device) {
+        const campaignId = campaign.id;
+        const parts = this.getRecipientParts(campaign, recipient, index);
+        const isSequence = parts.length > 1;
+        const startPart = Math.max((campaign.progress.partsSent || {})[index] || 0, (recipient.startPart || 1) - 1);
+        let partIndex = startPart;
+        let requeued = false;
+
+        try {
+            // Emit progress update
+            this.io.to(campaign.userId).emit('bulk-message-progress', {
+                campaignId: campaignId,
+                campaignName: campaign.name,
+                current: index + 1,
+                total: campaign.progress.total,
+                sent: campaign.progress.sent,
+                failed: campaign.progress.failed,
+                delivered: campaign.progress.delivered || 0,
+                read: campaign.progress.read || 0,
+                recipient: recipient.phoneNumber,
+                deviceId: device.id,
+                deviceName: device.name,
+                enableTypingSimulation: campaign.options.enableTypingSimulation !== false
+            });
+
+            for (; partIndex < parts.length; partIndex++) {
+                const part = parts[partIndex];
+                if (partIndex > startPart && part.delay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, part.delay * 1000));
+                }
+
+                // Send message with typing simulation
+                console.log(`Sending message to ${recipient.phoneNumber} with typing simulation: ${campaign.options.enableTypingSimulation !== false}`);
+                const result = await this.deviceManager.sendMessage(device.id, recipient.phoneNumber, part.content, part.attachment, {
+                    enableTypingSimulation: campaign.options.enableTypingSimulation !== false,
+                    mediaType: part.type
+                });
+                
+                // Store message in history
+                this.storeMessage({
+                    id: uuidv4(),
+                    userId: campaign.userId,
+                    campaignId: campaignId,
+                    campaignName: campaign.name,
+                    recipient: recipient,
+                    content: part.content,
+                    variant: part.variant,
+                    part: isSequence ? this.describePart(parts, partIndex, startPart) : undefined,
+                    deviceId: device.id,
+                    deviceName: device.name,
+                    whatsappMessageId: result?.id?._serialized || null,
+                    status: 'sent',
+                    attempt: recipient.attempt || 1,
+                    timestamp: new Date(),
+                    responseTime: null
+                });
+
+                if (isSequence && partIndex < parts.length - 1) {
+                    campaign.progress.partsSent = { ...(campaign.progress.partsSent || {}), [index]: partIndex + 1 };
+                    this.saveCampaign(campaign);
+                }
+            }
+            
+            // Update progress
+            campaign.progress.sent++;
+            this.updateRotationState(campaign.rotationState, device.id, campaign.options);
+            
+            // Emit success
+            this.io.to(campaign.userId).emit('bulk-message-sent', {
+                campaignId: campaignId,
+                recipient: recipient,
+                success: true,
+                deviceId: device.id,
+                deviceName: device.name
+            });
+            return true;
+
+        } catch (error) {
+            if (error.quotaCapped) {
+                console.log(`Campaign ${campaignId}: ${error.message}, putting ${recipient.phoneNumber} back in the queue`);
+                requeued = true;
+                return false;
+            }
+
+            console.error(`Error sending message in campaign ${campaignId}:`, error);
+            
+            campaign.progress.failed++;
+            const part = parts[partIndex];
+            
+            // Store failed message in history
+            this.storeMessage({
+                id: uuidv4(),
+                userId: campaign.userId,
+                campaignId: campaignId,
+                campaignName: campaign.name,
+                recipient: recipient,
+                content: part.content,
+                variant: part.variant,
+                part: isSequence ? this.describePart(parts, partIndex, startPart) : undefined,
+                deviceId: null,
+                deviceName: 'Failed',
+                status: 'failed',
+                attempt: recipient.attempt || 1,
+                timestamp: new Date(),
+                responseTime: null,
+                error: error.message
+            });
+            
+            // Emit error
+            this.io.to(campaign.userId).emit('bulk-message-error', {
+                campaignId: campaignId,
+                recipient: recipient,
+                error: isSequence ? `Part ${partIndex + 1} of ${parts.length}: ${error.message}` : error.message
+            });
+            return true;
+        } finally {
+            if (!requeued && campaign.progress.partsSent && campaign.progress.partsSent[index] !== undefined) {
+                delete campaign.progress.partsSent[index];
+            }
+        }
+    }
+
+    /**
+     * The message and any follow-up parts for a recipient, rendered and ready to send
+     */
+    getRecipientParts(campaign, recipient, index) {
+        const rendered = this.renderCampaignMessage(campaign, recipient, index);
+        // A recipient's own file (from the CSV file column) replaces the campaign attachment
+        const attachment = recipient.attachment || campaign.attachment || null;
+
+        return [
+            {
+                type: attachment ? 'media' : 'text',
+                content: rendered.content,
+                variant: rendered.variant,
+                attachment: attachment,
+                delay: 0
+            },
+            ...(campaign.parts || []).map(part => ({
+                type: part.type,
+                content: part.text ? MessageTemplate.render(part.text, recipient, index).content : '',
+                attachment: part.attachment || null,
+                delay: part.delay
+            }))
+        ];
+    }
+
+    /**
+     * Part details stored on history records. The first part sent in a campaign is the primary one
+     * that delivery, read and attempt counts are based on.
+     */
+    describePart(parts, partIndex, startPart) {
+        return {
+            index: partIndex + 1,
+            total: parts.length,
+            type: parts[partIndex].type,
+            primary: partIndex === startPart
+        };
+    }
+
+    /**
+     * Check follow-up parts: text parts need text, the others a file; delays are seconds before the part
+     */
+    normalizeParts(parts) {
+        if (!parts) return [];
+        if (!Array.isArray(parts)) {
+            throw new Error('Message parts must be a list');
+        }
+        if (parts.length > MAX_MESSAGE_PARTS) {
+            throw new Error(`A campaign can have at most ${MAX_MESSAGE_PARTS} extra message parts`);
+        }
+
+        return parts.map((part, i) => {
+            const type = part.type || 'text';
+            if (!MESSAGE_PART_TYPES.includes(type)) {
+                throw new Error(`Part ${i + 2}: type must be one of ${MESSAGE_PART_TYPES.join(', ')}`);
+            }
+            const text = String(part.text || '').trim();
+            if (type === 'text' && !text) {
+                throw new Error(`Part ${i + 2}: text parts need a message`);
+            }
+            if (type !== 'text' && !part.attachment) {
+                throw new Error(`Part ${i + 2}: ${type} parts need a file`);
+            }
+
+            const delay = part.delay === undefined || part.delay === '' ? 2 : Number(part.delay);
+            if (!Number.isFinite(delay) || delay < 0 || delay > MAX_PART_DELAY) {
+                throw new Error(`Part ${i + 2}: delay must be between 0 and ${MAX_PART_DELAY} seconds`);
+            }
+
+            return {
+                type: type,
+                text: text,
+                attachment: type === 'text' ? null : part.attachment,
+                delay: delay
+            };
+        });
+    }
+
+    /**
+     * Make sure every available device has a worker for this campaign
+     */
+    startDeviceWorkers(campaign, devices) {
+        if (!this.campaignWorkers.has(campaign.id)) {
+            this.campaignWorkers.set(campaign.id, { workers: new Map(), inFlight: new Set() });
+        }
+        const state = this.campaignWorkers.get(campaign.id);
+
+        for (const device of devices) {
+            if (!state.workers.has(device.id)) {
+                console.log(`Campaign ${campaign.id}: starting worker for device ${device.name}`);
+                state.workers.set(device.id, { timer: null, busy: false });
+                this.runDeviceWorker(campaign.id, device.id);
+            }
+        }
+    }
+
+    /**
+     * One step of a device worker: claim the next recipient, send, then wait the campaign delay.
+     * Workers stop on their own when the campaign is no longer active or their device can't send,
+     * and processCampaign starts them again.
+     */
+    async runDeviceWorker(campaignId, deviceId) {
+        const campaign = this.campaigns.get(campaignId);
+        const state = this.campaignWorkers.get(campaignId);
+        const worker = state && state.workers.get(deviceId);
+        if (!campaign || !worker) return;
+        worker.timer = null;
+
+        const device = this.deviceManager.getDevice(deviceId);
+        const canSend = campaign.status === 'active' &&
+            device && device.isReady && !this.deviceManager.isDeviceCapped(deviceId) &&
+            this.getSendWindowDelay(campaign.options.sendWindow) === 0;
+
+        let index = canSend ? this.claimNextRecipient(campaign, state) : -1;
+
+        // Skipped recipients don't use the device, so keep claiming
+        while (index !== -1) {
+            const skip = this.getSkipReason(campaign, campaign.recipients[index]);
+            if (!skip) break;
+            this.recordSkippedRecipient(campaign, campaign.recipients[index], index, skip.status, skip.error);
+            this.finishRecipient(campaign, index);
+            index = this.claimNextRecipient(campaign, state);
+        }
+
+        if (index === -1) {
+            this.stopDeviceWorker(campaign, deviceId);
+            return;
+        }
+
+        worker.busy = true;
+        state.inFlight.add(index);
+        this.activeSends.add(campaignId);
+        let finished;
+        try {
+            finished = await this.sendToRecipient(campaign, campaign.recipients[index], index, device);
+        } finally {
+            worker.busy = false;
+            state.inFlight.delete(index);
+            if (state.inFlight.size === 0) {
+                this.activeSends.delete(campaignId);
+            }
+        }
+
+        // The device hit its limit mid-send: releasing the claim puts the recipient back in the queue,
+        // and processCampaign moves the campaign to quota-wait if no other device can take it
+        if (!finished) {
+            this.stopDeviceWorker(campaign, deviceId);
+            return;
+        }
+
+        this.finishRecipient(campaign, index);
+
+        if (campaign.status === 'active' && state.workers.get(deviceId) === worker) {
+            // Each device keeps its own pacing
+            worker.timer = setTimeout(() => this.runDeviceWorker(campaignId, deviceId), this.calculateMessageDelay(campaign.options));
+            // Let processCampaign pick up devices that became available (or a resume during this send)
+            this.scheduleNextMessage(campaignId, 0);
+        } else {
+            this.stopDeviceWorker(campaign, deviceId);
+        }
+    }
+
+    /**
+     * Next recipient index no worker has finished or is sending to, or -1 when none is left
+     */
+    claimNextRecipient(campaign, state) {
+        const completedAhead = new Set(campaign.progress.completedAhead || []);
+        for (let index = campaign.progress.currentIndex; index < campaign.recipients.length; index++) {
+            if (!completedAhead.has(index) && !state.inFlight.has(index)) {
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Mark a recipient finished. currentIndex only moves past recipients that are all done,
+     * so a restart after a crash resumes there and skips the finished ones recorded in completedAhead.
+     */
+    finishRecipient(campaign, index) {
+        const completedAhead = new Set(campaign.progress.completedAhead || []);
+        completedAhead.add(index);
+        while (completedAhead.has(campaign.progress.currentIndex)) {
+            completedAhead.delete(campaign.progress.currentIndex);
+            campaign.progress.currentIndex++;
+        }
+
+        campaign.progress.completedAhead = Array.from(completedAhead).sort((a, b) => a - b);
+        campaign.updatedAt = new Date();
+        campaign.lastProcessedAt = new Date();
+        this.saveCampaign(campaign);
+    }
+
+    /**
+     * Remove a device's worker; the last one to stop completes the campaign or hands back to processCampaign
+     */
+    stopDeviceWorker(campaign, deviceId) {
+        const state = this.campaignWorkers.get(campaign.id);
+        if (!state) return;
+
+        const worker = state.workers.get(deviceId);
+        if (worker && worker.timer) {
+            clearTimeout(worker.timer);
+        }
+        state.workers.delete(deviceId);
+
+        if (state.workers.size > 0) return;
+        this.campaignWorkers.delete(campaign.id);
+
+        if (campaign.progress.currentIndex >= campaign.recipients.length) {
+            this.completeCampaign(campaign.id);
+        } else if (campaign.status === 'active') {
+            // Every device dropped out - processCampaign waits for devices, quotas or the send window
+            this.scheduleNextMessage(campaign.id, 1000);
+        }
+    }
+
+    /**
+     * Stop all idle workers of a campaign; one mid-send stops itself after the send
+     */
+    stopDeviceWorkers(campaignId) {
+        const state = this.campaignWorkers.get(campaignId);
+        if (!state) return;
+
+        for (const [deviceId, worker] of state.workers) {
+            if (worker.timer) {
+                clearTimeout(worker.timer);
+            }
+            if (!worker.busy) {
+                state.workers.delete(deviceId);
+            }
+        }
+        if (state.workers.size === 0) {
+            this.campaignWorkers.delete(campaignId);
+        }
+    }
+
+    /**
+     * Hold a campaign until the first of its devices comes back under its sending cap
+     */
+    waitForDeviceQuota(campaign, devices) {
+        const statuses = devices.map(device => this.deviceManager.getQuotaStatus(device.id));
+        const resumeAt = new Date(Math.min(...statuses.map(status => status.resetsAt.getTime())));
+
+        if (campaign.status !== 'quota-wait') {
+            campaign.waitingUntil = resumeAt;
+            campaign.waitReason = statuses.every(status => status.reason === 'daily')
+                ? 'All selected devices reached their daily sending limit'
+                : 'All selected devices reached their sending limits';
+            this.setCampaignStatus(campaign, 'quota-wait');
+            console.log(`Campaign ${campaign.id}: ${campaign.waitReason}, waiting until ${resumeAt.toISOString()}`);
+        }
+
+        // A second past the reset so the new hour or day has started
+        this.scheduleNextMessage(campaign.id, Math.min(resumeAt - Date.now() + 1000, MAX_TIMER_DELAY));
+    }
+
     /**
      * Calculate message delay with support for random delays
      */
@@ -342,26 +956,561 @@ class CampaignManager {
     }
 
     /**
-     * Update rotation state after device usage
+     * Update rotation state after device usage
+     */
+    updateRotationState(rotationState, deviceId, options) {
+        // Ensure deviceUsage and deviceLastUsed are Maps
+        if (!rotationState.deviceUsage || !(rotationState.deviceUsage instanceof Map)) {
+            rotationState.deviceUsage = new Map();
+        }
+        if (!rotationState.deviceLastUsed || !(rotationState.deviceLastUsed instanceof Map)) {
+            rotationState.deviceLastUsed = new Map();
+        }
+        
+        const currentUsage = rotationState.deviceUsage.get(deviceId) || 0;
+        rotationState.deviceUsage.set(deviceId, currentUsage + 1);
+        rotationState.deviceLastUsed.set(deviceId, Date.now());
+    }
+
+    /**
+     * Start a campaign now, or hold it in 'scheduled' until scheduledAt
+     */
+    startOrScheduleCampaign(campaignId, delay = 0) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign) return;
+
+        const startsIn = campaign.scheduledAt ? new Date(campaign.scheduledAt).getTime() - Date.now() : 0;
+
+        if (startsIn > 0) {
+            if (campaign.status !== 'scheduled') {
+                this.setCampaignStatus(campaign, 'scheduled');
+            }
+            console.log(`Campaign ${campaignId}: scheduled for ${new Date(campaign.scheduledAt).toISOString()}`);
+            this.scheduleNextMessage(campaignId, Math.min(startsIn, MAX_TIMER_DELAY));
+            return;
+        }
+
+        if (campaign.status === 'scheduled') {
+            campaign.startedAt = new Date();
+            this.setCampaignStatus(campaign, 'active');
+            console.log(`Campaign ${campaignId}: scheduled time reached, starting`);
+        }
+
+        if (delay > 0) {
+            this.scheduleNextMessage(campaignId, delay);
+        } else {
+            this.processCampaign(campaignId);
+        }
+    }
+
+    /**
+     * Change a campaign's status, persist it and broadcast it to the user
+     */
+    setCampaignStatus(campaign, status) {
+        campaign.status = status;
+        campaign.updatedAt = new Date();
+        this.saveCampaign(campaign);
+        this.broadcastCampaignStatus(campaign);
+    }
+
+    /**
+     * Tell the user's sockets about a campaign's current status
+     */
+    broadcastCampaignStatus(campaign) {
+        this.io.to(campaign.userId).emit('campaign-status-changed', {
+            campaignId: campaign.id,
+            campaignName: campaign.name,
+            status: campaign.status,
+            scheduledAt: campaign.scheduledAt || null,
+            waitingUntil: campaign.waitingUntil || null,
+            waitReason: campaign.waitReason || null,
+            sendWindow: campaign.options.sendWindow || null,
+            current: campaign.progress.currentIndex,
+            total: campaign.progress.total
+        });
+    }
+
+    /**
+     * Validate send window settings
+     * { timezone: 'Asia/Karachi', startTime: '09:00', endTime: '20:00', quietDays: [5] }
+     * quietDays use 0 = Sunday ... 6 = Saturday in the window's time zone
+     */
+    normalizeSendWindow(sendWindow) {
+        if (!sendWindow) return null;
+
+        const timezone = sendWindow.timezone || 'UTC';
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error(`Invalid send window time zone: ${timezone}`);
+        }
+
+        const timePattern = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+        const startTime = sendWindow.startTime || null;
+        const endTime = sendWindow.endTime || null;
+        if ((startTime && !timePattern.test(startTime)) || (endTime && !timePattern.test(endTime))) {
+            throw new Error('Send window times must use HH:MM format');
+        }
+        if (Boolean(startTime) !== Boolean(endTime)) {
+            throw new Error('Send window needs both a start and an end time');
+        }
+
+        const quietDays = [...new Set((sendWindow.quietDays || []).map(day => parseInt(day)))]
+            .filter(day => day >= 0 && day <= 6)
+            .sort();
+        if (quietDays.length === 7) {
+            throw new Error('Send window cannot mark every day as quiet');
+        }
+
+        if (!startTime && quietDays.length === 0) {
+            return null;
+        }
+
+        return { timezone, startTime, endTime, quietDays };
+    }
+
+    /**
+     * Weekday and minutes since midnight for a date in a time zone
+     */
+    getZonedTime(date, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        return {
+            day: weekdays.indexOf(parts.weekday),
+            minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute) + parseInt(parts.second) / 60
+        };
+    }
+
+    /**
+     * Milliseconds until sending is allowed again (0 when inside the window)
+     */
+    getSendWindowDelay(sendWindow, now = new Date()) {
+        if (!sendWindow) return 0;
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const start = sendWindow.startTime ? toMinutes(sendWindow.startTime) : 0;
+        const end = sendWindow.endTime ? toMinutes(sendWindow.endTime) : 24 * 60;
+        const overnight = start > end; // e.g. 20:00-02:00
+        const quietDays = sendWindow.quietDays || [];
+        const { day, minutes } = this.getZonedTime(now, sendWindow.timezone);
+
+        const isOpenAt = (minute) => (start === end) ||
+            (overnight ? (minute >= start || minute < end) : (minute >= start && minute < end));
+
+        if (!quietDays.includes(day) && isOpenAt(minutes)) {
+            return 0;
+        }
+
+        // Find the next opening within the coming week
+        for (let offset = 0; offset <= 7; offset++) {
+            if (quietDays.includes((day + offset) % 7)) continue;
+
+            let opensAt = null;
+            if (offset > 0 && isOpenAt(0)) {
+                opensAt = 0; // window already open at midnight
+            } else if (offset > 0 || start > minutes) {
+                opensAt = start;
+            }
+
+            if (opensAt !== null) {
+                return Math.max(1000, Math.round((offset * 24 * 60 + opensAt - minutes) * 60000));
+            }
+        }
+
+        return MAX_TIMER_DELAY;
+    }
+
+    /**
+     * Check a number against the user's opt-out list
+     */
+    isSuppressed(userId, phoneNumber) {
+        return Boolean(this.suppressionManager && this.suppressionManager.isSuppressed(userId, phoneNumber));
+    }
+
+    /**
+     * Why a recipient is skipped without using a device, or null when it should be messaged
+     */
+    getSkipReason(campaign, recipient) {
+        if (this.isSuppressed(campaign.userId, recipient.phoneNumber)) {
+            return { status: 'suppressed', error: null };
+        }
+        if (recipient.validation === 'invalid') {
+            return { status: 'invalid', error: 'Number is not registered on WhatsApp' };
+        }
+        for (const check of this.skipChecks) {
+            const skip = check(campaign, recipient);
+            if (skip) return skip;
+        }
+        return null;
+    }
+
+    /**
+     * Register an extra check run before each recipient is messaged.
+     * check(campaign, recipient) returns { status, error } to skip the recipient, or null.
+     */
+    addSkipCheck(check) {
+        this.skipChecks.push(check);
+    }
+
+    /**
+     * Register a handler called with a campaign once it completes or is stopped
+     */
+    onCampaignFinished(handler) {
+        this.campaignFinishedHandlers.push(handler);
+    }
+
+    notifyCampaignFinished(campaign) {
+        for (const handler of this.campaignFinishedHandlers) {
+            try {
+                handler(campaign);
+            } catch (error) {
+                console.error(`Error in campaign finished handler for ${campaign.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Register a handler called with every message added to history (campaign, single, inbox and auto-reply sends)
+     */
+    onMessageStored(handler) {
+        this.messageStoredHandlers.push(handler);
+    }
+
+    /**
+     * Record a recipient that is not messaged (suppressed or invalid) and move on to the next one
+     */
+    skipRecipient(campaign, recipient, status, error = null) {
+        this.recordSkippedRecipient(campaign, recipient, campaign.progress.currentIndex, status, error);
+
+        campaign.progress.currentIndex++;
+        campaign.updatedAt = new Date();
+        campaign.lastProcessedAt = new Date();
+        this.saveCampaign(campaign);
+
+        if (campaign.progress.currentIndex >= campaign.recipients.length) {
+            this.completeCampaign(campaign.id);
+        } else {
+            // No message went out, so there is nothing to wait for
+            this.scheduleNextMessage(campaign.id, 0);
+        }
+    }
+
+    /**
+     * Count a skipped recipient and store it in history
+     */
+    recordSkippedRecipient(campaign, recipient, index, status, error = null) {
+        console.log(`Campaign ${campaign.id}: skipping ${recipient.phoneNumber} (${status})`);
+
+        campaign.progress[status] = (campaign.progress[status] || 0) + 1;
+        const rendered = this.renderCampaignMessage(campaign, recipient, index);
+
+        this.storeMessage({
+            id: uuidv4(),
+            userId: campaign.userId,
+            campaignId: campaign.id,
+            campaignName: campaign.name,
+            recipient: recipient,
+            content: rendered.content,
+            variant: rendered.variant,
+            deviceId: null,
+            deviceName: null,
+            status: status,
+            attempt: recipient.attempt || 1,
+            timestamp: new Date(),
+            responseTime: null,
+            error: error
+        });
+
+        this.io.to(campaign.userId).emit('bulk-message-skipped', {
+            campaignId: campaign.id,
+            campaignName: campaign.name,
+            recipient: recipient,
+            status: status,
+            current: index + 1,
+            total: campaign.progress.total,
+            suppressed: campaign.progress.suppressed || 0,
+            invalid: campaign.progress.invalid || 0
+        });
+    }
+
+    /**
+     * Check a list of numbers against WhatsApp, spreading the lookups over the ready devices.
+     * Resolves to Map<phoneNumber, { status: 'valid'|'invalid'|'unknown', whatsappId, error }>
+     */
+    async checkNumbers(userId, phoneNumbers, options = {}) {
+        const readyDevices = this.deviceManager.getReadyDevices(userId);
+        const devices = options.selectedDevices ?
+            readyDevices.filter(d => options.selectedDevices.includes(d.id)) :
+            readyDevices;
+
+        if (devices.length === 0) {
+            throw new Error('No ready WhatsApp devices available to check numbers');
+        }
+
+        const queue = [...new Set(phoneNumbers)];
+        const results = new Map();
+        const shouldContinue = options.shouldContinue || (() => true);
+        let cursor = 0;
+
+        // One worker per device pulling from a shared cursor
+        const worker = async (device) => {
+            while (cursor < queue.length && shouldContinue()) {
+                const phoneNumber = queue[cursor++];
+                try {
+                    const check = await this.deviceManager.checkNumberRegistered(device.id, phoneNumber);
+                    results.set(phoneNumber, {
+                        status: check.registered ? 'valid' : 'invalid',
+                        whatsappId: check.whatsappId,
+                        error: null
+                    });
+                } catch (error) {
+                    // A lookup failure says nothing about the number, so it is not dropped
+                    results.set(phoneNumber, { status: 'unknown', whatsappId: null, error: error.message });
+                }
+
+                if (options.onProgress) {
+                    options.onProgress(results);
+                }
+
+                if (cursor < queue.length) {
+                    await new Promise(resolve => setTimeout(resolve, NUMBER_CHECK_DELAY));
+                }
+            }
+        };
+
+        await Promise.all(devices.map(device => worker(device)));
+        return results;
+    }
+
+    /**
+     * Pre-flight check of a campaign's unsent recipients; unregistered numbers are marked invalid
+     */
+    async validateCampaignRecipients(campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || this.validatingCampaigns.has(campaignId)) return;
+
+        // Groups aren't numbers to look up; a device that isn't in one fails the send instead
+        const pending = campaign.recipients
+            .slice(campaign.progress.currentIndex)
+            .filter(recipient => !recipient.validation && !this.deviceManager.isGroupChatId(recipient.phoneNumber));
+
+        this.validatingCampaigns.add(campaignId);
+        if (campaign.status !== 'validating') {
+            this.setCampaignStatus(campaign, 'validating');
+        }
+        console.log(`Campaign ${campaignId}: checking ${pending.length} numbers on WhatsApp before sending`);
+
+        try {
+            const results = pending.length === 0 ? new Map() : await this.checkNumbers(campaign.userId, pending.map(r => r.phoneNumber), {
+                selectedDevices: campaign.options.selectedDevices,
+                shouldContinue: () => campaign.status === 'validating',
+                onProgress: (checked) => {
+                    this.io.to(campaign.userId).emit('campaign-validation-progress', {
+                        campaignId: campaignId,
+                        campaignName: campaign.name,
+                        checked: checked.size,
+                        total: pending.length,
+                        invalid: Array.from(checked.values()).filter(r => r.status === 'invalid').length
+                    });
+                }
+            });
+
+            pending.forEach(recipient => {
+                const result = results.get(recipient.phoneNumber);
+                if (result) {
+                    recipient.validation = result.status;
+                    recipient.whatsappId = result.whatsappId;
+                }
+            });
+        } catch (error) {
+            // No device to check with - try again like a send would
+            console.error(`Campaign ${campaignId}: number check failed:`, error.message);
+            this.validatingCampaigns.delete(campaignId);
+            if (campaign.status === 'validating') {
+                this.scheduleRetry(campaignId, 30000);
+            }
+            return;
+        }
+
+        this.validatingCampaigns.delete(campaignId);
+        campaign.updatedAt = new Date();
+
+        if (campaign.status === 'validating') {
+            const invalid = campaign.recipients.filter(r => r.validation === 'invalid').length;
+            campaign.validatedAt = new Date();
+            campaign.validation = {
+                checked: campaign.recipients.filter(r => r.validation).length,
+                invalid: invalid,
+                unknown: campaign.recipients.filter(r => r.validation === 'unknown').length
+            };
+            this.saveCampaign(campaign, { recipients: true });
+
+            this.io.to(campaign.userId).emit('campaign-validation-complete', {
+                campaignId: campaignId,
+                campaignName: campaign.name,
+                ...campaign.validation
+            });
+            console.log(`Campaign ${campaignId}: number check done, ${invalid} not on WhatsApp`);
+
+            this.setCampaignStatus(campaign, 'active');
+            this.processCampaign(campaignId);
+        } else {
+            // Paused or stopped mid-check - keep what was checked so far
+            this.saveCampaign(campaign, { recipients: true });
+            if (campaign.status === 'active') {
+                this.scheduleNextMessage(campaignId, 1000);
+            }
+        }
+    }
+
+    /**
+     * Start a standalone "validate list" run over CSV rows; progress goes to the user's room
+     */
+    startValidationJob(userId, rows, options = {}) {
+        // Drop finished jobs nobody downloaded
+        for (const [jobId, job] of this.validationJobs) {
+            if (job.finishedAt && Date.now() - job.finishedAt.getTime() > VALIDATION_JOB_TTL) {
+                this.validationJobs.delete(jobId);
+            }
+        }
+
+        if (this.deviceManager.getReadyDevices(userId).length === 0) {
+            throw new Error('No ready WhatsApp devices available to check numbers');
+        }
+
+        const job = {
+            id: uuidv4(),
+            userId: userId,
+            status: 'running',
+            headers: options.headers || Object.keys(rows[0] || {}),
+            phoneColumn: options.phoneColumn,
+            defaultCountry: options.defaultCountry || null,
+            rows: rows,
+            total: rows.length,
+            checked: 0,
+            valid: 0,
+            invalid: 0,
+            unknown: 0,
+            invalidNumbers: [],
+            results: null,
+            error: null,
+            createdAt: new Date(),
+            finishedAt: null
+        };
+        this.validationJobs.set(job.id, job);
+
+        const numbers = rows.map(row => this.getRowPhoneNumber(row, job)).filter(Boolean);
+
+        this.checkNumbers(userId, numbers, {
+            selectedDevices: options.selectedDevices,
+            onProgress: (checked) => {
+                job.checked = checked.size;
+                this.io.to(userId).emit('number-validation-progress', {
+                    jobId: job.id,
+                    checked: checked.size,
+                    total: new Set(numbers).size
+                });
+            }
+        }).then(results => {
+            job.results = results;
+            job.status = 'completed';
+            rows.forEach(row => {
+                const result = results.get(this.getRowPhoneNumber(row, job));
+                const status = result ? result.status : 'invalid';
+                job[status]++;
+                if (status === 'invalid') {
+                    job.invalidNumbers.push(row[job.phoneColumn] || '');
+                }
+            });
+        }).catch(error => {
+            job.status = 'failed';
+            job.error = error.message;
+        }).finally(() => {
+            job.finishedAt = new Date();
+            this.io.to(userId).emit('number-validation-complete', this.describeValidationJob(job));
+            console.log(`Number check ${job.id} for user ${userId}: ${job.status}, ${job.valid} valid, ${job.invalid} invalid, ${job.unknown} unknown`);
+        });
+
+        return job;
+    }
+
+    /**
+     * A CSV row's phone number normalized as the campaign CSV import stores it ('' when invalid)
      */
-    updateRotationState(rotationState, deviceId, options) {
-        // Ensure deviceUsage and deviceLastUsed are Maps
-        if (!rotationState.deviceUsage || !(rotationState.deviceUsage instanceof Map)) {
-            rotationState.deviceUsage = new Map();
-        }
-        if (!rotationState.deviceLastUsed || !(rotationState.deviceLastUsed instanceof Map)) {
-            rotationState.deviceLastUsed = new Map();
+    getRowPhoneNumber(row, job) {
+        return PhoneNumber.normalize(row[job.phoneColumn], job.defaultCountry).phoneNumber || '';
+    }
+
+    /**
+     * Public view of a validation job (without the rows)
+     */
+    describeValidationJob(job) {
+        return {
+            jobId: job.id,
+            status: job.status,
+            total: job.total,
+            checked: job.checked,
+            valid: job.valid,
+            invalid: job.invalid,
+            unknown: job.unknown,
+            invalidNumbers: job.invalidNumbers,
+            error: job.error
+        };
+    }
+
+    getValidationJob(jobId, userId) {
+        const job = this.validationJobs.get(jobId);
+        return job && job.userId === userId ? job : null;
+    }
+
+    /**
+     * The job's CSV with unregistered numbers removed (rows that could not be checked are kept)
+     */
+    getValidatedCsv(jobId, userId) {
+        const job = this.getValidationJob(jobId, userId);
+        if (!job || job.status !== 'completed') {
+            return null;
         }
-        
-        const currentUsage = rotationState.deviceUsage.get(deviceId) || 0;
-        rotationState.deviceUsage.set(deviceId, currentUsage + 1);
-        rotationState.deviceLastUsed.set(deviceId, Date.now());
+
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = job.rows.filter(row => {
+            const result = job.results.get(this.getRowPhoneNumber(row, job));
+            return result && result.status !== 'invalid';
+        });
+
+        return [
+            job.headers.map(escape).join(','),
+            ...rows.map(row => job.headers.map(header => escape(row[header])).join(','))
+        ].join('\n');
     }
 
     /**
      * Schedule next message in campaign
      */
     scheduleNextMessage(campaignId, delay) {
+        // Never keep two timers running for the same campaign
+        if (this.campaignTimers.has(campaignId)) {
+            clearTimeout(this.campaignTimers.get(campaignId));
+        }
+
         const timeoutId = setTimeout(() => {
             this.processCampaign(campaignId);
         }, delay);
@@ -392,6 +1541,7 @@ class CampaignManager {
             clearTimeout(this.campaignTimers.get(campaignId));
             this.campaignTimers.delete(campaignId);
         }
+        this.stopDeviceWorkers(campaignId);
 
         // Ensure deviceUsage is a Map before converting
         let deviceUsageObj = {};
@@ -410,6 +1560,10 @@ class CampaignManager {
             total: campaign.progress.total,
             successful: campaign.progress.sent,
             failed: campaign.progress.failed,
+            suppressed: campaign.progress.suppressed || 0,
+            invalid: campaign.progress.invalid || 0,
+            delivered: campaign.progress.delivered || 0,
+            read: campaign.progress.read || 0,
             rotationStats: {
                 strategy: campaign.rotationState?.strategy || 'round-robin',
                 deviceUsage: deviceUsageObj
@@ -417,9 +1571,50 @@ class CampaignManager {
         });
 
         // Save final state
-        this.saveCampaigns();
+        this.saveCampaign(campaign);
 
         console.log(`Campaign ${campaignId} completed: ${campaign.progress.sent}/${campaign.progress.total} messages sent`);
+        this.notifyCampaignFinished(campaign);
+        this.releaseUploads(campaign);
+    }
+
+    /**
+     * Remove the files uploaded for a campaign once neither it nor any of its retries can still send.
+     * Retries send the first campaign's files, so that's where they are recorded.
+     */
+    releaseUploads(campaign) {
+        const rootCampaignId = campaign.rootCampaignId || campaign.id;
+        const root = this.campaigns.get(rootCampaignId);
+        if (!root || !root.uploads || root.uploads.length === 0) return;
+
+        const sending = this.getUserCampaigns(root.userId).find(c =>
+            (c.id === rootCampaignId || c.rootCampaignId === rootCampaignId) &&
+            [...RUNNING_STATUSES, 'paused'].includes(c.status));
+        if (sending) return;
+
+        this.removeUploads(root);
+        root.uploads = [];
+        root.uploadsRemovedAt = new Date();
+        this.saveCampaign(root);
+        console.log(`Campaign ${rootCampaignId}: removed its uploaded files`);
+    }
+
+    removeUploads(campaign) {
+        (campaign.uploads || []).forEach(upload => {
+            fs.rm(upload, { recursive: true, force: true }, (err) => {
+                if (err) console.error(`Error deleting ${upload}:`, err);
+            });
+        });
+    }
+
+    /**
+     * Throw when a campaign would send files that were removed after it finished
+     */
+    assertUploadsAvailable(campaign) {
+        const root = this.campaigns.get(campaign.rootCampaignId || campaign.id);
+        if (root && root.uploadsRemovedAt) {
+            throw new Error('The files this campaign sent were removed when it finished - start a new campaign to send them again');
+        }
     }
 
     /**
@@ -427,19 +1622,144 @@ class CampaignManager {
      */
     storeMessage(messageData) {
         const userId = messageData.userId;
+
+        // Sends still in flight when their campaign was cleared leave no history behind
+        if (messageData.campaignId && !this.campaigns.has(messageData.campaignId)) {
+            return;
+        }
         
         if (!this.messageHistory.has(userId)) {
             this.messageHistory.set(userId, []);
         }
         
         this.messageHistory.get(userId).push(messageData);
+        if (messageData.whatsappMessageId) {
+            this.messagesByWhatsAppId.set(messageData.whatsappMessageId, messageData);
+        }
         
-        // Save messages to disk
-        this.saveMessages();
+        // Save message to storage
+        try {
+            this.storage.insertMessage(messageData);
+        } catch (error) {
+            console.error('Error saving message:', error);
+        }
+
+        for (const handler of this.messageStoredHandlers) {
+            try {
+                handler(messageData);
+            } catch (error) {
+                console.error('Error in message stored handler:', error);
+            }
+        }
         
         console.log(`Stored message for user ${userId}:`, messageData.recipient.phoneNumber, messageData.status);
     }
 
+    /**
+     * Whether two stored phone numbers refer to the same subscriber. Both are normalized with the
+     * workspace owner's default country, so a local spelling matches its international one.
+     */
+    isSamePhoneNumber(a, b, userId) {
+        return PhoneNumber.isSame(a, b, this.deviceManager.getDefaultCountry(userId));
+    }
+
+    /**
+     * Latest successful campaign message sent to a number
+     */
+    findLastOutboundMessage(userId, phoneNumber) {
+        const messages = this.getUserMessages(userId);
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const message = messages[i];
+            if (message.campaignId && message.status !== 'failed' &&
+                this.isSamePhoneNumber(message.recipient?.phoneNumber, phoneNumber, userId)) {
+                return message;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Mark a sent message as replied and count the reply on its campaign
+     */
+    recordReply(outbound, inbound) {
+        if (outbound.repliedAt) {
+            return;
+        }
+
+        outbound.repliedAt = inbound.timestamp;
+        this.updateStoredMessage(outbound);
+
+        const campaign = this.campaigns.get(outbound.campaignId);
+        if (campaign) {
+            campaign.progress.replied = (campaign.progress.replied || 0) + 1;
+            this.saveCampaign(campaign);
+        }
+    }
+
+    /**
+     * Move a stored message to delivered/read when WhatsApp acknowledges it
+     */
+    handleMessageAck(receipt) {
+        const message = this.messagesByWhatsAppId.get(receipt.whatsappMessageId);
+        if (!message) return;
+
+        if (receipt.ack === -1) {
+            message.ackError = true;
+            this.updateStoredMessage(message);
+            return;
+        }
+
+        const ackStatus = { 2: 'delivered', 3: 'read', 4: 'read' }[receipt.ack];
+        const statusRank = { sent: 1, delivered: 2, read: 3 };
+        if (!ackStatus || (statusRank[message.status] || 0) >= statusRank[ackStatus]) {
+            return; // acks can arrive out of order - never move backwards
+        }
+
+        const campaign = message.campaignId ? this.campaigns.get(message.campaignId) : null;
+        const at = receipt.timestamp || new Date();
+
+        // Only one part of a sequence counts towards the campaign's delivered/read totals
+        const counts = campaign && (!message.part || message.part.primary);
+        if (!message.deliveredAt) {
+            message.deliveredAt = at;
+            message.responseTime = new Date(at) - new Date(message.timestamp); // ms until delivered
+            if (counts) campaign.progress.delivered = (campaign.progress.delivered || 0) + 1;
+        }
+        if (ackStatus === 'read') {
+            message.readAt = at;
+            if (counts) campaign.progress.read = (campaign.progress.read || 0) + 1;
+        }
+        message.status = ackStatus;
+
+        this.updateStoredMessage(message);
+        if (campaign) {
+            this.saveCampaign(campaign);
+        }
+
+        this.io.to(message.userId).emit('message-status-updated', {
+            messageId: message.id,
+            whatsappMessageId: message.whatsappMessageId,
+            campaignId: message.campaignId,
+            status: message.status,
+            deliveredAt: message.deliveredAt,
+            readAt: message.readAt || null,
+            responseTime: message.responseTime,
+            delivered: campaign ? campaign.progress.delivered : undefined,
+            read: campaign ? campaign.progress.read : undefined
+        });
+    }
+
+    /**
+     * Persist changes to a message already in history
+     */
+    updateStoredMessage(message) {
+        try {
+            this.storage.updateMessage(message);
+        } catch (error) {
+            console.error('Error updating message:', error);
+        }
+    }
+
     /**
      * Get user messages
      */
@@ -452,45 +1772,39 @@ class CampaignManager {
      */
     clearUserMessages(userId) {
         this.messageHistory.delete(userId);
-        this.saveMessages();
+        try {
+            this.storage.deleteUserMessages(userId);
+        } catch (error) {
+            console.error('Error clearing messages:', error);
+        }
         console.log(`Cleared messages for user: ${userId}`);
     }
 
     /**
-     * Load messages from disk
+     * Load messages from storage
      */
     loadMessages() {
         try {
-            if (fs.existsSync(this.messagesFilePath)) {
-                const data = fs.readFileSync(this.messagesFilePath, 'utf8');
-                const savedMessages = JSON.parse(data);
-                
-                // Rebuild message history map
-                for (const [userId, messages] of Object.entries(savedMessages)) {
-                    this.messageHistory.set(userId, messages);
-                }
-                
-                const totalMessages = Object.values(savedMessages).reduce((sum, arr) => sum + arr.length, 0);
-                console.log(`Loaded ${totalMessages} messages from disk`);
+            const savedMessages = this.storage.loadMessages();
+            
+            // Rebuild message history map
+            for (const [userId, messages] of Object.entries(savedMessages)) {
+                this.messageHistory.set(userId, messages);
+                messages.forEach(message => {
+                    if (message.whatsappMessageId) {
+                        this.messagesByWhatsAppId.set(message.whatsappMessageId, message);
+                    }
+                });
             }
+            
+            const totalMessages = Object.values(savedMessages).reduce((sum, arr) => sum + arr.length, 0);
+            console.log(`Loaded ${totalMessages} messages from storage`);
         } catch (error) {
             console.error('Error loading messages:', error);
             this.messageHistory.clear();
         }
     }
 
-    /**
-     * Save messages to disk
-     */
-    saveMessages() {
-        try {
-            const messagesToSave = Object.fromEntries(this.messageHistory);
-            fs.writeFileSync(this.messagesFilePath, JSON.stringify(messagesToSave, null, 2));
-        } catch (error) {
-            console.error('Error saving messages:', error);
-        }
-    }
-
     /**
      * Stop campaign manually
      */
@@ -508,16 +1822,89 @@ class CampaignManager {
             clearTimeout(this.campaignTimers.get(campaignId));
             this.campaignTimers.delete(campaignId);
         }
+        this.stopDeviceWorkers(campaignId);
 
         // Save state
-        this.saveCampaigns();
+        this.saveCampaign(campaign);
 
         // Emit stop event
         this.io.to(userId).emit('campaign-stopped', {
             campaignId: campaignId,
             campaignName: campaign.name
         });
+        this.notifyCampaignFinished(campaign);
+        this.releaseUploads(campaign);
+
+        return true;
+    }
+
+    /**
+     * Pause an active campaign, keeping its position and rotation state
+     */
+    pauseCampaign(campaignId, userId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || campaign.userId !== userId || !RUNNING_STATUSES.includes(campaign.status)) {
+            return false;
+        }
+
+        campaign.status = 'paused';
+        campaign.pausedAt = new Date();
+        campaign.updatedAt = new Date();
+
+        // Clear scheduled timers - a send already in flight finishes but schedules nothing
+        if (this.campaignTimers.has(campaignId)) {
+            clearTimeout(this.campaignTimers.get(campaignId));
+            this.campaignTimers.delete(campaignId);
+        }
+        this.stopDeviceWorkers(campaignId);
+
+        // Save state
+        this.saveCampaign(campaign);
+
+        // Emit pause event
+        this.io.to(userId).emit('campaign-paused', {
+            campaignId: campaignId,
+            campaignName: campaign.name,
+            current: campaign.progress.currentIndex,
+            total: campaign.progress.total
+        });
+
+        console.log(`Campaign ${campaignId} paused by user ${userId} at ${campaign.progress.currentIndex}/${campaign.progress.total}`);
+        return true;
+    }
+
+    /**
+     * Resume a paused campaign from where it left off
+     */
+    resumeCampaign(campaignId, userId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || campaign.userId !== userId || campaign.status !== 'paused') {
+            return false;
+        }
+
+        campaign.status = 'active';
+        campaign.resumedAt = new Date();
+        campaign.updatedAt = new Date();
+        delete campaign.waitingUntil;
+        delete campaign.waitReason;
+
+        // Save state
+        this.saveCampaign(campaign);
+
+        // Emit resume event
+        this.io.to(userId).emit('campaign-resumed', {
+            campaignId: campaignId,
+            campaignName: campaign.name,
+            current: campaign.progress.currentIndex,
+            total: campaign.progress.total
+        });
+
+        // If a send or number check is still in flight it schedules the next message itself
+        if (!this.activeSends.has(campaignId) && !this.validatingCampaigns.has(campaignId)) {
+            this.startOrScheduleCampaign(campaignId, 1000);
+        }
 
+        console.log(`Campaign ${campaignId} resumed by user ${userId} at ${campaign.progress.currentIndex}/${campaign.progress.total}`);
         return true;
     }
 
@@ -529,12 +1916,20 @@ class CampaignManager {
         if (!campaign || campaign.userId !== userId) {
             return false;
         }
+        this.assertUploadsAvailable(campaign);
 
         // Reset campaign progress
         campaign.status = 'active';
         campaign.progress.currentIndex = 0;
         campaign.progress.sent = 0;
         campaign.progress.failed = 0;
+        campaign.progress.suppressed = 0;
+        campaign.progress.invalid = 0;
+        campaign.progress.delivered = 0;
+        campaign.progress.read = 0;
+        campaign.progress.replied = 0;
+        campaign.progress.completedAhead = [];
+        delete campaign.progress.partsSent;
         campaign.updatedAt = new Date();
         campaign.startedAt = new Date();
         
@@ -561,9 +1956,10 @@ class CampaignManager {
             clearTimeout(this.campaignTimers.get(campaignId));
             this.campaignTimers.delete(campaignId);
         }
+        this.stopDeviceWorkers(campaignId);
 
         // Save state
-        this.saveCampaigns();
+        this.saveCampaign(campaign);
 
         // Emit restart event
         this.io.to(userId).emit('campaign-restarted', {
@@ -581,6 +1977,144 @@ class CampaignManager {
         return true;
     }
 
+    /**
+     * Start a linked child campaign that resends only to recipients whose
+     * last attempt in this campaign failed
+     */
+    async retryFailedRecipients(campaignId, userId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || campaign.userId !== userId) {
+            throw new Error('Campaign not found or access denied');
+        }
+        if (!['completed', 'stopped'].includes(campaign.status)) {
+            throw new Error('Only completed or stopped campaigns can be retried');
+        }
+
+        const rootCampaignId = campaign.rootCampaignId || campaign.id;
+        const runningPass = this.getUserCampaigns(userId).find(c =>
+            (c.id === rootCampaignId || c.rootCampaignId === rootCampaignId) &&
+            [...RUNNING_STATUSES, 'paused'].includes(c.status));
+        if (runningPass) {
+            throw new Error(`"${runningPass.name}" is still running - wait for it to finish before retrying`);
+        }
+        this.assertUploadsAvailable(campaign);
+
+        // Last outcome per phone number in this campaign
+        const lastOutcome = new Map();
+        this.getUserMessages(userId)
+            .filter(message => message.campaignId === campaignId && message.recipient?.phoneNumber)
+            .forEach(message => lastOutcome.set(message.recipient.phoneNumber, message));
+
+        // Skip numbers that already went through in a later retry pass
+        const attempts = new Map(this.getRecipientAttempts(campaignId, userId).map(entry => [entry.phoneNumber, entry]));
+        const failedMessages = Array.from(lastOutcome.values()).filter(message =>
+            message.status === 'failed' && attempts.get(message.recipient.phoneNumber)?.lastStatus === 'failed');
+        if (failedMessages.length === 0) {
+            throw new Error('No failed recipients to retry');
+        }
+
+        const recipients = failedMessages.map(message => ({
+            ...message.recipient,
+            attempt: (attempts.get(message.recipient.phoneNumber)?.attempts || 1) + 1,
+            // Parts before the one that failed were delivered
+            startPart: message.part ? message.part.index : 1
+        }));
+
+        const retryPass = (campaign.retryPass || 0) + 1;
+        const rootName = this.campaigns.get(rootCampaignId)?.name || campaign.name;
+
+        const retryCampaign = await this.createCampaign(userId, {
+            name: `${rootName} (retry ${retryPass})`,
+            message: campaign.message,
+            messageVariants: campaign.messageVariants,
+            variantMode: campaign.options.variantMode,
+            parts: campaign.parts,
+            recipients: recipients,
+            attachment: campaign.attachment,
+            delay: campaign.options.delay,
+            rotationStrategy: campaign.options.rotationStrategy,
+            selectedDevices: campaign.options.selectedDevices,
+            messagesPerDevice: campaign.options.messagesPerDevice,
+            customMinDelay: campaign.options.customMinDelay,
+            customMaxDelay: campaign.options.customMaxDelay,
+            enableTypingSimulation: campaign.options.enableTypingSimulation,
+            parallelSending: Boolean(campaign.options.parallelSending),
+            attachmentColumn: campaign.options.attachmentColumn,
+            sendWindow: campaign.options.sendWindow,
+            parentCampaignId: campaign.id,
+            rootCampaignId: rootCampaignId,
+            retryPass: retryPass
+        });
+
+        // Link the child from the parent
+        campaign.retryCampaignIds = [...(campaign.retryCampaignIds || []), retryCampaign.id];
+        campaign.updatedAt = new Date();
+        this.saveCampaign(campaign);
+
+        this.io.to(userId).emit('campaign-retry-started', {
+            campaignId: campaign.id,
+            campaignName: campaign.name,
+            retryCampaignId: retryCampaign.id,
+            retryCampaignName: retryCampaign.name,
+            retryPass: retryPass,
+            recipients: recipients.length
+        });
+
+        console.log(`Campaign ${campaignId}: retrying ${recipients.length} failed recipients as ${retryCampaign.id}`);
+        return retryCampaign;
+    }
+
+    /**
+     * Per-recipient attempt counts and errors across a campaign and its retries
+     */
+    getRecipientAttempts(campaignId, userId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || campaign.userId !== userId) {
+            return [];
+        }
+
+        const rootCampaignId = campaign.rootCampaignId || campaign.id;
+        const chainIds = new Set(this.getUserCampaigns(userId)
+            .filter(c => c.id === rootCampaignId || c.rootCampaignId === rootCampaignId)
+            .map(c => c.id));
+
+        const recipients = new Map();
+        this.getUserMessages(userId)
+            .filter(message => chainIds.has(message.campaignId) && message.recipient?.phoneNumber)
+            .forEach(message => {
+                const phoneNumber = message.recipient.phoneNumber;
+                if (!recipients.has(phoneNumber)) {
+                    recipients.set(phoneNumber, {
+                        phoneNumber: phoneNumber,
+                        name: message.recipient.name || phoneNumber,
+                        attempts: 0,
+                        failures: 0,
+                        lastStatus: null,
+                        lastAttemptAt: null,
+                        errors: []
+                    });
+                }
+
+                const entry = recipients.get(phoneNumber);
+                if (!message.part || message.part.primary) {
+                    entry.attempts++; // one attempt per sequence, not per part
+                }
+                entry.lastStatus = message.status;
+                entry.lastAttemptAt = message.timestamp;
+                if (message.status === 'failed') {
+                    entry.failures++;
+                    entry.errors.push({
+                        campaignId: message.campaignId,
+                        attempt: message.attempt || entry.attempts,
+                        error: message.error || 'Unknown error',
+                        timestamp: message.timestamp
+                    });
+                }
+            });
+
+        return Array.from(recipients.values());
+    }
+
     /**
      * Get user campaigns
      */
@@ -602,6 +2136,17 @@ class CampaignManager {
                 clearTimeout(this.campaignTimers.get(campaignId));
                 this.campaignTimers.delete(campaignId);
             }
+
+            // Stop parallel workers; one mid-send sees the stopped status and doesn't reschedule
+            const campaign = this.campaigns.get(campaignId);
+            if (campaign) {
+                campaign.status = 'stopped';
+            }
+            this.stopDeviceWorkers(campaignId);
+            this.campaignWorkers.delete(campaignId);
+            if (campaign) {
+                this.removeUploads(campaign);
+            }
             
             // Remove campaign
             this.campaigns.delete(campaignId);
@@ -613,66 +2158,67 @@ class CampaignManager {
         // Also clear user messages
         this.clearUserMessages(userId);
         
-        // Save to disk
-        this.saveCampaigns();
+        // Remove from storage, including rows never loaded into memory
+        try {
+            this.storage.deleteUserCampaigns(userId);
+        } catch (error) {
+            console.error('Error deleting campaigns:', error);
+        }
         
         console.log(`Cleared all campaigns and messages for user: ${userId}`);
     }
 
     /**
-     * Load campaigns from disk
+     * Load campaigns from storage
      */
     loadCampaigns() {
         try {
-            if (fs.existsSync(this.campaignsFilePath)) {
-                const data = fs.readFileSync(this.campaignsFilePath, 'utf8');
-                const savedCampaigns = JSON.parse(data);
+            const savedCampaigns = this.storage.loadCampaigns();
+            
+            for (const campaignData of savedCampaigns) {
+                // Ensure rotationState exists
+                if (!campaignData.rotationState) {
+                    campaignData.rotationState = {
+                        strategy: campaignData.options?.rotationStrategy || 'round-robin',
+                        deviceIndex: 0,
+                        deviceUsage: new Map(),
+                        deviceLastUsed: new Map(),
+                        currentDeviceMessageCount: 0,
+                        currentDevice: null
+                    };
+                }
                 
-                for (const campaignData of savedCampaigns) {
-                    // Ensure rotationState exists
-                    if (!campaignData.rotationState) {
-                        campaignData.rotationState = {
-                            strategy: campaignData.options?.rotationStrategy || 'round-robin',
-                            deviceIndex: 0,
-                            deviceUsage: new Map(),
-                            deviceLastUsed: new Map(),
-                            currentDeviceMessageCount: 0,
-                            currentDevice: null
-                        };
-                    }
-                    
-                    // Restore Maps from serialized data
-                    if (campaignData.rotationState.deviceUsage) {
-                        if (typeof campaignData.rotationState.deviceUsage === 'object' && !Array.isArray(campaignData.rotationState.deviceUsage)) {
-                            campaignData.rotationState.deviceUsage = new Map(Object.entries(campaignData.rotationState.deviceUsage));
-                        } else {
-                            campaignData.rotationState.deviceUsage = new Map();
-                        }
+                // Restore Maps from serialized data
+                if (campaignData.rotationState.deviceUsage) {
+                    if (typeof campaignData.rotationState.deviceUsage === 'object' && !Array.isArray(campaignData.rotationState.deviceUsage)) {
+                        campaignData.rotationState.deviceUsage = new Map(Object.entries(campaignData.rotationState.deviceUsage));
                     } else {
                         campaignData.rotationState.deviceUsage = new Map();
                     }
-                    
-                    if (campaignData.rotationState.deviceLastUsed) {
-                        if (typeof campaignData.rotationState.deviceLastUsed === 'object' && !Array.isArray(campaignData.rotationState.deviceLastUsed)) {
-                            campaignData.rotationState.deviceLastUsed = new Map(Object.entries(campaignData.rotationState.deviceLastUsed));
-                        } else {
-                            campaignData.rotationState.deviceLastUsed = new Map();
-                        }
+                } else {
+                    campaignData.rotationState.deviceUsage = new Map();
+                }
+                
+                if (campaignData.rotationState.deviceLastUsed) {
+                    if (typeof campaignData.rotationState.deviceLastUsed === 'object' && !Array.isArray(campaignData.rotationState.deviceLastUsed)) {
+                        campaignData.rotationState.deviceLastUsed = new Map(Object.entries(campaignData.rotationState.deviceLastUsed));
                     } else {
                         campaignData.rotationState.deviceLastUsed = new Map();
                     }
-                    
-                    this.campaigns.set(campaignData.id, campaignData);
-                    
-                    // Rebuild user campaigns mapping
-                    if (!this.userCampaigns.has(campaignData.userId)) {
-                        this.userCampaigns.set(campaignData.userId, new Set());
-                    }
-                    this.userCampaigns.get(campaignData.userId).add(campaignData.id);
+                } else {
+                    campaignData.rotationState.deviceLastUsed = new Map();
                 }
                 
-                console.log(`Loaded ${savedCampaigns.length} campaigns from disk`);
+                this.campaigns.set(campaignData.id, campaignData);
+                
+                // Rebuild user campaigns mapping
+                if (!this.userCampaigns.has(campaignData.userId)) {
+                    this.userCampaigns.set(campaignData.userId, new Set());
+                }
+                this.userCampaigns.get(campaignData.userId).add(campaignData.id);
             }
+            
+            console.log(`Loaded ${savedCampaigns.length} campaigns from storage`);
         } catch (error) {
             console.error('Error loading campaigns:', error);
             // Clear corrupted data
@@ -682,45 +2228,43 @@ class CampaignManager {
     }
 
     /**
-     * Save campaigns to disk
+     * Convert a campaign to a plain object for storage
+     */
+    serializeCampaign(campaign) {
+        const rotationState = campaign.rotationState || {
+            strategy: campaign.options?.rotationStrategy || 'round-robin',
+            deviceIndex: 0,
+            currentDeviceMessageCount: 0,
+            currentDevice: null
+        };
+        
+        // Convert Maps to objects without touching the live rotation state
+        return {
+            ...campaign,
+            rotationState: {
+                ...rotationState,
+                deviceUsage: rotationState.deviceUsage instanceof Map ?
+                    Object.fromEntries(rotationState.deviceUsage) : (rotationState.deviceUsage || {}),
+                deviceLastUsed: rotationState.deviceLastUsed instanceof Map ?
+                    Object.fromEntries(rotationState.deviceLastUsed) : (rotationState.deviceLastUsed || {})
+            }
+        };
+    }
+
+    /**
+     * Save one campaign to storage
+     * Pass { recipients: true } when the recipient list changed
      */
-    saveCampaigns() {
+    saveCampaign(campaign, options = {}) {
+        // A send that finishes after the campaign was cleared must not write it back
+        if (this.campaigns.get(campaign.id) !== campaign) {
+            return;
+        }
+
         try {
-            const campaignsToSave = Array.from(this.campaigns.values()).map(campaign => {
-                // Convert Maps to objects for serialization
-                const serialized = { ...campaign };
-                
-                // Ensure rotationState exists
-                if (!serialized.rotationState) {
-                    serialized.rotationState = {
-                        strategy: campaign.options?.rotationStrategy || 'round-robin',
-                        deviceIndex: 0,
-                        deviceUsage: {},
-                        deviceLastUsed: {},
-                        currentDeviceMessageCount: 0,
-                        currentDevice: null
-                    };
-                } else {
-                    // Convert Maps to objects for JSON serialization
-                    if (serialized.rotationState.deviceUsage instanceof Map) {
-                        serialized.rotationState.deviceUsage = Object.fromEntries(serialized.rotationState.deviceUsage);
-                    } else if (!serialized.rotationState.deviceUsage) {
-                        serialized.rotationState.deviceUsage = {};
-                    }
-                    
-                    if (serialized.rotationState.deviceLastUsed instanceof Map) {
-                        serialized.rotationState.deviceLastUsed = Object.fromEntries(serialized.rotationState.deviceLastUsed);
-                    } else if (!serialized.rotationState.deviceLastUsed) {
-                        serialized.rotationState.deviceLastUsed = {};
-                    }
-                }
-                
-                return serialized;
-            });
-            
-            fs.writeFileSync(this.campaignsFilePath, JSON.stringify(campaignsToSave, null, 2));
+            this.storage.saveCampaign(this.serializeCampaign(campaign), options);
         } catch (error) {
-            console.error('Error saving campaigns:', error);
+            console.error(`Error saving campaign ${campaign.id}:`, error);
         }
     }
 
@@ -728,15 +2272,16 @@ class CampaignManager {
      * Personalize message with recipient data
      */
     personalizeMessage(message, recipient) {
-        let personalizedMessage = message;
-        
-        // Replace variables with recipient data
-        personalizedMessage = personalizedMessage.replace(/\{name\}/g, recipient.name || recipient.phoneNumber);
-        personalizedMessage = personalizedMessage.replace(/\{city\}/g, recipient.city || '');
-        personalizedMessage = personalizedMessage.replace(/\{order\}/g, recipient.order || '');
-        personalizedMessage = personalizedMessage.replace(/\{mobile\}/g, recipient.phoneNumber || '');
-        
-        return personalizedMessage;
+        return MessageTemplate.render(message, recipient).content;
+    }
+
+    /**
+     * Pick the body and spintax options for a campaign recipient and fill in its variables
+     */
+    renderCampaignMessage(campaign, recipient, index) {
+        return MessageTemplate.render([campaign.message, ...(campaign.messageVariants || [])], recipient, index, {
+            variantMode: campaign.options.variantMode
+        });
     }
 
     /**
@@ -747,7 +2292,13 @@ class CampaignManager {
         
         // Check for active campaigns that need recovery
         for (const campaign of this.campaigns.values()) {
-            if (campaign.status === 'active' && campaign.progress.currentIndex < campaign.recipients.length) {
+            if (campaign.status === 'scheduled') {
+                console.log(`Restoring schedule for campaign ${campaign.id}`);
+                this.startOrScheduleCampaign(campaign.id, 5000);
+                continue;
+            }
+
+            if (['active', 'waiting-window', 'quota-wait', 'validating'].includes(campaign.status) && campaign.progress.currentIndex < campaign.recipients.length) {
                 console.log(`Recovering campaign ${campaign.id}: ${campaign.progress.currentIndex}/${campaign.recipients.length}`);
                 
                 // Resume processing after a short delay
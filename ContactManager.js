@@ -0,0 +1,454 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const MessageTemplate = require('./MessageTemplate');
+const PhoneNumber = require('./PhoneNumber');
+
+const TAG_MODES = ['any', 'all'];
+const FIELD_OPERATORS = ['equals', 'not-equals', 'contains', 'exists', 'missing'];
+
+// CSV columns that are the contact itself rather than custom fields
+const RESERVED_COLUMNS = ['phone', 'phonenumber', 'phone_number', 'number', 'mobile', 'name', 'tags'];
+
+/**
+ * Per-user contact book. Contacts are keyed by phone number, so CSV imports merge into existing
+ * contacts. Segments are saved tag/field filters; a campaign started from one gets a snapshot
+ * of the matching contacts as its recipients.
+ */
+class ContactManager {
+    constructor(io, deviceManager, campaignManager, storage = getStorage()) {
+        this.io = io;
+        this.deviceManager = deviceManager;
+        this.campaignManager = campaignManager;
+        this.storage = storage;
+        this.contacts = new Map(); // Map<userId, Map<phoneNumber, contact>>
+        this.segments = new Map(); // Map<segmentId, segment>
+        this.bookCountries = new Map(); // Map<userId, default country the book was last keyed with>
+
+        // Load existing contacts and segments on startup
+        this.loadContacts();
+
+        // Keep lastMessagedAt current for every send
+        this.campaignManager.onMessageStored((message) => this.handleMessageStored(message));
+    }
+
+    /**
+     * E.164 digits for a number, read with the user's default country like campaign recipients, or '' when invalid
+     */
+    normalizePhoneNumber(userId, phoneNumber, defaultCountry = this.deviceManager.getDefaultCountry(userId)) {
+        if (!phoneNumber || PhoneNumber.isGroupId(phoneNumber)) return '';
+        return PhoneNumber.normalizeStored(phoneNumber, defaultCountry).phoneNumber || '';
+    }
+
+    /**
+     * Lowercase, de-duplicated tags from an array or a "vip, lahore" / "vip;lahore" string
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,;|]/);
+        return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    }
+
+    /**
+     * Custom fields keyed like template placeholders ("Order Date" becomes order_date)
+     */
+    normalizeFields(fields) {
+        const normalized = {};
+        for (const [column, value] of Object.entries(fields || {})) {
+            const key = MessageTemplate.variableKey(column);
+            if (!key || RESERVED_COLUMNS.includes(key)) continue;
+            normalized[key] = value === null || value === undefined ? '' : String(value).trim();
+        }
+        return normalized;
+    }
+
+    /**
+     * A user's contacts keyed by E.164 number. Contacts saved under a local number (0300…) before
+     * numbers were normalized are re-keyed once the default country is known, merging into a
+     * contact that already has the international number.
+     */
+    getBook(userId) {
+        if (!this.contacts.has(userId)) {
+            this.contacts.set(userId, new Map());
+        }
+        const book = this.contacts.get(userId);
+
+        const defaultCountry = this.deviceManager.getDefaultCountry(userId);
+        if (this.bookCountries.get(userId) === defaultCountry) return book;
+        this.bookCountries.set(userId, defaultCountry);
+
+        const moved = [];
+        const saved = new Map();
+        for (const [number, contact] of Array.from(book)) {
+            const normalized = this.normalizePhoneNumber(userId, number, defaultCountry);
+            if (!normalized || normalized === number) continue;
+
+            const existing = book.get(normalized);
+            const merged = existing ? {
+                ...existing,
+                name: existing.name || contact.name,
+                fields: { ...contact.fields, ...existing.fields },
+                tags: this.normalizeTags([...existing.tags, ...contact.tags])
+            } : { ...contact, phoneNumber: normalized };
+            book.delete(number);
+            book.set(normalized, merged);
+            moved.push(number);
+            saved.set(normalized, merged);
+        }
+
+        if (moved.length > 0) {
+            try {
+                this.storage.deleteContacts(userId, moved);
+                this.storage.saveContacts(Array.from(saved.values()));
+            } catch (error) {
+                console.error('Error re-keying contacts:', error);
+            }
+            console.log(`📇 Normalized ${moved.length} contact numbers of user ${userId}`);
+        }
+        return book;
+    }
+
+    findContact(userId, phoneNumber) {
+        return this.getBook(userId).get(this.normalizePhoneNumber(userId, phoneNumber)) || null;
+    }
+
+    /**
+     * Merge rows into a user's contacts on phone number. Existing contacts keep fields the row leaves
+     * empty and gain its tags; options.tags are added to every imported contact.
+     * Rows are recipient-shaped: { phoneNumber, name, fields }, with tags in fields.tags or row.tags.
+     */
+    importContacts(userId, rows, options = {}) {
+        const result = { created: 0, updated: 0, invalid: 0, contacts: [] };
+        const book = this.getBook(userId);
+        const extraTags = this.normalizeTags(options.tags);
+        const changed = new Map();
+
+        rows.forEach(row => {
+            const phoneNumber = this.normalizePhoneNumber(userId, row.phoneNumber);
+            if (!phoneNumber) {
+                result.invalid++;
+                return;
+            }
+
+            const rowFields = row.fields || {};
+            const rawTags = row.tags !== undefined ? row.tags : (rowFields.tags || rowFields.Tags);
+            const tags = [...this.normalizeTags(rawTags), ...extraTags];
+            // Parsers fill a missing name with the number
+            const name = row.name && row.name !== row.phoneNumber && this.normalizePhoneNumber(userId, row.name) !== phoneNumber ?
+                String(row.name).trim() : '';
+            const fields = Object.fromEntries(Object.entries(this.normalizeFields(rowFields)).filter(([, value]) => value !== ''));
+
+            const now = new Date();
+            const existing = book.get(phoneNumber);
+            const contact = existing ? {
+                ...existing,
+                name: name || existing.name,
+                fields: { ...existing.fields, ...fields },
+                tags: this.normalizeTags([...existing.tags, ...tags]),
+                updatedAt: now
+            } : {
+                userId: userId,
+                phoneNumber: phoneNumber,
+                name: name,
+                fields: fields,
+                tags: this.normalizeTags(tags),
+                createdAt: now,
+                updatedAt: now,
+                lastMessagedAt: null
+            };
+
+            if (existing || changed.has(phoneNumber)) {
+                result.updated++;
+            } else {
+                result.created++;
+            }
+            book.set(phoneNumber, contact);
+            changed.set(phoneNumber, contact);
+        });
+
+        result.contacts = Array.from(changed.values());
+        if (result.contacts.length > 0) {
+            this.storage.saveContacts(result.contacts);
+            this.io.to(userId).emit('contacts-updated', { userId: userId, count: book.size });
+        }
+
+        console.log(`📇 Contacts for user ${userId}: ${result.created} created, ${result.updated} merged, ${result.invalid} invalid (${options.source || 'manual'})`);
+        return result;
+    }
+
+    /**
+     * Create a contact or replace an existing contact's name, fields and tags
+     */
+    saveContact(userId, data) {
+        const book = this.getBook(userId);
+        const parsed = PhoneNumber.normalizeStored(data.phoneNumber, this.deviceManager.getDefaultCountry(userId));
+        if (!parsed.valid || PhoneNumber.isGroupId(data.phoneNumber)) {
+            throw new Error(`Invalid phone number: ${parsed.reason || 'not a phone number'}`);
+        }
+        const phoneNumber = parsed.phoneNumber;
+
+        const existing = book.get(phoneNumber);
+        if (data.isNew && existing) {
+            throw new Error('A contact with this phone number already exists');
+        }
+
+        const now = new Date();
+        const contact = {
+            ...(existing || { userId: userId, phoneNumber: phoneNumber, createdAt: now, lastMessagedAt: null }),
+            name: String(data.name || '').trim(),
+            fields: Object.fromEntries(Object.entries(this.normalizeFields(data.fields)).filter(([, value]) => value !== '')),
+            tags: this.normalizeTags(data.tags),
+            updatedAt: now
+        };
+
+        book.set(phoneNumber, contact);
+        this.storage.saveContacts([contact]);
+        this.io.to(userId).emit('contacts-updated', { userId: userId, count: book.size });
+        return contact;
+    }
+
+    deleteContacts(userId, phoneNumbers) {
+        const book = this.getBook(userId);
+        // Numbers are usually the stored keys; anything else is normalized first
+        const removed = (phoneNumbers || [])
+            .map(phoneNumber => book.has(String(phoneNumber)) ? String(phoneNumber) : this.normalizePhoneNumber(userId, phoneNumber))
+            .filter(phoneNumber => book.delete(phoneNumber));
+        if (removed.length > 0) {
+            this.storage.deleteContacts(userId, removed);
+            this.io.to(userId).emit('contacts-updated', { userId: userId, count: book.size });
+            console.log(`📇 Deleted ${removed.length} contacts of user ${userId}`);
+        }
+        return removed.length;
+    }
+
+    /**
+     * A user's contacts (optionally filtered), most recently updated first
+     */
+    getUserContacts(userId, filter = null) {
+        const normalizedFilter = filter ? this.normalizeFilter(filter) : null;
+        return Array.from(this.getBook(userId).values())
+            .filter(contact => !normalizedFilter || this.matchesFilter(contact, normalizedFilter))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    /**
+     * Tags in use with how many contacts carry each
+     */
+    getUserTags(userId) {
+        const counts = new Map();
+        for (const contact of this.getBook(userId).values()) {
+            contact.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        }
+        return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    getUserFieldNames(userId) {
+        const names = new Set();
+        for (const contact of this.getBook(userId).values()) {
+            Object.keys(contact.fields).forEach(name => names.add(name));
+        }
+        return Array.from(names).sort();
+    }
+
+    /**
+     * Validate a segment filter:
+     * { tags, tagMode: 'any'|'all', excludeTags, conditions: [{ field, operator, value }] }
+     */
+    normalizeFilter(filter = {}) {
+        const tagMode = filter.tagMode || 'any';
+        if (!TAG_MODES.includes(tagMode)) {
+            throw new Error(`Tag mode must be one of: ${TAG_MODES.join(', ')}`);
+        }
+
+        const conditions = (filter.conditions || []).map(condition => {
+            const field = MessageTemplate.variableKey(condition.field || '');
+            if (!field) {
+                throw new Error('A field condition needs a field name');
+            }
+            if (!FIELD_OPERATORS.includes(condition.operator)) {
+                throw new Error(`Field operator must be one of: ${FIELD_OPERATORS.join(', ')}`);
+            }
+            return {
+                field: field,
+                operator: condition.operator,
+                value: ['exists', 'missing'].includes(condition.operator) ? '' : String(condition.value || '').trim()
+            };
+        });
+
+        return {
+            tags: this.normalizeTags(filter.tags),
+            tagMode: tagMode,
+            excludeTags: this.normalizeTags(filter.excludeTags),
+            conditions: conditions
+        };
+    }
+
+    /**
+     * Whether a contact passes a normalized filter. Field comparisons ignore case;
+     * name is available as a field too.
+     */
+    matchesFilter(contact, filter) {
+        if (filter.tags.length > 0) {
+            const hasTag = (tag) => contact.tags.includes(tag);
+            if (filter.tagMode === 'all' ? !filter.tags.every(hasTag) : !filter.tags.some(hasTag)) {
+                return false;
+            }
+        }
+        if (filter.excludeTags.some(tag => contact.tags.includes(tag))) {
+            return false;
+        }
+
+        return filter.conditions.every(condition => {
+            const value = (condition.field === 'name' ? contact.name : contact.fields[condition.field]) || '';
+            const actual = value.toLowerCase();
+            const expected = condition.value.toLowerCase();
+
+            switch (condition.operator) {
+                case 'equals': return actual === expected;
+                case 'not-equals': return actual !== expected;
+                case 'contains': return actual.includes(expected);
+                case 'exists': return actual !== '';
+                case 'missing': return actual === '';
+                default: return false;
+            }
+        });
+    }
+
+    /**
+     * Create a segment, or update one when segmentId is given
+     */
+    saveSegment(userId, data, segmentId = null) {
+        const existing = segmentId ? this.segments.get(segmentId) : null;
+        if (segmentId && (!existing || existing.userId !== userId)) {
+            throw new Error('Segment not found');
+        }
+
+        const name = String(data.name || '').trim();
+        if (!name) {
+            throw new Error('A segment needs a name');
+        }
+
+        const segment = {
+            ...(existing || { id: uuidv4(), userId: userId, createdAt: new Date() }),
+            name: name,
+            filter: this.normalizeFilter(data.filter),
+            updatedAt: new Date()
+        };
+
+        this.segments.set(segment.id, segment);
+        this.storage.saveSegment(segment);
+        this.io.to(userId).emit('contacts-updated', { userId: userId });
+
+        console.log(`📇 Segment "${segment.name}" ${existing ? 'updated' : 'saved'} for user ${userId}`);
+        return segment;
+    }
+
+    deleteSegment(userId, segmentId) {
+        const segment = this.segments.get(segmentId);
+        if (!segment || segment.userId !== userId) {
+            return false;
+        }
+
+        this.segments.delete(segmentId);
+        this.storage.deleteSegment(segmentId);
+        this.io.to(userId).emit('contacts-updated', { userId: userId });
+        return true;
+    }
+
+    getSegment(segmentId, userId) {
+        const segment = this.segments.get(segmentId);
+        return segment && segment.userId === userId ? segment : null;
+    }
+
+    /**
+     * A user's segments with how many contacts each matches right now
+     */
+    getUserSegments(userId) {
+        return Array.from(this.segments.values())
+            .filter(segment => segment.userId === userId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(segment => ({ ...segment, count: this.getUserContacts(userId, segment.filter).length }));
+    }
+
+    /**
+     * Campaign recipients for the contacts a segment matches now. The objects are copies,
+     * so later edits to the contacts don't change a campaign that was started from them.
+     */
+    getSegmentRecipients(userId, segmentId) {
+        const segment = this.getSegment(segmentId, userId);
+        if (!segment) {
+            throw new Error('Segment not found');
+        }
+
+        return this.getUserContacts(userId, segment.filter)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .map(contact => ({
+                phoneNumber: contact.phoneNumber,
+                name: contact.name || contact.phoneNumber,
+                city: contact.fields.city || '',
+                order: contact.fields.order || '',
+                fields: { phone: contact.phoneNumber, name: contact.name, ...contact.fields, tags: contact.tags.join(', ') }
+            }));
+    }
+
+    /**
+     * Stamp lastMessagedAt on the contact a message was sent to
+     */
+    handleMessageStored(message) {
+        if (message.status !== 'sent' || !message.recipient) return;
+
+        const contact = this.findContact(message.userId, message.recipient.phoneNumber);
+        if (!contact) return;
+
+        contact.lastMessagedAt = message.timestamp || new Date();
+        try {
+            this.storage.saveContacts([contact]);
+        } catch (error) {
+            console.error('Error saving contact:', error);
+        }
+    }
+
+    /**
+     * A user's contacts as CSV: phone, name, tags, then one column per custom field
+     */
+    toCsv(userId) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const toIso = (value) => value ? new Date(value).toISOString() : '';
+
+        const fieldNames = this.getUserFieldNames(userId);
+        const rows = this.getUserContacts(userId).map(contact => [
+            contact.phoneNumber,
+            contact.name,
+            contact.tags.join(', '),
+            ...fieldNames.map(name => contact.fields[name] || ''),
+            toIso(contact.createdAt),
+            toIso(contact.updatedAt),
+            toIso(contact.lastMessagedAt)
+        ].map(escape).join(','));
+
+        return [['phone', 'name', 'tags', ...fieldNames, 'createdAt', 'updatedAt', 'lastMessagedAt'].map(escape).join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Load contacts and segments from storage
+     */
+    loadContacts() {
+        try {
+            const saved = this.storage.loadContacts();
+            for (const [userId, contacts] of Object.entries(saved)) {
+                this.contacts.set(userId, new Map(contacts.map(contact => [contact.phoneNumber, contact])));
+            }
+            this.storage.loadSegments().forEach(segment => this.segments.set(segment.id, segment));
+
+            const total = Array.from(this.contacts.values()).reduce((sum, book) => sum + book.size, 0);
+            console.log(`Loaded ${total} contacts and ${this.segments.size} segments from storage`);
+        } catch (error) {
+            console.error('Error loading contacts:', error);
+        }
+    }
+}
+
+ContactManager.FIELD_OPERATORS = FIELD_OPERATORS;
+
+module.exports = ContactManager;
@@ -3,15 +3,30 @@ const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const MessageTemplate = require('./MessageTemplate');
+const PhoneNumber = require('./PhoneNumber');
+
+// Disconnect reasons that mean the phone unlinked this session - nothing left to reconnect to
+const LOGOUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
 
 class DeviceManager {
-    constructor(io) {
+    constructor(io, storage = getStorage()) {
         this.io = io;
+        this.storage = storage;
         this.devices = new Map(); // Map<deviceId, device>
         this.userDevices = new Map(); // Map<userId, Set<deviceId>>
         this.deviceTimeouts = new Map();
+        this.reconnectTimers = new Map(); // Map<deviceId, timeout> for scheduled reconnect attempts
         this.messageQueue = new Map(); // Map<deviceId, Array<message>>
-        this.DEVICE_TIMEOUT = 60 * 60 * 1000; // 1 hour
+        this.incomingMessageHandlers = []; // Called with every inbound message
+        this.messageAckHandlers = []; // Called with delivery/read acks for sent messages
+        this.accountCountryLookup = () => null; // Account id -> default country, set by the server
+        this.DEVICE_TIMEOUT = 60 * 60 * 1000; // 1 hour idle before a keep-alive check
+        this.RECONNECT_BASE_DELAY = 5 * 1000; // Doubled on every attempt
+        this.RECONNECT_MAX_DELAY = 5 * 60 * 1000;
+        this.MAX_RECONNECT_ATTEMPTS = 6;
+        this.PAIRING_CODE_INTERVAL = 3 * 60 * 1000; // WhatsApp's own pairing code lifetime
         
         // Ensure auth directory exists
         this.ensureAuthDirectory();
@@ -31,135 +46,35 @@ class DeviceManager {
     }
 
     /**
-     * Create a new WhatsApp device
+     * Create a new WhatsApp device.
+     * Pass options.pairingPhoneNumber to link it with a pairing code instead of a QR code.
      */
-    async createDevice(userId, deviceName = 'WhatsApp Device') {
+    async createDevice(userId, deviceName = 'WhatsApp Device', options = {}) {
         try {
+            const pairingPhoneNumber = options.pairingPhoneNumber
+                ? this.normalizePairingPhoneNumber(options.pairingPhoneNumber)
+                : null;
             const deviceId = uuidv4();
             
-            console.log(`Creating new device: ${deviceId} for user: ${userId}`);
-
-            // Detect Chrome executable path based on operating system
-            let chromeExecutable = process.env.PUPPETEER_EXECUTABLE_PATH;
-            
-            if (!chromeExecutable) {
-                const os = require('os');
-                const fs = require('fs');
-                const platform = os.platform();
-                
-                console.log(`Detecting Chrome for platform: ${platform}`);
-                
-                switch (platform) {
-                    case 'win32':
-                        // Windows paths
-                        const windowsPaths = [
-                            'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-                            'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-                            process.env.LOCALAPPDATA + '\\Google\\Chrome\\Application\\chrome.exe'
-                        ];
-                        for (const path of windowsPaths) {
-                            if (fs.existsSync(path)) {
-                                chromeExecutable = path;
-                                break;
-                            }
-                        }
-                        break;
-                    case 'darwin':
-                        // macOS path
-                        chromeExecutable = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
-                        break;
-                    case 'linux':
-                        // Linux paths
-                        const linuxPaths = [
-                            '/usr/bin/google-chrome-stable',
-                            '/usr/bin/google-chrome',
-                            '/usr/bin/chromium-browser',
-                            '/usr/bin/chromium'
-                        ];
-                        for (const path of linuxPaths) {
-                            if (fs.existsSync(path)) {
-                                chromeExecutable = path;
-                                break;
-                            }
-                        }
-                        break;
-                }
-                
-                if (chromeExecutable) {
-                    console.log(`✅ Chrome found at: ${chromeExecutable}`);
-                } else {
-                    console.log(`⚠️  Chrome not found, will use Puppeteer's bundled Chromium`);
-                    chromeExecutable = undefined; // Let Puppeteer use bundled Chromium
-                }
-            }
+            console.log(`Creating new device: ${deviceId} for user: ${userId}${pairingPhoneNumber ? ` (pairing code for ${pairingPhoneNumber})` : ''}`);
 
-            // Create WhatsApp client with optimized settings for server environments
-            const client = new Client({
-                authStrategy: new LocalAuth({
-                    clientId: deviceId,
-                    dataPath: '.wwebjs_auth'
-                }),
-                puppeteer: {
-                    headless: true,
-                    executablePath: chromeExecutable, // Use detected path or let Puppeteer use bundled Chromium
-                    args: [
-                        '--no-sandbox',
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--disable-gpu',
-                        '--disable-web-security',
-                        '--disable-features=VizDisplayCompositor,AudioServiceOutOfProcess',
-                        '--disable-background-timer-throttling',
-                        '--disable-backgrounding-occluded-windows',
-                        '--disable-renderer-backgrounding',
-                        '--disable-extensions',
-                        '--disable-plugins',
-                        '--disable-default-apps',
-                        '--disable-ipc-flooding-protection',
-                        '--disable-hang-monitor',
-                        '--disable-prompt-on-repost',
-                        '--disable-client-side-phishing-detection',
-                        '--disable-sync',
-                        '--disable-background-networking',
-                        '--disable-software-rasterizer',
-                        '--disable-features=TranslateUI',
-                        '--disable-crash-reporter',
-                        '--disable-component-extensions-with-background-pages',
-                        '--no-default-browser-check',
-                        '--mute-audio',
-                        '--disable-logging',
-                        '--disable-notifications',
-                        '--disable-permissions-api',
-                        '--disable-web-security',
-                        '--allow-running-insecure-content',
-                        '--disable-blink-features=AutomationControlled',
-                        '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                    ],
-                    timeout: 120000, // Increased timeout for server environments
-                    handleSIGINT: false,
-                    handleSIGTERM: false,
-                    handleSIGHUP: false,
-                    ignoreDefaultArgs: ['--disable-extensions'],
-                    slowMo: 100 // Add slight delay to prevent crashes
-                },
-                qrMaxRetries: 10, // Increased retries for server environments
-                takeoverOnConflict: true,
-                takeoverTimeoutMs: 120000, // Increased timeout
-                restartOnAuthFail: true
-            });
+            const client = this.createClient(deviceId, { pairingPhoneNumber });
 
             // Create device object
             const device = {
                 id: deviceId,
                 userId: userId,
+                ownerId: options.ownerId || null, // Account logged in when the device was linked
                 name: deviceName,
                 client: client,
                 status: 'initializing',
                 isReady: false,
                 qrCode: null,
+                linkMethod: pairingPhoneNumber ? 'code' : 'qr',
+                pairingPhoneNumber: pairingPhoneNumber,
+                pairingCode: null,
+                quota: this.normalizeQuota(),
+                usage: {},
                 createdAt: new Date(),
                 lastActivity: new Date(),
                 phoneNumber: null,
@@ -167,57 +82,10 @@ class DeviceManager {
             };
 
             // Store device
-            this.devices.set(deviceId, device);
-
-            // Add to user's devices
-            if (!this.userDevices.has(userId)) {
-                this.userDevices.set(userId, new Set());
-            }
-            this.userDevices.get(userId).add(deviceId);
-
-            // Initialize message queue for device
-            this.messageQueue.set(deviceId, []);
+            this.registerDevice(device);
+            this.saveDeviceRecord(device);
 
-            // Set up event handlers
-            this.setupClientEvents(deviceId, client);
-
-            // Initialize client with retry mechanism
-            let retryCount = 0;
-            const maxRetries = 3;
-            
-            while (retryCount < maxRetries) {
-                try {
-                    console.log(`Initializing WhatsApp client for device ${deviceId} (attempt ${retryCount + 1}/${maxRetries})`);
-                    await client.initialize();
-                    console.log(`✅ WhatsApp client initialized successfully for device ${deviceId}`);
-                    break;
-                } catch (initError) {
-                    retryCount++;
-                    console.error(`❌ Client initialization failed for device ${deviceId} (attempt ${retryCount}/${maxRetries}):`, initError.message);
-                    
-                    if (retryCount >= maxRetries) {
-                        throw new Error(`Failed to initialize WhatsApp client after ${maxRetries} attempts: ${initError.message}`);
-                    }
-                    
-                    // Wait before retry with exponential backoff
-                    const delay = Math.min(5000 * Math.pow(2, retryCount - 1), 30000);
-                    console.log(`⏳ Retrying in ${delay / 1000} seconds...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    
-                    // Clean up failed client before retry
-                    try {
-                        await client.destroy();
-                    } catch (destroyError) {
-                        console.log(`Warning: Could not destroy failed client:`, destroyError.message);
-                    }
-                    
-                    // Create new client for retry
-                    if (retryCount < maxRetries) {
-                        console.log(`Creating new client for retry ${retryCount + 1}`);
-                        // Note: We continue with the same client object but it will be reinitialized
-                    }
-                }
-            }
+            await this.initializeClient(deviceId, client);
 
             // Set device timeout
             this.resetDeviceTimeout(deviceId);
@@ -236,6 +104,266 @@ class DeviceManager {
         }
     }
 
+    /**
+     * Recreate every device in the registry from its saved LocalAuth session, without a new QR scan
+     */
+    async restoreDevices() {
+        let records;
+        try {
+            records = this.storage.loadDevices();
+        } catch (error) {
+            console.error('Error loading device registry:', error);
+            return;
+        }
+
+        if (records.length === 0) return;
+        console.log(`📱 Restoring ${records.length} device(s) from the registry...`);
+
+        // One at a time - every client starts its own browser
+        for (const record of records) {
+            if (this.devices.has(record.id)) continue;
+
+            const sessionDir = path.join(__dirname, '.wwebjs_auth', `session-${record.id}`);
+            if (!fs.existsSync(sessionDir)) {
+                console.log(`No saved session for device ${record.id} (${record.name}), removing it from the registry`);
+                this.deleteDeviceRecord(record.id);
+                continue;
+            }
+
+            const device = {
+                id: record.id,
+                userId: record.userId,
+                ownerId: record.ownerId || null,
+                name: record.name,
+                client: this.createClient(record.id),
+                status: 'restoring',
+                isReady: false,
+                qrCode: null,
+                createdAt: record.createdAt ? new Date(record.createdAt) : new Date(),
+                lastActivity: new Date(),
+                phoneNumber: record.phoneNumber || null,
+                info: null,
+                quota: this.normalizeQuota(record.quota),
+                usage: record.usage || {},
+                restored: true
+            };
+
+            this.registerDevice(device);
+            this.emitUserDevices(device.userId);
+
+            try {
+                await this.initializeClient(device.id, device.client);
+                this.resetDeviceTimeout(device.id);
+                console.log(`📱 Device ${device.id} (${device.name}) restored for user ${device.userId}`);
+            } catch (error) {
+                // Keep the registry entry - the session may come back on the next restart
+                console.error(`Could not restore device ${device.id}:`, error.message);
+                device.status = 'error';
+                this.io.to(device.userId).emit('device-status', {
+                    deviceId: device.id,
+                    status: 'error',
+                    isReady: false,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Pairing codes are requested for a bare international number (country code, no symbols)
+     */
+    normalizePairingPhoneNumber(phoneNumber) {
+        const digits = phoneNumber ? phoneNumber.toString().replace(/\D/g, '') : '';
+        if (digits.length < 8 || digits.length > 15) {
+            throw new Error('Enter the phone number with its country code, e.g. 14155550123');
+        }
+        return digits;
+    }
+
+    /**
+     * Build a WhatsApp client whose LocalAuth session is stored under the device id.
+     * With a pairingPhoneNumber the client emits 'code' events instead of 'qr'.
+     */
+    createClient(deviceId, { pairingPhoneNumber = null } = {}) {
+        // Detect Chrome executable path based on operating system
+        let chromeExecutable = process.env.PUPPETEER_EXECUTABLE_PATH;
+        
+        if (!chromeExecutable) {
+            const os = require('os');
+            const fs = require('fs');
+            const platform = os.platform();
+            
+            console.log(`Detecting Chrome for platform: ${platform}`);
+            
+            switch (platform) {
+                case 'win32':
+                    // Windows paths
+                    const windowsPaths = [
+                        'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+                        'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+                        process.env.LOCALAPPDATA + '\\Google\\Chrome\\Application\\chrome.exe'
+                    ];
+                    for (const path of windowsPaths) {
+                        if (fs.existsSync(path)) {
+                            chromeExecutable = path;
+                            break;
+                        }
+                    }
+                    break;
+                case 'darwin':
+                    // macOS path
+                    chromeExecutable = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+                    break;
+                case 'linux':
+                    // Linux paths
+                    const linuxPaths = [
+                        '/usr/bin/google-chrome-stable',
+                        '/usr/bin/google-chrome',
+                        '/usr/bin/chromium-browser',
+                        '/usr/bin/chromium'
+                    ];
+                    for (const path of linuxPaths) {
+                        if (fs.existsSync(path)) {
+                            chromeExecutable = path;
+                            break;
+                        }
+                    }
+                    break;
+            }
+            
+            if (chromeExecutable) {
+                console.log(`✅ Chrome found at: ${chromeExecutable}`);
+            } else {
+                console.log(`⚠️  Chrome not found, will use Puppeteer's bundled Chromium`);
+                chromeExecutable = undefined; // Let Puppeteer use bundled Chromium
+            }
+        }
+
+        // Create WhatsApp client with optimized settings for server environments
+        return new Client({
+            authStrategy: new LocalAuth({
+                clientId: deviceId,
+                dataPath: '.wwebjs_auth'
+            }),
+            puppeteer: {
+                headless: true,
+                executablePath: chromeExecutable, // Use detected path or let Puppeteer use bundled Chromium
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--no-first-run',
+                    '--no-zygote',
+                    '--disable-gpu',
+                    '--disable-web-security',
+                    '--disable-features=VizDisplayCompositor,AudioServiceOutOfProcess',
+                    '--disable-background-timer-throttling',
+                    '--disable-backgrounding-occluded-windows',
+                    '--disable-renderer-backgrounding',
+                    '--disable-extensions',
+                    '--disable-plugins',
+                    '--disable-default-apps',
+                    '--disable-ipc-flooding-protection',
+                    '--disable-hang-monitor',
+                    '--disable-prompt-on-repost',
+                    '--disable-client-side-phishing-detection',
+                    '--disable-sync',
+                    '--disable-background-networking',
+                    '--disable-software-rasterizer',
+                    '--disable-features=TranslateUI',
+                    '--disable-crash-reporter',
+                    '--disable-component-extensions-with-background-pages',
+                    '--no-default-browser-check',
+                    '--mute-audio',
+                    '--disable-logging',
+                    '--disable-notifications',
+                    '--disable-permissions-api',
+                    '--disable-web-security',
+                    '--allow-running-insecure-content',
+                    '--disable-blink-features=AutomationControlled',
+                    '--user-agent=Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+                ],
+                timeout: 120000, // Increased timeout for server environments
+                handleSIGINT: false,
+                handleSIGTERM: false,
+                handleSIGHUP: false,
+                ignoreDefaultArgs: ['--disable-extensions'],
+                slowMo: 100 // Add slight delay to prevent crashes
+            },
+            qrMaxRetries: 10, // Increased retries for server environments
+            pairWithPhoneNumber: pairingPhoneNumber ? {
+                phoneNumber: pairingPhoneNumber,
+                showNotification: true,
+                intervalMs: this.PAIRING_CODE_INTERVAL
+            } : undefined,
+            takeoverOnConflict: true,
+            takeoverTimeoutMs: 120000, // Increased timeout
+            restartOnAuthFail: true
+        });
+    }
+
+    /**
+     * Start a client, retrying with backoff
+     */
+    async initializeClient(deviceId, client) {
+        let retryCount = 0;
+        const maxRetries = 3;
+        
+        while (retryCount < maxRetries) {
+            try {
+                console.log(`Initializing WhatsApp client for device ${deviceId} (attempt ${retryCount + 1}/${maxRetries})`);
+                await client.initialize();
+                console.log(`✅ WhatsApp client initialized successfully for device ${deviceId}`);
+                break;
+            } catch (initError) {
+                retryCount++;
+                console.error(`❌ Client initialization failed for device ${deviceId} (attempt ${retryCount}/${maxRetries}):`, initError.message);
+                
+                if (retryCount >= maxRetries) {
+                    throw new Error(`Failed to initialize WhatsApp client after ${maxRetries} attempts: ${initError.message}`);
+                }
+                
+                // Wait before retry with exponential backoff
+                const delay = Math.min(5000 * Math.pow(2, retryCount - 1), 30000);
+                console.log(`⏳ Retrying in ${delay / 1000} seconds...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                
+                // Clean up failed client before retry
+                try {
+                    await client.destroy();
+                } catch (destroyError) {
+                    console.log(`Warning: Could not destroy failed client:`, destroyError.message);
+                }
+                
+                // Create new client for retry
+                if (retryCount < maxRetries) {
+                    console.log(`Creating new client for retry ${retryCount + 1}`);
+                    // Note: We continue with the same client object but it will be reinitialized
+                }
+            }
+        }
+    }
+
+    /**
+     * Add a device to the in-memory maps and wire up its client events
+     */
+    registerDevice(device) {
+        this.devices.set(device.id, device);
+
+        // Add to user's devices
+        if (!this.userDevices.has(device.userId)) {
+            this.userDevices.set(device.userId, new Set());
+        }
+        this.userDevices.get(device.userId).add(device.id);
+
+        // Initialize message queue for device
+        this.messageQueue.set(device.id, []);
+
+        // Set up event handlers
+        this.setupClientEvents(device.id, device.client);
+    }
+
     /**
      * Set up event handlers for WhatsApp client
      */
@@ -309,12 +437,11 @@ class DeviceManager {
                     canRetry: true
                 });
                 
-                // Retry QR generation after a delay
+                // Retry QR generation after a delay, restarting the same device
                 setTimeout(async () => {
                     try {
                         console.log(`Retrying QR generation for device ${deviceId}`);
-                        await client.destroy();
-                        await this.createDevice(device.userId, device.name);
+                        await this.reconnectDevice(deviceId);
                     } catch (retryError) {
                         console.error(`QR retry failed for device ${deviceId}:`, retryError);
                     }
@@ -322,6 +449,31 @@ class DeviceManager {
             }
         });
 
+        // Pairing code event - only fires for clients created with a pairing phone number
+        client.on('code', (code) => {
+            console.log(`Pairing code generated for device ${deviceId}`);
+
+            device.status = 'waiting-for-pairing-code';
+            device.pairingCode = code;
+            device.pairingCodeGeneratedAt = new Date();
+            device.lastActivity = new Date();
+
+            this.io.to(device.userId).emit('device-pairing-code', {
+                deviceId: deviceId,
+                pairingCode: code,
+                phoneNumber: device.pairingPhoneNumber,
+                message: 'Pairing code ready',
+                timestamp: device.pairingCodeGeneratedAt
+            });
+
+            this.io.to(device.userId).emit('device-status', {
+                deviceId: deviceId,
+                status: 'waiting-for-pairing-code',
+                isReady: false,
+                hasPairingCode: true
+            });
+        });
+
         // Ready event
         client.on('ready', async () => {
             console.log(`WhatsApp client ready for device ${deviceId}`);
@@ -332,9 +484,15 @@ class DeviceManager {
                 device.status = 'ready';
                 device.isReady = true;
                 device.qrCode = null;
+                device.pairingCode = null;
+                device.pairingPhoneNumber = null;
                 device.lastActivity = new Date();
                 device.phoneNumber = info.wid.user;
                 device.info = info;
+                device.reconnectAttempts = 0;
+                device.reconnectAt = null;
+                this.saveDeviceRecord(device);
+                this.resetDeviceTimeout(deviceId);
 
                 // Emit ready status
                 this.io.to(device.userId).emit('device-ready', {
@@ -350,6 +508,10 @@ class DeviceManager {
                     isReady: true,
                     phoneNumber: device.phoneNumber
                 });
+
+                if (device.restored) {
+                    this.emitUserDevices(device.userId);
+                }
             } catch (error) {
                 console.error(`Error getting device info for ${deviceId}:`, error);
             }
@@ -390,15 +552,20 @@ class DeviceManager {
         });
 
         // Disconnected event
-        client.on('disconnected', (reason) => {
+        client.on('disconnected', async (reason) => {
+            // Ignore clients that have already been replaced by a reconnect
+            if (device.client !== client) return;
+
             console.log(`WhatsApp client disconnected for device ${deviceId}:`, reason);
             
             device.status = 'disconnected';
             device.isReady = false;
 
+            const loggedOut = LOGOUT_REASONS.includes(reason);
+
             this.io.to(device.userId).emit('device-disconnected', {
                 deviceId: deviceId,
-                message: 'WhatsApp device disconnected',
+                message: loggedOut ? 'WhatsApp device was logged out' : 'WhatsApp device disconnected',
                 reason: reason
             });
 
@@ -408,14 +575,70 @@ class DeviceManager {
                 isReady: false
             });
 
-            // Auto cleanup disconnected device after delay
-            setTimeout(() => {
-                this.deleteDevice(deviceId);
-            }, 10000);
+            if (loggedOut) {
+                // The session is gone on WhatsApp's side, so the device can't come back
+                console.log(`Device ${deviceId} was logged out from WhatsApp, removing it`);
+                await this.deleteDevice(deviceId);
+                this.io.to(device.userId).emit('device-deleted', {
+                    deviceId: deviceId,
+                    message: 'Device was logged out from WhatsApp'
+                });
+            } else if (reason === 'Max qrcode retries reached') {
+                // Never linked - wait for the user to reconnect (new QR) or delete it
+                console.log(`Device ${deviceId} was not linked in time, waiting for the user`);
+            } else {
+                this.scheduleReconnect(deviceId, reason);
+            }
+        });
+
+        // Incoming message event
+        client.on('message', async (message) => {
+            try {
+                if (message.fromMe || message.isStatus || message.from === 'status@broadcast') {
+                    return;
+                }
+
+                device.lastActivity = new Date();
+                const incoming = await this.describeIncomingMessage(device, message);
+
+                for (const handler of this.incomingMessageHandlers) {
+                    try {
+                        await handler(incoming, message);
+                    } catch (handlerError) {
+                        console.error(`Incoming message handler failed for device ${deviceId}:`, handlerError);
+                    }
+                }
+            } catch (error) {
+                console.error(`Error handling incoming message for device ${deviceId}:`, error);
+            }
+        });
+
+        // Delivery receipts for messages we sent
+        client.on('message_ack', (message, ack) => {
+            if (!message.fromMe || !message.id?._serialized) {
+                return;
+            }
+
+            const receipt = {
+                deviceId: deviceId,
+                whatsappMessageId: message.id._serialized,
+                ack: ack,
+                timestamp: new Date()
+            };
+
+            for (const handler of this.messageAckHandlers) {
+                try {
+                    handler(receipt);
+                } catch (error) {
+                    console.error(`Message ack handler failed for device ${deviceId}:`, error);
+                }
+            }
         });
 
         // Error event - Enhanced error handling
         client.on('error', (error) => {
+            if (device.client !== client) return;
+
             console.error(`WhatsApp client error for device ${deviceId}:`, error);
             
             // Update device status
@@ -452,22 +675,259 @@ class DeviceManager {
                 error: error.message
             });
             
-            // Auto-retry for certain types of errors
+            // Auto-reconnect for certain types of errors
             if (canRetry && (error.message.includes('Target closed') || error.message.includes('Session closed'))) {
-                console.log(`Auto-retrying device ${deviceId} due to recoverable error`);
-                setTimeout(async () => {
-                    try {
-                        console.log(`Attempting to recreate device ${deviceId} after error`);
-                        await this.deleteDevice(deviceId);
-                        await this.createDevice(device.userId, device.name);
-                    } catch (retryError) {
-                        console.error(`Auto-retry failed for device ${deviceId}:`, retryError);
-                    }
-                }, 10000); // Wait 10 seconds before retry
+                console.log(`Auto-reconnecting device ${deviceId} due to recoverable error`);
+                this.scheduleReconnect(deviceId, error.message);
             }
         });
     }
 
+    /**
+     * Schedule the next reconnect attempt with exponential backoff.
+     * After MAX_RECONNECT_ATTEMPTS the device is left disconnected until the user reconnects or deletes it.
+     */
+    scheduleReconnect(deviceId, reason = null) {
+        const device = this.devices.get(deviceId);
+        if (!device || this.reconnectTimers.has(deviceId)) return;
+
+        device.isReady = false;
+        const attempt = (device.reconnectAttempts || 0) + 1;
+
+        if (attempt > this.MAX_RECONNECT_ATTEMPTS) {
+            console.log(`⛔ Giving up on device ${deviceId} after ${device.reconnectAttempts} reconnect attempts`);
+            device.status = 'disconnected';
+            device.reconnectAt = null;
+
+            this.io.to(device.userId).emit('device-status', {
+                deviceId: deviceId,
+                status: 'disconnected',
+                isReady: false,
+                reconnectAttempts: device.reconnectAttempts,
+                reconnectFailed: true
+            });
+            return;
+        }
+
+        const delay = Math.min(this.RECONNECT_BASE_DELAY * Math.pow(2, attempt - 1), this.RECONNECT_MAX_DELAY);
+        device.status = 'reconnecting';
+        device.reconnectAttempts = attempt;
+        device.reconnectAt = new Date(Date.now() + delay);
+
+        console.log(`🔄 Reconnecting device ${deviceId} in ${delay / 1000}s (attempt ${attempt}/${this.MAX_RECONNECT_ATTEMPTS})${reason ? ` - ${reason}` : ''}`);
+
+        this.io.to(device.userId).emit('device-status', {
+            deviceId: deviceId,
+            status: 'reconnecting',
+            isReady: false,
+            reconnectAttempts: attempt,
+            maxReconnectAttempts: this.MAX_RECONNECT_ATTEMPTS,
+            reconnectAt: device.reconnectAt
+        });
+
+        const timer = setTimeout(async () => {
+            this.reconnectTimers.delete(deviceId);
+            try {
+                await this.reconnectDevice(deviceId);
+            } catch (error) {
+                console.error(`Reconnect attempt failed for device ${deviceId}:`, error.message);
+            }
+        }, delay);
+        this.reconnectTimers.set(deviceId, timer);
+    }
+
+    /**
+     * Replace a device's client with a fresh one on the same LocalAuth session.
+     * resetAttempts is used when the user asks for a reconnect, to start the backoff over.
+     */
+    async reconnectDevice(deviceId, { resetAttempts = false, status = 'reconnecting' } = {}) {
+        const device = this.devices.get(deviceId);
+        if (!device) {
+            throw new Error('Device not found');
+        }
+
+        if (this.reconnectTimers.has(deviceId)) {
+            clearTimeout(this.reconnectTimers.get(deviceId));
+            this.reconnectTimers.delete(deviceId);
+        }
+        if (resetAttempts) {
+            device.reconnectAttempts = 0;
+        }
+
+        console.log(`🔄 Reconnecting device ${deviceId} (${device.name})`);
+
+        // The old browser has to be gone before a new one can open the same session directory
+        const oldClient = device.client;
+        device.client = null;
+        if (oldClient && oldClient.pupPage) {
+            try {
+                await oldClient.destroy();
+            } catch (destroyError) {
+                console.warn(`Warning during client destroy for ${deviceId}:`, destroyError.message);
+            }
+        }
+
+        // Deleted while the old client was closing
+        if (this.devices.get(deviceId) !== device) return;
+
+        device.status = status;
+        device.isReady = false;
+        device.qrCode = null;
+        device.pairingCode = null;
+        device.client = this.createClient(deviceId, { pairingPhoneNumber: device.pairingPhoneNumber });
+        this.setupClientEvents(deviceId, device.client);
+
+        this.io.to(device.userId).emit('device-status', {
+            deviceId: deviceId,
+            status: status,
+            isReady: false,
+            reconnectAttempts: device.reconnectAttempts || 0,
+            maxReconnectAttempts: this.MAX_RECONNECT_ATTEMPTS
+        });
+
+        try {
+            await this.initializeClient(deviceId, device.client);
+        } catch (error) {
+            console.error(`Could not reconnect device ${deviceId}:`, error.message);
+            if (this.devices.get(deviceId) === device) {
+                this.scheduleReconnect(deviceId, error.message);
+            }
+        }
+    }
+
+    /**
+     * Keep-alive check for an idle device; reconnects it when WhatsApp no longer reports it connected
+     */
+    async checkDeviceHealth(deviceId) {
+        const device = this.devices.get(deviceId);
+        if (!device || !device.isReady || !device.client) return true;
+
+        try {
+            const state = await Promise.race([
+                device.client.getState(),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('State check timed out')), 30000))
+            ]);
+
+            if (state === 'CONNECTED') {
+                return true;
+            }
+            throw new Error(`WhatsApp state is ${state}`);
+        } catch (error) {
+            if (this.devices.get(deviceId) !== device) return false;
+
+            console.log(`Device ${deviceId} failed its keep-alive check: ${error.message}`);
+            this.scheduleReconnect(deviceId, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Register a handler for inbound WhatsApp messages on any device
+     * handler(incoming, rawMessage) - incoming is a plain, storable object
+     */
+    onIncomingMessage(handler) {
+        this.incomingMessageHandlers.push(handler);
+    }
+
+    /**
+     * Set how an account's default country is found (the user store lives with the server)
+     */
+    setDefaultCountryLookup(lookup) {
+        this.accountCountryLookup = lookup;
+    }
+
+    /**
+     * Default country of the account that linked a workspace's devices, for numbers written without a country code
+     */
+    getDefaultCountry(userId) {
+        const device = this.getUserDevices(userId).find(candidate => candidate.ownerId);
+        return device ? this.accountCountryLookup(device.ownerId) || null : null;
+    }
+
+    /**
+     * Register a handler for message acks (1 server, 2 delivered, 3 read, 4 played, -1 error)
+     */
+    onMessageAck(handler) {
+        this.messageAckHandlers.push(handler);
+    }
+
+    /**
+     * Turn a whatsapp-web.js message into a plain inbound record
+     */
+    async describeIncomingMessage(device, message) {
+        const chatId = message.from;
+        const isGroup = chatId.endsWith('@g.us');
+        const senderId = isGroup ? (message.author || chatId) : chatId;
+        let phoneNumber = senderId.split('@')[0];
+
+        // Linked-id (@lid) senders do not carry the phone number in the id
+        if (senderId.endsWith('@lid')) {
+            try {
+                const contact = await message.getContact();
+                if (contact && contact.number) {
+                    phoneNumber = contact.number;
+                }
+            } catch (error) {
+                console.warn(`Could not resolve contact for ${senderId}:`, error.message);
+            }
+        }
+
+        const data = message._data || {};
+
+        return {
+            id: uuidv4(),
+            userId: device.userId,
+            deviceId: device.id,
+            deviceName: device.name,
+            whatsappMessageId: message.id?._serialized || null,
+            chatId: chatId,
+            isGroup: isGroup,
+            phoneNumber: phoneNumber.replace(/\D/g, ''),
+            senderName: data.notifyName || null,
+            body: message.body || '',
+            type: message.type,
+            hasMedia: Boolean(message.hasMedia),
+            media: message.hasMedia ? {
+                mimetype: data.mimetype || null,
+                filename: data.filename || null,
+                filesize: data.size || null
+            } : null,
+            timestamp: message.timestamp ? new Date(message.timestamp * 1000) : new Date(),
+            receivedAt: new Date()
+        };
+    }
+
+    /**
+     * Save the persistent part of a device to the registry
+     */
+    saveDeviceRecord(device) {
+        try {
+            this.storage.saveDevice({
+                id: device.id,
+                userId: device.userId,
+                ownerId: device.ownerId || null,
+                name: device.name,
+                phoneNumber: device.phoneNumber,
+                quota: device.quota || null,
+                usage: device.usage || {},
+                createdAt: device.createdAt
+            });
+        } catch (error) {
+            console.error(`Error saving device ${device.id}:`, error);
+        }
+    }
+
+    /**
+     * Remove a device from the registry
+     */
+    deleteDeviceRecord(deviceId) {
+        try {
+            this.storage.deleteDevice(deviceId);
+        } catch (error) {
+            console.error(`Error removing device ${deviceId}:`, error);
+        }
+    }
+
     /**
      * Get device by ID
      */
@@ -475,6 +935,27 @@ class DeviceManager {
         return this.devices.get(deviceId) || null;
     }
 
+    /**
+     * Switch an unlinked device to pairing-code linking for the given phone number
+     */
+    async requestPairingCode(deviceId, phoneNumber) {
+        const device = this.devices.get(deviceId);
+        if (!device) {
+            throw new Error('Device not found');
+        }
+        if (device.isReady) {
+            throw new Error('Device is already linked');
+        }
+
+        device.pairingPhoneNumber = this.normalizePairingPhoneNumber(phoneNumber);
+        device.linkMethod = 'code';
+        console.log(`Requesting pairing code for device ${deviceId} (${device.pairingPhoneNumber})`);
+
+        // The link method is fixed when the WhatsApp page starts, so restart the client in pairing mode
+        await this.reconnectDevice(deviceId, { resetAttempts: true, status: 'initializing' });
+        return device;
+    }
+
     /**
      * Force QR generation for a device (if it's stuck)
      */
@@ -487,22 +968,21 @@ class DeviceManager {
         try {
             console.log(`Forcing QR generation for device ${deviceId}`);
             
+            // Switching back from a pairing code restarts the client in QR mode
+            if (device.linkMethod === 'code' && !device.isReady) {
+                device.linkMethod = 'qr';
+                device.pairingPhoneNumber = null;
+                await this.reconnectDevice(deviceId, { resetAttempts: true, status: 'initializing' });
+                return device;
+            }
+
             // If device is stuck in initializing state, restart it
             if (device.status === 'initializing' || device.status === 'pending') {
                 console.log(`Restarting stuck device ${deviceId}`);
                 
-                // Destroy old client if exists
-                if (device.client) {
-                    try {
-                        await device.client.destroy();
-                    } catch (destroyError) {
-                        console.log(`Error destroying client for ${deviceId}:`, destroyError.message);
-                    }
-                }
-                
-                // Create new client with the same device ID
-                const newDevice = await this.createDevice(device.userId, device.name);
-                return newDevice;
+                // Restart the client with the same device ID
+                await this.reconnectDevice(deviceId, { resetAttempts: true });
+                return device;
             }
             
             // If device has QR, emit it again
@@ -537,6 +1017,38 @@ class DeviceManager {
         return Array.from(deviceIds).map(id => this.devices.get(id)).filter(Boolean);
     }
 
+    /**
+     * The parts of a device that are sent to the browser
+     */
+    describeDevice(device) {
+        return {
+            id: device.id,
+            name: device.name,
+            status: device.status,
+            isReady: device.isReady,
+            phoneNumber: device.phoneNumber,
+            createdAt: device.createdAt,
+            lastActivity: device.lastActivity,
+            restored: Boolean(device.restored),
+            linkMethod: device.linkMethod || 'qr',
+            pairingPhoneNumber: device.pairingPhoneNumber || null,
+            hasPairingCode: Boolean(device.pairingCode),
+            quota: this.getQuotaStatus(device.id),
+            reconnectAttempts: device.reconnectAttempts || 0,
+            maxReconnectAttempts: this.MAX_RECONNECT_ATTEMPTS,
+            reconnectAt: device.reconnectAt || null
+        };
+    }
+
+    /**
+     * Push a user's current device list to all of their open pages
+     */
+    emitUserDevices(userId) {
+        this.io.to(userId).emit('user-devices', {
+            devices: this.getUserDevices(userId).map(device => this.describeDevice(device))
+        });
+    }
+
     /**
      * Get ready devices for a user
      */
@@ -545,7 +1057,8 @@ class DeviceManager {
     }
 
     /**
-     * Send message using specific device with human-like typing simulation
+     * Send message using specific device with human-like typing simulation.
+     * options.mediaType 'document' sends the attachment as a file, 'voice' as a voice note.
      */
     async sendMessage(deviceId, phoneNumber, message, attachment = null, options = {}) {
         const device = this.devices.get(deviceId);
@@ -554,24 +1067,38 @@ class DeviceManager {
             throw new Error('Device not ready for sending messages');
         }
 
-        // Format phone number
-        const formattedNumber = phoneNumber.replace(/\D/g, '');
-        const chatId = formattedNumber.includes('@') ? formattedNumber : `${formattedNumber}@c.us`;
+        const quotaStatus = this.getQuotaStatus(deviceId);
+        if (quotaStatus.capped) {
+            const error = new Error(`Device "${device.name}" has reached its ${quotaStatus.reason} sending limit`);
+            // Another sender can use up the limit between a caller's check and this send
+            error.quotaCapped = true;
+            throw error;
+        }
+
+        // Phone number or group id
+        const chatId = this.getChatId(phoneNumber);
 
         // Get chat for typing simulation
         const chat = await device.client.getChatById(chatId);
+        if (this.isGroupChatId(chatId) && (!chat || chat.isReadOnly)) {
+            throw new Error(`Device "${device.name}" is not a member of this group or can't post in it`);
+        }
         
         try {
             // Human-like typing simulation
             if (options.enableTypingSimulation !== false) {
                 console.log(`Starting typing simulation for message to ${phoneNumber}`);
                 
-                // Start typing
-                await chat.sendStateTyping();
+                // Start typing ("recording audio" before a voice note)
+                if (options.mediaType === 'voice') {
+                    await chat.sendStateRecording();
+                } else {
+                    await chat.sendStateTyping();
+                }
                 console.log(`✓ Typing status started for ${phoneNumber}`);
                 
                 // Calculate typing duration based on message length
-                const typingDuration = this.calculateTypingDuration(message);
+                const typingDuration = this.calculateTypingDuration(message || '');
                 
                 // Add random human-like pause
                 const randomPause = this.generateRandomPause();
@@ -594,14 +1121,27 @@ class DeviceManager {
             let result;
             if (attachment) {
                 const media = MessageMedia.fromFilePath(attachment.path);
-                result = await device.client.sendMessage(chatId, media, { caption: message });
+                if (attachment.originalname) {
+                    media.filename = attachment.originalname;
+                }
+
+                const sendOptions = {
+                    sendMediaAsDocument: options.mediaType === 'document',
+                    sendAudioAsVoice: options.mediaType === 'voice'
+                };
+                // Voice notes can't carry a caption
+                if (message && options.mediaType !== 'voice') {
+                    sendOptions.caption = message;
+                }
+                result = await device.client.sendMessage(chatId, media, sendOptions);
             } else {
                 result = await device.client.sendMessage(chatId, message);
             }
 
-            // Update device activity
+            // Update device activity and count the send against its quota
             device.lastActivity = new Date();
             this.resetDeviceTimeout(deviceId);
+            this.recordDeviceSend(device);
 
             return result;
             
@@ -616,6 +1156,265 @@ class DeviceManager {
         }
     }
 
+    /**
+     * Calendar hour and day (server time) that sends are counted against
+     */
+    getQuotaPeriods(now = new Date()) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+        const nextHour = new Date(now);
+        nextHour.setMinutes(60, 0, 0);
+        const nextDay = new Date(now);
+        nextDay.setHours(24, 0, 0, 0);
+
+        return { day: day, hour: `${day}T${pad(now.getHours())}`, nextHour: nextHour, nextDay: nextDay };
+    }
+
+    /**
+     * Validate hourly/daily caps; empty or 0 means no limit
+     */
+    normalizeQuota(quota = {}) {
+        const normalizeLimit = (value, label) => {
+            if (value === undefined || value === null || value === '' || Number(value) === 0) {
+                return null;
+            }
+            const limit = Number(value);
+            if (!Number.isInteger(limit) || limit < 0) {
+                throw new Error(`${label} limit must be a whole number (0 for no limit)`);
+            }
+            return limit;
+        };
+
+        return {
+            hourly: normalizeLimit(quota && quota.hourly, 'Hourly'),
+            daily: normalizeLimit(quota && quota.daily, 'Daily')
+        };
+    }
+
+    /**
+     * Sends counted against a device's caps in the current hour and day, across all campaigns and single sends.
+     * usage replaces the device's recorded counts, e.g. counts projected by a campaign preview.
+     */
+    getQuotaStatus(deviceId, now = new Date(), usage = null) {
+        const device = this.devices.get(deviceId);
+        const quota = (device && device.quota) || {};
+        usage = usage || (device && device.usage) || {};
+        const periods = this.getQuotaPeriods(now);
+
+        const hourly = { used: usage.hour === periods.hour ? usage.hourCount : 0, limit: quota.hourly || null };
+        const daily = { used: usage.day === periods.day ? usage.dayCount : 0, limit: quota.daily || null };
+
+        // The daily cap is reported first since it lasts longer
+        if (daily.limit && daily.used >= daily.limit) {
+            return { capped: true, reason: 'daily', resetsAt: periods.nextDay, hourly: hourly, daily: daily };
+        }
+        if (hourly.limit && hourly.used >= hourly.limit) {
+            return { capped: true, reason: 'hourly', resetsAt: periods.nextHour, hourly: hourly, daily: daily };
+        }
+        return { capped: false, reason: null, resetsAt: null, hourly: hourly, daily: daily };
+    }
+
+    isDeviceCapped(deviceId) {
+        return this.getQuotaStatus(deviceId).capped;
+    }
+
+    /**
+     * Count one outgoing message against the device's hourly and daily caps
+     */
+    recordDeviceSend(device, now = new Date()) {
+        device.usage = this.countDeviceSend(device.usage, now);
+        this.saveDeviceRecord(device);
+    }
+
+    /**
+     * Hourly and daily counts after one more send at `now`
+     */
+    countDeviceSend(usage, now = new Date()) {
+        const periods = this.getQuotaPeriods(now);
+        usage = usage || {};
+
+        return {
+            day: periods.day,
+            dayCount: (usage.day === periods.day ? usage.dayCount : 0) + 1,
+            hour: periods.hour,
+            hourCount: (usage.hour === periods.hour ? usage.hourCount : 0) + 1
+        };
+    }
+
+    /**
+     * Set a device's hourly and daily sending caps
+     */
+    setDeviceQuota(deviceId, quota) {
+        const device = this.devices.get(deviceId);
+        if (!device) {
+            throw new Error('Device not found');
+        }
+
+        device.quota = this.normalizeQuota(quota);
+        this.saveDeviceRecord(device);
+
+        console.log(`Sending limits for device ${deviceId}: ${device.quota.hourly || 'unlimited'}/hour, ${device.quota.daily || 'unlimited'}/day`);
+        return this.getQuotaStatus(deviceId);
+    }
+
+    /**
+     * Ask WhatsApp whether a number has an account, without opening a chat
+     */
+    async checkNumberRegistered(deviceId, phoneNumber) {
+        const device = this.devices.get(deviceId);
+
+        if (!device || !device.client || !device.isReady) {
+            throw new Error('Device not ready for checking numbers');
+        }
+
+        const numberId = await device.client.getNumberId(this.normalizeRecipientNumber(phoneNumber));
+
+        device.lastActivity = new Date();
+        this.resetDeviceTimeout(deviceId);
+
+        return {
+            registered: Boolean(numberId),
+            whatsappId: numberId ? numberId._serialized : null
+        };
+    }
+
+    /**
+     * Whether a recipient is a group chat id (…@g.us) rather than a phone number
+     */
+    isGroupChatId(recipient) {
+        return /^[\d-]+@g\.us$/i.test(String(recipient || '').trim());
+    }
+
+    /**
+     * WhatsApp chat id for a phone number or group id
+     */
+    getChatId(recipient) {
+        const value = String(recipient || '').trim();
+        return this.isGroupChatId(value) ? value.toLowerCase() : `${this.normalizeRecipientNumber(value)}@c.us`;
+    }
+
+    /**
+     * International digits for a number, read the same way as imported numbers ("+", "00",
+     * spaces and dashes are fine). Callers pass numbers that already carry their country code.
+     */
+    normalizeRecipientNumber(phoneNumber) {
+        const parsed = PhoneNumber.normalize(String(phoneNumber || '').replace(/@c\.us$/i, ''));
+        if (!parsed.valid) {
+            throw new Error(`Invalid phone number ${phoneNumber}: ${parsed.reason}`);
+        }
+        return parsed.phoneNumber;
+    }
+
+    /**
+     * Groups a ready device is a member of, by name
+     */
+    async getDeviceGroups(deviceId) {
+        const device = this.devices.get(deviceId);
+
+        if (!device || !device.client || !device.isReady) {
+            throw new Error('Device not ready for listing groups');
+        }
+
+        const chats = await device.client.getChats();
+        device.lastActivity = new Date();
+        this.resetDeviceTimeout(deviceId);
+
+        return chats
+            .filter(chat => chat.isGroup)
+            .map(chat => ({
+                id: chat.id._serialized,
+                name: chat.name || chat.id.user,
+                participantCount: (chat.participants || []).length,
+                canSend: !chat.isReadOnly
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Members of a group with their phone numbers and names as the device knows them.
+     * The device's own number is left out; members whose number WhatsApp hides are counted as hidden.
+     */
+    async getGroupParticipants(deviceId, groupId) {
+        const device = this.devices.get(deviceId);
+
+        if (!device || !device.client || !device.isReady) {
+            throw new Error('Device not ready for listing groups');
+        }
+        if (!this.isGroupChatId(groupId)) {
+            throw new Error('Invalid group id');
+        }
+
+        const chat = await device.client.getChatById(this.getChatId(groupId));
+        if (!chat || !chat.isGroup) {
+            throw new Error('Group not found on this device');
+        }
+
+        const participants = [];
+        let hidden = 0;
+        for (const participant of chat.participants || []) {
+            let contact = null;
+            try {
+                contact = await device.client.getContactById(participant.id._serialized);
+            } catch (error) {
+                console.warn(`Could not load group member ${participant.id._serialized}:`, error.message);
+            }
+
+            // Linked-id (@lid) members only carry their number on the contact
+            const phoneNumber = participant.id.server === 'c.us' ? participant.id.user : contact && contact.number;
+            if (!phoneNumber) {
+                hidden++;
+                continue;
+            }
+            if (phoneNumber === device.phoneNumber) continue;
+
+            participants.push({
+                phoneNumber: phoneNumber,
+                name: (contact && (contact.name || contact.pushname)) || '',
+                isAdmin: Boolean(participant.isAdmin || participant.isSuperAdmin)
+            });
+        }
+
+        device.lastActivity = new Date();
+        this.resetDeviceTimeout(deviceId);
+
+        return {
+            group: { id: chat.id._serialized, name: chat.name || chat.id.user },
+            participants: participants,
+            hidden: hidden
+        };
+    }
+
+    /**
+     * A device's groups as a recipient CSV (phone holds the group id) for group campaigns
+     */
+    async getGroupsCsv(deviceId) {
+        const groups = await this.getDeviceGroups(deviceId);
+        return this.formatCsv(['phone', 'name', 'participants'], groups
+            .filter(group => group.canSend)
+            .map(group => [group.id, group.name, group.participantCount]));
+    }
+
+    /**
+     * A group's members as a recipient CSV for the bulk sender
+     */
+    async getGroupParticipantsCsv(deviceId, groupId) {
+        const { group, participants } = await this.getGroupParticipants(deviceId, groupId);
+        return {
+            group: group,
+            csv: this.formatCsv(['phone', 'name', 'admin', 'group'], participants
+                .map(participant => [participant.phoneNumber, participant.name, participant.isAdmin ? 'yes' : 'no', group.name]))
+        };
+    }
+
+    formatCsv(headers, rows) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+
     /**
      * Send bulk messages using available devices with rotation strategy
      */
@@ -887,14 +1686,19 @@ class DeviceManager {
                 }
             }
 
-            // Remove from devices map
+            // Remove from devices map and registry
             this.devices.delete(deviceId);
+            this.deleteDeviceRecord(deviceId);
 
-            // Clear timeout
+            // Clear timeouts
             if (this.deviceTimeouts.has(deviceId)) {
                 clearTimeout(this.deviceTimeouts.get(deviceId));
                 this.deviceTimeouts.delete(deviceId);
             }
+            if (this.reconnectTimers.has(deviceId)) {
+                clearTimeout(this.reconnectTimers.get(deviceId));
+                this.reconnectTimers.delete(deviceId);
+            }
 
             // Clear message queue
             this.messageQueue.delete(deviceId);
@@ -915,16 +1719,21 @@ class DeviceManager {
                 this.userDevices.get(device.userId).delete(deviceId);
             }
             this.devices.delete(deviceId);
+            this.deleteDeviceRecord(deviceId);
             this.messageQueue.delete(deviceId);
             if (this.deviceTimeouts.has(deviceId)) {
                 clearTimeout(this.deviceTimeouts.get(deviceId));
                 this.deviceTimeouts.delete(deviceId);
             }
+            if (this.reconnectTimers.has(deviceId)) {
+                clearTimeout(this.reconnectTimers.get(deviceId));
+                this.reconnectTimers.delete(deviceId);
+            }
         }
     }
 
     /**
-     * Reset device timeout
+     * Reset device timeout - an idle device gets a keep-alive check instead of being removed
      */
     resetDeviceTimeout(deviceId) {
         // Clear existing timeout
@@ -934,36 +1743,30 @@ class DeviceManager {
 
         // Set new timeout
         const timeout = setTimeout(async () => {
-            console.log(`Device ${deviceId} timed out, cleaning up...`);
-            await this.deleteDevice(deviceId);
+            this.deviceTimeouts.delete(deviceId);
+            if (!this.devices.has(deviceId)) return;
+
+            console.log(`Device ${deviceId} has been idle, checking its connection...`);
+            if (await this.checkDeviceHealth(deviceId)) {
+                this.resetDeviceTimeout(deviceId);
+            }
         }, this.DEVICE_TIMEOUT);
 
         this.deviceTimeouts.set(deviceId, timeout);
     }
 
     /**
-     * Start cleanup interval for inactive devices
+     * Start the maintenance interval: devices left in an error state get another reconnect attempt
      */
     startCleanupInterval() {
         setInterval(async () => {
-            const now = new Date();
-            const inactiveDevices = [];
-
             for (const [deviceId, device] of this.devices) {
-                const timeDiff = now - device.lastActivity;
-                
-                // Mark devices inactive after 2 hours of no activity
-                if (timeDiff > (2 * 60 * 60 * 1000)) {
-                    inactiveDevices.push(deviceId);
+                // Failed restores and errors that were not retried automatically
+                if (device.status === 'error' && !this.reconnectTimers.has(deviceId)) {
+                    this.scheduleReconnect(deviceId, 'Device was left in an error state');
                 }
             }
 
-            // Clean up inactive devices
-            for (const deviceId of inactiveDevices) {
-                console.log(`Cleaning up inactive device: ${deviceId}`);
-                await this.deleteDevice(deviceId);
-            }
-
             // Log device stats
             if (this.devices.size > 0) {
                 console.log(`Active devices: ${this.devices.size}`);
@@ -973,18 +1776,19 @@ class DeviceManager {
     }
 
     /**
-     * Cleanup all devices
+     * Close all device clients on shutdown.
+     * The registry and LocalAuth sessions are kept so restoreDevices() can bring them back.
      */
     async cleanup() {
-        console.log('Cleaning up all devices...');
+        console.log('Closing all devices...');
         
-        const deviceIds = Array.from(this.devices.keys());
-        
-        for (const deviceId of deviceIds) {
+        for (const [deviceId, device] of this.devices) {
             try {
-                await this.deleteDevice(deviceId);
+                if (device.client && device.client.pupPage) {
+                    await device.client.destroy();
+                }
             } catch (error) {
-                console.error(`Error cleaning up device ${deviceId}:`, error);
+                console.error(`Error closing device ${deviceId}:`, error);
             }
         }
 
@@ -993,8 +1797,12 @@ class DeviceManager {
             clearTimeout(timeout);
         }
         this.deviceTimeouts.clear();
+        for (const timer of this.reconnectTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.reconnectTimers.clear();
 
-        console.log('All devices cleaned up');
+        console.log('All devices closed');
     }
 
     /**
@@ -1038,15 +1846,7 @@ class DeviceManager {
      * Personalize message with recipient data
      */
     personalizeMessage(message, recipient) {
-        let personalizedMessage = message;
-        
-        // Replace variables with recipient data
-        personalizedMessage = personalizedMessage.replace(/\{name\}/g, recipient.name || recipient.phoneNumber);
-        personalizedMessage = personalizedMessage.replace(/\{city\}/g, recipient.city || '');
-        personalizedMessage = personalizedMessage.replace(/\{order\}/g, recipient.order || '');
-        personalizedMessage = personalizedMessage.replace(/\{mobile\}/g, recipient.phoneNumber || '');
-        
-        return personalizedMessage;
+        return MessageTemplate.render(message, recipient).content;
     }
 
     /**
@@ -0,0 +1,226 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+
+class InboxManager {
+    constructor(io, deviceManager, campaignManager, storage = getStorage()) {
+        this.io = io;
+        this.deviceManager = deviceManager;
+        this.campaignManager = campaignManager;
+        this.storage = storage;
+        this.inbox = new Map(); // Map<userId, Array<inboundMessage>>
+
+        // Load existing inbound messages on startup
+        this.loadInboundMessages();
+
+        // Capture replies from every device
+        this.deviceManager.onIncomingMessage((incoming) => this.handleIncomingMessage(incoming));
+    }
+
+    /**
+     * Store an inbound message and link it to the campaign that last messaged the sender
+     */
+    handleIncomingMessage(incoming) {
+        const inbound = { ...incoming, read: false, campaignId: null, campaignName: null };
+
+        if (!inbound.isGroup) {
+            const outbound = this.campaignManager.findLastOutboundMessage(inbound.userId, inbound.phoneNumber);
+            if (outbound) {
+                inbound.campaignId = outbound.campaignId || null;
+                inbound.campaignName = outbound.campaignName || null;
+                inbound.inReplyTo = outbound.id;
+                this.campaignManager.recordReply(outbound, inbound);
+            }
+        }
+
+        if (!this.inbox.has(inbound.userId)) {
+            this.inbox.set(inbound.userId, []);
+        }
+        this.inbox.get(inbound.userId).push(inbound);
+
+        try {
+            this.storage.insertInboundMessage(inbound);
+        } catch (error) {
+            console.error('Error saving inbound message:', error);
+        }
+
+        this.io.to(inbound.userId).emit('inbound-message', inbound);
+
+        console.log(`📥 Inbound message for user ${inbound.userId} from ${inbound.phoneNumber} on device ${inbound.deviceId}${inbound.campaignId ? ` (reply to campaign ${inbound.campaignId})` : ''}`);
+        return inbound;
+    }
+
+    /**
+     * Get inbound messages, optionally for one device or sender
+     */
+    getUserInbox(userId, filters = {}) {
+        return (this.inbox.get(userId) || []).filter(message =>
+            (!filters.deviceId || message.deviceId === filters.deviceId) &&
+            (!filters.phoneNumber || message.phoneNumber === filters.phoneNumber));
+    }
+
+    /**
+     * One entry per sender with the latest message and unread count (newest first)
+     */
+    getConversations(userId, filters = {}) {
+        const conversations = new Map();
+
+        this.getUserInbox(userId, filters).forEach(message => {
+            const key = message.isGroup ? message.chatId : message.phoneNumber;
+            if (!conversations.has(key)) {
+                conversations.set(key, {
+                    phoneNumber: message.phoneNumber,
+                    chatId: message.chatId,
+                    isGroup: message.isGroup,
+                    senderName: null,
+                    deviceId: null,
+                    deviceName: null,
+                    campaignId: null,
+                    campaignName: null,
+                    lastMessage: null,
+                    lastTimestamp: null,
+                    total: 0,
+                    unread: 0
+                });
+            }
+
+            const conversation = conversations.get(key);
+            conversation.total++;
+            if (!message.read) conversation.unread++;
+            if (!conversation.lastTimestamp || new Date(message.timestamp) >= new Date(conversation.lastTimestamp)) {
+                conversation.senderName = message.senderName || conversation.senderName;
+                conversation.deviceId = message.deviceId;
+                conversation.deviceName = message.deviceName;
+                conversation.campaignId = message.campaignId || conversation.campaignId;
+                conversation.campaignName = message.campaignName || conversation.campaignName;
+                conversation.lastMessage = message.hasMedia && !message.body ? `[${message.type}]` : message.body;
+                conversation.lastTimestamp = message.timestamp;
+            }
+        });
+
+        return Array.from(conversations.values())
+            .sort((a, b) => new Date(b.lastTimestamp) - new Date(a.lastTimestamp));
+    }
+
+    /**
+     * Inbound and outbound messages with one number, oldest first
+     */
+    getConversation(userId, phoneNumber) {
+        const inbound = this.getUserInbox(userId, { phoneNumber })
+            .map(message => ({ ...message, direction: 'in' }));
+
+        const outbound = this.campaignManager.getUserMessages(userId)
+            .filter(message => message.recipient && this.campaignManager.isSamePhoneNumber(message.recipient.phoneNumber, phoneNumber, userId))
+            .map(message => ({
+                id: message.id,
+                direction: 'out',
+                body: message.content,
+                status: message.status,
+                error: message.error,
+                deviceId: message.deviceId,
+                deviceName: message.deviceName,
+                campaignId: message.campaignId,
+                campaignName: message.campaignName,
+                timestamp: message.timestamp
+            }));
+
+        return [...inbound, ...outbound].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * Mark every inbound message from a number as read
+     */
+    markConversationRead(userId, phoneNumber) {
+        const unread = this.getUserInbox(userId, { phoneNumber }).filter(message => !message.read);
+        if (unread.length === 0) {
+            return 0;
+        }
+
+        unread.forEach(message => {
+            message.read = true;
+            message.readAt = new Date();
+        });
+
+        try {
+            this.storage.updateInboundMessages(unread);
+        } catch (error) {
+            console.error('Error saving inbox read state:', error);
+        }
+
+        return unread.length;
+    }
+
+    /**
+     * Answer a conversation from one of the user's devices
+     */
+    async sendReply(userId, { deviceId, phoneNumber, message }) {
+        const device = this.deviceManager.getDevice(deviceId);
+        if (!device || device.userId !== userId) {
+            throw new Error('Device not found or access denied');
+        }
+
+        const record = {
+            id: uuidv4(),
+            userId: userId,
+            campaignId: null,
+            campaignName: 'Inbox Reply',
+            recipient: { phoneNumber: phoneNumber, name: phoneNumber },
+            content: message,
+            deviceId: device.id,
+            deviceName: device.name,
+            status: 'sent',
+            timestamp: new Date(),
+            responseTime: null,
+            source: 'inbox'
+        };
+
+        try {
+            const result = await this.deviceManager.sendMessage(device.id, phoneNumber, message, null, {
+                enableTypingSimulation: false
+            });
+            record.whatsappMessageId = result?.id?._serialized || null;
+        } catch (error) {
+            record.status = 'failed';
+            record.error = error.message;
+            this.campaignManager.storeMessage(record);
+            throw error;
+        }
+
+        this.campaignManager.storeMessage(record);
+        this.markConversationRead(userId, phoneNumber);
+        return record;
+    }
+
+    /**
+     * Clear a user's inbox
+     */
+    clearUserInbox(userId) {
+        this.inbox.delete(userId);
+        try {
+            this.storage.deleteUserInboundMessages(userId);
+        } catch (error) {
+            console.error('Error clearing inbox:', error);
+        }
+        console.log(`Cleared inbox for user: ${userId}`);
+    }
+
+    /**
+     * Load inbound messages from storage
+     */
+    loadInboundMessages() {
+        try {
+            const savedMessages = this.storage.loadInboundMessages();
+
+            for (const [userId, messages] of Object.entries(savedMessages)) {
+                this.inbox.set(userId, messages);
+            }
+
+            const totalMessages = Object.values(savedMessages).reduce((sum, arr) => sum + arr.length, 0);
+            console.log(`Loaded ${totalMessages} inbound messages from storage`);
+        } catch (error) {
+            console.error('Error loading inbound messages:', error);
+            this.inbox.clear();
+        }
+    }
+}
+
+module.exports = InboxManager;
@@ -0,0 +1,317 @@
+// Message rendering shared by campaigns, bulk sends and previews
+const VARIANT_MODES = ['rotate', 'random'];
+
+// Variables every recipient has, whatever columns the CSV had
+const BUILT_IN_VARIABLES = ['name', 'city', 'order', 'mobile', 'phone'];
+
+const FILTERS = ['upper', 'lower', 'title', 'date', 'currency'];
+
+// \{ and \} are literal braces; they're swapped for these private-use characters while a body is parsed
+const OPEN_BRACE = '\uE000';
+const CLOSE_BRACE = '\uE001';
+
+// Only placeholders shaped like a column name need a column; other brace text such as {50% off!} is sent as written
+const VARIABLE_NAME = /^[a-z][\w -]{0,39}$/i;
+
+// A first option written as a column key ({first_name|there}) makes a group a placeholder with a default
+// even without a matching column, so a misspelt column is reported instead of spun; {Hi|Hello} stays spintax
+const COLUMN_KEY = /^[a-z][a-z0-9]*(_[a-z0-9]+)+$/i;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class MessageTemplate {
+    static protectEscapes(text) {
+        return String(text).replace(/\\\{/g, OPEN_BRACE).replace(/\\\}/g, CLOSE_BRACE);
+    }
+
+    static restoreEscapes(text) {
+        return text.split(OPEN_BRACE).join('{').split(CLOSE_BRACE).join('}');
+    }
+
+    /**
+     * Expand spintax such as {Hi|Hello|Salam}, including nested groups.
+     * Braces without a "|", or whose first option is a variable name ({name|Customer}) or written
+     * as a column key ({first_name|there}), are variables and are left for substitution.
+     * Returns the text and the option picked for each group, in order.
+     */
+    static expandSpintax(text, random = Math.random, isVariable = () => false) {
+        let pos = 0;
+
+        // Each option keeps the choices made inside it, so only the path taken is reported
+        const parse = (inGroup) => {
+            const options = [{ text: '', choices: [] }];
+            while (pos < text.length) {
+                const char = text[pos++];
+                const current = options[options.length - 1];
+                if (char === '{') {
+                    const group = parse(true);
+                    current.text += group.text;
+                    current.choices.push(...group.choices);
+                } else if (inGroup && char === '}') {
+                    if (options.length === 1 || MessageTemplate.isColumnKey(options[0].text) || isVariable(options[0].text)) {
+                        return {
+                            text: `{${options.map(option => option.text).join('|')}}`,
+                            choices: [].concat(...options.map(option => option.choices))
+                        };
+                    }
+                    const choice = options[Math.floor(random() * options.length)];
+                    return { text: choice.text, choices: [choice.text, ...choice.choices] };
+                } else if (inGroup && char === '|') {
+                    options.push({ text: '', choices: [] });
+                } else {
+                    current.text += char;
+                }
+            }
+            // Unclosed brace - keep the text as written
+            return {
+                text: inGroup ? `{${options.map(option => option.text).join('|')}` : options[0].text,
+                choices: [].concat(...options.map(option => option.choices))
+            };
+        };
+
+        return parse(false);
+    }
+
+    /**
+     * Key a column or placeholder name is matched on ("Order Date" and {order_date} match)
+     */
+    static variableKey(name) {
+        return String(name).trim().toLowerCase().replace(/[\s_-]+/g, '_');
+    }
+
+    /**
+     * All variables of a recipient: built-ins plus every CSV column kept in recipient.fields
+     */
+    static getVariables(recipient) {
+        const variables = new Map();
+        for (const [column, value] of Object.entries(recipient.fields || {})) {
+            variables.set(MessageTemplate.variableKey(column), value === null || value === undefined ? '' : String(value));
+        }
+
+        // Parsers fill a missing name with the number, which shouldn't stop {name|Customer} from applying
+        const name = recipient.name && recipient.name !== recipient.phoneNumber ? recipient.name : '';
+        variables.set('name', name || variables.get('name') || '');
+        variables.set('city', recipient.city || variables.get('city') || '');
+        variables.set('order', recipient.order || variables.get('order') || '');
+        variables.set('mobile', recipient.phoneNumber || '');
+        variables.set('phone', recipient.phoneNumber || '');
+        return variables;
+    }
+
+    /**
+     * Column keys available to a campaign's templates
+     */
+    static getColumns(recipients) {
+        const columns = new Set(BUILT_IN_VARIABLES);
+        (recipients || []).forEach(recipient => {
+            Object.keys(recipient.fields || {}).forEach(column => columns.add(MessageTemplate.variableKey(column)));
+        });
+        return columns;
+    }
+
+    static isColumnKey(segment) {
+        return COLUMN_KEY.test(segment.trim());
+    }
+
+    static isFilter(segment) {
+        return FILTERS.includes(segment.trim().split(':')[0].trim().toLowerCase());
+    }
+
+    /**
+     * Split "name|title|Customer" into the variable, its filters and its default
+     */
+    static parsePlaceholder(inner) {
+        const [name, ...segments] = inner.split('|');
+        const placeholder = { name: name.trim(), key: MessageTemplate.variableKey(name), filters: [], defaultValue: undefined };
+
+        segments.forEach(segment => {
+            if (MessageTemplate.isFilter(segment)) {
+                const separator = segment.indexOf(':');
+                placeholder.filters.push({
+                    name: (separator === -1 ? segment : segment.slice(0, separator)).trim().toLowerCase(),
+                    arg: separator === -1 ? '' : segment.slice(separator + 1).trim()
+                });
+            } else if (placeholder.defaultValue === undefined) {
+                placeholder.defaultValue = segment;
+            }
+        });
+        return placeholder;
+    }
+
+    static applyFilter(value, filter) {
+        switch (filter.name) {
+            case 'upper':
+                return value.toUpperCase();
+            case 'lower':
+                return value.toLowerCase();
+            case 'title':
+                return value.toLowerCase().replace(/(^|[\s-])(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+            case 'date':
+                return MessageTemplate.formatDate(value, filter.arg || 'DD MMM YYYY');
+            case 'currency':
+                return MessageTemplate.formatCurrency(value, filter.arg || 'USD');
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Format a date with YYYY, MM, MMM, DD, HH and mm tokens; unparseable values are left as they are
+     */
+    static formatDate(value, format) {
+        // Plain YYYY-MM-DD dates are days, not UTC midnight
+        const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+        const date = day ? new Date(day[1], day[2] - 1, day[3]) : new Date(value);
+        if (!value || isNaN(date.getTime())) return value;
+
+        const pad = number => String(number).padStart(2, '0');
+        const tokens = {
+            YYYY: String(date.getFullYear()),
+            MMM: MONTHS[date.getMonth()],
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes())
+        };
+        return format.replace(/YYYY|MMM|MM|DD|HH|mm/g, token => tokens[token]);
+    }
+
+    /**
+     * Format a number as an amount in an ISO currency; non-numbers are left as they are
+     */
+    static formatCurrency(value, currency) {
+        const amount = Number(String(value).replace(/[^\d.-]/g, ''));
+        if (!String(value).trim() || isNaN(amount)) return value;
+
+        try {
+            return new Intl.NumberFormat('en', { style: 'currency', currency: currency.toUpperCase() }).format(amount);
+        } catch (error) {
+            return `${currency} ${amount.toFixed(2)}`;
+        }
+    }
+
+    /**
+     * Replace recipient variables. Unknown placeholders without a default are left as written.
+     */
+    static substituteVariables(message, recipient, variables = MessageTemplate.getVariables(recipient)) {
+        return message.replace(/\{([^{}]+)\}/g, (match, inner) => {
+            const placeholder = MessageTemplate.parsePlaceholder(inner);
+            if (!variables.has(placeholder.key) && placeholder.defaultValue === undefined) {
+                return match;
+            }
+
+            let value = variables.get(placeholder.key) || '';
+            if (!value) {
+                value = placeholder.defaultValue !== undefined ? placeholder.defaultValue :
+                    placeholder.key === 'name' ? (recipient.phoneNumber || '') : '';
+            }
+            return placeholder.filters.reduce((result, filter) => MessageTemplate.applyFilter(result, filter), value);
+        });
+    }
+
+    /**
+     * Placeholders in the bodies that look like a column name but match no column.
+     * Defaults only fill empty cells, so a placeholder with one still needs its column.
+     */
+    static findUnknownPlaceholders(bodies, columns) {
+        const unknown = new Set();
+        const check = (inner) => {
+            const placeholder = MessageTemplate.parsePlaceholder(inner);
+            if (VARIABLE_NAME.test(placeholder.name) && !columns.has(placeholder.key)) {
+                unknown.add(placeholder.name);
+            }
+        };
+
+        (Array.isArray(bodies) ? bodies : [bodies]).forEach(body => {
+            let text = MessageTemplate.protectEscapes(body || '');
+            let previous;
+            // Resolve innermost groups first so placeholders inside spintax are checked too
+            do {
+                previous = text;
+                text = text.replace(/\{([^{}]*)\}/g, (match, inner) => {
+                    const segments = inner.split('|');
+                    if (segments.length === 1) {
+                        check(inner);
+                    } else if (columns.has(MessageTemplate.variableKey(segments[0])) || MessageTemplate.isColumnKey(segments[0]) ||
+                        segments.slice(1).some(segment => MessageTemplate.isFilter(segment))) {
+                        check(inner);
+                    }
+                    return '';
+                });
+            } while (text !== previous);
+        });
+
+        return Array.from(unknown);
+    }
+
+    /**
+     * Throw when a body uses placeholders the recipients have no column for
+     */
+    static validate(bodies, recipients) {
+        const unknown = MessageTemplate.findUnknownPlaceholders(bodies, MessageTemplate.getColumns(recipients));
+        if (unknown.length > 0) {
+            const error = new Error(`No matching column for ${unknown.map(name => `{${name}}`).join(', ')}. ` +
+                `Add the column to your CSV, fix the name, or write \\{${unknown[0]}\\} to send the braces as text`);
+            error.unknownPlaceholders = unknown;
+            throw error;
+        }
+    }
+
+    /**
+     * Clean up a list of alternative bodies, dropping empty ones
+     */
+    static normalizeVariants(variants) {
+        if (!variants) return [];
+        if (typeof variants === 'string') {
+            variants = variants.trim().startsWith('[') ? JSON.parse(variants) : [variants];
+        }
+        if (!Array.isArray(variants)) {
+            throw new Error('Message variants must be a list of message bodies');
+        }
+        return variants.map(body => String(body || '').trim()).filter(Boolean);
+    }
+
+    static normalizeVariantMode(mode) {
+        if (!mode) return 'rotate';
+        if (!VARIANT_MODES.includes(mode)) {
+            throw new Error(`Variant mode must be one of: ${VARIANT_MODES.join(', ')}`);
+        }
+        return mode;
+    }
+
+    /**
+     * Choose the body for a recipient: rotated by position or picked at random
+     */
+    static pickBody(bodies, index, mode = 'rotate', random = Math.random) {
+        const bodyIndex = mode === 'random'
+            ? Math.floor(random() * bodies.length)
+            : index % bodies.length;
+        return { body: bodies[bodyIndex], bodyIndex: bodyIndex };
+    }
+
+    /**
+     * Render the message for one recipient.
+     * The returned variant is what gets stored on history records.
+     */
+    static render(bodies, recipient, index = 0, options = {}) {
+        const list = Array.isArray(bodies) ? bodies : [bodies];
+        const random = options.random || Math.random;
+        const { body, bodyIndex } = MessageTemplate.pickBody(list, index, options.variantMode, random);
+        const variables = MessageTemplate.getVariables(recipient);
+        const spun = MessageTemplate.expandSpintax(MessageTemplate.protectEscapes(body || ''), random, option => variables.has(MessageTemplate.variableKey(option)));
+
+        return {
+            content: MessageTemplate.restoreEscapes(MessageTemplate.substituteVariables(spun.text, recipient, variables)),
+            variant: {
+                body: bodyIndex + 1,
+                choices: spun.choices.map(MessageTemplate.restoreEscapes)
+            }
+        };
+    }
+}
+
+MessageTemplate.VARIANT_MODES = VARIANT_MODES;
+MessageTemplate.BUILT_IN_VARIABLES = BUILT_IN_VARIABLES;
+MessageTemplate.FILTERS = FILTERS;
+
+module.exports = MessageTemplate;
@@ -0,0 +1,245 @@
+// Phone number normalization shared by CSV imports, manual numbers and single sends.
+// Numbers are stored as E.164 digits without the "+" (923001234567), which is what WhatsApp chat ids use.
+
+// Calling code, trunk prefix dialled before national numbers, and the shortest and longest
+// national numbers (mobile and landline) after the calling code. +1 numbers are reported as US.
+const COUNTRIES = [
+    { code: 'AE', name: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', minLength: 8, maxLength: 9 },
+    { code: 'AF', name: 'Afghanistan', callingCode: '93', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+    { code: 'AU', name: 'Australia', callingCode: '61', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+    { code: 'BD', name: 'Bangladesh', callingCode: '880', trunkPrefix: '0', minLength: 7, maxLength: 10 },
+    { code: 'BH', name: 'Bahrain', callingCode: '973', trunkPrefix: null, minLength: 8, maxLength: 8 },
+    { code: 'BR', name: 'Brazil', callingCode: '55', trunkPrefix: '0', minLength: 10, maxLength: 11 },
+    { code: 'CN', name: 'China', callingCode: '86', trunkPrefix: '0', minLength: 10, maxLength: 12 },
+    { code: 'DE', name: 'Germany', callingCode: '49', trunkPrefix: '0', minLength: 7, maxLength: 13 },
+    { code: 'EG', name: 'Egypt', callingCode: '20', trunkPrefix: '0', minLength: 8, maxLength: 10 },
+    { code: 'ES', name: 'Spain', callingCode: '34', trunkPrefix: null, minLength: 9, maxLength: 9 },
+    { code: 'FR', name: 'France', callingCode: '33', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+    { code: 'GB', name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', minLength: 9, maxLength: 10 },
+    { code: 'ID', name: 'Indonesia', callingCode: '62', trunkPrefix: '0', minLength: 8, maxLength: 12 },
+    { code: 'IN', name: 'India', callingCode: '91', trunkPrefix: '0', minLength: 10, maxLength: 10 },
+    { code: 'IT', name: 'Italy', callingCode: '39', trunkPrefix: null, minLength: 6, maxLength: 11 },
+    { code: 'KE', name: 'Kenya', callingCode: '254', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+    { code: 'KW', name: 'Kuwait', callingCode: '965', trunkPrefix: null, minLength: 8, maxLength: 8 },
+    { code: 'LK', name: 'Sri Lanka', callingCode: '94', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+    { code: 'MX', name: 'Mexico', callingCode: '52', trunkPrefix: null, minLength: 10, maxLength: 10 },
+    { code: 'MY', name: 'Malaysia', callingCode: '60', trunkPrefix: '0', minLength: 8, maxLength: 10 },
+    { code: 'NG', name: 'Nigeria', callingCode: '234', trunkPrefix: '0', minLength: 8, maxLength: 10 },
+    { code: 'NL', name: 'Netherlands', callingCode: '31', trunkPrefix: '0', minLength: 9, maxLength: 9 },
+    { code: 'NP', name: 'Nepal', callingCode: '977', trunkPrefix: null, minLength: 8, maxLength: 10 },
+    { code: 'OM', name: 'Oman', callingCode: '968', trunkPrefix: null, minLength: 8, maxLength: 8 },
+    { code: 'PH', name: 'Philippines', callingCode: '63', trunkPrefix: '0', minLength: 8, maxLength: 10 },
+    { code: 'PK', name: 'Pakistan', callingCode: '92', trunkPrefix: '0', minLength: 9, maxLength: 10 },
+    { code: 'QA', name: 'Qatar', callingCode: '974', trunkPrefix: null, minLength: 8, maxLength: 8 },
+    { code: 'SA', name: 'Saudi Arabia', callingCode: '966', trunkPrefix: '0', minLength: 8, maxLength: 9 },
+    { code: 'TR', name: 'Turkey', callingCode: '90', trunkPrefix: '0', minLength: 10, maxLength: 10 },
+    { code: 'US', name: 'United States', callingCode: '1', trunkPrefix: '1', minLength: 10, maxLength: 10 },
+    { code: 'CA', name: 'Canada', callingCode: '1', trunkPrefix: '1', minLength: 10, maxLength: 10 },
+    { code: 'ZA', name: 'South Africa', callingCode: '27', trunkPrefix: '0', minLength: 9, maxLength: 9 }
+];
+
+// E.164 allows at most 15 digits; anything under 8 is not a full international number
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 15;
+
+// WhatsApp group ids (…@g.us) pass through untouched
+const GROUP_ID_PATTERN = /^[\d-]+@g\.us$/i;
+
+class PhoneNumber {
+    /**
+     * Countries a user can pick as their default, by name
+     */
+    static getCountries() {
+        return COUNTRIES
+            .map(country => ({ code: country.code, name: country.name, callingCode: country.callingCode }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    static getCountry(code) {
+        return COUNTRIES.find(country => country.code === String(code || '').trim().toUpperCase()) || null;
+    }
+
+    /**
+     * Validate a default country setting; empty means "numbers include their country code"
+     */
+    static normalizeCountry(code) {
+        if (!code) return null;
+        const country = PhoneNumber.getCountry(code);
+        if (!country) {
+            throw new Error(`Unknown country: ${code}`);
+        }
+        return country.code;
+    }
+
+    /**
+     * Whether a national number of this many digits can belong to the country
+     */
+    static fitsCountry(country, length) {
+        return length >= country.minLength && length <= country.maxLength;
+    }
+
+    static isGroupId(value) {
+        return GROUP_ID_PATTERN.test(String(value || '').trim());
+    }
+
+    /**
+     * Read digits that start with a calling code. Known calling codes must be followed by a
+     * national number of the right length; unknown ones only need a plausible total length.
+     */
+    static parseInternational(digits) {
+        for (const length of [3, 2, 1]) {
+            const callingCode = digits.substring(0, length);
+            const countries = COUNTRIES.filter(country => country.callingCode === callingCode);
+            if (countries.length === 0) continue;
+
+            const national = digits.substring(length);
+            const country = countries.find(candidate => PhoneNumber.fitsCountry(candidate, national.length));
+            return country ?
+                { phoneNumber: digits, country: country.code } :
+                { phoneNumber: null, country: countries[0].code, reason: `Wrong length for a ${countries[0].name} number` };
+        }
+
+        if (digits.startsWith('0')) {
+            return { phoneNumber: null, country: null, reason: 'Local number without a country code - set a default country or add the code' };
+        }
+        if (digits.length < MIN_LENGTH || digits.length > MAX_LENGTH) {
+            return { phoneNumber: null, country: null, reason: 'Not a valid international number' };
+        }
+        return { phoneNumber: digits, country: null, unknownCode: true };
+    }
+
+    /**
+     * Normalize one number. Numbers written with "+" or "00" are international; others are read
+     * as a national number of the default country (with or without its trunk prefix) and as an
+     * international number without the "+". When both readings are valid for different countries
+     * the number is flagged as ambiguous and the default country's reading is used.
+     *
+     * Returns { input, phoneNumber, e164, country, valid, ambiguous, alternative, reason }
+     */
+    static normalize(input, defaultCountry = null) {
+        const text = String(input === null || input === undefined ? '' : input).trim();
+        const digits = text.replace(/\D/g, '');
+        const result = (phoneNumber, country, extra = {}) => ({
+            input: text,
+            phoneNumber: phoneNumber,
+            e164: phoneNumber ? `+${phoneNumber}` : null,
+            country: country,
+            valid: Boolean(phoneNumber),
+            ambiguous: false,
+            alternative: null,
+            reason: null,
+            ...extra
+        });
+
+        if (!digits) {
+            return result(null, null, { reason: 'No phone number' });
+        }
+
+        // Explicitly international
+        if (text.startsWith('+') || digits.startsWith('00')) {
+            const parsed = PhoneNumber.parseInternational(text.startsWith('+') ? digits : digits.substring(2));
+            return result(parsed.phoneNumber, parsed.country, { reason: parsed.reason || null });
+        }
+
+        const country = PhoneNumber.getCountry(defaultCountry);
+        const international = PhoneNumber.parseInternational(digits);
+        if (!country) {
+            return result(international.phoneNumber, international.country, { reason: international.reason || null });
+        }
+
+        // A trunk prefix only appears in front of national numbers
+        if (country.trunkPrefix && digits.startsWith(country.trunkPrefix) &&
+            PhoneNumber.fitsCountry(country, digits.length - country.trunkPrefix.length)) {
+            return result(country.callingCode + digits.substring(country.trunkPrefix.length), country.code);
+        }
+
+        const national = PhoneNumber.fitsCountry(country, digits.length) ? country.callingCode + digits : null;
+        // Unknown calling codes only count when nothing else fits
+        const knownInternational = international.phoneNumber && !international.unknownCode ? international.phoneNumber : null;
+
+        if (national && knownInternational && national !== knownInternational) {
+            // Digits that already start with the default country's code are that country's number
+            if (international.country === country.code) {
+                return result(knownInternational, country.code);
+            }
+            return result(national, country.code, { ambiguous: true, alternative: `+${knownInternational}` });
+        }
+        if (national) {
+            return result(national, country.code);
+        }
+        if (international.phoneNumber) {
+            return result(international.phoneNumber, international.country);
+        }
+        return result(null, country.code, { reason: `Wrong length for a ${country.name} number` });
+    }
+
+    /**
+     * Key every spelling of the same number shares: E.164 digits when the number is valid,
+     * a group id in lower case, otherwise just its digits
+     */
+    static toKey(input, defaultCountry = null) {
+        if (PhoneNumber.isGroupId(input)) {
+            return String(input).trim().toLowerCase();
+        }
+        const parsed = PhoneNumber.normalizeStored(input, defaultCountry);
+        return parsed.valid ? parsed.phoneNumber : String(input === null || input === undefined ? '' : input).replace(/\D/g, '');
+    }
+
+    /**
+     * Normalize a number that may already be stored as E.164 digits: digits that start with a
+     * known calling code are read as international first, anything else with the default country
+     */
+    static normalizeStored(input, defaultCountry = null) {
+        const international = PhoneNumber.normalize(input);
+        return international.valid && international.country ? international : PhoneNumber.normalize(input, defaultCountry);
+    }
+
+    /**
+     * Whether two numbers are the same subscriber once both are normalized
+     */
+    static isSame(a, b, defaultCountry = null) {
+        const key = PhoneNumber.toKey(a, defaultCountry);
+        return Boolean(key) && key === PhoneNumber.toKey(b, defaultCountry);
+    }
+
+    /**
+     * Normalize recipients ({ phoneNumber, ... }) and drop repeats of the same number.
+     * Invalid numbers are left out; ambiguous ones are kept with the default country's reading.
+     * Returns { recipients, invalid, ambiguous, duplicates } where the last three list
+     * { phoneNumber (as written), name, ... } for reporting.
+     */
+    static normalizeRecipients(recipients, defaultCountry = null) {
+        const seen = new Set();
+        const summary = { recipients: [], invalid: [], ambiguous: [], duplicates: [] };
+
+        recipients.forEach(recipient => {
+            let phoneNumber;
+            if (PhoneNumber.isGroupId(recipient.phoneNumber)) {
+                phoneNumber = String(recipient.phoneNumber).trim().toLowerCase();
+            } else {
+                const parsed = PhoneNumber.normalize(recipient.phoneNumber, defaultCountry);
+                if (!parsed.valid) {
+                    summary.invalid.push({ phoneNumber: parsed.input, name: recipient.name || '', reason: parsed.reason });
+                    return;
+                }
+                if (parsed.ambiguous) {
+                    summary.ambiguous.push({ phoneNumber: parsed.input, name: recipient.name || '', normalized: parsed.e164, alternative: parsed.alternative });
+                }
+                phoneNumber = parsed.phoneNumber;
+            }
+
+            if (seen.has(phoneNumber)) {
+                summary.duplicates.push({ phoneNumber: String(recipient.phoneNumber).trim(), name: recipient.name || '', normalized: phoneNumber });
+                return;
+            }
+            seen.add(phoneNumber);
+            summary.recipients.push({ ...recipient, phoneNumber: phoneNumber });
+        });
+
+        return summary;
+    }
+}
+
+PhoneNumber.COUNTRIES = COUNTRIES;
+
+module.exports = PhoneNumber;
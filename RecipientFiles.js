@@ -0,0 +1,142 @@
+// Per-recipient attachments named by a CSV column, looked up in an uploaded ZIP or the media folder
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const MessageTemplate = require('./MessageTemplate');
+
+// Server-side folder with a sub folder per user
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'media');
+
+// Extracted ZIPs are kept here for as long as their campaign may still send
+const EXTRACT_DIR = path.join(__dirname, 'uploads', 'recipient-files');
+
+// Refuse archives that expand beyond this
+const MAX_EXTRACTED_SIZE = 500 * 1024 * 1024;
+
+class RecipientFiles {
+    /**
+     * Media folder of a user
+     */
+    static getMediaDirectory(userId) {
+        return path.join(MEDIA_DIR, String(userId).replace(/[^\w.-]/g, '_'));
+    }
+
+    /**
+     * Extract an uploaded ZIP into its own folder and return the folder
+     */
+    static extractZip(zipPath, id) {
+        const zip = new AdmZip(zipPath);
+        const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+
+        const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+        if (totalSize > MAX_EXTRACTED_SIZE) {
+            throw new Error(`ZIP expands to more than ${MAX_EXTRACTED_SIZE / 1024 / 1024}MB`);
+        }
+
+        const targetDir = path.join(EXTRACT_DIR, id);
+        fs.mkdirSync(targetDir, { recursive: true });
+
+        entries.forEach(entry => {
+            // Never write outside the folder, whatever the entry name says
+            const target = path.resolve(targetDir, entry.entryName);
+            if (!target.startsWith(targetDir + path.sep)) {
+                console.warn(`Skipping ZIP entry outside the target folder: ${entry.entryName}`);
+                return;
+            }
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, entry.getData());
+        });
+
+        console.log(`📦 Extracted ${entries.length} files to ${targetDir}`);
+        return targetDir;
+    }
+
+    /**
+     * Map of lower-cased relative paths and file names to files in a folder
+     */
+    static indexDirectory(dir) {
+        const index = new Map();
+        if (!dir || !fs.existsSync(dir)) return index;
+
+        const walk = (current) => {
+            fs.readdirSync(current, { withFileTypes: true }).forEach(entry => {
+                const fullPath = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    walk(fullPath);
+                } else if (entry.isFile()) {
+                    const relative = path.relative(dir, fullPath).split(path.sep).join('/').toLowerCase();
+                    index.set(relative, fullPath);
+                    // Bare file names match too, as long as they are unique
+                    const name = entry.name.toLowerCase();
+                    if (!index.has(name)) {
+                        index.set(name, fullPath);
+                    }
+                }
+            });
+        };
+        walk(dir);
+        return index;
+    }
+
+    /**
+     * Find the CSV column holding file names (matched like template placeholders)
+     */
+    static findColumn(recipients, column) {
+        const key = MessageTemplate.variableKey(column);
+        for (const recipient of recipients) {
+            const match = Object.keys(recipient.fields || {}).find(name => MessageTemplate.variableKey(name) === key);
+            if (match) return match;
+        }
+        return null;
+    }
+
+    /**
+     * Set recipient.attachment from the file named in the column, searching the folders in order.
+     * Recipients with an empty cell keep the campaign attachment. Returns the files that were not found.
+     */
+    static resolve(recipients, column, directories) {
+        const csvColumn = RecipientFiles.findColumn(recipients, column);
+        if (!csvColumn) {
+            throw new Error(`The CSV has no "${column}" column for per-recipient files`);
+        }
+
+        const indexes = directories.map(dir => RecipientFiles.indexDirectory(dir));
+        const missing = [];
+
+        recipients.forEach(recipient => {
+            const fileName = String(recipient.fields[csvColumn] || '').trim();
+            if (!fileName) return;
+
+            const key = fileName.replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase();
+            const index = indexes.find(candidate => candidate.has(key));
+            if (!index) {
+                missing.push({ phoneNumber: recipient.phoneNumber, file: fileName });
+                return;
+            }
+
+            const filePath = index.get(key);
+            recipient.attachment = {
+                path: filePath,
+                originalname: path.basename(filePath),
+                size: fs.statSync(filePath).size
+            };
+        });
+
+        return missing;
+    }
+
+    /**
+     * Error describing missing files, listing the first few
+     */
+    static missingFilesError(missing) {
+        const listed = missing.slice(0, 5).map(item => `${item.file} (${item.phoneNumber})`).join(', ');
+        const more = missing.length > 5 ? ` and ${missing.length - 5} more` : '';
+        const error = new Error(`${missing.length} recipient file${missing.length === 1 ? ' was' : 's were'} not found: ${listed}${more}`);
+        error.missingFiles = missing;
+        return error;
+    }
+}
+
+RecipientFiles.MEDIA_DIR = MEDIA_DIR;
+
+module.exports = RecipientFiles;
@@ -0,0 +1,560 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const MessageTemplate = require('./MessageTemplate');
+
+// How often due steps and finished step campaigns are checked
+const SEQUENCE_CHECK_INTERVAL = 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_SEQUENCE_STEPS = 10;
+
+// Outcomes of a step campaign that end a recipient's sequence
+const SKIPPED_STATUSES = ['suppressed', 'invalid'];
+
+/**
+ * Drip sequences: each step is sent as a campaign to the recipients still in the sequence.
+ * Step 1 goes out on creation, every later step its delay after the previous one started.
+ * A message from a recipient stops their sequence.
+ *
+ * Recipient status: active (waiting for the next step), replied, completed, failed, skipped, stopped
+ * Sequence status: active, paused, completed, stopped
+ */
+class SequenceManager {
+    constructor(io, deviceManager, campaignManager, storage = getStorage()) {
+        this.io = io;
+        this.deviceManager = deviceManager;
+        this.campaignManager = campaignManager;
+        this.storage = storage;
+        this.sequences = new Map(); // Map<sequenceId, sequence>
+        this.checkTimer = null;
+
+        // Load existing sequences on startup
+        this.loadSequences();
+
+        // Replies end a recipient's sequence, including steps already queued in a campaign
+        this.deviceManager.onIncomingMessage((incoming) => this.handleIncomingMessage(incoming));
+        this.campaignManager.addSkipCheck((campaign, recipient) => this.getSkipReason(campaign, recipient));
+        this.campaignManager.onCampaignFinished((campaign) => this.handleCampaignFinished(campaign));
+
+        // Start recovery service for steps that came due or finished while the server was down
+        this.startSequenceRecovery();
+    }
+
+    /**
+     * Create a sequence and send its first step
+     */
+    async createSequence(userId, sequenceData) {
+        const steps = this.normalizeSteps(sequenceData.steps);
+        const recipients = this.uniqueRecipients(sequenceData.recipients || []);
+        if (recipients.length === 0) {
+            throw new Error('A sequence needs at least one recipient');
+        }
+        MessageTemplate.validate([].concat(...steps.map(step => [step.message, ...step.messageVariants])), recipients);
+
+        const now = new Date();
+        const sequence = {
+            id: uuidv4(),
+            userId: userId,
+            name: sequenceData.name || `Sequence ${Date.now()}`,
+            steps: steps.map((step, index) => ({
+                ...step,
+                number: index + 1,
+                status: 'pending',
+                dueAt: index === 0 ? now : null,
+                campaignId: null,
+                startedAt: null,
+                finishedAt: null,
+                stats: null,
+                error: null
+            })),
+            recipients: recipients.map(recipient => ({
+                phoneNumber: recipient.phoneNumber,
+                name: recipient.name,
+                city: recipient.city,
+                order: recipient.order,
+                fields: recipient.fields,
+                status: 'active',
+                step: 0, // Steps sent so far
+                lastSentAt: null,
+                repliedAt: null,
+                reply: null,
+                endedAt: null,
+                error: null
+            })),
+            options: {
+                delay: sequenceData.delay || 2000,
+                rotationStrategy: sequenceData.rotationStrategy || 'round-robin',
+                selectedDevices: sequenceData.selectedDevices || null,
+                messagesPerDevice: sequenceData.messagesPerDevice || 10,
+                customMinDelay: sequenceData.customMinDelay,
+                customMaxDelay: sequenceData.customMaxDelay,
+                enableTypingSimulation: sequenceData.enableTypingSimulation !== false,
+                parallelSending: sequenceData.parallelSending !== false,
+                variantMode: MessageTemplate.normalizeVariantMode(sequenceData.variantMode),
+                sendWindow: this.campaignManager.normalizeSendWindow(sequenceData.sendWindow)
+            },
+            status: 'active',
+            currentStep: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.sequences.set(sequence.id, sequence);
+        this.saveSequence(sequence);
+        console.log(`🔁 Sequence ${sequence.id} created: ${steps.length} steps, ${recipients.length} recipients`);
+
+        await this.checkSequence(sequence);
+        return sequence;
+    }
+
+    /**
+     * Validate steps: [{ message, messageVariants?, delayDays }]. The first step's delay is ignored.
+     */
+    normalizeSteps(steps) {
+        if (typeof steps === 'string') {
+            steps = JSON.parse(steps);
+        }
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('A sequence needs at least one step');
+        }
+        if (steps.length > MAX_SEQUENCE_STEPS) {
+            throw new Error(`A sequence can have at most ${MAX_SEQUENCE_STEPS} steps`);
+        }
+
+        return steps.map((step, index) => {
+            const message = String(step.message || '').trim();
+            if (!message) {
+                throw new Error(`Step ${index + 1} needs a message`);
+            }
+
+            const delayDays = index === 0 ? 0 : Number(step.delayDays);
+            if (isNaN(delayDays) || delayDays < 0) {
+                throw new Error(`Step ${index + 1} needs a delay of zero or more days`);
+            }
+
+            return {
+                message: message,
+                messageVariants: MessageTemplate.normalizeVariants(step.messageVariants),
+                delayDays: delayDays
+            };
+        });
+    }
+
+    /**
+     * Drop repeated numbers so each recipient has one state
+     */
+    uniqueRecipients(recipients) {
+        const seen = new Set();
+        return recipients.filter(recipient => {
+            if (!recipient.phoneNumber || seen.has(recipient.phoneNumber)) return false;
+            seen.add(recipient.phoneNumber);
+            return true;
+        });
+    }
+
+    /**
+     * Launch the current step when it is due, or pick up a step campaign that finished unnoticed
+     */
+    async checkSequence(sequence) {
+        if (sequence.status !== 'active') return;
+
+        const step = sequence.steps[sequence.currentStep];
+        if (step.status === 'pending' && new Date(step.dueAt) <= new Date()) {
+            await this.launchStep(sequence, step);
+        } else if (step.status === 'sending') {
+            const campaign = this.campaignManager.campaigns.get(step.campaignId);
+            if (!campaign) {
+                step.error = 'The step campaign no longer exists';
+                this.stopSequence(sequence.id, sequence.userId);
+            } else if (['completed', 'stopped'].includes(campaign.status)) {
+                this.finishStep(sequence, campaign);
+            }
+        }
+    }
+
+    async checkSequences() {
+        for (const sequence of this.sequences.values()) {
+            try {
+                await this.checkSequence(sequence);
+            } catch (error) {
+                console.error(`Error checking sequence ${sequence.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Send a step as a campaign to the recipients still in the sequence
+     */
+    async launchStep(sequence, step) {
+        const stepIndex = step.number - 1;
+        const recipients = sequence.recipients.filter(recipient => recipient.status === 'active' && recipient.step === stepIndex);
+        if (recipients.length === 0) {
+            this.completeSequence(sequence);
+            return;
+        }
+
+        step.status = 'sending';
+        step.startedAt = new Date();
+        step.error = null;
+
+        try {
+            const campaign = await this.campaignManager.createCampaign(sequence.userId, {
+                ...sequence.options,
+                name: `${sequence.name} - Step ${step.number}`,
+                message: step.message,
+                messageVariants: step.messageVariants,
+                recipients: recipients.map(recipient => ({
+                    phoneNumber: recipient.phoneNumber,
+                    name: recipient.name,
+                    city: recipient.city,
+                    order: recipient.order,
+                    fields: recipient.fields
+                })),
+                sequenceId: sequence.id,
+                sequenceStep: step.number
+            });
+            step.campaignId = campaign.id;
+            console.log(`🔁 Sequence ${sequence.id}: step ${step.number} sending to ${recipients.length} recipients (campaign ${campaign.id})`);
+        } catch (error) {
+            // Tried again on the next check
+            console.error(`Error starting step ${step.number} of sequence ${sequence.id}:`, error);
+            step.status = 'pending';
+            step.startedAt = null;
+            step.error = error.message;
+        }
+
+        sequence.updatedAt = new Date();
+        this.saveSequence(sequence);
+        this.broadcastSequence(sequence);
+    }
+
+    handleCampaignFinished(campaign) {
+        const sequence = campaign.sequenceId && this.sequences.get(campaign.sequenceId);
+        if (sequence) {
+            this.finishStep(sequence, campaign);
+        }
+    }
+
+    /**
+     * Move recipients on from a finished step campaign using its history records,
+     * then schedule the next step or complete the sequence
+     */
+    finishStep(sequence, campaign) {
+        const step = sequence.steps[campaign.sequenceStep - 1];
+        if (!step || step.status !== 'sending') return;
+        step.campaignId = campaign.id;
+
+        // Every record counts, so a failed follow-up part fails the recipient like it fails the campaign
+        const outcomes = new Map(); // Map<phoneNumber, { status, timestamp, error }>
+        this.campaignManager.getUserMessages(sequence.userId)
+            .filter(message => message.campaignId === campaign.id && message.status !== 'skipped')
+            .forEach(message => {
+                const phoneNumber = message.recipient.phoneNumber;
+                const outcome = outcomes.get(phoneNumber);
+                if (!outcome || outcome.status !== 'failed') {
+                    outcomes.set(phoneNumber, { status: message.status, timestamp: message.timestamp, error: message.error });
+                }
+            });
+
+        const stepIndex = step.number - 1;
+        const isLastStep = step.number === sequence.steps.length;
+        const stats = { targeted: campaign.progress.total, sent: 0, failed: 0, skipped: 0 };
+        const now = new Date();
+
+        sequence.recipients.forEach(recipient => {
+            if (recipient.step !== stepIndex || !['active', 'replied'].includes(recipient.status)) return;
+
+            const outcome = outcomes.get(recipient.phoneNumber);
+            if (!outcome) {
+                // Not reached before the campaign was stopped, or skipped after replying
+                if (recipient.status === 'active' && campaign.status !== 'stopped') {
+                    recipient.status = 'failed';
+                    recipient.error = 'No message was recorded for this step';
+                    recipient.endedAt = now;
+                    stats.failed++;
+                }
+                return;
+            }
+
+            if (outcome.status === 'failed') {
+                stats.failed++;
+                if (recipient.status === 'active') {
+                    recipient.status = 'failed';
+                    recipient.error = outcome.error;
+                    recipient.endedAt = now;
+                }
+            } else if (SKIPPED_STATUSES.includes(outcome.status)) {
+                stats.skipped++;
+                if (recipient.status === 'active') {
+                    recipient.status = 'skipped';
+                    recipient.error = outcome.error || (outcome.status === 'suppressed' ? 'Opted out' : outcome.status);
+                    recipient.endedAt = now;
+                }
+            } else {
+                stats.sent++;
+                recipient.step = step.number;
+                recipient.lastSentAt = outcome.timestamp;
+                if (isLastStep && recipient.status === 'active') {
+                    recipient.status = 'completed';
+                    recipient.endedAt = now;
+                }
+            }
+        });
+
+        step.status = 'sent';
+        step.finishedAt = now;
+        step.stats = stats;
+        console.log(`🔁 Sequence ${sequence.id}: step ${step.number} finished (${stats.sent} sent, ${stats.failed} failed, ${stats.skipped} skipped)`);
+
+        if (campaign.status === 'stopped') {
+            step.error = 'The step campaign was stopped';
+            this.stopSequence(sequence.id, sequence.userId);
+            return;
+        }
+
+        const remaining = sequence.recipients.filter(recipient => recipient.status === 'active').length;
+        if (isLastStep || remaining === 0) {
+            this.completeSequence(sequence);
+            return;
+        }
+
+        // Later steps are timed from when the previous one started going out
+        const nextStep = sequence.steps[step.number];
+        nextStep.dueAt = new Date(new Date(step.startedAt).getTime() + nextStep.delayDays * DAY);
+        sequence.currentStep = step.number;
+        sequence.updatedAt = now;
+        this.saveSequence(sequence);
+        this.broadcastSequence(sequence);
+
+        if (nextStep.dueAt <= now) {
+            this.checkSequence(sequence).catch(error => console.error(`Error checking sequence ${sequence.id}:`, error));
+        }
+    }
+
+    completeSequence(sequence) {
+        const now = new Date();
+        sequence.recipients.forEach(recipient => {
+            if (recipient.status === 'active') {
+                recipient.status = 'completed';
+                recipient.endedAt = now;
+            }
+        });
+
+        sequence.status = 'completed';
+        sequence.updatedAt = now;
+        this.saveSequence(sequence);
+        this.broadcastSequence(sequence);
+        console.log(`🔁 Sequence ${sequence.id} completed`);
+    }
+
+    /**
+     * Skip queued step messages for recipients whose sequence ended (usually a reply) after the step started
+     */
+    getSkipReason(campaign, recipient) {
+        const sequence = campaign.sequenceId && this.sequences.get(campaign.sequenceId);
+        if (!sequence) return null;
+
+        const entry = sequence.recipients.find(r => r.phoneNumber === recipient.phoneNumber);
+        if (!entry || entry.status === 'active') return null;
+        return {
+            status: 'skipped',
+            error: entry.status === 'replied' ? 'Replied to the sequence' : `Sequence ${entry.status}`
+        };
+    }
+
+    /**
+     * A message from a recipient stops their sequence
+     */
+    handleIncomingMessage(incoming) {
+        if (incoming.isGroup || !incoming.userId) return;
+
+        for (const sequence of this.sequences.values()) {
+            if (sequence.userId !== incoming.userId || !['active', 'paused'].includes(sequence.status)) continue;
+
+            const recipient = sequence.recipients.find(r => r.status === 'active' &&
+                this.campaignManager.isSamePhoneNumber(r.phoneNumber, incoming.phoneNumber, incoming.userId));
+            if (!recipient) continue;
+
+            recipient.status = 'replied';
+            recipient.repliedAt = incoming.timestamp;
+            recipient.reply = (incoming.body || '').substring(0, 200);
+            recipient.endedAt = new Date();
+            sequence.updatedAt = new Date();
+            this.saveSequence(sequence);
+
+            console.log(`🔁 Sequence ${sequence.id}: ${recipient.phoneNumber} replied after step ${recipient.step}, stopping their sequence`);
+            this.io.to(sequence.userId).emit('sequence-reply', {
+                sequenceId: sequence.id,
+                sequenceName: sequence.name,
+                phoneNumber: recipient.phoneNumber,
+                name: recipient.name,
+                step: recipient.step
+            });
+            this.broadcastSequence(sequence);
+        }
+    }
+
+    /**
+     * Hold the next steps; a step already sending carries on
+     */
+    pauseSequence(sequenceId, userId) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence || sequence.userId !== userId || sequence.status !== 'active') {
+            return false;
+        }
+
+        sequence.status = 'paused';
+        sequence.updatedAt = new Date();
+        this.saveSequence(sequence);
+        this.broadcastSequence(sequence);
+        return true;
+    }
+
+    /**
+     * Resume a paused sequence; a step that came due while paused goes out now
+     */
+    resumeSequence(sequenceId, userId) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence || sequence.userId !== userId || sequence.status !== 'paused') {
+            return false;
+        }
+
+        sequence.status = 'active';
+        sequence.updatedAt = new Date();
+        this.saveSequence(sequence);
+        this.broadcastSequence(sequence);
+
+        this.checkSequence(sequence).catch(error => console.error(`Error checking sequence ${sequence.id}:`, error));
+        return true;
+    }
+
+    /**
+     * Stop a sequence for everyone still in it, including a step that is sending
+     */
+    stopSequence(sequenceId, userId) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence || sequence.userId !== userId || !['active', 'paused'].includes(sequence.status)) {
+            return false;
+        }
+
+        sequence.status = 'stopped';
+
+        const step = sequence.steps[sequence.currentStep];
+        if (step.status === 'sending' && step.campaignId) {
+            // Records the recipients it already reached through finishStep
+            this.campaignManager.stopCampaign(step.campaignId, userId);
+        }
+
+        const now = new Date();
+        sequence.recipients.forEach(recipient => {
+            if (recipient.status === 'active') {
+                recipient.status = 'stopped';
+                recipient.endedAt = now;
+            }
+        });
+        if (step.status === 'sending') {
+            step.status = 'sent';
+            step.finishedAt = now;
+        }
+
+        sequence.updatedAt = now;
+        this.saveSequence(sequence);
+        this.broadcastSequence(sequence);
+        console.log(`🔁 Sequence ${sequence.id} stopped`);
+        return true;
+    }
+
+    getUserSequences(userId) {
+        return Array.from(this.sequences.values())
+            .filter(sequence => sequence.userId === userId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    getSequence(sequenceId, userId) {
+        const sequence = this.sequences.get(sequenceId);
+        return sequence && sequence.userId === userId ? sequence : null;
+    }
+
+    /**
+     * Sequence without its recipient list, with counts per recipient status and per step
+     */
+    describeSequence(sequence) {
+        const { recipients, ...summary } = sequence;
+        const progress = { total: recipients.length, active: 0, replied: 0, completed: 0, failed: 0, skipped: 0, stopped: 0 };
+        recipients.forEach(recipient => {
+            progress[recipient.status] = (progress[recipient.status] || 0) + 1;
+        });
+
+        return {
+            ...summary,
+            progress: progress,
+            steps: sequence.steps.map(step => ({
+                ...step,
+                // Replies that came in after this step and before the next one
+                replied: recipients.filter(recipient => recipient.status === 'replied' && recipient.step === step.number).length
+            }))
+        };
+    }
+
+    /**
+     * Recipient states and the history records of every step campaign
+     */
+    getSequenceHistory(sequenceId, userId) {
+        const sequence = this.getSequence(sequenceId, userId);
+        if (!sequence) return null;
+
+        const steps = new Map(sequence.steps.filter(step => step.campaignId).map(step => [step.campaignId, step.number]));
+        const messages = this.campaignManager.getUserMessages(userId)
+            .filter(message => steps.has(message.campaignId))
+            .map(message => ({ ...message, sequenceStep: steps.get(message.campaignId) }));
+
+        return {
+            sequence: this.describeSequence(sequence),
+            recipients: sequence.recipients,
+            messages: messages
+        };
+    }
+
+    broadcastSequence(sequence) {
+        this.io.to(sequence.userId).emit('sequence-updated', {
+            sequence: this.describeSequence(sequence)
+        });
+    }
+
+    saveSequence(sequence) {
+        try {
+            this.storage.saveSequence(sequence);
+        } catch (error) {
+            console.error(`Error saving sequence ${sequence.id}:`, error);
+        }
+    }
+
+    loadSequences() {
+        try {
+            const savedSequences = this.storage.loadSequences();
+            savedSequences.forEach(sequence => this.sequences.set(sequence.id, sequence));
+            console.log(`Loaded ${savedSequences.length} sequences from storage`);
+        } catch (error) {
+            console.error('Error loading sequences:', error);
+            this.sequences.clear();
+        }
+    }
+
+    /**
+     * Check sequences shortly after startup (step campaigns resume through campaign recovery),
+     * then on a fixed interval for steps coming due
+     */
+    startSequenceRecovery() {
+        const pending = Array.from(this.sequences.values()).filter(sequence => ['active', 'paused'].includes(sequence.status));
+        if (pending.length > 0) {
+            console.log(`Recovering ${pending.length} sequences...`);
+        }
+
+        setTimeout(() => this.checkSequences(), 5000);
+        this.checkTimer = setInterval(() => this.checkSequences(), SEQUENCE_CHECK_INTERVAL);
+    }
+}
+
+SequenceManager.MAX_SEQUENCE_STEPS = MAX_SEQUENCE_STEPS;
+
+module.exports = SequenceManager;
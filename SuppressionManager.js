@@ -0,0 +1,302 @@
+const { getStorage } = require('./storage');
+const PhoneNumber = require('./PhoneNumber');
+
+const DEFAULT_OPT_OUT_SETTINGS = {
+    keywords: ['STOP', 'UNSUBSCRIBE'],
+    sendConfirmation: false,
+    confirmationMessage: 'You have been unsubscribed and will not receive further messages from us.'
+};
+
+class SuppressionManager {
+    constructor(io, deviceManager, storage = getStorage()) {
+        this.io = io;
+        this.deviceManager = deviceManager;
+        this.storage = storage;
+        this.suppressions = new Map(); // Map<userId, Map<phoneNumber, entry>>
+        this.settings = new Map(); // Map<userId, optOutSettings>
+        this.listCountries = new Map(); // Map<userId, default country the list was last keyed with>
+
+        // Load existing suppression lists and keyword settings on startup
+        this.loadSuppressions();
+
+        // Watch replies for opt-out keywords
+        this.deviceManager.onIncomingMessage((incoming) => this.handleIncomingMessage(incoming));
+    }
+
+    /**
+     * E.164 digits for a number, read with the user's default country like campaign recipients, or '' when invalid
+     */
+    normalizePhoneNumber(userId, phoneNumber, defaultCountry = this.deviceManager.getDefaultCountry(userId)) {
+        // Opt-outs are per number; a group id's digits are not a phone number
+        if (!phoneNumber || PhoneNumber.isGroupId(phoneNumber)) return '';
+        return PhoneNumber.normalizeStored(phoneNumber, defaultCountry).phoneNumber || '';
+    }
+
+    /**
+     * A user's list keyed by E.164 number. Entries saved before numbers were normalized
+     * (such as local 0300… numbers) are re-keyed once the user's default country is known.
+     */
+    getList(userId) {
+        const list = this.suppressions.get(userId);
+        if (!list) return null;
+
+        const defaultCountry = this.deviceManager.getDefaultCountry(userId);
+        if (this.listCountries.get(userId) === defaultCountry) return list;
+        this.listCountries.set(userId, defaultCountry);
+
+        const moved = [];
+        const saved = [];
+        for (const [number, entry] of Array.from(list)) {
+            const normalized = this.normalizePhoneNumber(userId, number, defaultCountry);
+            if (!normalized || normalized === number) continue;
+
+            list.delete(number);
+            moved.push(number);
+            if (!list.has(normalized)) {
+                entry.phoneNumber = normalized;
+                list.set(normalized, entry);
+                saved.push(entry);
+            }
+        }
+
+        if (moved.length > 0) {
+            try {
+                this.storage.deleteSuppressions(userId, moved);
+                this.storage.saveSuppressions(saved);
+            } catch (error) {
+                console.error('Error re-keying suppression list:', error);
+            }
+            console.log(`🚫 Normalized ${moved.length} numbers on the suppression list of user ${userId}`);
+        }
+        return list;
+    }
+
+    /**
+     * Find the list entry for a number; both sides are E.164, so only the same number matches
+     */
+    findSuppression(userId, phoneNumber) {
+        const list = this.getList(userId);
+        const normalized = this.normalizePhoneNumber(userId, phoneNumber);
+        if (!list || !normalized) return null;
+
+        return list.get(normalized) || null;
+    }
+
+    isSuppressed(userId, phoneNumber) {
+        return Boolean(this.findSuppression(userId, phoneNumber));
+    }
+
+    /**
+     * Get a user's suppression list (newest first)
+     */
+    getUserSuppressions(userId) {
+        return Array.from((this.getList(userId) || new Map()).values())
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /**
+     * Add numbers to a user's list; numbers already on it keep their original entry
+     */
+    addSuppressions(userId, items, source = 'manual') {
+        const result = { added: [], duplicates: 0, invalid: 0 };
+
+        if (!this.suppressions.has(userId)) {
+            this.suppressions.set(userId, new Map());
+        }
+        const list = this.getList(userId);
+
+        items.forEach(item => {
+            const phoneNumber = this.normalizePhoneNumber(userId, item.phoneNumber);
+            if (!phoneNumber) {
+                result.invalid++;
+                return;
+            }
+            if (this.findSuppression(userId, phoneNumber)) {
+                result.duplicates++;
+                return;
+            }
+
+            const entry = {
+                userId: userId,
+                phoneNumber: phoneNumber,
+                name: item.name || '',
+                reason: item.reason || '',
+                source: source,
+                keyword: item.keyword || null,
+                deviceId: item.deviceId || null,
+                createdAt: item.createdAt ? new Date(item.createdAt) : new Date()
+            };
+            list.set(phoneNumber, entry);
+            result.added.push(entry);
+        });
+
+        if (result.added.length > 0) {
+            try {
+                this.storage.saveSuppressions(result.added);
+            } catch (error) {
+                console.error('Error saving suppression list:', error);
+            }
+            this.io.to(userId).emit('suppression-list-updated', { userId: userId, count: list.size });
+        }
+
+        console.log(`🚫 Suppression list for user ${userId}: ${result.added.length} added, ${result.duplicates} already listed, ${result.invalid} invalid (${source})`);
+        return result;
+    }
+
+    /**
+     * Add a single number, throwing when it is not a usable phone number
+     */
+    addSuppression(userId, item, source = 'manual') {
+        const result = this.addSuppressions(userId, [item], source);
+        if (result.invalid > 0) {
+            throw new Error('Invalid phone number');
+        }
+        return result.added[0] || this.findSuppression(userId, item.phoneNumber);
+    }
+
+    /**
+     * Remove a number from a user's list
+     */
+    removeSuppression(userId, phoneNumber) {
+        const entry = this.findSuppression(userId, phoneNumber);
+        if (!entry) {
+            return false;
+        }
+
+        this.suppressions.get(userId).delete(entry.phoneNumber);
+        this.storage.deleteSuppressions(userId, [entry.phoneNumber]);
+        this.io.to(userId).emit('suppression-list-updated', { userId: userId, count: this.suppressions.get(userId).size });
+
+        console.log(`🚫 Removed ${entry.phoneNumber} from suppression list of user ${userId}`);
+        return true;
+    }
+
+    /**
+     * Build a CSV export of a user's list
+     */
+    toCsv(userId) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = this.getUserSuppressions(userId).map(entry => [
+            entry.phoneNumber,
+            entry.name,
+            entry.reason,
+            entry.source,
+            entry.keyword || '',
+            new Date(entry.createdAt).toISOString()
+        ].map(escape).join(','));
+
+        return ['phone,name,reason,source,keyword,createdAt', ...rows].join('\n');
+    }
+
+    /**
+     * Keyword settings for a user, falling back to the defaults
+     */
+    getOptOutSettings(userId) {
+        return { ...DEFAULT_OPT_OUT_SETTINGS, ...(this.settings.get(userId) || {}) };
+    }
+
+    /**
+     * Validate and save a user's keyword settings
+     */
+    updateOptOutSettings(userId, updates = {}) {
+        const settings = this.getOptOutSettings(userId);
+
+        if (updates.keywords !== undefined) {
+            const keywords = Array.isArray(updates.keywords) ? updates.keywords : String(updates.keywords).split(',');
+            settings.keywords = [...new Set(keywords.map(keyword => String(keyword).trim().toUpperCase()).filter(Boolean))];
+        }
+        if (updates.sendConfirmation !== undefined) {
+            settings.sendConfirmation = updates.sendConfirmation === true || updates.sendConfirmation === 'true';
+        }
+        if (updates.confirmationMessage !== undefined) {
+            settings.confirmationMessage = String(updates.confirmationMessage).trim();
+        }
+
+        if (settings.sendConfirmation && !settings.confirmationMessage) {
+            throw new Error('A confirmation message is required when confirmations are enabled');
+        }
+
+        this.settings.set(userId, settings);
+        this.storage.saveOptOutSettings(userId, settings);
+        return settings;
+    }
+
+    /**
+     * Return the configured keyword an inbound body consists of, if any
+     */
+    matchOptOutKeyword(settings, body) {
+        const text = (body || '').trim().replace(/[.!\s]+$/, '').toUpperCase();
+        if (!text) return null;
+        return settings.keywords.find(keyword => keyword === text) || null;
+    }
+
+    /**
+     * Add senders who reply with an opt-out keyword and optionally confirm it
+     */
+    async handleIncomingMessage(incoming) {
+        if (incoming.isGroup || !incoming.phoneNumber) return;
+
+        const settings = this.getOptOutSettings(incoming.userId);
+        const keyword = this.matchOptOutKeyword(settings, incoming.body);
+        if (!keyword) return;
+
+        const result = this.addSuppressions(incoming.userId, [{
+            phoneNumber: incoming.phoneNumber,
+            name: incoming.senderName || '',
+            reason: `Replied "${keyword}"`,
+            keyword: keyword,
+            deviceId: incoming.deviceId
+        }], 'keyword');
+
+        if (result.added.length === 0) return;
+
+        this.io.to(incoming.userId).emit('opt-out-received', {
+            phoneNumber: result.added[0].phoneNumber,
+            name: result.added[0].name,
+            keyword: keyword,
+            deviceId: incoming.deviceId,
+            deviceName: incoming.deviceName
+        });
+
+        if (settings.sendConfirmation && settings.confirmationMessage) {
+            try {
+                await this.deviceManager.sendMessage(incoming.deviceId, incoming.phoneNumber, settings.confirmationMessage, null, {
+                    enableTypingSimulation: false
+                });
+                console.log(`🚫 Sent opt-out confirmation to ${incoming.phoneNumber}`);
+            } catch (error) {
+                console.error(`Error sending opt-out confirmation to ${incoming.phoneNumber}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Load suppression lists and keyword settings from storage
+     */
+    loadSuppressions() {
+        try {
+            const saved = this.storage.loadSuppressions();
+            for (const [userId, entries] of Object.entries(saved)) {
+                this.suppressions.set(userId, new Map(entries.map(entry => [entry.phoneNumber, entry])));
+            }
+
+            const settings = this.storage.loadOptOutSettings();
+            for (const [userId, userSettings] of Object.entries(settings)) {
+                this.settings.set(userId, userSettings);
+            }
+
+            const total = Array.from(this.suppressions.values()).reduce((sum, list) => sum + list.size, 0);
+            console.log(`Loaded ${total} suppressed numbers from storage`);
+        } catch (error) {
+            console.error('Error loading suppression list:', error);
+        }
+    }
+}
+
+SuppressionManager.DEFAULT_OPT_OUT_SETTINGS = DEFAULT_OPT_OUT_SETTINGS;
+
+module.exports = SuppressionManager;
@@ -1,118 +1,726 @@
 const express = require('express');
-// const rateLimit = require('express-rate-limit'); // Disabled as API functionality is removed
+const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const MessageTemplate = require('./MessageTemplate');
+const PhoneNumber = require('./PhoneNumber');
+const RecipientFiles = require('./RecipientFiles');
+
+const API_KEY_PREFIX = 'wsk_';
+
+// lastUsedAt changes on every request, so it is written to disk in batches
+const LAST_USED_SAVE_DELAY = 60 * 1000;
 
 class WhatsAppAPI {
-    constructor(io, sessionManager, deviceManager) {
+    constructor(io, sessionManager, deviceManager, campaignManager) {
         this.io = io;
         this.sessionManager = sessionManager;
         this.deviceManager = deviceManager;
-        this.apiKeys = new Map(); // Store API keys
-        this.messageQueue = new Map(); // Store pending messages
-        this.deviceUsageStats = new Map(); // Track device usage {deviceId: {lastUsed, messageCount, status}}
-        this.initializeDefaultApiKey();
+        this.campaignManager = campaignManager;
+        this.apiKeys = new Map(); // Map<keyId, apiKey> - only hashes are kept
+        this.deviceUsageStats = new Map(); // Track device usage {deviceId: {lastUsed, messageCount, userId}}
+        this.lastUsedSaveTimer = null;
+
+        // File path for persistent storage
+        this.apiKeysFilePath = path.join(__dirname, 'api-keys.json');
+
+        // Load existing API keys on startup
+        this.loadApiKeys();
     }
 
-    initializeDefaultApiKey() {
-        // API functionality removed
-        console.log('ℹ️ API functionality has been disabled');
+    /**
+     * Hash an API key for storage and lookup
+     */
+    hashApiKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    /**
+     * Read the API key from the request headers
+     */
+    extractApiKey(req) {
+        const headerKey = req.get('x-api-key');
+        if (headerKey) {
+            return headerKey.trim();
+        }
+
+        const authorization = req.get('authorization') || '';
+        if (authorization.toLowerCase().startsWith('bearer ')) {
+            return authorization.substring(7).trim();
+        }
+
+        return null;
     }
 
-    // API Key validation middleware - DISABLED
+    /**
+     * API Key validation middleware
+     */
     validateApiKey(req, res, next) {
-        return res.status(503).json({
-            success: false,
-            error: 'API functionality has been disabled'
+        const providedKey = this.extractApiKey(req);
+
+        if (!providedKey) {
+            return res.status(401).json({
+                success: false,
+                error: 'API key is required. Send it in the X-API-Key header.'
+            });
+        }
+
+        const keyHash = this.hashApiKey(providedKey);
+        const apiKey = Array.from(this.apiKeys.values()).find(key => {
+            const stored = Buffer.from(key.keyHash, 'hex');
+            const provided = Buffer.from(keyHash, 'hex');
+            return stored.length === provided.length && crypto.timingSafeEqual(stored, provided);
         });
-    }
 
-    // Rate limiting for API endpoints - DISABLED
-    createRateLimit(windowMs = 15 * 60 * 1000, max = 100) {
-        return (req, res, next) => {
-            return res.status(503).json({
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(401).json({
                 success: false,
-                error: 'API functionality has been disabled'
+                error: 'Invalid or revoked API key'
             });
-        };
+        }
+
+        apiKey.lastUsedAt = new Date();
+        this.scheduleLastUsedSave();
+
+        req.apiKey = apiKey;
+        next();
+    }
+
+    /**
+     * Rate limiting for API endpoints (per API key)
+     */
+    createRateLimit(windowMs = 15 * 60 * 1000, max = 100) {
+        return rateLimit({
+            windowMs: windowMs,
+            max: max,
+            standardHeaders: true,
+            legacyHeaders: false,
+            keyGenerator: (req) => (req.apiKey ? req.apiKey.id : req.ip),
+            handler: (req, res) => {
+                res.status(429).json({
+                    success: false,
+                    error: 'Too many requests, please try again later'
+                });
+            }
+        });
     }
 
-    // Setup API routes - DISABLED
-    setupRoutes(app) {
-        // All API endpoints disabled
-        app.use('/api/v1/*', (req, res) => {
-            res.status(503).json({
+    /**
+     * Setup API routes
+     * Key management uses the browser session, everything else uses API keys.
+     */
+    setupRoutes(app, requireAuth) {
+        const router = express.Router();
+        const apiAuth = this.validateApiKey.bind(this);
+        const apiLimit = this.createRateLimit();
+
+        // API key management (session authenticated)
+        router.post('/keys', requireAuth, this.createApiKey.bind(this));
+        router.get('/keys', requireAuth, this.getApiKeys.bind(this));
+        router.delete('/keys/:keyId', requireAuth, this.deleteApiKey.bind(this));
+
+        // Public API (API key authenticated)
+        router.get('/health', this.getHealth.bind(this));
+        router.get('/status', apiAuth, apiLimit, this.getStatus.bind(this));
+        router.get('/devices', apiAuth, apiLimit, this.getDevices.bind(this));
+        router.get('/devices/:deviceId', apiAuth, apiLimit, this.getDevice.bind(this));
+        router.post('/messages', apiAuth, apiLimit, this.sendMessage.bind(this));
+        router.post('/messages/bulk', apiAuth, apiLimit, this.sendBulkMessages.bind(this));
+
+        router.use((req, res) => {
+            res.status(404).json({
                 success: false,
-                error: 'API functionality has been disabled',
-                message: 'All API endpoints have been removed from this application'
+                error: `Unknown API endpoint: ${req.method} ${req.originalUrl}`
             });
         });
-        
-        console.log('ℹ️ All API routes have been disabled');
+
+        app.use('/api/v1', router);
+
+        console.log('✅ Public API routes mounted at /api/v1');
     }
 
-    // All API functions have been disabled
+    /**
+     * POST /api/v1/messages - send a single message
+     */
     async sendMessage(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
-    }
+        const { deviceId, message } = req.body;
+        const userId = req.apiKey.userId;
+        const phoneNumber = this.formatPhoneNumber(req.body.phoneNumber || req.body.to, this.deviceManager.getDefaultCountry(userId));
+
+        if (!phoneNumber || !message) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: phoneNumber, message'
+            });
+        }
+
+        let device;
+        if (deviceId) {
+            device = this.deviceManager.getDevice(deviceId);
+            if (!device || device.userId !== userId) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Device not found'
+                });
+            }
+            if (!device.isReady) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Device not ready for sending messages'
+                });
+            }
 
-    trackDeviceUsage(deviceId, userId) { return null; }
-    getDeviceUsageStats(userId) { return new Map(); }
-    getMostUsedDevice(usageStats) { return null; }
+            const quotaStatus = this.deviceManager.getQuotaStatus(device.id);
+            if (quotaStatus.capped) {
+                return res.status(429).json({
+                    success: false,
+                    error: `Device has reached its ${quotaStatus.reason} sending limit`,
+                    retryAt: quotaStatus.resetsAt
+                });
+            }
+        } else {
+            device = this.selectDevice(userId);
+            if (!device) {
+                if (this.deviceManager.getReadyDevices(userId).length > 0) {
+                    return res.status(429).json({
+                        success: false,
+                        error: 'All ready devices have reached their sending limits'
+                    });
+                }
+                return res.status(400).json({
+                    success: false,
+                    error: 'No ready WhatsApp devices available. Please connect at least one device.'
+                });
+            }
+        }
 
-    async sendMessageWithDevice(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+        const recipient = {
+            phoneNumber: phoneNumber,
+            name: req.body.recipientName || phoneNumber,
+            city: req.body.recipientCity || '',
+            order: req.body.recipientOrder || ''
+        };
+
+        if (this.campaignManager.isSuppressed(userId, phoneNumber)) {
+            this.campaignManager.storeMessage({
+                id: uuidv4(),
+                userId: userId,
+                campaignId: null,
+                campaignName: null,
+                recipient: recipient,
+                content: message,
+                deviceId: device.id,
+                deviceName: device.name,
+                status: 'suppressed',
+                timestamp: new Date(),
+                responseTime: null,
+                source: 'api',
+                apiKeyId: req.apiKey.id
+            });
+
+            return res.status(400).json({
+                success: false,
+                suppressed: true,
+                error: 'This number is on the opt-out list'
+            });
+        }
+
+        try {
+            const result = await this.deviceManager.sendMessage(device.id, phoneNumber, message, null, {
+                enableTypingSimulation: req.body.enableTypingSimulation === true
+            });
+
+            this.trackDeviceUsage(device.id, userId);
+
+            const stored = {
+                id: uuidv4(),
+                userId: userId,
+                campaignId: null,
+                campaignName: null,
+                recipient: recipient,
+                content: message,
+                deviceId: device.id,
+                deviceName: device.name,
+                whatsappMessageId: result?.id?._serialized || null,
+                status: 'sent',
+                timestamp: new Date(),
+                responseTime: null,
+                source: 'api',
+                apiKeyId: req.apiKey.id
+            };
+            this.campaignManager.storeMessage(stored);
+
+            this.io.to(userId).emit('message-sent', {
+                success: true,
+                messageId: result.id._serialized,
+                timestamp: new Date().toISOString(),
+                deviceId: device.id
+            });
+
+            res.json({
+                success: true,
+                id: stored.id,
+                messageId: result.id._serialized,
+                deviceId: device.id,
+                deviceName: device.name,
+                message: 'Message sent successfully'
+            });
+        } catch (error) {
+            console.error('API send message error:', error);
+
+            this.campaignManager.storeMessage({
+                id: uuidv4(),
+                userId: userId,
+                campaignId: null,
+                campaignName: null,
+                recipient: recipient,
+                content: message,
+                deviceId: device.id,
+                deviceName: device.name,
+                status: 'failed',
+                timestamp: new Date(),
+                responseTime: null,
+                error: error.message,
+                source: 'api',
+                apiKeyId: req.apiKey.id
+            });
+
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
     }
 
-    async sendMessageViaGet(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+    /**
+     * Follow-up parts of an API campaign; files are named from the user's media folder
+     */
+    resolveMessageParts(userId, parts) {
+        if (!Array.isArray(parts) || parts.length === 0) {
+            return this.campaignManager.normalizeParts(parts);
+        }
+
+        const mediaFiles = RecipientFiles.indexDirectory(RecipientFiles.getMediaDirectory(userId));
+        return this.campaignManager.normalizeParts(parts.map(part => {
+            if (!part || !part.file) return part;
+
+            const filePath = mediaFiles.get(String(part.file).replace(/\\/g, '/').toLowerCase());
+            if (!filePath) {
+                throw new Error(`File "${part.file}" is not in your media folder`);
+            }
+            return { ...part, attachment: { path: filePath, originalname: path.basename(filePath) } };
+        }));
     }
 
+    /**
+     * POST /api/v1/messages/bulk - queue a persistent campaign
+     */
     async sendBulkMessages(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+        const { message, recipients } = req.body;
+        const userId = req.apiKey.userId;
+
+        if (!message || !Array.isArray(recipients) || recipients.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: message and a non-empty recipients array'
+            });
+        }
+
+        const seenNumbers = new Set();
+        const defaultCountry = this.deviceManager.getDefaultCountry(userId);
+        const parsedRecipients = recipients
+            .map(recipient => (typeof recipient === 'string' ? { phoneNumber: recipient } : recipient))
+            .map(recipient => {
+                const phoneNumber = this.formatPhoneNumber(recipient.phoneNumber || recipient.phone, defaultCountry);
+                return phoneNumber ? {
+                    phoneNumber: phoneNumber,
+                    name: (recipient.name || phoneNumber).toString(),
+                    city: (recipient.city || '').toString(),
+                    order: (recipient.order || '').toString(),
+                    fields: recipient.fields || { ...recipient } // Extra properties are template variables
+                } : null;
+            })
+            .filter(Boolean)
+            // The same number written two ways is one recipient
+            .filter(recipient => !seenNumbers.has(recipient.phoneNumber) && seenNumbers.add(recipient.phoneNumber));
+
+        if (parsedRecipients.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid recipients provided'
+            });
+        }
+
+        let messageVariants;
+        let parts;
+        try {
+            messageVariants = MessageTemplate.normalizeVariants(req.body.messageVariants);
+            MessageTemplate.normalizeVariantMode(req.body.variantMode);
+            parts = this.resolveMessageParts(userId, req.body.parts);
+            MessageTemplate.validate([message, ...messageVariants, ...parts.map(part => part.text)], parsedRecipients);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                unknownPlaceholders: error.unknownPlaceholders
+            });
+        }
+
+        // Per-recipient files are looked up in the user's media folder
+        if (req.body.attachmentColumn) {
+            try {
+                const missing = RecipientFiles.resolve(parsedRecipients, req.body.attachmentColumn, [RecipientFiles.getMediaDirectory(userId)]);
+                if (missing.length > 0) {
+                    throw RecipientFiles.missingFilesError(missing);
+                }
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    missingFiles: error.missingFiles
+                });
+            }
+        }
+
+        const ownDeviceIds = this.deviceManager.getUserDevices(userId).map(d => d.id);
+        const selectedDevices = Array.isArray(req.body.selectedDevices) ?
+            req.body.selectedDevices.filter(id => ownDeviceIds.includes(id)) :
+            null;
+
+        if (this.deviceManager.getReadyDevices(userId).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No ready WhatsApp devices available. Please connect at least one device.'
+            });
+        }
+
+        try {
+            const campaign = await this.campaignManager.createCampaign(userId, {
+                name: req.body.campaignName || `API Campaign ${Date.now()}`,
+                message: message,
+                messageVariants: messageVariants,
+                variantMode: req.body.variantMode,
+                parts: parts,
+                attachmentColumn: req.body.attachmentColumn || null,
+                recipients: parsedRecipients,
+                attachment: null,
+                delay: req.body.delay,
+                rotationStrategy: req.body.rotationStrategy,
+                selectedDevices: selectedDevices && selectedDevices.length > 0 ? selectedDevices : null,
+                messagesPerDevice: parseInt(req.body.messagesPerDevice) || 10,
+                customMinDelay: parseInt(req.body.customMinDelay) || 5,
+                customMaxDelay: parseInt(req.body.customMaxDelay) || 20,
+                enableTypingSimulation: req.body.enableTypingSimulation !== false,
+                parallelSending: req.body.parallelSending !== false
+            });
+
+            res.status(202).json({
+                success: true,
+                message: 'Persistent campaign started',
+                campaignId: campaign.id,
+                campaignName: campaign.name,
+                recipients: parsedRecipients.length
+            });
+        } catch (error) {
+            console.error('API bulk send error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
     }
 
-    async getDevices(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+    /**
+     * Track device usage for API sends
+     */
+    trackDeviceUsage(deviceId, userId) {
+        const stats = this.deviceUsageStats.get(deviceId) || { userId: userId, messageCount: 0, lastUsed: null };
+        stats.messageCount++;
+        stats.lastUsed = new Date();
+        this.deviceUsageStats.set(deviceId, stats);
+        return stats;
     }
 
-    async createDevice(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+    /**
+     * Get device usage stats for a user
+     */
+    getDeviceUsageStats(userId) {
+        const userStats = new Map();
+        for (const [deviceId, stats] of this.deviceUsageStats) {
+            if (stats.userId === userId) {
+                userStats.set(deviceId, stats);
+            }
+        }
+        return userStats;
     }
 
-    async getDevice(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+    /**
+     * Pick the least recently used ready device of a user that is under its sending caps
+     */
+    selectDevice(userId) {
+        const readyDevices = this.deviceManager.getReadyDevices(userId)
+            .filter(device => !this.deviceManager.isDeviceCapped(device.id));
+        if (readyDevices.length === 0) {
+            return null;
+        }
+
+        const usageStats = this.getDeviceUsageStats(userId);
+        return readyDevices.reduce((selected, device) => {
+            const lastUsed = usageStats.get(device.id)?.lastUsed || 0;
+            const selectedLastUsed = usageStats.get(selected.id)?.lastUsed || 0;
+            return lastUsed < selectedLastUsed ? device : selected;
+        });
     }
 
-    async deleteDevice(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+    /**
+     * Serialize a device for API responses
+     */
+    serializeDevice(device) {
+        return {
+            id: device.id,
+            name: device.name,
+            status: device.status,
+            isReady: device.isReady,
+            phoneNumber: device.phoneNumber,
+            createdAt: device.createdAt,
+            lastActivity: device.lastActivity,
+            quota: this.deviceManager.getQuotaStatus(device.id)
+        };
+    }
+
+    /**
+     * GET /api/v1/devices
+     */
+    async getDevices(req, res) {
+        const devices = this.deviceManager.getUserDevices(req.apiKey.userId);
+        res.json({
+            success: true,
+            devices: devices.map(device => this.serializeDevice(device))
+        });
     }
 
-    async getDeviceQR(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+    /**
+     * GET /api/v1/devices/:deviceId
+     */
+    async getDevice(req, res) {
+        const device = this.deviceManager.getDevice(req.params.deviceId);
+        if (!device || device.userId !== req.apiKey.userId) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+
+        res.json({
+            success: true,
+            device: this.serializeDevice(device)
+        });
     }
 
+    /**
+     * GET /api/v1/status
+     */
     async getStatus(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+        res.json({
+            success: true,
+            devices: this.deviceManager.getDeviceStats(req.apiKey.userId),
+            apiKey: {
+                id: req.apiKey.id,
+                name: req.apiKey.name
+            }
+        });
     }
 
+    /**
+     * GET /api/v1/health
+     */
     async getHealth(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+        res.json({
+            success: true,
+            status: 'ok',
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString()
+        });
     }
 
+    /**
+     * POST /api/v1/keys - create a key for one of the caller's workspaces
+     */
     async createApiKey(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+        const { userId, name } = req.body;
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: userId'
+            });
+        }
+
+        const access = this.checkWorkspaceAccess(userId, req.session.user.id);
+        if (access) {
+            return res.status(access.status).json({
+                success: false,
+                error: access.error
+            });
+        }
+
+        const plainKey = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+        const apiKey = {
+            id: uuidv4(),
+            name: name || 'API Key',
+            keyHash: this.hashApiKey(plainKey),
+            prefix: plainKey.substring(0, API_KEY_PREFIX.length + 6),
+            userId: userId,
+            ownerId: req.session.user.id,
+            createdAt: new Date(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.apiKeys.set(apiKey.id, apiKey);
+        this.saveApiKeys();
+
+        console.log(`✅ API key ${apiKey.id} created for user ${userId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Store it now, it will not be shown again.',
+            apiKey: {
+                ...this.serializeApiKey(apiKey),
+                key: plainKey
+            }
+        });
     }
 
+    /**
+     * Workspace ids come from the browser, so a key is only created for a workspace whose devices
+     * were all linked by the logged-in account. Devices linked before accounts were recorded count
+     * when the account already holds a key for the workspace.
+     * Returns { status, error } when access is refused, otherwise null.
+     */
+    checkWorkspaceAccess(userId, accountId) {
+        const devices = this.deviceManager.getUserDevices(userId);
+        if (devices.length === 0) {
+            return { status: 400, error: 'Link a WhatsApp device to this workspace before creating an API key' };
+        }
+
+        const holdsKey = Array.from(this.apiKeys.values()).some(key => key.userId === userId && key.ownerId === accountId);
+        const owned = devices.every(device => device.ownerId ? device.ownerId === accountId : holdsKey);
+        return owned ? null : { status: 403, error: 'This workspace belongs to another account' };
+    }
+
+    /**
+     * GET /api/v1/keys
+     */
     async getApiKeys(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+        const ownerId = req.session.user.id;
+        const keys = Array.from(this.apiKeys.values())
+            .filter(key => key.ownerId === ownerId)
+            .filter(key => !req.query.userId || key.userId === req.query.userId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.json({
+            success: true,
+            apiKeys: keys.map(key => this.serializeApiKey(key))
+        });
     }
 
+    /**
+     * DELETE /api/v1/keys/:keyId - revoke a key
+     */
     async deleteApiKey(req, res) {
-        return res.status(503).json({ success: false, error: 'API functionality has been disabled' });
+        const apiKey = this.apiKeys.get(req.params.keyId);
+        if (!apiKey || apiKey.ownerId !== req.session.user.id) {
+            return res.status(404).json({ success: false, error: 'API key not found' });
+        }
+
+        apiKey.revokedAt = new Date();
+        this.saveApiKeys();
+
+        console.log(`API key ${apiKey.id} revoked`);
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+    }
+
+    /**
+     * Serialize an API key without its hash
+     */
+    serializeApiKey(apiKey) {
+        return {
+            id: apiKey.id,
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            userId: apiKey.userId,
+            createdAt: apiKey.createdAt,
+            lastUsedAt: apiKey.lastUsedAt,
+            revokedAt: apiKey.revokedAt,
+            active: !apiKey.revokedAt
+        };
     }
 
-    formatPhoneNumber(phone) { return null; }
-    getDefaultApiKey() { return null; }
+    /**
+     * Normalize a phone number to E.164 digits, or null when it isn't valid.
+     * Local-format numbers get the account's default country. Group ids (…@g.us) are kept as they are.
+     */
+    formatPhoneNumber(phone, defaultCountry = null) {
+        if (!phone) return null;
+        if (this.deviceManager.isGroupChatId(phone)) {
+            return phone.toString().trim().toLowerCase();
+        }
+        return PhoneNumber.normalize(phone, defaultCountry).phoneNumber;
+    }
+
+    /**
+     * Load API keys from disk
+     */
+    loadApiKeys() {
+        try {
+            if (fs.existsSync(this.apiKeysFilePath)) {
+                const data = fs.readFileSync(this.apiKeysFilePath, 'utf8');
+                const savedKeys = JSON.parse(data);
+
+                for (const apiKey of savedKeys) {
+                    this.apiKeys.set(apiKey.id, apiKey);
+                }
+
+                console.log(`Loaded ${savedKeys.length} API keys from disk`);
+            }
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+            this.apiKeys.clear();
+        }
+    }
+
+    /**
+     * Save API keys to disk atomically (temp file + rename), so a crash mid-write can't lose them
+     */
+    saveApiKeys() {
+        if (this.lastUsedSaveTimer) {
+            clearTimeout(this.lastUsedSaveTimer);
+            this.lastUsedSaveTimer = null;
+        }
+
+        const tempPath = `${this.apiKeysFilePath}.${process.pid}.tmp`;
+        try {
+            const keysToSave = Array.from(this.apiKeys.values());
+            fs.writeFileSync(tempPath, JSON.stringify(keysToSave, null, 2));
+            fs.renameSync(tempPath, this.apiKeysFilePath);
+        } catch (error) {
+            console.error('Error saving API keys:', error);
+        }
+    }
+
+    /**
+     * Save lastUsedAt updates once per LAST_USED_SAVE_DELAY instead of on every request
+     */
+    scheduleLastUsedSave() {
+        if (this.lastUsedSaveTimer) return;
+
+        this.lastUsedSaveTimer = setTimeout(() => this.saveApiKeys(), LAST_USED_SAVE_DELAY);
+        this.lastUsedSaveTimer.unref();
+    }
 }
 
-module.exports = WhatsAppAPI;
\ No newline at end of file
+module.exports = WhatsAppAPI;
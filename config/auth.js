@@ -1,32 +1,67 @@
 // Firebase system completely removed - using local authentication only
+const { getStorage } = require('../storage');
 
-// Fallback local users for when Firebase is not available
+// Local users, persisted through the storage layer
 const localUsers = new Map();
 let userIdCounter = 1;
 
+// Default system settings (stored values override these on boot)
+const defaultSystemSettings = {
+    registration_enabled: true,
+    default_user_expiry_days: 1,
+    user_expiry_enabled: true,
+    registration_disabled_message: 'User registration is currently disabled. Please contact administrator.',
+    registration_disabled_title: 'Registration Temporarily Disabled',
+    account_expired_message: 'Your account has expired. Please contact administrator to renew access.',
+    account_expired_title: 'Account Expired',
+    footer_company_name: 'WhatsApp Sender Pro',
+    footer_description: 'Professional WhatsApp messaging platform',
+    footer_copyright: '© 2024 WhatsApp Sender Pro. All rights reserved.',
+    footer_support_phone: '+1 (269) 883-2370',
+    footer_whatsapp_link: 'https://wa.me/12698832370'
+};
+
 // System settings
-const systemSettings = new Map();
-systemSettings.set('registration_enabled', true);
-systemSettings.set('default_user_expiry_days', 1);
-systemSettings.set('user_expiry_enabled', true);
-systemSettings.set('registration_disabled_message', 'User registration is currently disabled. Please contact administrator.');
-systemSettings.set('registration_disabled_title', 'Registration Temporarily Disabled');
-systemSettings.set('account_expired_message', 'Your account has expired. Please contact administrator to renew access.');
-systemSettings.set('account_expired_title', 'Account Expired');
-systemSettings.set('footer_company_name', 'WhatsApp Sender Pro');
-systemSettings.set('footer_description', 'Professional WhatsApp messaging platform');
-systemSettings.set('footer_copyright', '© 2024 WhatsApp Sender Pro. All rights reserved.');
-systemSettings.set('footer_support_phone', '+1 (269) 883-2370');
-systemSettings.set('footer_whatsapp_link', 'https://wa.me/12698832370');
+const systemSettings = new Map(Object.entries(defaultSystemSettings));
 
 class AuthService {
     constructor() {
         this.maxLoginAttempts = 5;
         this.lockoutTime = 15 * 60 * 1000; // 15 minutes
         this.loginAttempts = new Map(); // Track login attempts for local auth
+        this.storage = getStorage();
+        this.loadFromStorage();
         this.initializeDefaultAdmin();
     }
 
+    /**
+     * Load users, login attempts and system settings from storage
+     */
+    loadFromStorage() {
+        const data = this.storage.loadUserState();
+        if (!data) {
+            console.log('ℹ️ No stored users found, starting with defaults');
+            return;
+        }
+
+        for (const user of data.users) {
+            localUsers.set(user.username, user);
+        }
+
+        const highestId = data.users.reduce((max, user) => Math.max(max, parseInt(user.id) || 0), 0);
+        userIdCounter = Math.max(data.userIdCounter, highestId + 1);
+
+        for (const [key, attempts] of Object.entries(data.loginAttempts)) {
+            this.loginAttempts.set(key, attempts);
+        }
+
+        for (const [key, value] of Object.entries(data.systemSettings)) {
+            systemSettings.set(key, value);
+        }
+
+        console.log(`✅ Loaded ${data.users.length} users and ${Object.keys(data.systemSettings).length} system settings from storage`);
+    }
+
     /**
      * Check if user registration is enabled
      */
@@ -46,6 +81,7 @@ class AuthService {
      */
     updateSystemSetting(key, value) {
         systemSettings.set(key, value);
+        this.storage.saveSystemSetting(key, value);
         console.log(`✅ System setting updated: ${key} = ${value}`);
     }
 
@@ -92,6 +128,7 @@ class AuthService {
                     user.expiryDate = expiryDate;
                     user.updatedAt = new Date();
                     localUsers.set(key, user);
+                    this.storage.saveUser(user);
                     return { success: true };
                 }
             }
@@ -123,6 +160,8 @@ class AuthService {
                     createdAt: new Date(),
                     isActive: true
                 });
+                this.storage.saveUser(localUsers.get('admin'));
+                this.storage.saveUserIdCounter(userIdCounter);
                 
                 console.log('✅ Default local admin user created');
                 console.log('📝 Default login credentials:');
@@ -195,6 +234,8 @@ class AuthService {
             };
             
             localUsers.set(username, newUser);
+            this.storage.saveUser(newUser);
+            this.storage.saveUserIdCounter(userIdCounter);
             console.log('✅ User registered locally:', username);
 
             // Return user data (without password)
@@ -276,6 +317,7 @@ class AuthService {
                     attempts.lockedUntil = new Date(Date.now() + this.lockoutTime);
                 }
                 this.loginAttempts.set(attemptKey, attempts);
+                this.storage.saveLoginAttempts(attemptKey, attempts);
                 throw new Error('Invalid username or password');
             }
 
@@ -286,6 +328,8 @@ class AuthService {
             user.lastLogin = new Date();
             user.updatedAt = new Date();
             localUsers.set(user.username, user);
+            this.storage.saveLoginAttempts(attemptKey, null);
+            this.storage.saveUser(user);
             
             console.log('✅ User logged in locally:', user.username);
 
@@ -296,6 +340,7 @@ class AuthService {
                 email: user.email,
                 fullName: user.fullName,
                 phone: user.phone,
+                defaultCountry: user.defaultCountry || null,
                 role: user.role,
                 isActive: user.isActive,
                 lastLogin: user.lastLogin,
@@ -324,6 +369,8 @@ class AuthService {
                         fullName: user.fullName,
                         full_name: user.fullName, // For compatibility
                         phone: user.phone,
+                        company: user.company,
+                        defaultCountry: user.defaultCountry || null,
                         role: user.role,
                         is_active: user.isActive,
                         isActive: user.isActive, // For compatibility
@@ -346,6 +393,18 @@ class AuthService {
         }
     }
 
+    /**
+     * Country an account reads numbers without a country code in, or null
+     */
+    getDefaultCountry(userId) {
+        for (const user of localUsers.values()) {
+            if (user.id === userId || user.id === parseInt(userId)) {
+                return user.defaultCountry || null;
+            }
+        }
+        return null;
+    }
+
     /**
      * Update user profile
      */
@@ -369,6 +428,7 @@ class AuthService {
                     }
                     
                     localUsers.set(key, user);
+                    this.storage.saveUser(user);
                     return {
                         id: user.id,
                         username: user.username,
@@ -440,6 +500,7 @@ class AuthService {
                     user.isActive = isActive;
                     user.updatedAt = new Date();
                     localUsers.set(key, user);
+                    this.storage.saveUser(user);
                     return { success: true };
                 }
             }
@@ -466,6 +527,7 @@ class AuthService {
                     user.role = role;
                     user.updatedAt = new Date();
                     localUsers.set(key, user);
+                    this.storage.saveUser(user);
                     return { success: true };
                 }
             }
@@ -486,6 +548,7 @@ class AuthService {
             for (const [key, user] of localUsers) {
                 if (user.id === userId || user.id === parseInt(userId)) {
                     localUsers.delete(key);
+                    this.storage.deleteUser(user.id);
                     return { success: true };
                 }
             }
@@ -500,7 +563,7 @@ class AuthService {
     // Legacy methods for compatibility (now use local storage)
     async updateUserProfile(userId, profileData) {
         try {
-            const { fullName, company, phone } = profileData;
+            const { fullName, company, phone, defaultCountry } = profileData;
             
             // Find user locally
             let user = null;
@@ -522,10 +585,12 @@ class AuthService {
             if (fullName !== undefined) user.full_name = fullName; // For compatibility
             if (company !== undefined) user.company = company;
             if (phone !== undefined) user.phone = phone;
+            if (defaultCountry !== undefined) user.defaultCountry = defaultCountry;
             user.updatedAt = new Date();
             
             // Update in local storage
             localUsers.set(userKey, user);
+            this.storage.saveUser(user);
 
             return { success: true, message: 'Profile updated successfully' };
 
@@ -569,6 +634,8 @@ class AuthService {
             // Hash new password
             const hashedNewPassword = await bcrypt.hash(newPassword, 12);
             user.password_hash = hashedNewPassword;
+            user.updatedAt = new Date();
+            this.storage.saveUser(user);
 
             return { success: true, message: 'Password changed successfully' };
 
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot migration: import campaigns.json, messages.json, users.json,
+ * devices.json, inbox.json, suppressions.json, sequences.json, auto-replies.json
+ * and contacts.json into the SQLite database.
+ *
+ * Usage: node migrate-to-sqlite.js [--force]
+ * Then start the server with STORAGE_DRIVER=sqlite
+ */
+
+const { createStorage } = require('./storage');
+
+const force = process.argv.includes('--force');
+
+console.log('💾 WhatsApp Sender - JSON to SQLite migration');
+console.log('=============================================\n');
+
+function migrate() {
+    const source = createStorage({ driver: 'json' });
+    const target = createStorage({ driver: 'sqlite' });
+
+    try {
+        const existingUsers = target.loadUserState();
+        const existingCampaigns = target.loadCampaigns();
+
+        if ((existingUsers || existingCampaigns.length > 0) && !force) {
+            console.log('❌ The SQLite database already contains data.');
+            console.log('   Run with --force to import anyway (existing rows with the same id are overwritten).');
+            process.exitCode = 1;
+            return;
+        }
+
+        const userState = source.loadUserState();
+        const campaigns = source.loadCampaigns();
+        const messages = source.loadMessages();
+        const devices = source.loadDevices();
+        const inbox = source.loadInboundMessages();
+        const suppressions = source.loadSuppressions();
+        const optOutSettings = source.loadOptOutSettings();
+        const sequences = source.loadSequences();
+        const autoReplyRules = source.loadAutoReplyRules();
+        const contacts = source.loadContacts();
+        const segments = source.loadSegments();
+
+        let messageCount = 0;
+        let inboundCount = 0;
+        let suppressionCount = 0;
+        let contactCount = 0;
+
+        target.transaction(() => {
+            if (userState) {
+                userState.users.forEach(user => target.saveUser(user));
+                target.saveUserIdCounter(userState.userIdCounter);
+                for (const [key, attempts] of Object.entries(userState.loginAttempts)) {
+                    target.saveLoginAttempts(key, attempts);
+                }
+                for (const [key, value] of Object.entries(userState.systemSettings)) {
+                    target.saveSystemSetting(key, value);
+                }
+            }
+
+            campaigns.forEach(campaign => target.saveCampaign(campaign, { recipients: true }));
+
+            for (const userMessages of Object.values(messages)) {
+                userMessages.forEach(message => {
+                    target.insertMessage(message);
+                    messageCount++;
+                });
+            }
+
+            devices.forEach(device => target.saveDevice(device));
+
+            for (const userInbox of Object.values(inbox)) {
+                userInbox.forEach(message => {
+                    target.insertInboundMessage(message);
+                    inboundCount++;
+                });
+            }
+
+            for (const entries of Object.values(suppressions)) {
+                target.saveSuppressions(entries);
+                suppressionCount += entries.length;
+            }
+            for (const [userId, settings] of Object.entries(optOutSettings)) {
+                target.saveOptOutSettings(userId, settings);
+            }
+
+            sequences.forEach(sequence => target.saveSequence(sequence));
+            autoReplyRules.forEach(rule => target.saveAutoReplyRule(rule));
+
+            for (const userContacts of Object.values(contacts)) {
+                target.saveContacts(userContacts);
+                contactCount += userContacts.length;
+            }
+            segments.forEach(segment => target.saveSegment(segment));
+        });
+
+        console.log(`✅ Users: ${userState ? userState.users.length : 0}`);
+        console.log(`✅ Campaigns: ${campaigns.length}`);
+        console.log(`✅ Messages: ${messageCount}`);
+        console.log(`✅ Devices: ${devices.length}`);
+        console.log(`✅ Inbound messages: ${inboundCount}`);
+        console.log(`✅ Suppressed numbers: ${suppressionCount}`);
+        console.log(`✅ Sequences: ${sequences.length}`);
+        console.log(`✅ Auto-reply rules: ${autoReplyRules.length}`);
+        console.log(`✅ Contacts: ${contactCount} (${segments.length} segments)`);
+        console.log(`\n🎉 Migration complete. Start the server with STORAGE_DRIVER=sqlite to use ${target.filePath}`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        target.close();
+    }
+}
+
+migrate();
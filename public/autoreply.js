@@ -0,0 +1,338 @@
+class AutoReplyPage {
+    constructor() {
+        this.userId = this.generateUserId();
+        this.socket = null;
+        this.rules = [];
+        this.devices = [];
+        this.editingRuleId = null;
+        this.init();
+    }
+
+    generateUserId() {
+        // Use localStorage for user ID
+        let id = localStorage.getItem('whatsapp_user_id');
+        if (!id) {
+            id = `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+            localStorage.setItem('whatsapp_user_id', id);
+        }
+        return id;
+    }
+
+    init() {
+        this.initSocket();
+        this.setupEventListeners();
+        this.updateUserDisplay();
+        this.updatePatternField();
+    }
+
+    initSocket() {
+        this.socket = io();
+
+        this.socket.on('connect', () => {
+            this.updateConnectionStatus('connected');
+            this.socket.emit('identify-user', { userId: this.userId });
+            this.loadRules();
+        });
+
+        this.socket.on('disconnect', () => {
+            this.updateConnectionStatus('disconnected');
+        });
+
+        this.socket.on('user-devices', (data) => {
+            this.devices = data.devices || [];
+            this.renderDeviceOptions();
+            this.renderRules();
+        });
+
+        this.socket.on('auto-reply-rules', (data) => {
+            this.rules = data.rules || [];
+            this.renderRules();
+        });
+
+        this.socket.on('auto-reply-rules-updated', () => {
+            this.loadRules();
+        });
+
+        this.socket.on('auto-reply-sent', (data) => {
+            this.showToast('Auto-reply', `Rule "${data.ruleName}" answered ${data.phoneNumber}`, 'info');
+        });
+
+        this.socket.on('error', (error) => {
+            this.showToast('Error', error.error || error.message || 'Connection error', 'error');
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('refresh-rules-btn').addEventListener('click', () => {
+            this.loadRules();
+        });
+
+        document.getElementById('rule-match-type').addEventListener('change', () => {
+            this.updatePatternField();
+        });
+
+        document.getElementById('rule-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRule();
+        });
+
+        document.getElementById('cancel-edit-btn').addEventListener('click', () => {
+            this.resetForm();
+        });
+    }
+
+    loadRules() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit('get-auto-reply-rules');
+    }
+
+    /**
+     * First-message rules answer any text, so they have nothing to match
+     */
+    updatePatternField() {
+        const matchType = document.getElementById('rule-match-type').value;
+        const pattern = document.getElementById('rule-pattern');
+        const placeholders = {
+            'exact': 'price',
+            'contains': 'price',
+            'regex': '^(price|cost)s?\\b'
+        };
+
+        document.getElementById('rule-pattern-group').classList.toggle('d-none', matchType === 'first-message');
+        pattern.placeholder = placeholders[matchType] || '';
+    }
+
+    renderDeviceOptions() {
+        const select = document.getElementById('rule-device');
+        const selected = select.value;
+        select.innerHTML = '<option value="">All devices</option>' + this.devices.map(device =>
+            `<option value="${device.id}">${this.escapeHtml(device.name)}${device.phoneNumber ? ` (${device.phoneNumber})` : ''}</option>`
+        ).join('');
+        select.value = this.devices.some(device => device.id === selected) ? selected : '';
+    }
+
+    getDeviceName(deviceId) {
+        if (!deviceId) return 'All devices';
+        const device = this.devices.find(device => device.id === deviceId);
+        return device ? device.name : 'Removed device';
+    }
+
+    describeMatch(rule) {
+        switch (rule.matchType) {
+            case 'exact': return `Is exactly "${this.escapeHtml(rule.pattern)}"`;
+            case 'contains': return `Contains "${this.escapeHtml(rule.pattern)}"`;
+            case 'regex': return `Matches <code>${this.escapeHtml(rule.pattern)}</code>`;
+            case 'first-message': return 'First message from a contact';
+            default: return this.escapeHtml(rule.matchType);
+        }
+    }
+
+    describeLimits(rule) {
+        const limits = [`Once per ${rule.cooldownMinutes} min per contact`];
+        if (rule.activeHours) {
+            limits.push(`${rule.activeHours.startTime}-${rule.activeHours.endTime} ${rule.activeHours.timezone}`);
+        }
+        return limits.join(' · ');
+    }
+
+    renderRules() {
+        const table = document.getElementById('rule-table');
+        document.getElementById('rule-count').textContent = this.rules.length;
+
+        if (this.rules.length === 0) {
+            table.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-4">No auto-reply rules</td></tr>';
+            return;
+        }
+
+        table.innerHTML = this.rules.map(rule => `
+            <tr class="${rule.enabled ? '' : 'text-muted'}">
+                <td>${rule.priority}</td>
+                <td>
+                    <strong>${this.escapeHtml(rule.name)}</strong><br>
+                    <small>${this.describeMatch(rule)}</small><br>
+                    <small class="text-muted">${this.describeLimits(rule)}</small>
+                </td>
+                <td><small>${this.escapeHtml(this.getDeviceName(rule.deviceId))}</small></td>
+                <td>
+                    <small>${this.escapeHtml(rule.reply)}</small>
+                    ${rule.attachment ? `<br><small class="text-muted"><i class="fas fa-paperclip me-1"></i>${this.escapeHtml(rule.attachment.originalname)}</small>` : ''}
+                </td>
+                <td>
+                    <div class="form-check form-switch">
+                        <input class="form-check-input" type="checkbox" ${rule.enabled ? 'checked' : ''}
+                               onchange="autoReplyPage.toggleRule('${rule.id}', this.checked)">
+                    </div>
+                </td>
+                <td class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary" title="Edit" onclick="autoReplyPage.editRule('${rule.id}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" title="Delete" onclick="autoReplyPage.deleteRule('${rule.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    getActiveHours() {
+        const startTime = document.getElementById('rule-hours-start').value;
+        const endTime = document.getElementById('rule-hours-end').value;
+        if (!startTime && !endTime) return null;
+
+        return {
+            startTime: startTime,
+            endTime: endTime,
+            timezone: document.getElementById('rule-hours-timezone').value.trim() || Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+    }
+
+    async saveRule() {
+        const formData = new FormData();
+        formData.append('userId', this.userId);
+        formData.append('name', document.getElementById('rule-name').value.trim());
+        formData.append('deviceId', document.getElementById('rule-device').value);
+        formData.append('matchType', document.getElementById('rule-match-type').value);
+        formData.append('pattern', document.getElementById('rule-pattern').value);
+        formData.append('reply', document.getElementById('rule-reply').value);
+        formData.append('priority', document.getElementById('rule-priority').value);
+        formData.append('cooldownMinutes', document.getElementById('rule-cooldown').value);
+        formData.append('enabled', document.getElementById('rule-enabled').checked);
+        formData.append('activeHours', JSON.stringify(this.getActiveHours()));
+        formData.append('removeAttachment', document.getElementById('rule-remove-attachment').checked);
+
+        const file = document.getElementById('rule-attachment').files[0];
+        if (file) {
+            formData.append('attachment', file);
+        }
+
+        const button = document.getElementById('save-rule-btn');
+        button.disabled = true;
+
+        try {
+            const response = await fetch(this.editingRuleId ? `/api/auto-replies/${this.editingRuleId}` : '/api/auto-replies', {
+                method: this.editingRuleId ? 'PUT' : 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.showToast('Success', `Rule "${result.rule.name}" saved`, 'success');
+            this.resetForm();
+            this.loadRules();
+        } catch (error) {
+            this.showToast('Error', `Could not save rule: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    editRule(ruleId) {
+        const rule = this.rules.find(rule => rule.id === ruleId);
+        if (!rule) return;
+
+        this.editingRuleId = ruleId;
+        document.getElementById('rule-form-title').textContent = 'Edit Rule';
+        document.getElementById('cancel-edit-btn').classList.remove('d-none');
+
+        document.getElementById('rule-name').value = rule.name;
+        document.getElementById('rule-device').value = rule.deviceId || '';
+        document.getElementById('rule-match-type').value = rule.matchType;
+        document.getElementById('rule-pattern').value = rule.pattern;
+        document.getElementById('rule-reply').value = rule.reply;
+        document.getElementById('rule-priority').value = rule.priority;
+        document.getElementById('rule-cooldown').value = rule.cooldownMinutes;
+        document.getElementById('rule-enabled').checked = rule.enabled;
+        document.getElementById('rule-hours-start').value = rule.activeHours ? rule.activeHours.startTime : '';
+        document.getElementById('rule-hours-end').value = rule.activeHours ? rule.activeHours.endTime : '';
+        document.getElementById('rule-hours-timezone').value = rule.activeHours ? rule.activeHours.timezone : '';
+        document.getElementById('rule-attachment').value = '';
+        document.getElementById('rule-remove-attachment').checked = false;
+        document.getElementById('rule-remove-attachment-group').classList.toggle('d-none', !rule.attachment);
+        document.getElementById('rule-current-attachment').textContent = rule.attachment ? `(${rule.attachment.originalname})` : '';
+        this.updatePatternField();
+    }
+
+    resetForm() {
+        this.editingRuleId = null;
+        document.getElementById('rule-form').reset();
+        document.getElementById('rule-form-title').textContent = 'New Rule';
+        document.getElementById('cancel-edit-btn').classList.add('d-none');
+        document.getElementById('rule-remove-attachment-group').classList.add('d-none');
+        this.updatePatternField();
+    }
+
+    toggleRule(ruleId, enabled) {
+        this.socket.emit('toggle-auto-reply-rule', { ruleId: ruleId, enabled: enabled });
+    }
+
+    deleteRule(ruleId) {
+        const rule = this.rules.find(rule => rule.id === ruleId);
+        if (!rule || !confirm(`Delete auto-reply rule "${rule.name}"?`)) return;
+
+        if (this.editingRuleId === ruleId) {
+            this.resetForm();
+        }
+        this.socket.emit('delete-auto-reply-rule', { ruleId: ruleId });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    updateConnectionStatus(status) {
+        const connectionStatus = document.getElementById('connection-status');
+        if (!connectionStatus) return;
+
+        const badge = connectionStatus.querySelector('.badge');
+        if (status === 'connected') {
+            badge.className = 'badge bg-success';
+            badge.innerHTML = '<i class="fas fa-check-circle me-1"></i>Connected';
+        } else {
+            badge.className = 'badge bg-danger';
+            badge.innerHTML = '<i class="fas fa-times-circle me-1"></i>Disconnected';
+        }
+    }
+
+    updateUserDisplay() {
+        const userDisplay = document.getElementById('user-display-name');
+        if (userDisplay) {
+            userDisplay.textContent = this.userId || 'User';
+        }
+    }
+
+    showToast(title, message, type = 'info') {
+        const toast = document.getElementById('toast');
+        const toastTitle = document.getElementById('toast-title');
+        const toastBody = document.getElementById('toast-body');
+        const toastIcon = document.getElementById('toast-icon');
+
+        if (toast && toastTitle && toastBody) {
+            toastTitle.textContent = title;
+            toastBody.textContent = message;
+
+            if (toastIcon) {
+                const icons = {
+                    'success': 'fas fa-check-circle text-success',
+                    'error': 'fas fa-exclamation-circle text-danger',
+                    'warning': 'fas fa-exclamation-triangle text-warning',
+                    'info': 'fas fa-info-circle text-info'
+                };
+                toastIcon.className = icons[type] + ' me-2';
+            }
+
+            new bootstrap.Toast(toast).show();
+        }
+    }
+}
+
+// Initialize auto-reply page when DOM is loaded
+let autoReplyPage;
+document.addEventListener('DOMContentLoaded', () => {
+    autoReplyPage = new AutoReplyPage();
+});
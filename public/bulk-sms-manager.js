@@ -1,4 +1,8 @@
 // Bulk SMS Manager with Device Rotation
+
+// Recipients listed in the dry run dialog; the CSV download has all of them
+const DRY_RUN_ROWS = 500;
+
 class BulkSMSManager {
     constructor() {
         this.socket = null;
@@ -8,13 +12,23 @@ class BulkSMSManager {
         this.recipients = [];
         this.manualRecipients = [];
         this.csvRecipients = [];
-        this.currentInputMethod = 'manual'; // 'manual' or 'csv'
+        this.segments = [];
+        this.segmentRecipients = [];
+        this.validationJobId = null;
+        this.dryRun = null; // Last dry run result, for the CSV download
+        this.currentInputMethod = 'manual'; // 'manual', 'csv' or 'segment'
         this.campaign = {
+            id: null,
             isActive: false,
+            isPaused: false,
             name: '',
             total: 0,
             sent: 0,
             failed: 0,
+            suppressed: 0,
+            invalid: 0,
+            delivered: 0,
+            read: 0,
             currentIndex: 0,
             deviceRotation: {
                 strategy: 'round-robin',
@@ -39,6 +53,7 @@ class BulkSMSManager {
         // Initialize socket connection directly
         this.initSocket();
         this.setupEventListeners();
+        this.setDefaultTimezone();
         this.updateUserDisplay();
         this.setupCSVTemplate();
     }
@@ -54,6 +69,7 @@ class BulkSMSManager {
         this.socket.on('connect', () => {
             this.updateConnectionStatus('connected');
             this.socket.emit('identify-user', { userId: this.userId });
+            this.socket.emit('get-segments');
         });
 
         this.socket.on('disconnect', () => {
@@ -64,6 +80,20 @@ class BulkSMSManager {
             this.updateDevicesList(data.devices);
         });
 
+        // Contact segments
+        this.socket.on('segments-data', (data) => {
+            this.segments = data.segments || [];
+            this.renderSegmentOptions();
+        });
+
+        this.socket.on('contacts-data', (data) => {
+            this.setSegmentRecipients(data.contacts || []);
+        });
+
+        this.socket.on('contacts-updated', () => {
+            this.socket.emit('get-segments');
+        });
+
         // Bulk messaging events
         this.socket.on('bulk-message-progress', (data) => {
             this.updateCampaignProgress(data);
@@ -80,10 +110,63 @@ class BulkSMSManager {
             this.updateCampaignStats();
         });
 
+        this.socket.on('bulk-message-skipped', (data) => {
+            this.campaign.suppressed = data.suppressed;
+            this.campaign.invalid = data.invalid;
+            this.updateCampaignStats();
+        });
+
+        this.socket.on('campaign-validation-progress', (data) => {
+            if (data.campaignId !== this.campaign.id) return;
+            document.getElementById('current-recipient').textContent =
+                `Checking numbers on WhatsApp: ${data.checked}/${data.total} (${data.invalid} not registered)`;
+        });
+
+        this.socket.on('campaign-validation-complete', (data) => {
+            if (data.campaignId !== this.campaign.id) return;
+            this.showToast('Info', `Number check done: ${data.invalid} of ${data.checked} numbers are not on WhatsApp and will be skipped`, 'info');
+        });
+
+        this.socket.on('number-validation-progress', (data) => {
+            if (data.jobId !== this.validationJobId) return;
+            this.showValidationStatus(`Checking numbers on WhatsApp: ${data.checked}/${data.total}...`, 'info');
+        });
+
+        this.socket.on('number-validation-complete', (data) => {
+            if (data.jobId !== this.validationJobId) return;
+            this.showValidationResult(data);
+        });
+
+        this.socket.on('message-status-updated', (data) => {
+            if (data.campaignId !== this.campaign.id || data.delivered === undefined) return;
+            this.campaign.delivered = data.delivered;
+            this.campaign.read = data.read;
+            this.updateCampaignStats();
+        });
+
         this.socket.on('bulk-message-complete', (data) => {
             this.completeCampaign(data);
         });
 
+        this.socket.on('campaign-status-changed', (data) => {
+            if (data.campaignId !== this.campaign.id) return;
+            this.showCampaignStatus(data);
+        });
+
+        this.socket.on('campaign-paused', (data) => {
+            if (data.campaignId !== this.campaign.id || this.campaign.isPaused) return;
+            this.campaign.isPaused = true;
+            this.updatePauseControls();
+            this.showToast('Info', 'Campaign paused - progress is kept until you resume', 'info');
+        });
+
+        this.socket.on('campaign-resumed', (data) => {
+            if (data.campaignId !== this.campaign.id || !this.campaign.isPaused) return;
+            this.campaign.isPaused = false;
+            this.updatePauseControls();
+            this.showToast('Info', 'Campaign resumed', 'info');
+        });
+
         this.socket.on('error', (data) => {
             this.showToast('Error', data.message || 'An error occurred', 'error');
         });
@@ -109,6 +192,11 @@ class BulkSMSManager {
         document.getElementById('csv-file')?.addEventListener('change', (e) => {
             this.handleCSVUpload(e.target.files[0]);
         });
+
+        // Check the CSV against WhatsApp
+        document.getElementById('validate-csv-btn')?.addEventListener('click', () => {
+            this.validateCSVList();
+        });
         
         // Manual number input
         document.getElementById('manual-numbers-input')?.addEventListener('input', () => {
@@ -136,6 +224,18 @@ class BulkSMSManager {
             this.switchInputMethod('csv');
         });
 
+        document.getElementById('segment-input-tab')?.addEventListener('click', () => {
+            this.switchInputMethod('segment');
+        });
+
+        document.getElementById('segment-select')?.addEventListener('change', () => {
+            this.loadSegmentRecipients();
+        });
+
+        document.getElementById('preview-segment-recipients')?.addEventListener('click', () => {
+            this.showRecipientsPreview('segment');
+        });
+
         // Attachment upload
         document.getElementById('bulk-attachment')?.addEventListener('change', (e) => {
             this.handleAttachmentUpload(e.target.files[0]);
@@ -152,6 +252,16 @@ class BulkSMSManager {
             this.updateSendButtonState();
         });
 
+        // Follow-up message parts
+        document.getElementById('add-message-part')?.addEventListener('click', () => {
+            this.addMessagePart();
+        });
+
+        // Sample renders of the template and alternative messages
+        document.getElementById('preview-message-samples')?.addEventListener('click', () => {
+            this.previewMessageSamples();
+        });
+
         // Preview recipients (updated)
         document.getElementById('preview-recipients')?.addEventListener('click', () => {
             this.showRecipientsPreview('csv');
@@ -182,10 +292,28 @@ class BulkSMSManager {
             this.startCampaign();
         });
 
+        // Dry run
+        document.getElementById('dry-run-btn')?.addEventListener('click', () => {
+            this.runDryRun();
+        });
+
+        document.getElementById('download-dry-run')?.addEventListener('click', () => {
+            this.downloadDryRun();
+        });
+
         // Stop campaign
         document.getElementById('stop-campaign-btn')?.addEventListener('click', () => {
             this.stopCampaign();
         });
+
+        // Pause / resume campaign
+        document.getElementById('pause-campaign-btn')?.addEventListener('click', () => {
+            this.pauseCampaign();
+        });
+
+        document.getElementById('resume-campaign-btn')?.addEventListener('click', () => {
+            this.resumeCampaign();
+        });
     }
 
     handleRotationStrategyChange(strategy) {
@@ -222,32 +350,34 @@ class BulkSMSManager {
         document.getElementById('manual-count').textContent = lines.length;
     }
     
-    parseManualNumbers() {
+    async parseManualNumbers() {
         const text = document.getElementById('manual-numbers-input')?.value || '';
         const lines = text.split('\n').filter(line => line.trim());
         
-        this.manualRecipients = [];
-        const phoneRegex = /^\+?[1-9]\d{1,14}$/;
-        
+        const parsed = [];
         for (const line of lines) {
             const parts = line.trim().split(',').map(part => part.trim());
             const phoneNumber = parts[0];
             
-            if (phoneNumber && phoneRegex.test(phoneNumber.replace(/\D/g, ''))) {
-                const cleanPhone = phoneNumber.replace(/\D/g, '');
-                const name = parts[1] || cleanPhone;
-                const city = parts[2] || '';
-                const order = parts[3] || '';
-                
-                this.manualRecipients.push({
-                    phoneNumber: cleanPhone,
-                    name: name,
-                    city: city,
-                    order: order
+            if (phoneNumber) {
+                parsed.push({
+                    phoneNumber: phoneNumber,
+                    name: parts[1] || phoneNumber,
+                    city: parts[2] || '',
+                    order: parts[3] || ''
                 });
             }
         }
         
+        try {
+            const result = await this.normalizeRecipientNumbers(parsed);
+            this.manualRecipients = result.recipients;
+            this.showPhoneIssues('manual-phone-issues', result);
+        } catch (error) {
+            this.showToast('Error', 'Failed to check phone numbers: ' + error.message, 'error');
+            return;
+        }
+        
         document.getElementById('manual-parsed-count').textContent = this.manualRecipients.length;
         
         if (this.manualRecipients.length > 0) {
@@ -284,9 +414,16 @@ class BulkSMSManager {
             // Clear CSV
             document.getElementById('csv-file').value = '';
             this.csvRecipients = [];
+            document.getElementById('manual-phone-issues').style.display = 'none';
+            document.getElementById('csv-phone-issues').style.display = 'none';
             document.getElementById('csv-count').textContent = '0';
             document.getElementById('csv-preview').style.display = 'none';
             
+            // Clear segment
+            document.getElementById('segment-select').value = '';
+            this.segmentRecipients = [];
+            document.getElementById('segment-preview').style.display = 'none';
+            
             this.updateTotalRecipients();
             this.showToast('Info', 'All recipients cleared!', 'info');
         }
@@ -298,6 +435,8 @@ class BulkSMSManager {
         
         if (this.currentInputMethod === 'manual') {
             this.recipients = [...this.manualRecipients];
+        } else if (this.currentInputMethod === 'segment') {
+            this.recipients = [...this.segmentRecipients];
         } else {
             this.recipients = [...this.csvRecipients];
         }
@@ -384,7 +523,9 @@ class BulkSMSManager {
         
         try {
             const text = await file.text();
-            this.csvRecipients = this.parseCSV(text);
+            const result = await this.normalizeRecipientNumbers(this.parseCSV(text));
+            this.csvRecipients = result.recipients;
+            this.showPhoneIssues('csv-phone-issues', result);
             
             document.getElementById('csv-count').textContent = this.csvRecipients.length;
             document.getElementById('csv-preview').style.display = 'block';
@@ -398,8 +539,9 @@ class BulkSMSManager {
     }
 
     parseCSV(text) {
-        const lines = text.trim().split('\n');
-        const headers = lines[0].toLowerCase().split(',').map(h => h.trim());
+        const lines = text.trim().split(/\r?\n/);
+        const columns = this.splitCSVLine(lines[0]).map(h => h.trim());
+        const headers = columns.map(h => h.toLowerCase());
         
         const phoneIndex = headers.findIndex(h => 
             h.includes('phone') || h.includes('number') || h.includes('mobile')
@@ -421,14 +563,21 @@ class BulkSMSManager {
         const recipients = [];
         
         for (let i = 1; i < lines.length; i++) {
-            const row = lines[i].split(',').map(cell => cell.trim().replace(/"/g, ''));
+            const row = this.splitCSVLine(lines[i]).map(cell => cell.trim());
             
             if (row[phoneIndex]) {
+                // Keep every column so it can be used as {column} in the message
+                const fields = {};
+                columns.forEach((column, index) => {
+                    if (column) fields[column] = row[index] || '';
+                });
+
                 recipients.push({
-                    phoneNumber: row[phoneIndex].replace(/\D/g, ''),
+                    phoneNumber: row[phoneIndex], // Normalized on the server
                     name: nameIndex !== -1 ? (row[nameIndex] || row[phoneIndex]) : row[phoneIndex],
                     city: cityIndex !== -1 ? (row[cityIndex] || '') : '',
-                    order: orderIndex !== -1 ? (row[orderIndex] || '') : ''
+                    order: orderIndex !== -1 ? (row[orderIndex] || '') : '',
+                    fields: fields
                 });
             }
         }
@@ -436,6 +585,36 @@ class BulkSMSManager {
         return recipients;
     }
 
+    splitCSVLine(line) {
+        const cells = [''];
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' && quoted && line[i + 1] === '"') {
+                cells[cells.length - 1] += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === ',' && !quoted) {
+                cells.push('');
+            } else {
+                cells[cells.length - 1] += char;
+            }
+        }
+        return cells;
+    }
+
+    escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    getCSVColumns() {
+        const columns = new Set();
+        this.recipients.forEach(recipient => Object.keys(recipient.fields || {}).forEach(column => columns.add(column)));
+        return Array.from(columns);
+    }
+
     handleAttachmentUpload(file) {
         if (!file) return;
         
@@ -476,6 +655,10 @@ class BulkSMSManager {
                 recipientsToShow = this.csvRecipients;
                 modalTitle = 'CSV Recipients Preview';
                 break;
+            case 'segment':
+                recipientsToShow = this.segmentRecipients;
+                modalTitle = 'Segment Recipients Preview';
+                break;
             case 'all':
             default:
                 recipientsToShow = this.recipients;
@@ -509,43 +692,22 @@ class BulkSMSManager {
         console.log('Starting campaign with recipients:', this.recipients.length);
         console.log('Selected devices:', Array.from(this.selectedDevices));
         
-        const formData = new FormData();
-        const messageTemplate = document.getElementById('message-template').value;
         const campaignName = document.getElementById('campaign-name').value || `Campaign-${Date.now()}`;
-        const delay = this.getMessageDelay();
-        
-        // Prepare CSV data for selected devices strategy
-        const csvContent = this.generateCSVFromRecipients();
-        const csvBlob = new Blob([csvContent], { type: 'text/csv' });
-        
-        formData.append('userId', this.userId);
-        formData.append('message', messageTemplate);
-        formData.append('delay', delay);
-        formData.append('csvFile', csvBlob, 'recipients.csv');
-        formData.append('rotationStrategy', this.campaign.deviceRotation.strategy);
-        formData.append('selectedDevices', JSON.stringify(Array.from(this.selectedDevices)));
-        
-        const attachment = document.getElementById('bulk-attachment').files[0];
-        if (attachment) {
-            formData.append('attachment', attachment);
-        }
-        
-        console.log('Form data prepared:', {
-            userId: this.userId,
-            messageLength: messageTemplate.length,
-            recipientsCount: this.recipients.length,
-            csvBlobSize: csvBlob.size,
-            selectedDevicesCount: this.selectedDevices.size,
-            attachmentName: attachment ? attachment.name : 'none'
-        });
+        const formData = this.buildCampaignFormData(campaignName);
         
         try {
             // Initialize campaign
+            this.campaign.id = null;
             this.campaign.isActive = true;
+            this.campaign.isPaused = false;
             this.campaign.name = campaignName;
             this.campaign.total = this.recipients.length;
             this.campaign.sent = 0;
             this.campaign.failed = 0;
+            this.campaign.suppressed = 0;
+            this.campaign.invalid = 0;
+            this.campaign.delivered = 0;
+            this.campaign.read = 0;
             this.campaign.currentIndex = 0;
             this.campaign.deviceRotation.currentDeviceIndex = 0;
             this.campaign.deviceRotation.deviceUsageCount.clear();
@@ -553,6 +715,7 @@ class BulkSMSManager {
             // Show progress section
             document.getElementById('campaign-name-display').textContent = campaignName;
             document.getElementById('campaign-progress').style.display = 'block';
+            this.updatePauseControls();
             this.updateCampaignStats();
             this.initDeviceRotationDisplay();
             
@@ -566,7 +729,13 @@ class BulkSMSManager {
             if (!response.ok) {
                 const errorText = await response.text();
                 console.error('Server error response:', errorText);
-                throw new Error(`Server error (${response.status}): ${response.statusText}`);
+                let serverError = null;
+                try {
+                    serverError = JSON.parse(errorText).error;
+                } catch (e) {
+                    // Not a JSON error response
+                }
+                throw new Error(serverError || `Server error (${response.status}): ${response.statusText}`);
             }
             
             // Check if response is JSON
@@ -583,7 +752,15 @@ class BulkSMSManager {
                 throw new Error(result.error || 'Unknown server error');
             }
             
-            this.showToast('Success', `Campaign "${campaignName}" started with ${result.recipients} recipients!`, 'success');
+            this.campaign.id = result.campaignId;
+            this.campaign.total = result.recipients;
+            
+            if (result.status === 'scheduled') {
+                this.showCampaignStatus({ status: result.status, scheduledAt: result.scheduledAt });
+                this.showToast('Success', `Campaign "${campaignName}" scheduled for ${new Date(result.scheduledAt).toLocaleString()} with ${result.recipients} recipients`, 'success');
+            } else {
+                this.showToast('Success', `Campaign "${campaignName}" started with ${result.recipients} recipients!`, 'success');
+            }
             
         } catch (error) {
             console.error('Campaign start error:', error);
@@ -595,7 +772,7 @@ class BulkSMSManager {
                 errorMessage = 'Server configuration error. Please check if all required fields are provided and try again.';
             } else if (error.message.includes('No ready WhatsApp devices')) {
                 errorMessage = 'No WhatsApp devices are connected. Please connect at least one device first.';
-            } else if (error.message.includes('CSV file is required')) {
+            } else if (error.message.includes('CSV file or contact segment is required')) {
                 errorMessage = 'Please select recipients using manual input or upload a CSV file.';
             } else if (error.message.includes('Missing required fields')) {
                 errorMessage = 'Please fill in all required fields (recipients and message).';
@@ -607,7 +784,89 @@ class BulkSMSManager {
         }
     }
 
-    validateCampaignForm() {
+    /**
+     * Campaign settings from the form, as /send-bulk-messages takes them
+     */
+    buildCampaignFormData(campaignName) {
+        const formData = new FormData();
+        const messageTemplate = document.getElementById('message-template').value;
+        const delay = this.getMessageDelay();
+        
+        // Prepare CSV data for selected devices strategy
+        const csvContent = this.generateCSVFromRecipients();
+        const csvBlob = new Blob([csvContent], { type: 'text/csv' });
+        
+        formData.append('userId', this.userId);
+        formData.append('message', messageTemplate);
+        formData.append('messageVariants', JSON.stringify(this.getMessageVariants()));
+        formData.append('variantMode', document.getElementById('variant-mode').value);
+        formData.append('delay', delay);
+        // A segment is resolved on the server, so the campaign gets the contacts as they are at start
+        const segmentId = this.currentInputMethod === 'segment' ? document.getElementById('segment-select').value : '';
+        if (segmentId) {
+            formData.append('segmentId', segmentId);
+        } else {
+            formData.append('csvFile', csvBlob, 'recipients.csv');
+        }
+        formData.append('rotationStrategy', this.campaign.deviceRotation.strategy);
+        formData.append('selectedDevices', JSON.stringify(Array.from(this.selectedDevices)));
+        formData.append('campaignName', campaignName);
+        formData.append('validateNumbers', document.getElementById('validate-numbers')?.checked ? 'true' : 'false');
+        formData.append('parallelSending', document.getElementById('parallel-sending')?.checked === false ? 'false' : 'true');
+        
+        // Scheduling and send window
+        const scheduleAt = document.getElementById('schedule-at')?.value;
+        if (scheduleAt) {
+            formData.append('scheduledAt', new Date(scheduleAt).toISOString());
+        }
+        const windowStart = document.getElementById('send-window-start')?.value;
+        const windowEnd = document.getElementById('send-window-end')?.value;
+        const quietDays = Array.from(document.querySelectorAll('#quiet-days input:checked')).map(input => input.value);
+        if (windowStart || windowEnd || quietDays.length > 0) {
+            formData.append('sendWindowTimezone', document.getElementById('send-window-timezone').value.trim() || 'UTC');
+            formData.append('sendWindowStart', windowStart);
+            formData.append('sendWindowEnd', windowEnd);
+            formData.append('quietDays', JSON.stringify(quietDays));
+        }
+        
+        const attachment = document.getElementById('bulk-attachment').files[0];
+        if (attachment) {
+            formData.append('attachment', attachment);
+        }
+        
+        // Follow-up parts and their files
+        const messageParts = this.getMessageParts();
+        if (messageParts.parts.length > 0) {
+            formData.append('parts', JSON.stringify(messageParts.parts));
+            messageParts.files.forEach(file => formData.append('partFiles', file));
+        }
+        
+        // Per-recipient files named in a CSV column
+        const recipientFiles = document.getElementById('recipient-files-zip')?.files[0];
+        if (recipientFiles) {
+            formData.append('attachmentsZip', recipientFiles);
+        }
+        const attachmentColumn = document.getElementById('attachment-column')?.value.trim();
+        if (attachmentColumn) {
+            formData.append('attachmentColumn', attachmentColumn);
+        }
+        
+        console.log('Form data prepared:', {
+            userId: this.userId,
+            messageLength: messageTemplate.length,
+            recipientsCount: this.recipients.length,
+            csvBlobSize: csvBlob.size,
+            selectedDevicesCount: this.selectedDevices.size,
+            attachmentName: attachment ? attachment.name : 'none'
+        });
+        
+        return formData;
+    }
+
+    /**
+     * A dry run only previews device assignment, so it doesn't need a connected device
+     */
+    validateCampaignForm(dryRun = false) {
         // Check if we have recipients from either source
         const totalRecipients = this.recipients.length;
         
@@ -616,7 +875,7 @@ class BulkSMSManager {
             return false;
         }
         
-        if (this.selectedDevices.size === 0) {
+        if (this.selectedDevices.size === 0 && !dryRun) {
             this.showToast('Error', 'No ready devices available for sending messages', 'error');
             return false;
         }
@@ -626,10 +885,229 @@ class BulkSMSManager {
             this.showToast('Error', 'Please enter a message template', 'error');
             return false;
         }
+
+        // Only devices in a group can post to it, so rotating across devices fails for the others
+        const groupCount = this.recipients.filter(recipient => this.isGroupId(recipient.phoneNumber)).length;
+        if (groupCount > 0 && this.selectedDevices.size > 1 && !dryRun &&
+            !confirm(`${groupCount} recipients are groups. Each group only gets the message from a device that is a member of it - send from the device you exported the groups from.\n\nSend with ${this.selectedDevices.size} devices anyway?`)) {
+            return false;
+        }
         
         return true;
     }
 
+    /**
+     * Run the campaign through the server's send pipeline without sending, and show what every
+     * recipient would get, from which device and when
+     */
+    async runDryRun() {
+        if (!this.validateCampaignForm(true)) return;
+
+        const campaignName = document.getElementById('campaign-name').value || `Campaign-${Date.now()}`;
+        const formData = this.buildCampaignFormData(campaignName);
+        formData.append('dryRun', 'true');
+
+        const button = document.getElementById('dry-run-btn');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/send-bulk-messages', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error || 'Unknown server error');
+            }
+
+            this.dryRun = result;
+            this.showDryRun(result);
+        } catch (error) {
+            this.showToast('Error', `Dry run failed: ${error.message}`, 'error');
+        } finally {
+            this.updateSendButtonState();
+        }
+    }
+
+    showDryRun(result) {
+        const skipped = Object.entries(result.skipped);
+        const devices = result.devices.map(device =>
+            `${this.escapeHtml(device.name)}${device.isReady ? '' : ' <span class="text-muted">(offline)</span>'}: ${device.messages}`
+        );
+
+        document.getElementById('dry-run-summary').innerHTML = `
+            <div class="row g-2 mb-2">
+                <div class="col-md-3"><small class="text-muted d-block">Starts</small>${new Date(result.startsAt).toLocaleString()}</div>
+                <div class="col-md-3"><small class="text-muted d-block">Last message</small>${new Date(result.finishesAt).toLocaleString()}</div>
+                <div class="col-md-3"><small class="text-muted d-block">Estimated duration</small>${this.formatDuration(result.estimatedDuration)}</div>
+                <div class="col-md-3"><small class="text-muted d-block">Messages</small>${result.messages} of ${result.recipients.length} recipients</div>
+            </div>
+            <div class="small mb-2">
+                <strong>Devices (${this.escapeHtml(result.parallelSending ? 'parallel' : result.rotationStrategy)}):</strong>
+                ${devices.length > 0 ? devices.join(' &middot; ') : 'none'}
+                ${skipped.length > 0 ? `<br><strong>Skipped:</strong> ${skipped.map(([status, count]) => `${count} ${this.escapeHtml(status)}`).join(', ')}` : ''}
+            </div>
+            ${result.warnings.map(warning => `
+                <div class="alert alert-warning py-1 px-2 mb-1 small"><i class="fas fa-exclamation-triangle me-1"></i>${this.escapeHtml(warning)}</div>
+            `).join('')}
+        `;
+
+        // Long lists are summarised; the download has every recipient
+        const rows = result.recipients.slice(0, DRY_RUN_ROWS);
+        document.getElementById('dry-run-table-body').innerHTML = rows.map(recipient => `
+            <tr class="${recipient.status === 'send' ? '' : 'text-muted'}">
+                <td>${recipient.index + 1}</td>
+                <td>${this.escapeHtml(recipient.phoneNumber)}<br><small class="text-muted">${this.escapeHtml(recipient.name)}</small></td>
+                <td>${recipient.status === 'send' ?
+                    this.escapeHtml(recipient.deviceName || '-') :
+                    `<span class="badge bg-secondary">${this.escapeHtml(recipient.status)}</span>`}</td>
+                <td class="text-nowrap">${recipient.sendAt ? new Date(recipient.sendAt).toLocaleString() : '-'}</td>
+                <td>${recipient.status === 'send' ? recipient.parts.map(part => `
+                    <div class="mb-1" style="white-space: pre-wrap;">${part.attachment ? `<i class="fas fa-paperclip me-1"></i>${this.escapeHtml(part.attachment)}\n` : ''}${this.escapeHtml(part.content)}</div>
+                `).join('<hr class="my-1">') : this.escapeHtml(recipient.error || '')}</td>
+            </tr>
+        `).join('');
+        document.getElementById('dry-run-more').textContent = result.recipients.length > rows.length ?
+            `Showing the first ${rows.length} of ${result.recipients.length} recipients - download the CSV for all of them.` : '';
+
+        document.querySelector('#dryRunModal .modal-title').innerHTML =
+            `<i class="fas fa-vial me-2"></i>Dry Run: ${this.escapeHtml(result.campaignName)}`;
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('dryRunModal')).show();
+    }
+
+    downloadDryRun() {
+        if (!this.dryRun) return;
+
+        const header = ['#', 'phone', 'name', 'status', 'device', 'send_at', 'message'];
+        const csv = [header.join(',')].concat(this.dryRun.recipients.map(recipient => [
+            recipient.index + 1,
+            recipient.phoneNumber,
+            recipient.name,
+            recipient.status,
+            recipient.deviceName || '',
+            recipient.sendAt || '',
+            recipient.status === 'send' ?
+                recipient.parts.map(part => [part.attachment ? `[${part.attachment}]` : '', part.content].filter(Boolean).join(' ')).join('\n\n') :
+                recipient.error || ''
+        ].map(value => this.escapeCSV(value)).join(','))).join('\n');
+
+        const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `dry-run-${this.dryRun.campaignName.replace(/[^\w-]+/g, '_')}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 1) return `${Math.round(ms / 1000)} sec`;
+
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        return [days && `${days} d`, hours && `${hours} h`, minutes % 60 && `${minutes % 60} min`].filter(Boolean).join(' ');
+    }
+
+    renderSegmentOptions() {
+        const select = document.getElementById('segment-select');
+        if (!select) return;
+
+        // Contacts page links here as bulk-sms.html#segment=<id>
+        const linked = (window.location.hash.match(/^#segment=(.+)$/) || [])[1];
+        const selected = linked || select.value;
+        select.innerHTML = '<option value="">Select a segment...</option>' + this.segments.map(segment =>
+            `<option value="${segment.id}">${this.escapeHtml(segment.name)} (${segment.count})</option>`
+        ).join('');
+        select.value = this.segments.some(segment => segment.id === selected) ? selected : '';
+
+        if (linked && select.value) {
+            history.replaceState(null, '', window.location.pathname);
+            bootstrap.Tab.getOrCreateInstance(document.getElementById('segment-input-tab')).show();
+            this.switchInputMethod('segment');
+        }
+        this.loadSegmentRecipients();
+    }
+
+    loadSegmentRecipients() {
+        const segment = this.segments.find(segment => segment.id === document.getElementById('segment-select').value);
+        if (!segment) {
+            this.setSegmentRecipients([]);
+            return;
+        }
+        this.socket.emit('get-contacts', { filter: segment.filter });
+    }
+
+    /**
+     * Segment contacts in the same shape as CSV rows, for previews and placeholder checks
+     */
+    setSegmentRecipients(contacts) {
+        this.segmentRecipients = contacts.map(contact => ({
+            phoneNumber: contact.phoneNumber,
+            name: contact.name || contact.phoneNumber,
+            city: contact.fields.city || '',
+            order: contact.fields.order || '',
+            fields: { phone: contact.phoneNumber, name: contact.name, ...contact.fields, tags: contact.tags.join(', ') }
+        }));
+
+        document.getElementById('segment-count').textContent = this.segmentRecipients.length;
+        document.getElementById('segment-preview').style.display = document.getElementById('segment-select').value ? 'block' : 'none';
+        this.updateTotalRecipients();
+    }
+
+    /**
+     * Normalize numbers on the server with the account's default country.
+     * Returns the recipients without invalid numbers and repeats, plus what was dropped or flagged.
+     */
+    async normalizeRecipientNumbers(recipients) {
+        const response = await fetch('/api/phone-numbers/normalize', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ recipients: recipients })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result;
+    }
+
+    /**
+     * List numbers that were dropped, merged or read with the default country although they could be another country's
+     */
+    showPhoneIssues(containerId, result) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const sections = [];
+        if (result.invalid.length > 0) {
+            sections.push(`<strong>${result.invalid.length} invalid numbers skipped:</strong><br>` + result.invalid.slice(0, 10).map(item =>
+                `<code>${this.escapeHtml(item.phoneNumber)}</code> - ${this.escapeHtml(item.reason)}`
+            ).join('<br>') + (result.invalid.length > 10 ? `<br>and ${result.invalid.length - 10} more` : ''));
+        }
+        if (result.ambiguous.length > 0) {
+            sections.push(`<strong>${result.ambiguous.length} numbers could belong to another country</strong> - check them or add a "+" and the country code:<br>` + result.ambiguous.slice(0, 10).map(item =>
+                `<code>${this.escapeHtml(item.phoneNumber)}</code> read as ${item.normalized}, could be ${item.alternative}`
+            ).join('<br>') + (result.ambiguous.length > 10 ? `<br>and ${result.ambiguous.length - 10} more` : ''));
+        }
+        if (result.duplicates > 0) {
+            sections.push(`<strong>${result.duplicates} duplicate numbers removed</strong>`);
+        }
+        if (!result.defaultCountry && result.invalid.some(item => item.reason.startsWith('Local number'))) {
+            sections.push('Set a default country in your <a href="profile.html">profile</a> to send to local-format numbers.');
+        }
+
+        container.innerHTML = sections.join('<hr class="my-2">');
+        container.style.display = sections.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Group ids (…@g.us) from a device's group export are sent to as they are
+     */
+    isGroupId(value) {
+        return /^[\d-]+@g\.us$/i.test(String(value || '').trim());
+    }
+
     getMessageDelay() {
         const delaySelect = document.getElementById('message-delay');
         if (delaySelect.value === 'custom') {
@@ -639,13 +1117,150 @@ class BulkSMSManager {
         return parseInt(delaySelect.value);
     }
 
+    addMessagePart() {
+        const container = document.getElementById('message-parts');
+        const row = document.createElement('div');
+        row.className = 'message-part border rounded p-2 mb-2';
+        row.innerHTML = `
+            <div class="row g-2 align-items-center">
+                <div class="col-md-3">
+                    <select class="form-select form-select-sm part-type">
+                        <option value="text">Text</option>
+                        <option value="media">Image / Video</option>
+                        <option value="document">Document</option>
+                        <option value="voice">Voice Note</option>
+                    </select>
+                </div>
+                <div class="col-md-6">
+                    <input type="text" class="form-control form-control-sm part-text" placeholder="Message text">
+                    <input type="file" class="form-control form-control-sm part-file mt-1" style="display: none;">
+                </div>
+                <div class="col-md-2">
+                    <div class="input-group input-group-sm">
+                        <input type="number" class="form-control part-delay" value="2" min="0" max="60" title="Seconds to wait before this part">
+                        <span class="input-group-text">s</span>
+                    </div>
+                </div>
+                <div class="col-md-1 text-end">
+                    <button type="button" class="btn btn-sm btn-outline-danger part-remove" title="Remove part">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+
+        row.querySelector('.part-type').addEventListener('change', (e) => {
+            const type = e.target.value;
+            row.querySelector('.part-file').style.display = type === 'text' ? 'none' : 'block';
+            row.querySelector('.part-text').style.display = type === 'voice' ? 'none' : 'block';
+            row.querySelector('.part-text').placeholder = type === 'text' ? 'Message text' : 'Caption (optional)';
+        });
+        row.querySelector('.part-remove').addEventListener('click', () => row.remove());
+
+        container.appendChild(row);
+    }
+
+    /**
+     * Follow-up parts as sent to the server, plus the files they reference by index
+     */
+    getMessageParts() {
+        const parts = [];
+        const files = [];
+
+        document.querySelectorAll('#message-parts .message-part').forEach(row => {
+            const type = row.querySelector('.part-type').value;
+            const file = row.querySelector('.part-file').files[0];
+            const part = {
+                type: type,
+                text: type === 'voice' ? '' : row.querySelector('.part-text').value.trim(),
+                delay: row.querySelector('.part-delay').value
+            };
+            if (type !== 'text' && file) {
+                part.file = files.length;
+                files.push(file);
+            }
+            parts.push(part);
+        });
+
+        return { parts, files };
+    }
+
+    getMessageVariants() {
+        const text = document.getElementById('message-variants')?.value || '';
+        return text.split(/^\s*---\s*$/m).map(body => body.trim()).filter(Boolean);
+    }
+
+    async previewMessageSamples() {
+        const container = document.getElementById('message-samples');
+        const message = document.getElementById('message-template').value.trim();
+        if (!message) {
+            this.showToast('Error', 'Please enter a message template', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/message-preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    userId: this.userId,
+                    message: message,
+                    messageVariants: this.getMessageVariants(),
+                    variantMode: document.getElementById('variant-mode').value,
+                    recipients: this.recipients.slice(0, 5),
+                    columns: this.getCSVColumns(),
+                    count: 5
+                })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const warning = result.unknownPlaceholders.length > 0 ? `
+                <div class="alert alert-warning py-2 mb-2">
+                    <i class="fas fa-exclamation-triangle me-1"></i>
+                    No matching column for ${result.unknownPlaceholders.map(name => `<code>{${this.escapeHtml(name)}}</code>`).join(', ')}.
+                    Add the column, fix the name or write <code>\\{</code> <code>\\}</code> for literal braces.
+                </div>
+            ` : '';
+
+            container.innerHTML = warning + result.samples.map(sample => `
+                <div class="border rounded p-2 mb-2 bg-light">
+                    <div class="small text-muted mb-1">
+                        ${this.escapeHtml(sample.recipient.name || sample.recipient.phoneNumber)} &middot; Message ${sample.variant.body}
+                    </div>
+                    <div style="white-space: pre-wrap;">${this.escapeHtml(sample.content)}</div>
+                </div>
+            `).join('');
+            container.style.display = 'block';
+        } catch (error) {
+            this.showToast('Error', `Preview failed: ${error.message}`, 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
     generateCSVFromRecipients() {
         if (this.recipients.length === 0) {
             return 'phone,name,city,order\n'; // Empty CSV with headers
         }
         
-        const csvContent = 'phone,name,city,order\n' + 
-            this.recipients.map(r => `${r.phoneNumber},${r.name},${r.city || ''},${r.order || ''}`).join('\n');
+        // Extra CSV columns travel along for {column} placeholders
+        const standard = ['phone', 'name', 'city', 'order'];
+        const extraColumns = this.getCSVColumns().filter(column => !standard.includes(column.toLowerCase()));
+        
+        const csvContent = [...standard, ...extraColumns].map(column => this.escapeCSV(column)).join(',') + '\n' + 
+            this.recipients.map(r => [
+                // "+" keeps normalized numbers from being read as local numbers again
+                this.isGroupId(r.phoneNumber) ? r.phoneNumber : `+${r.phoneNumber}`, r.name, r.city || '', r.order || '',
+                ...extraColumns.map(column => (r.fields || {})[column])
+            ].map(value => this.escapeCSV(value)).join(',')).join('\n');
         console.log('Generated CSV content:', csvContent.substring(0, 200) + '...');
         return csvContent;
     }
@@ -662,12 +1277,107 @@ class BulkSMSManager {
         this.updateCampaignStats();
     }
 
+    showCampaignStatus(data) {
+        const current = document.getElementById('current-recipient');
+        if (!current) return;
+
+        if (data.status === 'scheduled') {
+            current.textContent = `Scheduled for ${new Date(data.scheduledAt).toLocaleString()}`;
+        } else if (data.status === 'waiting-window') {
+            current.textContent = `Outside send window - waiting until ${new Date(data.waitingUntil).toLocaleString()}`;
+        } else if (data.status === 'quota-wait') {
+            current.textContent = `${data.waitReason || 'Device sending limits reached'} - waiting until ${new Date(data.waitingUntil).toLocaleString()}`;
+        } else if (data.status === 'validating') {
+            current.textContent = 'Checking numbers on WhatsApp...';
+        } else if (data.status === 'active') {
+            current.textContent = 'Sending...';
+        }
+    }
+
+    async validateCSVList() {
+        const file = document.getElementById('csv-file').files[0];
+        if (!file) {
+            this.showToast('Error', 'Choose a CSV file first', 'error');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('userId', this.userId);
+        formData.append('csvFile', file);
+        if (this.selectedDevices.size > 0) {
+            formData.append('selectedDevices', JSON.stringify(Array.from(this.selectedDevices)));
+        }
+
+        try {
+            const response = await fetch('/api/validate-numbers', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.validationJobId = result.jobId;
+            this.showValidationStatus(`Checking ${result.total} numbers on WhatsApp...`, 'info');
+        } catch (error) {
+            this.showValidationStatus(`Validation failed: ${error.message}`, 'danger');
+        }
+    }
+
+    showValidationStatus(html, type) {
+        const status = document.getElementById('validate-csv-status');
+        if (!status) return;
+        status.className = `alert alert-${type} mt-2 mb-0`;
+        status.innerHTML = html;
+        status.style.display = 'block';
+    }
+
+    showValidationResult(data) {
+        if (data.status !== 'completed') {
+            this.showValidationStatus(`Validation failed: ${data.error || 'unknown error'}`, 'danger');
+            return;
+        }
+
+        const downloadUrl = `/api/validate-numbers/${data.jobId}/csv?userId=${encodeURIComponent(this.userId)}`;
+        this.showValidationStatus(`
+            <strong>${data.valid}</strong> on WhatsApp, <strong>${data.invalid}</strong> not registered${data.unknown > 0 ? `, ${data.unknown} could not be checked` : ''}.
+            <a href="${downloadUrl}" class="btn btn-sm btn-outline-success ms-2">
+                <i class="fas fa-download"></i> Download Cleaned CSV
+            </a>
+            <button type="button" class="btn btn-sm btn-success ms-1" id="use-cleaned-csv">
+                <i class="fas fa-check"></i> Use Cleaned List
+            </button>
+        `, data.invalid > 0 ? 'warning' : 'success');
+
+        document.getElementById('use-cleaned-csv').addEventListener('click', async () => {
+            const response = await fetch(downloadUrl);
+            await this.handleCSVUpload(await response.blob());
+        });
+    }
+
+    setDefaultTimezone() {
+        const timezoneInput = document.getElementById('send-window-timezone');
+        if (timezoneInput && !timezoneInput.value) {
+            timezoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        }
+    }
+
     updateCampaignStats() {
         document.getElementById('total-messages').textContent = this.campaign.total;
         document.getElementById('sent-messages').textContent = this.campaign.sent;
         document.getElementById('failed-messages').textContent = this.campaign.failed;
         document.getElementById('remaining-messages').textContent = 
-            this.campaign.total - this.campaign.sent - this.campaign.failed;
+            this.campaign.total - this.campaign.sent - this.campaign.failed - this.campaign.suppressed - this.campaign.invalid;
+        
+        const receipts = document.getElementById('receipt-stats');
+        if (receipts) {
+            const rate = (count) => this.campaign.sent > 0 ? Math.round((count / this.campaign.sent) * 100) : 0;
+            receipts.textContent = `Delivered: ${this.campaign.delivered} (${rate(this.campaign.delivered)}%) · Read: ${this.campaign.read} (${rate(this.campaign.read)}%)` +
+                (this.campaign.suppressed > 0 ? ` · Opted out: ${this.campaign.suppressed}` : '') +
+                (this.campaign.invalid > 0 ? ` · Not on WhatsApp: ${this.campaign.invalid}` : '');
+        }
     }
 
     updateDeviceUsage(deviceId) {
@@ -707,8 +1417,14 @@ class BulkSMSManager {
 
     completeCampaign(data) {
         this.campaign.isActive = false;
+        this.campaign.isPaused = false;
+        this.updatePauseControls();
         this.campaign.sent = data.successful;
         this.campaign.failed = data.failed;
+        this.campaign.suppressed = data.suppressed || 0;
+        this.campaign.invalid = data.invalid || 0;
+        this.campaign.delivered = data.delivered || 0;
+        this.campaign.read = data.read || 0;
         
         this.updateCampaignStats();
         
@@ -719,12 +1435,37 @@ class BulkSMSManager {
         document.getElementById('current-device').textContent = '-';
         
         this.showToast('Success', 
-            `Campaign completed! ${data.successful} sent, ${data.failed} failed`, 'success');
+            `Campaign completed! ${data.successful} sent, ${data.failed} failed` +
+            (data.suppressed ? `, ${data.suppressed} skipped (opted out)` : '') +
+            (data.invalid ? `, ${data.invalid} not on WhatsApp` : ''), 'success');
+    }
+
+    pauseCampaign() {
+        if (!this.campaign.id || !this.campaign.isActive) return;
+        this.socket.emit('pause-campaign', { campaignId: this.campaign.id });
+    }
+
+    resumeCampaign() {
+        if (!this.campaign.id || !this.campaign.isPaused) return;
+        this.socket.emit('resume-campaign', { campaignId: this.campaign.id });
+    }
+
+    updatePauseControls() {
+        const pauseBtn = document.getElementById('pause-campaign-btn');
+        const resumeBtn = document.getElementById('resume-campaign-btn');
+        if (!pauseBtn || !resumeBtn) return;
+
+        pauseBtn.style.display = this.campaign.isActive && !this.campaign.isPaused ? 'inline-block' : 'none';
+        resumeBtn.style.display = this.campaign.isActive && this.campaign.isPaused ? 'inline-block' : 'none';
     }
 
     stopCampaign() {
         if (confirm('Are you sure you want to stop the current campaign?')) {
+            if (this.campaign.id) {
+                this.socket.emit('stop-campaign', { campaignId: this.campaign.id });
+            }
             this.campaign.isActive = false;
+            this.campaign.isPaused = false;
             document.getElementById('campaign-progress').style.display = 'none';
             this.showToast('Info', 'Campaign stopped by user', 'info');
         }
@@ -742,6 +1483,10 @@ class BulkSMSManager {
         const hasDevices = this.selectedDevices.size > 0;
         
         sendBtn.disabled = !(hasRecipients && hasMessage && hasDevices && !this.campaign.isActive);
+        const dryRunBtn = document.getElementById('dry-run-btn');
+        if (dryRunBtn) {
+            dryRunBtn.disabled = !(hasRecipients && hasMessage);
+        }
         
         // Update button text to show recipient count
         if (hasRecipients) {
@@ -0,0 +1,469 @@
+class ContactsPage {
+    constructor() {
+        this.userId = this.generateUserId();
+        this.socket = null;
+        this.contacts = [];
+        this.segments = [];
+        this.fields = [];
+        this.filter = null;
+        this.editingPhoneNumber = null;
+        this.editingSegmentId = null;
+        this.init();
+    }
+
+    generateUserId() {
+        // Use localStorage for user ID
+        let id = localStorage.getItem('whatsapp_user_id');
+        if (!id) {
+            id = `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+            localStorage.setItem('whatsapp_user_id', id);
+        }
+        return id;
+    }
+
+    init() {
+        this.initSocket();
+        this.setupEventListeners();
+        this.updateUserDisplay();
+    }
+
+    initSocket() {
+        this.socket = io();
+
+        this.socket.on('connect', () => {
+            this.updateConnectionStatus('connected');
+            this.socket.emit('identify-user', { userId: this.userId });
+            this.loadContacts();
+        });
+
+        this.socket.on('disconnect', () => {
+            this.updateConnectionStatus('disconnected');
+        });
+
+        this.socket.on('contacts-data', (data) => {
+            this.contacts = data.contacts || [];
+            this.fields = data.fields || [];
+            document.getElementById('contact-count').textContent = data.total || 0;
+            this.renderTagOptions(data.tags || []);
+            this.renderContacts();
+        });
+
+        this.socket.on('segments-data', (data) => {
+            this.segments = data.segments || [];
+            this.renderSegments();
+        });
+
+        this.socket.on('contacts-updated', () => {
+            this.loadContacts();
+        });
+
+        this.socket.on('contact-saved', (data) => {
+            this.showToast('Success', `Contact ${data.contact.name || data.contact.phoneNumber} saved`, 'success');
+            this.resetContactForm();
+        });
+
+        this.socket.on('segment-saved', (data) => {
+            this.showToast('Success', `Segment "${data.segment.name}" saved`, 'success');
+            this.editingSegmentId = null;
+            document.getElementById('segment-name').value = '';
+            document.getElementById('save-segment-label').textContent = 'Save as segment';
+        });
+
+        this.socket.on('error', (error) => {
+            this.showToast('Error', error.error || error.message || 'Connection error', 'error');
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('refresh-contacts-btn').addEventListener('click', () => {
+            this.loadContacts();
+        });
+
+        document.getElementById('export-contacts-btn').addEventListener('click', () => {
+            window.location.href = `/api/contacts/export?userId=${encodeURIComponent(this.userId)}`;
+        });
+
+        document.getElementById('import-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.importContacts();
+        });
+
+        document.getElementById('contact-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveContact();
+        });
+
+        document.getElementById('cancel-edit-btn').addEventListener('click', () => {
+            this.resetContactForm();
+        });
+
+        document.getElementById('add-condition-btn').addEventListener('click', () => {
+            this.addConditionRow();
+        });
+
+        document.getElementById('apply-filter-btn').addEventListener('click', () => {
+            this.applyFilter(this.readFilter());
+        });
+
+        document.getElementById('clear-filter-btn').addEventListener('click', () => {
+            this.editingSegmentId = null;
+            document.getElementById('segment-name').value = '';
+            document.getElementById('save-segment-label').textContent = 'Save as segment';
+            this.setFilterForm(null);
+            this.applyFilter(null);
+        });
+
+        document.getElementById('save-segment-btn').addEventListener('click', () => {
+            this.saveSegment();
+        });
+
+        document.getElementById('select-all-contacts').addEventListener('change', (e) => {
+            document.querySelectorAll('.contact-select').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+            });
+            this.updateSelection();
+        });
+
+        document.getElementById('delete-selected-btn').addEventListener('click', () => {
+            this.deleteContacts(this.getSelectedPhoneNumbers());
+        });
+    }
+
+    loadContacts() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit('get-contacts', { filter: this.filter });
+        this.socket.emit('get-segments');
+    }
+
+    async importContacts() {
+        const file = document.getElementById('import-file').files[0];
+        if (!file) return;
+
+        const formData = new FormData();
+        formData.append('userId', this.userId);
+        formData.append('csvFile', file);
+        formData.append('tags', document.getElementById('import-tags').value);
+
+        const button = document.getElementById('import-btn');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/contacts/import', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const invalid = result.invalid > 0 ? `, ${result.invalid} invalid rows skipped` : '';
+            this.showToast('Import complete', `${result.created} new, ${result.updated} updated${invalid}`, 'success');
+            document.getElementById('import-form').reset();
+            this.loadContacts();
+        } catch (error) {
+            this.showToast('Error', `Import failed: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Custom fields from "name=value" lines
+     */
+    parseFields(text) {
+        const fields = {};
+        text.split('\n').forEach(line => {
+            const index = line.indexOf('=');
+            if (index > 0) {
+                fields[line.substring(0, index).trim()] = line.substring(index + 1).trim();
+            }
+        });
+        return fields;
+    }
+
+    saveContact() {
+        this.socket.emit('save-contact', {
+            phoneNumber: this.editingPhoneNumber || document.getElementById('contact-phone').value,
+            name: document.getElementById('contact-name').value,
+            tags: document.getElementById('contact-tags').value,
+            fields: this.parseFields(document.getElementById('contact-fields').value),
+            isNew: !this.editingPhoneNumber
+        });
+    }
+
+    editContact(phoneNumber) {
+        const contact = this.contacts.find(contact => contact.phoneNumber === phoneNumber);
+        if (!contact) return;
+
+        this.editingPhoneNumber = phoneNumber;
+        document.getElementById('contact-form-title').textContent = 'Edit Contact';
+        document.getElementById('cancel-edit-btn').classList.remove('d-none');
+        document.getElementById('contact-phone').value = contact.phoneNumber;
+        document.getElementById('contact-phone').disabled = true;
+        document.getElementById('contact-name').value = contact.name;
+        document.getElementById('contact-tags').value = contact.tags.join(', ');
+        document.getElementById('contact-fields').value = Object.entries(contact.fields).map(([name, value]) => `${name}=${value}`).join('\n');
+    }
+
+    resetContactForm() {
+        this.editingPhoneNumber = null;
+        document.getElementById('contact-form').reset();
+        document.getElementById('contact-phone').disabled = false;
+        document.getElementById('contact-form-title').textContent = 'New Contact';
+        document.getElementById('cancel-edit-btn').classList.add('d-none');
+    }
+
+    deleteContacts(phoneNumbers) {
+        if (phoneNumbers.length === 0) return;
+        if (!confirm(phoneNumbers.length === 1 ? `Delete contact ${phoneNumbers[0]}?` : `Delete ${phoneNumbers.length} contacts?`)) return;
+
+        if (phoneNumbers.includes(this.editingPhoneNumber)) {
+            this.resetContactForm();
+        }
+        this.socket.emit('delete-contacts', { phoneNumbers: phoneNumbers });
+    }
+
+    getSelectedPhoneNumbers() {
+        return Array.from(document.querySelectorAll('.contact-select:checked')).map(checkbox => checkbox.value);
+    }
+
+    updateSelection() {
+        document.getElementById('delete-selected-btn').disabled = this.getSelectedPhoneNumbers().length === 0;
+    }
+
+    addConditionRow(condition = { field: '', operator: 'equals', value: '' }) {
+        const row = document.createElement('div');
+        row.className = 'input-group input-group-sm mb-1 filter-condition';
+        row.innerHTML = `
+            <input type="text" class="form-control condition-field" list="field-options" placeholder="Field, e.g. city">
+            <select class="form-select condition-operator">
+                <option value="equals">equals</option>
+                <option value="not-equals">does not equal</option>
+                <option value="contains">contains</option>
+                <option value="exists">is set</option>
+                <option value="missing">is empty</option>
+            </select>
+            <input type="text" class="form-control condition-value" placeholder="Value">
+            <button type="button" class="btn btn-outline-danger" title="Remove"><i class="fas fa-times"></i></button>
+        `;
+        row.querySelector('.condition-field').value = condition.field;
+        row.querySelector('.condition-operator').value = condition.operator;
+        row.querySelector('.condition-value').value = condition.value;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        document.getElementById('filter-conditions').appendChild(row);
+    }
+
+    readFilter() {
+        const conditions = Array.from(document.querySelectorAll('.filter-condition'))
+            .map(row => ({
+                field: row.querySelector('.condition-field').value.trim(),
+                operator: row.querySelector('.condition-operator').value,
+                value: row.querySelector('.condition-value').value
+            }))
+            .filter(condition => condition.field);
+
+        return {
+            tags: document.getElementById('filter-tags').value,
+            tagMode: document.getElementById('filter-tag-mode').value,
+            excludeTags: document.getElementById('filter-exclude-tags').value,
+            conditions: conditions
+        };
+    }
+
+    setFilterForm(filter) {
+        document.getElementById('filter-tags').value = filter ? filter.tags.join(', ') : '';
+        document.getElementById('filter-tag-mode').value = filter ? filter.tagMode : 'any';
+        document.getElementById('filter-exclude-tags').value = filter ? filter.excludeTags.join(', ') : '';
+        document.getElementById('filter-conditions').innerHTML = '';
+        (filter ? filter.conditions : []).forEach(condition => this.addConditionRow(condition));
+    }
+
+    applyFilter(filter, title = null) {
+        this.filter = filter;
+        document.getElementById('contact-list-title').textContent = title || (filter ? 'Filtered Contacts' : 'All Contacts');
+        this.loadContacts();
+    }
+
+    saveSegment() {
+        const name = document.getElementById('segment-name').value.trim();
+        if (!name) {
+            this.showToast('Segment', 'Give the segment a name first', 'warning');
+            return;
+        }
+
+        this.socket.emit('save-segment', {
+            segmentId: this.editingSegmentId,
+            name: name,
+            filter: this.readFilter()
+        });
+    }
+
+    /**
+     * Load a segment's filter into the filter bar; saving again updates the segment
+     */
+    showSegment(segmentId) {
+        const segment = this.segments.find(segment => segment.id === segmentId);
+        if (!segment) return;
+
+        this.editingSegmentId = segmentId;
+        document.getElementById('segment-name').value = segment.name;
+        document.getElementById('save-segment-label').textContent = 'Update segment';
+        this.setFilterForm(segment.filter);
+        this.applyFilter(segment.filter, `Segment: ${segment.name}`);
+    }
+
+    deleteSegment(segmentId) {
+        const segment = this.segments.find(segment => segment.id === segmentId);
+        if (!segment || !confirm(`Delete segment "${segment.name}"? Its contacts are kept.`)) return;
+
+        if (this.editingSegmentId === segmentId) {
+            this.editingSegmentId = null;
+            document.getElementById('segment-name').value = '';
+            document.getElementById('save-segment-label').textContent = 'Save as segment';
+        }
+        this.socket.emit('delete-segment', { segmentId: segmentId });
+    }
+
+    describeFilter(filter) {
+        const parts = [];
+        if (filter.tags.length > 0) {
+            parts.push(`${filter.tagMode === 'all' ? 'all of' : 'any of'} ${filter.tags.join(', ')}`);
+        }
+        if (filter.excludeTags.length > 0) {
+            parts.push(`not ${filter.excludeTags.join(', ')}`);
+        }
+        const operators = { 'equals': '=', 'not-equals': '≠', 'contains': 'contains', 'exists': 'is set', 'missing': 'is empty' };
+        filter.conditions.forEach(condition => {
+            parts.push(`${condition.field} ${operators[condition.operator]}${condition.value ? ` "${condition.value}"` : ''}`);
+        });
+        return parts.length > 0 ? parts.join(' · ') : 'All contacts';
+    }
+
+    renderTagOptions(tags) {
+        document.getElementById('tag-options').innerHTML = tags.map(tag => `<option value="${this.escapeHtml(tag.tag)}">`).join('');
+        document.getElementById('field-options').innerHTML = ['name', ...this.fields].map(field => `<option value="${this.escapeHtml(field)}">`).join('');
+        document.getElementById('tag-summary').innerHTML = tags.map(tag =>
+            `<span class="badge bg-light text-dark border me-1">${this.escapeHtml(tag.tag)} <span class="text-muted">${tag.count}</span></span>`
+        ).join('');
+    }
+
+    renderContacts() {
+        const table = document.getElementById('contact-table');
+        document.getElementById('select-all-contacts').checked = false;
+        this.updateSelection();
+
+        if (this.contacts.length === 0) {
+            table.innerHTML = `<tr><td colspan="6" class="text-center text-muted py-4">${this.filter ? 'No contacts match this filter' : 'No contacts'}</td></tr>`;
+            return;
+        }
+
+        table.innerHTML = this.contacts.map(contact => `
+            <tr>
+                <td><input class="form-check-input contact-select" type="checkbox" value="${contact.phoneNumber}" onchange="contactsPage.updateSelection()"></td>
+                <td>
+                    <strong>${this.escapeHtml(contact.name || '-')}</strong><br>
+                    <small class="text-muted">${contact.phoneNumber}</small>
+                </td>
+                <td>${contact.tags.map(tag => `<span class="badge bg-secondary me-1">${this.escapeHtml(tag)}</span>`).join('')}</td>
+                <td><small>${Object.entries(contact.fields).map(([name, value]) => `${this.escapeHtml(name)}: ${this.escapeHtml(value)}`).join('<br>')}</small></td>
+                <td><small>${contact.lastMessagedAt ? new Date(contact.lastMessagedAt).toLocaleString() : '<span class="text-muted">Never</span>'}</small></td>
+                <td class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary" title="Edit" onclick="contactsPage.editContact('${contact.phoneNumber}')">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" title="Delete" onclick="contactsPage.deleteContacts(['${contact.phoneNumber}'])">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderSegments() {
+        const list = document.getElementById('segment-list');
+
+        if (this.segments.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-center text-muted py-4">No saved segments</li>';
+            return;
+        }
+
+        list.innerHTML = this.segments.map(segment => `
+            <li class="list-group-item">
+                <div class="d-flex justify-content-between align-items-start">
+                    <div>
+                        <a href="#" onclick="contactsPage.showSegment('${segment.id}'); return false;"><strong>${this.escapeHtml(segment.name)}</strong></a>
+                        <span class="badge bg-secondary ms-1">${segment.count}</span><br>
+                        <small class="text-muted">${this.escapeHtml(this.describeFilter(segment.filter))}</small>
+                    </div>
+                    <div class="text-nowrap">
+                        <a class="btn btn-sm btn-outline-success" title="Start a campaign" href="bulk-sms.html#segment=${segment.id}">
+                            <i class="fas fa-paper-plane"></i>
+                        </a>
+                        <button class="btn btn-sm btn-outline-danger" title="Delete" onclick="contactsPage.deleteSegment('${segment.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    updateConnectionStatus(status) {
+        const connectionStatus = document.getElementById('connection-status');
+        if (!connectionStatus) return;
+
+        const badge = connectionStatus.querySelector('.badge');
+        if (status === 'connected') {
+            badge.className = 'badge bg-success';
+            badge.innerHTML = '<i class="fas fa-check-circle me-1"></i>Connected';
+        } else {
+            badge.className = 'badge bg-danger';
+            badge.innerHTML = '<i class="fas fa-times-circle me-1"></i>Disconnected';
+        }
+    }
+
+    updateUserDisplay() {
+        const userDisplay = document.getElementById('user-display-name');
+        if (userDisplay) {
+            userDisplay.textContent = this.userId || 'User';
+        }
+    }
+
+    showToast(title, message, type = 'info') {
+        const toast = document.getElementById('toast');
+        const toastTitle = document.getElementById('toast-title');
+        const toastBody = document.getElementById('toast-body');
+        const toastIcon = document.getElementById('toast-icon');
+
+        if (toast && toastTitle && toastBody) {
+            toastTitle.textContent = title;
+            toastBody.textContent = message;
+
+            if (toastIcon) {
+                const icons = {
+                    'success': 'fas fa-check-circle text-success',
+                    'error': 'fas fa-exclamation-circle text-danger',
+                    'warning': 'fas fa-exclamation-triangle text-warning',
+                    'info': 'fas fa-info-circle text-info'
+                };
+                toastIcon.className = icons[type] + ' me-2';
+            }
+
+            new bootstrap.Toast(toast).show();
+        }
+    }
+}
+
+// Initialize contacts page when DOM is loaded
+let contactsPage;
+document.addEventListener('DOMContentLoaded', () => {
+    contactsPage = new ContactsPage();
+});
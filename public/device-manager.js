@@ -5,6 +5,8 @@ class DeviceManagerPage {
         this.userId = this.generateUserId();
         this.devices = new Map();
         this.pendingQRDevices = new Map();
+        this.pendingPairingCodes = new Map();
+        this.groupsDeviceId = null; // Device whose groups are shown
         this.isDeviceCreationInProgress = false;
         this.devicesBeingCreated = 0;
         this.devicesCreatedCount = 0;
@@ -66,11 +68,17 @@ class DeviceManagerPage {
             this.handleDeviceQRCode(data);
         });
 
+        this.socket.on('device-pairing-code', (data) => {
+            console.log('Pairing code received for device:', data.deviceId);
+            this.handleDevicePairingCode(data);
+        });
+
         this.socket.on('device-ready', (data) => {
             this.showToast('Success', `Device connected! Phone: ${data.phoneNumber}`, 'success');
             
-            // Remove from pending QR codes
+            // Remove from pending QR and pairing codes
             this.pendingQRDevices.delete(data.deviceId);
+            this.pendingPairingCodes.delete(data.deviceId);
             
             // Close any open QR modals for this device
             const qrModal = document.getElementById('singleQRModal');
@@ -100,14 +108,24 @@ class DeviceManagerPage {
         });
 
         this.socket.on('device-deleted', (data) => {
-            this.showToast('Success', 'Device deleted successfully', 'success');
+            this.showToast('Success', data.message || 'Device deleted successfully', 'success');
             this.refreshDevices();
         });
 
+        this.socket.on('device-quota-updated', () => {
+            this.showToast('Success', 'Sending limits saved', 'success');
+        });
+
         this.socket.on('device-status', (data) => {
             this.updateDeviceStatus(data);
         });
 
+        this.socket.on('device-groups', (data) => {
+            if (data.deviceId === this.groupsDeviceId) {
+                this.renderDeviceGroups(data);
+            }
+        });
+
         this.socket.on('error', (data) => {
             // Improved error handling - only show relevant errors
             console.error('Socket error:', data);
@@ -134,6 +152,17 @@ class DeviceManagerPage {
             this.bulkAddDevices();
         });
 
+        // Pairing codes link one phone number, so only one device at a time
+        document.getElementById('link-method')?.addEventListener('change', (e) => {
+            const useCode = e.target.value === 'code';
+            const countSelect = document.getElementById('bulk-device-count');
+            document.getElementById('pairing-phone-group').style.display = useCode ? 'block' : 'none';
+            if (useCode) {
+                countSelect.value = '1';
+            }
+            countSelect.disabled = useCode;
+        });
+
         // Refresh all devices
         document.getElementById('refresh-all-btn')?.addEventListener('click', () => {
             this.refreshDevices();
@@ -172,6 +201,13 @@ class DeviceManagerPage {
 
         const count = parseInt(document.getElementById('bulk-device-count').value);
         const prefix = document.getElementById('device-name-prefix').value.trim() || 'WhatsApp-Device';
+        const linkMethod = document.getElementById('link-method')?.value || 'qr';
+        const phoneNumber = document.getElementById('pairing-phone-number')?.value.trim() || '';
+        
+        if (linkMethod === 'code' && !phoneNumber) {
+            this.showToast('Warning', 'Enter the phone number to link with a pairing code', 'warning');
+            return;
+        }
         
         // Initialize creation state
         this.isDeviceCreationInProgress = true;
@@ -196,7 +232,7 @@ class DeviceManagerPage {
                     // Update inline loading message
                     this.updateInlineLoadingMessage(`Please wait, adding device ${i} of ${count} (${deviceName})...`);
                     
-                    await this.createSingleDevice(deviceName, i, count);
+                    await this.createSingleDevice(deviceName, i, count, { linkMethod, phoneNumber });
                     console.log(`Device ${i} (${deviceName}) created successfully`);
                     
                     // Hide loading after first successful device (if still in progress)
@@ -236,7 +272,7 @@ class DeviceManagerPage {
         }
     }
     
-    async createSingleDevice(deviceName, currentIndex, totalCount) {
+    async createSingleDevice(deviceName, currentIndex, totalCount, linkOptions = {}) {
         return new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
                 reject(new Error(`Timeout creating device ${deviceName}`));
@@ -267,7 +303,7 @@ class DeviceManagerPage {
             this.socket.on('error', onError);
             
             // Emit device creation request
-            this.socket.emit('create-device', { deviceName });
+            this.socket.emit('create-device', { deviceName, ...linkOptions });
         });
     }
 
@@ -292,6 +328,24 @@ class DeviceManagerPage {
         this.showSingleQRCode(this.pendingQRDevices.get(data.deviceId));
     }
 
+    handleDevicePairingCode(data) {
+        this.pendingPairingCodes.set(data.deviceId, {
+            deviceId: data.deviceId,
+            pairingCode: data.pairingCode,
+            phoneNumber: data.phoneNumber,
+            deviceName: this.getDeviceName(data.deviceId),
+            timestamp: data.timestamp || new Date()
+        });
+        
+        // Refresh devices list to update button states (enable Get Code button)
+        this.refreshDevices();
+        
+        this.showToast('Success', `Pairing code ready for ${this.getDeviceName(data.deviceId)}!`, 'success');
+        
+        // Auto-show the code, like QR codes
+        this.showPairingCode(this.pendingPairingCodes.get(data.deviceId));
+    }
+
     getDeviceName(deviceId) {
         const device = this.devices.get(deviceId);
         return device ? device.name : `Device-${deviceId.substring(0, 8)}`;
@@ -424,7 +478,7 @@ class DeviceManagerPage {
 
     updateDeviceStatistics(devices) {
         const ready = devices.filter(d => d.isReady).length;
-        const scanning = devices.filter(d => d.status === 'waiting-for-qr-scan').length;
+        const scanning = devices.filter(d => ['waiting-for-qr-scan', 'waiting-for-pairing-code'].includes(d.status)).length;
         const disconnected = devices.filter(d => d.status === 'disconnected').length;
         const total = devices.length;
         
@@ -458,6 +512,7 @@ class DeviceManagerPage {
     createDeviceCard(device) {
         const statusConfig = this.getStatusConfig(device);
         const hasQRCode = this.pendingQRDevices.has(device.id);
+        const hasPairingCode = this.pendingPairingCodes.has(device.id);
         
         return `
             <div class="col-md-6 col-lg-4 mb-3">
@@ -476,6 +531,27 @@ class DeviceManagerPage {
                                     <li><a class="dropdown-item" onclick="deviceManager.refreshDevice('${device.id}')">
                                         <i class="fas fa-sync-alt me-2"></i>Refresh
                                     </a></li>
+                                    <li><a class="dropdown-item" onclick="deviceManager.showDeviceDetails('${device.id}')">
+                                        <i class="fas fa-tachometer-alt me-2"></i>Sending Limits
+                                    </a></li>
+                                    ${device.isReady ? `
+                                    <li><a class="dropdown-item" onclick="deviceManager.showDeviceGroups('${device.id}')">
+                                        <i class="fas fa-users me-2"></i>Groups
+                                    </a></li>
+                                    ` : ''}
+                                    ${!device.isReady ? `
+                                    <li><a class="dropdown-item" onclick="deviceManager.linkWithQRCode('${device.id}')">
+                                        <i class="fas fa-qrcode me-2"></i>Link with QR code
+                                    </a></li>
+                                    <li><a class="dropdown-item" onclick="deviceManager.linkWithPairingCode('${device.id}')">
+                                        <i class="fas fa-key me-2"></i>Link with pairing code
+                                    </a></li>
+                                    ` : ''}
+                                    ${['disconnected', 'error'].includes(device.status) ? `
+                                    <li><a class="dropdown-item" onclick="deviceManager.reconnectDevice('${device.id}')">
+                                        <i class="fas fa-plug me-2"></i>Reconnect
+                                    </a></li>
+                                    ` : ''}
                                     <li><hr class="dropdown-divider"></li>
                                     <li><a class="dropdown-item text-danger" onclick="deviceManager.confirmDeleteDevice('${device.id}', '${device.name}')">
                                         <i class="fas fa-trash me-2"></i>Delete
@@ -502,10 +578,26 @@ class DeviceManagerPage {
                                 Last Activity: ${new Date(device.lastActivity).toLocaleString()}
                             </small>
                         </div>
+                        ${this.formatQuotaUsage(device)}
                     </div>
                     <div class="card-footer p-2">
                         <div class="row g-1">
-                            ${!device.isReady ? `
+                            ${!device.isReady && device.linkMethod === 'code' ? `
+                                <div class="col-6">
+                                    <button class="btn btn-warning btn-sm w-100" 
+                                            onclick="deviceManager.getPairingCode('${device.id}')" 
+                                            ${!hasPairingCode ? 'disabled' : ''}>
+                                        <i class="fas fa-key me-1"></i>
+                                        ${hasPairingCode ? 'Get Code' : 'Code Pending...'}
+                                    </button>
+                                </div>
+                                <div class="col-6">
+                                    <button class="btn btn-danger btn-sm w-100" 
+                                            onclick="deviceManager.confirmDeleteDevice('${device.id}', '${device.name}')">
+                                        <i class="fas fa-trash me-1"></i>Delete
+                                    </button>
+                                </div>
+                            ` : !device.isReady ? `
                                 <div class="col-6">
                                     <button class="btn btn-warning btn-sm w-100" 
                                             onclick="deviceManager.getQRCode('${device.id}')" 
@@ -546,8 +638,17 @@ class DeviceManagerPage {
             return { color: 'success', icon: 'check-circle', text: 'Connected & Ready' };
         } else if (device.status === 'waiting-for-qr-scan') {
             return { color: 'warning', icon: 'qrcode', text: 'Waiting for QR Scan' };
+        } else if (device.status === 'waiting-for-pairing-code') {
+            return { color: 'warning', icon: 'key', text: 'Waiting for Pairing Code' };
         } else if (device.status === 'authenticated') {
             return { color: 'info', icon: 'spinner fa-spin', text: 'Authenticating...' };
+        } else if (device.status === 'restoring') {
+            return { color: 'info', icon: 'spinner fa-spin', text: 'Reconnecting saved session...' };
+        } else if (device.status === 'reconnecting') {
+            const attempt = device.reconnectAttempts ? ` (attempt ${device.reconnectAttempts}/${device.maxReconnectAttempts})` : '';
+            return { color: 'warning', icon: 'sync-alt fa-spin', text: `Reconnecting${attempt}...` };
+        } else if (device.status === 'error') {
+            return { color: 'danger', icon: 'exclamation-circle', text: 'Connection Error' };
         } else {
             return { color: 'secondary', icon: 'times-circle', text: 'Disconnected' };
         }
@@ -559,6 +660,7 @@ class DeviceManagerPage {
         
         const modal = new bootstrap.Modal(document.getElementById('deviceDetailsModal'));
         const content = document.getElementById('device-details-content');
+        const quota = device.quota || { hourly: { used: 0, limit: null }, daily: { used: 0, limit: null } };
         
         content.innerHTML = `
             <div class="row">
@@ -591,6 +693,29 @@ class DeviceManagerPage {
                     <div class="form-control-plaintext">${new Date(device.lastActivity).toLocaleString()}</div>
                 </div>
             </div>
+            <hr>
+            <h6 class="fw-bold"><i class="fas fa-tachometer-alt me-2"></i>Sending Limits</h6>
+            <p class="text-muted small">
+                Counted across all campaigns and single messages. Campaigns skip this device while it is at a limit.
+                Leave empty or 0 for no limit.
+            </p>
+            <div class="row align-items-end">
+                <div class="col-md-4 mb-3">
+                    <label for="device-quota-hourly" class="form-label">Per hour</label>
+                    <input type="number" min="0" class="form-control" id="device-quota-hourly" value="${quota.hourly.limit || ''}">
+                    <small class="text-muted">Sent this hour: ${quota.hourly.used}</small>
+                </div>
+                <div class="col-md-4 mb-3">
+                    <label for="device-quota-daily" class="form-label">Per day</label>
+                    <input type="number" min="0" class="form-control" id="device-quota-daily" value="${quota.daily.limit || ''}">
+                    <small class="text-muted">Sent today: ${quota.daily.used}</small>
+                </div>
+                <div class="col-md-4 mb-3">
+                    <button class="btn btn-primary w-100" onclick="deviceManager.saveDeviceQuota('${device.id}')">
+                        <i class="fas fa-save me-1"></i>Save Limits
+                    </button>
+                </div>
+            </div>
         `;
         
         document.getElementById('delete-device-modal-btn').onclick = () => {
@@ -601,6 +726,101 @@ class DeviceManagerPage {
         modal.show();
     }
 
+    /**
+     * Open the groups of a ready device; the list arrives with device-groups
+     */
+    showDeviceGroups(deviceId) {
+        const device = this.devices.get(deviceId);
+        if (!device) return;
+
+        this.groupsDeviceId = deviceId;
+        document.getElementById('device-groups-name').textContent = device.name;
+        document.getElementById('device-groups-content').innerHTML = `
+            <div class="text-center text-muted py-4">
+                <i class="fas fa-spinner fa-spin me-2"></i>Loading groups...
+            </div>
+        `;
+        document.getElementById('download-groups-csv-btn').href =
+            `/api/devices/${deviceId}/groups/csv?userId=${encodeURIComponent(this.userId)}`;
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('deviceGroupsModal')).show();
+        this.socket.emit('get-device-groups', { deviceId: deviceId });
+    }
+
+    renderDeviceGroups(data) {
+        const content = document.getElementById('device-groups-content');
+
+        if (data.error) {
+            content.innerHTML = `<div class="alert alert-danger mb-0">Could not load groups: ${this.escapeHtml(data.error)}</div>`;
+            return;
+        }
+        if (data.groups.length === 0) {
+            content.innerHTML = '<div class="text-center text-muted py-4">This device is not in any groups</div>';
+            return;
+        }
+
+        content.innerHTML = data.groups.map(group => `
+            <div class="border rounded p-2 mb-2">
+                <div class="d-flex justify-content-between align-items-center">
+                    <div>
+                        <strong>${this.escapeHtml(group.name)}</strong>
+                        <small class="text-muted ms-2">${group.participantCount} members</small>
+                        ${group.canSend ? '' : '<span class="badge bg-secondary ms-2">Read only</span>'}
+                        <br><small class="text-muted"><code>${group.id}</code></small>
+                    </div>
+                    <div class="text-nowrap">
+                        <a class="btn btn-sm btn-outline-success" title="Download members CSV"
+                           href="/api/devices/${data.deviceId}/groups/${encodeURIComponent(group.id)}/participants/csv?userId=${encodeURIComponent(this.userId)}">
+                            <i class="fas fa-file-csv me-1"></i>Members
+                        </a>
+                        ${group.canSend ? `
+                        <button class="btn btn-sm btn-outline-primary" title="Send a message to the group"
+                                onclick="document.getElementById('group-message-${group.id.replace(/\W/g, '')}').classList.toggle('d-none')">
+                            <i class="fas fa-paper-plane"></i>
+                        </button>
+                        ` : ''}
+                    </div>
+                </div>
+                <div class="input-group input-group-sm mt-2 d-none" id="group-message-${group.id.replace(/\W/g, '')}">
+                    <input type="text" class="form-control" placeholder="Message to ${this.escapeHtml(group.name)}">
+                    <button class="btn btn-primary" onclick="deviceManager.sendGroupMessage('${data.deviceId}', '${group.id}', this)">Send</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async sendGroupMessage(deviceId, groupId, button) {
+        const input = button.parentElement.querySelector('input');
+        const message = input.value.trim();
+        if (!message) return;
+
+        const formData = new FormData();
+        formData.append('deviceId', deviceId);
+        formData.append('phoneNumber', groupId);
+        formData.append('message', message);
+
+        button.disabled = true;
+        try {
+            const response = await fetch('/send-message', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            input.value = '';
+            this.showToast('Success', 'Message sent to the group', 'success');
+        } catch (error) {
+            this.showToast('Error', `Could not send to the group: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
     confirmDeleteDevice(deviceId, deviceName) {
         if (confirm(`Are you sure you want to delete device "${deviceName}"?\n\nThis action cannot be undone.`)) {
             this.deleteDevice(deviceId);
@@ -643,6 +863,98 @@ class DeviceManagerPage {
         this.showToast('Info', `Deleting ${deviceIds.length} devices...`, 'info');
     }
 
+    formatQuotaUsage(device) {
+        const quota = device.quota;
+        if (!quota || (!quota.hourly.limit && !quota.daily.limit)) return '';
+        
+        const parts = [];
+        if (quota.hourly.limit) parts.push(`${quota.hourly.used}/${quota.hourly.limit} this hour`);
+        if (quota.daily.limit) parts.push(`${quota.daily.used}/${quota.daily.limit} today`);
+        
+        return `
+            <div class="mb-2">
+                <small class="${quota.capped ? 'text-danger fw-bold' : 'text-muted'}">
+                    <i class="fas fa-tachometer-alt me-1"></i>
+                    ${quota.capped ? `${quota.reason === 'daily' ? 'Daily' : 'Hourly'} limit reached until ${new Date(quota.resetsAt).toLocaleTimeString()}` : `Sent ${parts.join(', ')}`}
+                </small>
+            </div>
+        `;
+    }
+
+    saveDeviceQuota(deviceId) {
+        if (!this.socket) return;
+        
+        this.socket.emit('update-device-quota', {
+            deviceId,
+            hourly: document.getElementById('device-quota-hourly').value,
+            daily: document.getElementById('device-quota-daily').value
+        });
+    }
+
+    getPairingCode(deviceId) {
+        const codeData = this.pendingPairingCodes.get(deviceId);
+        if (codeData) {
+            this.showPairingCode(codeData);
+        } else {
+            this.linkWithPairingCode(deviceId);
+        }
+    }
+
+    linkWithPairingCode(deviceId) {
+        const device = this.devices.get(deviceId);
+        const phoneNumber = prompt('Phone number to link (country code + number, e.g. 14155550123):',
+            (device && device.pairingPhoneNumber) || '');
+        if (!phoneNumber || !phoneNumber.trim()) return;
+        
+        this.pendingQRDevices.delete(deviceId);
+        this.pendingPairingCodes.delete(deviceId);
+        this.showToast('Info', 'Generating pairing code...', 'info');
+        this.socket.emit('get-device-pairing-code', { deviceId, phoneNumber: phoneNumber.trim() });
+    }
+
+    linkWithQRCode(deviceId) {
+        const device = this.devices.get(deviceId);
+        
+        // A device in pairing-code mode has no usable QR yet
+        if (device && device.linkMethod === 'code') {
+            this.pendingQRDevices.delete(deviceId);
+        }
+        this.pendingPairingCodes.delete(deviceId);
+        this.getQRCode(deviceId);
+    }
+
+    showPairingCode(codeData) {
+        const modal = document.getElementById('qrCodeModal') || this.createQRModal();
+        const modalTitle = modal.querySelector('.modal-title');
+        const modalBody = modal.querySelector('.modal-body');
+        const code = codeData.pairingCode || '';
+        const formattedCode = code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code;
+        
+        modalTitle.innerHTML = `<i class="fas fa-key me-2"></i>Pairing Code - ${codeData.deviceName}`;
+        modalBody.innerHTML = `
+            <div class="text-center">
+                <div class="display-5 fw-bold font-monospace my-3">${formattedCode}</div>
+                <p class="text-muted mb-1">On the phone with number <strong>+${codeData.phoneNumber}</strong>, open WhatsApp and go to</p>
+                <p class="text-muted">Linked devices &rarr; Link a device &rarr; Link with phone number instead, then type this code.</p>
+                <div class="spinner-border spinner-border-sm text-primary" role="status">
+                    <span class="visually-hidden">Waiting for pairing...</span>
+                </div>
+            </div>
+        `;
+        
+        modal.setAttribute('data-device-id', codeData.deviceId);
+        
+        const bootstrapModal = bootstrap.Modal.getOrCreateInstance(modal);
+        bootstrapModal.show();
+    }
+
+    reconnectDevice(deviceId) {
+        if (this.socket) {
+            this.socket.emit('reconnect-device', { deviceId });
+            this.showToast('Info', 'Reconnecting device...', 'info');
+        }
+    }
+
     refreshDevice(deviceId) {
         if (this.socket) {
             this.socket.emit('get-device-status', { deviceId });
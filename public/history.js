@@ -69,6 +69,50 @@ class HistoryManager {
             this.handleHistoryCleared(data);
         });
 
+        this.socket.on('campaign-status-changed', (data) => {
+            const campaign = this.campaigns.get(data.campaignId);
+            if (!campaign) return;
+            campaign.status = data.status;
+            campaign.waitingUntil = data.waitingUntil;
+            campaign.waitReason = data.waitReason;
+            this.renderCampaignsTable();
+        });
+
+        this.socket.on('campaign-retry-started', (data) => {
+            if (!data.retryCampaignName) return; // socket acknowledgement, the room event carries the details
+            this.showToast('Success', `Retrying ${data.recipients} failed recipients as "${data.retryCampaignName}"`, 'success');
+            this.loadHistoryData();
+        });
+
+        this.socket.on('message-status-updated', (data) => {
+            const message = this.messages.find(m => m.id === data.messageId);
+            if (!message) return;
+            Object.assign(message, {
+                status: data.status,
+                deliveredAt: data.deliveredAt,
+                readAt: data.readAt,
+                responseTime: data.responseTime
+            });
+            const campaign = this.campaigns.get(data.campaignId);
+            if (campaign && campaign.progress && data.delivered !== undefined) {
+                campaign.progress.delivered = data.delivered;
+                campaign.progress.read = data.read;
+            }
+            this.renderMessagesTable();
+        });
+
+        this.socket.on('campaign-attempts', (data) => {
+            this.renderCampaignAttempts(data);
+        });
+
+        this.socket.on('campaign-paused', (data) => {
+            this.updateCampaignStatus(data.campaignId, 'paused');
+        });
+
+        this.socket.on('campaign-resumed', (data) => {
+            this.updateCampaignStatus(data.campaignId, 'active');
+        });
+
         this.socket.on('error', (error) => {
             console.error('Socket.IO error:', error);
             this.showToast('Error', error.message || 'Connection error', 'error');
@@ -175,7 +219,7 @@ class HistoryManager {
 
     updateStatistics() {
         const totalCampaigns = this.campaigns.size;
-        const totalSent = this.messages.filter(m => m.status === 'sent').length;
+        const totalSent = this.messages.filter(m => this.isSentStatus(m.status)).length;
         const totalFailed = this.messages.filter(m => m.status === 'failed').length;
         const successRate = totalSent + totalFailed > 0 ? ((totalSent / (totalSent + totalFailed)) * 100).toFixed(1) : 0;
 
@@ -226,7 +270,7 @@ class HistoryManager {
                     </td>
                     <td>${createdDate}</td>
                     <td>
-                        <span class="badge bg-${this.getStatusColor(campaign.status)}">
+                        <span class="badge bg-${this.getStatusColor(campaign.status)}" title="${campaign.waitReason || ''}">
                             ${campaign.status.charAt(0).toUpperCase() + campaign.status.slice(1)}
                         </span>
                     </td>
@@ -239,6 +283,18 @@ class HistoryManager {
                         <button class="btn btn-sm btn-outline-primary" onclick="historyManager.showCampaignDetails('${campaign.id}')">
                             <i class="fas fa-eye"></i>
                         </button>
+                        ${['active', 'scheduled', 'waiting-window', 'quota-wait', 'validating'].includes(campaign.status) ? `
+                        <button class="btn btn-sm btn-outline-warning" title="Pause" onclick="historyManager.pauseCampaign('${campaign.id}')">
+                            <i class="fas fa-pause"></i>
+                        </button>` : ''}
+                        ${campaign.status === 'paused' ? `
+                        <button class="btn btn-sm btn-outline-success" title="Resume" onclick="historyManager.resumeCampaign('${campaign.id}')">
+                            <i class="fas fa-play"></i>
+                        </button>` : ''}
+                        ${['completed', 'stopped'].includes(campaign.status) && campaign.progress?.failed > 0 ? `
+                        <button class="btn btn-sm btn-outline-danger" title="Retry failed recipients" onclick="historyManager.retryFailedRecipients('${campaign.id}')">
+                            <i class="fas fa-redo"></i>
+                        </button>` : ''}
                     </td>
                 </tr>
             `;
@@ -285,12 +341,12 @@ class HistoryManager {
                     <td>${truncatedMessage}</td>
                     <td>${message.deviceName}</td>
                     <td>
-                        <span class="badge bg-${message.status === 'sent' ? 'success' : 'danger'}">
+                        <span class="badge bg-${this.getMessageStatusColor(message.status)}">
                             ${message.status.charAt(0).toUpperCase() + message.status.slice(1)}
                         </span>
                     </td>
                     <td>${message.campaignName || 'Single Message'}</td>
-                    <td>${message.responseTime || 'N/A'}</td>
+                    <td>${this.formatResponseTime(message.responseTime)}</td>
                     <td>
                         <button class="btn btn-sm btn-outline-primary" onclick="historyManager.showMessageDetails('${message.id}')">
                             <i class="fas fa-eye"></i>
@@ -313,8 +369,10 @@ class HistoryManager {
         const deviceStats = document.getElementById('device-usage-stats');
 
         // Status distribution
-        const sent = this.messages.filter(m => m.status === 'sent').length;
+        const sent = this.messages.filter(m => this.isSentStatus(m.status)).length;
         const failed = this.messages.filter(m => m.status === 'failed').length;
+        const delivered = this.messages.filter(m => m.status === 'delivered' || m.status === 'read').length;
+        const read = this.messages.filter(m => m.status === 'read').length;
         
         console.log('Analytics stats:', { sent, failed, total: this.messages.length });
         
@@ -322,14 +380,28 @@ class HistoryManager {
             if (sent > 0 || failed > 0) {
                 statusChart.innerHTML = `
                     <div class="row text-center">
-                        <div class="col-6">
+                        <div class="col-3">
                             <div class="text-success">
-                                <i class="fas fa-check-circle fa-2x"></i>
+                                <i class="fas fa-check fa-2x"></i>
                                 <h4>${sent}</h4>
                                 <small>Sent (${((sent / (sent + failed)) * 100).toFixed(1)}%)</small>
                             </div>
                         </div>
-                        <div class="col-6">
+                        <div class="col-3">
+                            <div class="text-info">
+                                <i class="fas fa-check-double fa-2x"></i>
+                                <h4>${delivered}</h4>
+                                <small>Delivered (${sent > 0 ? ((delivered / sent) * 100).toFixed(1) : 0}%)</small>
+                            </div>
+                        </div>
+                        <div class="col-3">
+                            <div class="text-primary">
+                                <i class="fas fa-eye fa-2x"></i>
+                                <h4>${read}</h4>
+                                <small>Read (${sent > 0 ? ((read / sent) * 100).toFixed(1) : 0}%)</small>
+                            </div>
+                        </div>
+                        <div class="col-3">
                             <div class="text-danger">
                                 <i class="fas fa-times-circle fa-2x"></i>
                                 <h4>${failed}</h4>
@@ -439,11 +511,107 @@ class HistoryManager {
         return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
     }
 
+    pauseCampaign(campaignId) {
+        this.socket.emit('pause-campaign', { campaignId: campaignId });
+    }
+
+    resumeCampaign(campaignId) {
+        this.socket.emit('resume-campaign', { campaignId: campaignId });
+    }
+
+    retryFailedRecipients(campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign) return;
+
+        if (confirm(`Resend to the ${campaign.progress?.failed || 0} failed recipients of "${campaign.name}"?`)) {
+            this.socket.emit('retry-failed-campaign', { campaignId: campaignId });
+        }
+    }
+
+    renderCampaignAttempts(data) {
+        const container = document.getElementById('campaign-attempts');
+        if (!container || container.dataset.campaignId !== data.campaignId) return;
+
+        const recipients = data.recipients || [];
+        if (recipients.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No delivery attempts recorded</p>';
+            return;
+        }
+
+        // Most troublesome recipients first
+        recipients.sort((a, b) => b.failures - a.failures || b.attempts - a.attempts);
+
+        container.innerHTML = `
+            <div class="table-responsive" style="max-height: 300px;">
+                <table class="table table-sm">
+                    <thead>
+                        <tr><th>Recipient</th><th>Attempts</th><th>Failures</th><th>Last Status</th><th>Errors</th></tr>
+                    </thead>
+                    <tbody>
+                        ${recipients.map(r => `
+                            <tr>
+                                <td>${r.name}<br><small class="text-muted">${r.phoneNumber}</small></td>
+                                <td>${r.attempts}</td>
+                                <td>${r.failures}</td>
+                                <td><span class="badge bg-${this.getMessageStatusColor(r.lastStatus)}">${r.lastStatus}</span></td>
+                                <td><small>${r.errors.map(e => `#${e.attempt}: ${e.error}`).join('<br>') || '-'}</small></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    updateCampaignStatus(campaignId, status) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign || campaign.status === status) return;
+
+        campaign.status = status;
+        this.renderCampaignsTable();
+        this.showToast('Info', `Campaign "${campaign.name}" ${status === 'paused' ? 'paused' : 'resumed'}`, 'info');
+    }
+
+    formatSendWindow(sendWindow) {
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const hours = sendWindow.startTime ? `${sendWindow.startTime}-${sendWindow.endTime}` : 'All day';
+        const quiet = sendWindow.quietDays?.length ? `, quiet: ${sendWindow.quietDays.map(d => days[d]).join(', ')}` : '';
+        return `${hours} ${sendWindow.timezone}${quiet}`;
+    }
+
+    isSentStatus(status) {
+        return status === 'sent' || status === 'delivered' || status === 'read';
+    }
+
+    getMessageStatusColor(status) {
+        const colors = {
+            'sent': 'success',
+            'delivered': 'info',
+            'read': 'primary',
+            'failed': 'danger',
+            'suppressed': 'dark',
+            'invalid': 'warning',
+            'skipped': 'light text-dark'
+        };
+        return colors[status] || 'secondary';
+    }
+
+    formatResponseTime(responseTime) {
+        if (responseTime === null || responseTime === undefined) return 'N/A';
+        if (typeof responseTime !== 'number') return responseTime; // older records stored text
+        return responseTime < 60000 ? `${(responseTime / 1000).toFixed(1)}s` : `${Math.round(responseTime / 60000)}m`;
+    }
+
     getStatusColor(status) {
         const colors = {
             'active': 'primary',
+            'scheduled': 'info',
+            'waiting-window': 'info',
+            'quota-wait': 'warning',
+            'validating': 'info',
             'completed': 'success',
             'paused': 'warning',
+            'stopped': 'secondary',
             'failed': 'danger',
             'cancelled': 'secondary'
         };
@@ -467,6 +635,12 @@ class HistoryManager {
                         <tr><th>Status:</th><td><span class="badge bg-${this.getStatusColor(campaign.status)}">${campaign.status}</span></td></tr>
                         <tr><th>Created:</th><td>${new Date(campaign.createdAt).toLocaleString()}</td></tr>
                         <tr><th>Updated:</th><td>${new Date(campaign.updatedAt).toLocaleString()}</td></tr>
+                        ${campaign.scheduledAt ? `<tr><th>Scheduled:</th><td>${new Date(campaign.scheduledAt).toLocaleString()}</td></tr>` : ''}
+                        ${campaign.status === 'quota-wait' ? `<tr><th>Waiting:</th><td>${campaign.waitReason || 'Device sending limits reached'} - until ${new Date(campaign.waitingUntil).toLocaleString()}</td></tr>` : ''}
+                        ${campaign.options?.sendWindow ? `<tr><th>Send Window:</th><td>${this.formatSendWindow(campaign.options.sendWindow)}</td></tr>` : ''}
+                        ${campaign.segmentName ? `<tr><th>Segment:</th><td><a href="contacts.html">${campaign.segmentName}</a> <small class="text-muted">(contacts at start)</small></td></tr>` : ''}
+                        ${campaign.sequenceId ? `<tr><th>Sequence:</th><td><a href="sequences.html#${campaign.sequenceId}">Step ${campaign.sequenceStep}</a></td></tr>` : ''}
+                        ${campaign.parentCampaignId ? `<tr><th>Retry Of:</th><td>${this.campaigns.get(campaign.parentCampaignId)?.name || campaign.parentCampaignId} (pass ${campaign.retryPass})</td></tr>` : ''}
                     </table>
                 </div>
                 <div class="col-md-6">
@@ -475,6 +649,12 @@ class HistoryManager {
                         <tr><th>Total Recipients:</th><td>${campaign.progress?.total || 0}</td></tr>
                         <tr><th>Messages Sent:</th><td>${campaign.progress?.sent || 0}</td></tr>
                         <tr><th>Messages Failed:</th><td>${campaign.progress?.failed || 0}</td></tr>
+                        <tr><th>Suppressed (opted out):</th><td>${campaign.progress?.suppressed || 0}</td></tr>
+                        <tr><th>Not on WhatsApp:</th><td>${campaign.progress?.invalid || 0}</td></tr>
+                        ${campaign.sequenceId ? `<tr><th>Skipped (sequence ended):</th><td>${campaign.progress?.skipped || 0}</td></tr>` : ''}
+                        <tr><th>Delivered:</th><td>${campaign.progress?.delivered || 0}</td></tr>
+                        <tr><th>Read:</th><td>${campaign.progress?.read || 0}</td></tr>
+                        <tr><th>Replies:</th><td>${campaign.progress?.replied || 0}</td></tr>
                         <tr><th>Success Rate:</th><td>${campaign.progress ? ((campaign.progress.sent / (campaign.progress.sent + campaign.progress.failed)) * 100).toFixed(1) : 0}%</td></tr>
                     </table>
                 </div>
@@ -485,8 +665,15 @@ class HistoryManager {
                     ${campaign.message || 'No message template available'}
                 </div>
             </div>
+            <div class="mt-3">
+                <h6>Recipient Attempts</h6>
+                <div id="campaign-attempts" data-campaign-id="${campaign.id}">
+                    <p class="text-muted mb-0">Loading...</p>
+                </div>
+            </div>
         `;
         
+        this.socket.emit('get-campaign-attempts', { campaignId: campaign.id });
         modal.show();
     }
 
@@ -503,9 +690,14 @@ class HistoryManager {
                     <h6>Message Information</h6>
                     <table class="table table-sm">
                         <tr><th>Timestamp:</th><td>${new Date(message.timestamp).toLocaleString()}</td></tr>
-                        <tr><th>Status:</th><td><span class="badge bg-${message.status === 'sent' ? 'success' : 'danger'}">${message.status}</span></td></tr>
+                        <tr><th>Status:</th><td><span class="badge bg-${this.getMessageStatusColor(message.status)}">${message.status}</span></td></tr>
                         <tr><th>Device:</th><td>${message.deviceName}</td></tr>
-                        <tr><th>Response Time:</th><td>${message.responseTime || 'N/A'}</td></tr>
+                        <tr><th>Response Time:</th><td>${this.formatResponseTime(message.responseTime)}</td></tr>
+                        ${message.deliveredAt ? `<tr><th>Delivered:</th><td>${new Date(message.deliveredAt).toLocaleString()}</td></tr>` : ''}
+                        ${message.readAt ? `<tr><th>Read:</th><td>${new Date(message.readAt).toLocaleString()}</td></tr>` : ''}
+                        ${message.part ? `<tr><th>Part:</th><td>${message.part.index} of ${message.part.total} (${message.part.type})</td></tr>` : ''}
+                        ${message.autoReply ? `<tr><th>Auto-reply Rule:</th><td>${message.autoReply.ruleName} <small class="text-muted">(${message.autoReply.matchType})</small></td></tr>` : ''}
+                        ${message.variant ? `<tr><th>Variant:</th><td>Message ${message.variant.body}${message.variant.choices.length > 0 ? ` <small class="text-muted">(${message.variant.choices.join(' / ')})</small>` : ''}</td></tr>` : ''}
                     </table>
                 </div>
                 <div class="col-md-6">
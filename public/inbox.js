@@ -0,0 +1,299 @@
+class InboxManager {
+    constructor() {
+        this.userId = this.generateUserId();
+        this.socket = null;
+        this.devices = new Map();
+        this.conversations = [];
+        this.activePhoneNumber = null;
+        this.deviceFilter = '';
+        this.init();
+    }
+
+    generateUserId() {
+        // Use localStorage for user ID
+        let id = localStorage.getItem('whatsapp_user_id');
+        if (!id) {
+            id = `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+            localStorage.setItem('whatsapp_user_id', id);
+        }
+        return id;
+    }
+
+    init() {
+        this.initSocket();
+        this.setupEventListeners();
+        this.updateUserDisplay();
+    }
+
+    initSocket() {
+        this.socket = io();
+
+        this.socket.on('connect', () => {
+            this.updateConnectionStatus('connected');
+            this.socket.emit('identify-user', { userId: this.userId });
+            this.loadInbox();
+        });
+
+        this.socket.on('disconnect', () => {
+            this.updateConnectionStatus('disconnected');
+        });
+
+        this.socket.on('user-devices', (data) => {
+            this.updateDevices(data.devices || []);
+        });
+
+        this.socket.on('inbox-data', (data) => {
+            this.conversations = data.conversations || [];
+            this.renderConversations();
+            this.updateUnreadCount(data.unread || 0);
+        });
+
+        this.socket.on('conversation-data', (data) => {
+            if (data.phoneNumber !== this.activePhoneNumber) return;
+            this.renderThread(data.messages || []);
+        });
+
+        this.socket.on('inbound-message', (message) => {
+            if (message.phoneNumber === this.activePhoneNumber) {
+                this.socket.emit('get-conversation', { phoneNumber: message.phoneNumber });
+                this.socket.emit('mark-conversation-read', { phoneNumber: message.phoneNumber });
+            } else {
+                this.showToast('New Reply', `${message.senderName || message.phoneNumber}: ${message.body || '[' + message.type + ']'}`, 'info');
+            }
+            this.loadInbox();
+        });
+
+        this.socket.on('conversation-read', () => {
+            this.loadInbox();
+        });
+
+        this.socket.on('inbox-reply-sent', (data) => {
+            document.getElementById('reply-message').value = '';
+            this.setReplyBusy(false);
+            if (data.phoneNumber === this.activePhoneNumber) {
+                this.socket.emit('get-conversation', { phoneNumber: data.phoneNumber });
+            }
+        });
+
+        this.socket.on('error', (error) => {
+            this.setReplyBusy(false);
+            this.showToast('Error', error.message || 'Connection error', 'error');
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('refresh-inbox-btn').addEventListener('click', () => {
+            this.loadInbox();
+        });
+
+        document.getElementById('inbox-device-filter').addEventListener('change', (e) => {
+            this.deviceFilter = e.target.value;
+            this.loadInbox();
+        });
+
+        document.getElementById('reply-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendReply();
+        });
+    }
+
+    loadInbox() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit('get-inbox', { deviceId: this.deviceFilter || null });
+    }
+
+    updateDevices(devices) {
+        this.devices = new Map(devices.map(device => [device.id, device]));
+
+        const filter = document.getElementById('inbox-device-filter');
+        filter.innerHTML = '<option value="">All Devices</option>' + devices.map(device => `
+            <option value="${device.id}" ${device.id === this.deviceFilter ? 'selected' : ''}>
+                ${this.escapeHtml(device.name)}${device.phoneNumber ? ' (' + device.phoneNumber + ')' : ''}
+            </option>
+        `).join('');
+
+        this.renderReplyDevices();
+    }
+
+    renderConversations() {
+        const list = document.getElementById('conversation-list');
+
+        if (this.conversations.length === 0) {
+            list.innerHTML = `
+                <div class="list-group-item text-center text-muted py-4">
+                    <i class="fas fa-inbox fa-2x mb-2"></i>
+                    <p class="mb-0">No replies yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = this.conversations.map(conversation => `
+            <a href="#" class="list-group-item list-group-item-action ${conversation.phoneNumber === this.activePhoneNumber ? 'active' : ''}"
+               onclick="inboxManager.openConversation('${conversation.phoneNumber}'); return false;">
+                <div class="d-flex justify-content-between">
+                    <strong>${this.escapeHtml(conversation.senderName || conversation.phoneNumber)}</strong>
+                    <small>${new Date(conversation.lastTimestamp).toLocaleString()}</small>
+                </div>
+                <div class="d-flex justify-content-between align-items-center">
+                    <small class="text-truncate me-2">${this.escapeHtml(conversation.lastMessage || '')}</small>
+                    ${conversation.unread > 0 ? `<span class="badge bg-danger">${conversation.unread}</span>` : ''}
+                </div>
+                <small class="${conversation.phoneNumber === this.activePhoneNumber ? '' : 'text-muted'}">
+                    ${conversation.phoneNumber} · ${this.escapeHtml(conversation.deviceName || '')}
+                    ${conversation.campaignName ? ' · ' + this.escapeHtml(conversation.campaignName) : ''}
+                </small>
+            </a>
+        `).join('');
+    }
+
+    openConversation(phoneNumber) {
+        this.activePhoneNumber = phoneNumber;
+        const conversation = this.conversations.find(c => c.phoneNumber === phoneNumber);
+
+        document.getElementById('conversation-title').innerHTML = `
+            <i class="fas fa-comment-dots me-2"></i>
+            ${this.escapeHtml(conversation?.senderName || phoneNumber)}
+            <small class="text-muted ms-2">${phoneNumber}</small>
+        `;
+        document.getElementById('conversation-campaign').textContent =
+            conversation?.campaignName ? `Reply to: ${conversation.campaignName}` : '';
+        document.getElementById('conversation-thread').innerHTML =
+            '<div class="text-center text-muted py-5"><i class="fas fa-spinner fa-spin"></i></div>';
+
+        this.renderReplyDevices(conversation?.deviceId);
+        this.renderConversations();
+
+        this.socket.emit('get-conversation', { phoneNumber: phoneNumber });
+        this.socket.emit('mark-conversation-read', { phoneNumber: phoneNumber });
+    }
+
+    renderThread(messages) {
+        const thread = document.getElementById('conversation-thread');
+
+        thread.innerHTML = messages.map(message => {
+            const isInbound = message.direction === 'in';
+            const media = message.hasMedia ? `
+                <div class="small ${isInbound ? 'text-muted' : ''}">
+                    <i class="fas fa-paperclip me-1"></i>
+                    ${this.escapeHtml(message.media?.filename || message.type)}
+                    ${message.media?.mimetype ? '(' + this.escapeHtml(message.media.mimetype) + ')' : ''}
+                </div>` : '';
+
+            return `
+                <div class="d-flex mb-2 ${isInbound ? '' : 'justify-content-end'}">
+                    <div class="p-2 rounded shadow-sm ${isInbound ? 'bg-white' : (message.status === 'failed' ? 'bg-danger text-white' : 'bg-success text-white')}" style="max-width: 75%;">
+                        ${media}
+                        <div style="white-space: pre-wrap;">${this.escapeHtml(message.body || '')}</div>
+                        <div class="small ${isInbound ? 'text-muted' : ''} text-end">
+                            ${new Date(message.timestamp).toLocaleString()}
+                            ${isInbound ? '' : ' · ' + this.escapeHtml(message.deviceName || '')}
+                            ${message.status === 'failed' ? ' · Failed: ' + this.escapeHtml(message.error || '') : ''}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('') || '<div class="text-center text-muted py-5">No messages</div>';
+
+        thread.scrollTop = thread.scrollHeight;
+    }
+
+    renderReplyDevices(preferredDeviceId = null) {
+        const select = document.getElementById('reply-device');
+        const readyDevices = Array.from(this.devices.values()).filter(device => device.isReady);
+        const current = preferredDeviceId || select.value;
+
+        select.innerHTML = readyDevices.map(device => `
+            <option value="${device.id}" ${device.id === current ? 'selected' : ''}>${this.escapeHtml(device.name)}</option>
+        `).join('');
+
+        const canReply = Boolean(this.activePhoneNumber) && readyDevices.length > 0;
+        select.disabled = !canReply;
+        document.getElementById('reply-message').disabled = !canReply;
+        document.getElementById('reply-send-btn').disabled = !canReply;
+        document.getElementById('reply-message').placeholder = readyDevices.length > 0 ?
+            'Type a reply...' : 'Connect a device to reply';
+    }
+
+    sendReply() {
+        const message = document.getElementById('reply-message').value.trim();
+        const deviceId = document.getElementById('reply-device').value;
+        if (!message || !deviceId || !this.activePhoneNumber) return;
+
+        this.setReplyBusy(true);
+        this.socket.emit('send-inbox-reply', {
+            deviceId: deviceId,
+            phoneNumber: this.activePhoneNumber,
+            message: message
+        });
+    }
+
+    setReplyBusy(isBusy) {
+        const button = document.getElementById('reply-send-btn');
+        button.disabled = isBusy || !this.activePhoneNumber;
+        button.innerHTML = isBusy ? '<i class="fas fa-spinner fa-spin"></i>' : '<i class="fas fa-paper-plane"></i>';
+    }
+
+    updateUnreadCount(unread) {
+        const badge = document.getElementById('inbox-unread-count');
+        badge.textContent = unread;
+        badge.style.display = unread > 0 ? 'inline-block' : 'none';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    updateConnectionStatus(status) {
+        const connectionStatus = document.getElementById('connection-status');
+        if (!connectionStatus) return;
+
+        const badge = connectionStatus.querySelector('.badge');
+        if (status === 'connected') {
+            badge.className = 'badge bg-success';
+            badge.innerHTML = '<i class="fas fa-check-circle me-1"></i>Connected';
+        } else {
+            badge.className = 'badge bg-danger';
+            badge.innerHTML = '<i class="fas fa-times-circle me-1"></i>Disconnected';
+        }
+    }
+
+    updateUserDisplay() {
+        const userDisplay = document.getElementById('user-display-name');
+        if (userDisplay) {
+            userDisplay.textContent = this.userId || 'User';
+        }
+    }
+
+    showToast(title, message, type = 'info') {
+        const toast = document.getElementById('toast');
+        const toastTitle = document.getElementById('toast-title');
+        const toastBody = document.getElementById('toast-body');
+        const toastIcon = document.getElementById('toast-icon');
+
+        if (toast && toastTitle && toastBody) {
+            toastTitle.textContent = title;
+            toastBody.textContent = message;
+
+            if (toastIcon) {
+                const icons = {
+                    'success': 'fas fa-check-circle text-success',
+                    'error': 'fas fa-exclamation-circle text-danger',
+                    'warning': 'fas fa-exclamation-triangle text-warning',
+                    'info': 'fas fa-info-circle text-info'
+                };
+                toastIcon.className = icons[type] + ' me-2';
+            }
+
+            new bootstrap.Toast(toast).show();
+        }
+    }
+}
+
+// Initialize inbox manager when DOM is loaded
+let inboxManager;
+document.addEventListener('DOMContentLoaded', () => {
+    inboxManager = new InboxManager();
+});
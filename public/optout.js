@@ -0,0 +1,255 @@
+class OptOutManager {
+    constructor() {
+        this.userId = this.generateUserId();
+        this.socket = null;
+        this.suppressions = [];
+        this.searchTerm = '';
+        this.init();
+    }
+
+    generateUserId() {
+        // Use localStorage for user ID
+        let id = localStorage.getItem('whatsapp_user_id');
+        if (!id) {
+            id = `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+            localStorage.setItem('whatsapp_user_id', id);
+        }
+        return id;
+    }
+
+    init() {
+        this.initSocket();
+        this.setupEventListeners();
+        this.updateUserDisplay();
+    }
+
+    initSocket() {
+        this.socket = io();
+
+        this.socket.on('connect', () => {
+            this.updateConnectionStatus('connected');
+            this.socket.emit('identify-user', { userId: this.userId });
+            this.loadSuppressions();
+        });
+
+        this.socket.on('disconnect', () => {
+            this.updateConnectionStatus('disconnected');
+        });
+
+        this.socket.on('suppression-list', (data) => {
+            this.suppressions = data.suppressions || [];
+            this.renderSuppressions();
+            this.renderSettings(data.settings || {});
+        });
+
+        this.socket.on('suppression-list-updated', () => {
+            this.loadSuppressions();
+        });
+
+        this.socket.on('suppression-added', (data) => {
+            document.getElementById('add-suppression-form').reset();
+            this.showToast('Success', `${data.entry.phoneNumber} added to the opt-out list`, 'success');
+        });
+
+        this.socket.on('suppression-removed', (data) => {
+            this.showToast('Success', `${data.phoneNumber} removed from the opt-out list`, 'success');
+        });
+
+        this.socket.on('opt-out-received', (data) => {
+            this.showToast('Opt-out', `${data.name || data.phoneNumber} replied "${data.keyword}" and was added to the list`, 'warning');
+        });
+
+        this.socket.on('opt-out-settings-updated', (data) => {
+            this.renderSettings(data.settings);
+            this.showToast('Success', 'Opt-out keywords saved', 'success');
+        });
+
+        this.socket.on('error', (error) => {
+            this.showToast('Error', error.error || error.message || 'Connection error', 'error');
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('refresh-suppressions-btn').addEventListener('click', () => {
+            this.loadSuppressions();
+        });
+
+        document.getElementById('export-suppressions-btn').addEventListener('click', () => {
+            window.location.href = `/api/suppressions/export?userId=${encodeURIComponent(this.userId)}`;
+        });
+
+        document.getElementById('import-suppressions-btn').addEventListener('click', () => {
+            this.importCsv();
+        });
+
+        document.getElementById('suppression-search').addEventListener('input', (e) => {
+            this.searchTerm = e.target.value.toLowerCase();
+            this.renderSuppressions();
+        });
+
+        document.getElementById('add-suppression-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.socket.emit('add-suppression', {
+                phoneNumber: document.getElementById('suppression-phone').value.trim(),
+                name: document.getElementById('suppression-name').value.trim(),
+                reason: document.getElementById('suppression-reason').value.trim()
+            });
+        });
+
+        document.getElementById('opt-out-settings-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.socket.emit('update-opt-out-settings', {
+                keywords: document.getElementById('opt-out-keywords').value,
+                sendConfirmation: document.getElementById('opt-out-send-confirmation').checked,
+                confirmationMessage: document.getElementById('opt-out-confirmation-message').value
+            });
+        });
+    }
+
+    loadSuppressions() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit('get-suppressions');
+    }
+
+    async importCsv() {
+        const fileInput = document.getElementById('suppression-csv');
+        const file = fileInput.files[0];
+        if (!file) {
+            this.showToast('Error', 'Choose a CSV file first', 'error');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('userId', this.userId);
+        formData.append('csvFile', file);
+
+        try {
+            const response = await fetch('/api/suppressions/import', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            fileInput.value = '';
+            this.showToast('Success',
+                `Imported ${result.added} numbers (${result.duplicates} already listed, ${result.invalid} invalid)`, 'success');
+            this.loadSuppressions();
+        } catch (error) {
+            this.showToast('Error', `Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    removeSuppression(phoneNumber) {
+        if (confirm(`Remove ${phoneNumber} from the opt-out list? Campaigns will message this number again.`)) {
+            this.socket.emit('remove-suppression', { phoneNumber: phoneNumber });
+        }
+    }
+
+    renderSuppressions() {
+        const table = document.getElementById('suppression-table');
+        document.getElementById('suppression-count').textContent = this.suppressions.length;
+
+        const rows = this.suppressions.filter(entry => !this.searchTerm ||
+            entry.phoneNumber.includes(this.searchTerm) ||
+            (entry.name || '').toLowerCase().includes(this.searchTerm) ||
+            (entry.reason || '').toLowerCase().includes(this.searchTerm));
+
+        if (rows.length === 0) {
+            table.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center text-muted py-4">No opted-out numbers</td>
+                </tr>
+            `;
+            return;
+        }
+
+        const sourceColors = {
+            'keyword': 'warning',
+            'import': 'info',
+            'manual': 'secondary'
+        };
+
+        table.innerHTML = rows.map(entry => `
+            <tr>
+                <td>${entry.phoneNumber}</td>
+                <td>${this.escapeHtml(entry.name || '-')}</td>
+                <td>${this.escapeHtml(entry.reason || '-')}</td>
+                <td><span class="badge bg-${sourceColors[entry.source] || 'secondary'}">${entry.source}</span></td>
+                <td><small>${new Date(entry.createdAt).toLocaleString()}</small></td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-danger" title="Remove from opt-out list"
+                            onclick="optOutManager.removeSuppression('${entry.phoneNumber}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderSettings(settings) {
+        document.getElementById('opt-out-keywords').value = (settings.keywords || []).join(', ');
+        document.getElementById('opt-out-send-confirmation').checked = Boolean(settings.sendConfirmation);
+        document.getElementById('opt-out-confirmation-message').value = settings.confirmationMessage || '';
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    updateConnectionStatus(status) {
+        const connectionStatus = document.getElementById('connection-status');
+        if (!connectionStatus) return;
+
+        const badge = connectionStatus.querySelector('.badge');
+        if (status === 'connected') {
+            badge.className = 'badge bg-success';
+            badge.innerHTML = '<i class="fas fa-check-circle me-1"></i>Connected';
+        } else {
+            badge.className = 'badge bg-danger';
+            badge.innerHTML = '<i class="fas fa-times-circle me-1"></i>Disconnected';
+        }
+    }
+
+    updateUserDisplay() {
+        const userDisplay = document.getElementById('user-display-name');
+        if (userDisplay) {
+            userDisplay.textContent = this.userId || 'User';
+        }
+    }
+
+    showToast(title, message, type = 'info') {
+        const toast = document.getElementById('toast');
+        const toastTitle = document.getElementById('toast-title');
+        const toastBody = document.getElementById('toast-body');
+        const toastIcon = document.getElementById('toast-icon');
+
+        if (toast && toastTitle && toastBody) {
+            toastTitle.textContent = title;
+            toastBody.textContent = message;
+
+            if (toastIcon) {
+                const icons = {
+                    'success': 'fas fa-check-circle text-success',
+                    'error': 'fas fa-exclamation-circle text-danger',
+                    'warning': 'fas fa-exclamation-triangle text-warning',
+                    'info': 'fas fa-info-circle text-info'
+                };
+                toastIcon.className = icons[type] + ' me-2';
+            }
+
+            new bootstrap.Toast(toast).show();
+        }
+    }
+}
+
+// Initialize opt-out manager when DOM is loaded
+let optOutManager;
+document.addEventListener('DOMContentLoaded', () => {
+    optOutManager = new OptOutManager();
+});
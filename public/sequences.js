@@ -0,0 +1,448 @@
+class SequencePage {
+    constructor() {
+        this.userId = this.generateUserId();
+        this.socket = null;
+        this.sequences = [];
+        this.details = null; // { sequence, recipients, messages } of the sequence being viewed
+        this.init();
+    }
+
+    generateUserId() {
+        // Use localStorage for user ID
+        let id = localStorage.getItem('whatsapp_user_id');
+        if (!id) {
+            id = `user_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+            localStorage.setItem('whatsapp_user_id', id);
+        }
+        return id;
+    }
+
+    init() {
+        this.initSocket();
+        this.setupEventListeners();
+        this.updateUserDisplay();
+        this.addStep();
+        this.addStep(2);
+    }
+
+    initSocket() {
+        this.socket = io();
+
+        this.socket.on('connect', () => {
+            this.updateConnectionStatus('connected');
+            this.socket.emit('identify-user', { userId: this.userId });
+            this.loadSequences();
+
+            // Links from the history page open a sequence directly
+            const sequenceId = window.location.hash.substring(1);
+            if (sequenceId) {
+                this.viewSequence(sequenceId);
+            }
+        });
+
+        this.socket.on('disconnect', () => {
+            this.updateConnectionStatus('disconnected');
+        });
+
+        this.socket.on('sequences-data', (data) => {
+            this.sequences = data.sequences || [];
+            this.renderSequences();
+        });
+
+        this.socket.on('sequence-updated', (data) => {
+            const index = this.sequences.findIndex(sequence => sequence.id === data.sequence.id);
+            if (index === -1) {
+                this.sequences.unshift(data.sequence);
+            } else {
+                this.sequences[index] = data.sequence;
+            }
+            this.renderSequences();
+
+            if (this.details && this.details.sequence.id === data.sequence.id) {
+                this.viewSequence(data.sequence.id);
+            }
+        });
+
+        this.socket.on('sequence-history', (data) => {
+            this.details = data;
+            this.renderDetails();
+        });
+
+        this.socket.on('sequence-reply', (data) => {
+            this.showToast('Reply', `${data.name || data.phoneNumber} replied after step ${data.step} of "${data.sequenceName}" and left the sequence`, 'info');
+        });
+
+        this.socket.on('error', (error) => {
+            this.showToast('Error', error.error || error.message || 'Connection error', 'error');
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('refresh-sequences-btn').addEventListener('click', () => {
+            this.loadSequences();
+        });
+
+        document.getElementById('add-sequence-step').addEventListener('click', () => {
+            this.addStep(7);
+        });
+
+        document.getElementById('sequence-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createSequence();
+        });
+
+        document.getElementById('close-sequence-details').addEventListener('click', () => {
+            this.details = null;
+            document.getElementById('sequence-details').classList.add('d-none');
+            history.replaceState(null, '', window.location.pathname);
+        });
+
+        document.getElementById('sequence-recipient-filter').addEventListener('change', () => {
+            this.renderRecipients();
+        });
+    }
+
+    loadSequences() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit('get-sequences');
+    }
+
+    /**
+     * Add a step editor; the first step has no delay
+     */
+    addStep(delayDays = 0) {
+        const container = document.getElementById('sequence-steps');
+        const number = container.children.length + 1;
+        if (number > 10) {
+            this.showToast('Error', 'A sequence can have at most 10 steps', 'error');
+            return;
+        }
+
+        const step = document.createElement('div');
+        step.className = 'border rounded p-2 mb-2 sequence-step';
+        step.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-2">
+                <strong class="step-title">Step ${number}</strong>
+                <div class="d-flex align-items-center">
+                    ${number === 1 ? '<small class="text-muted">Sends now</small>' : `
+                        <small class="text-muted me-2">after</small>
+                        <input type="number" class="form-control form-control-sm step-delay" min="0" step="0.5" value="${delayDays}" style="width: 80px;">
+                        <small class="text-muted ms-2">days</small>
+                        <button type="button" class="btn btn-sm btn-outline-danger ms-2 remove-step" title="Remove step">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    `}
+                </div>
+            </div>
+            <textarea class="form-control step-message" rows="3" placeholder="Hi {name}, ..." required></textarea>
+        `;
+
+        const removeButton = step.querySelector('.remove-step');
+        if (removeButton) {
+            removeButton.addEventListener('click', () => {
+                step.remove();
+                container.querySelectorAll('.step-title').forEach((title, index) => {
+                    title.textContent = `Step ${index + 1}`;
+                });
+            });
+        }
+
+        container.appendChild(step);
+    }
+
+    getSteps() {
+        return Array.from(document.querySelectorAll('#sequence-steps .sequence-step')).map(step => ({
+            message: step.querySelector('.step-message').value.trim(),
+            delayDays: step.querySelector('.step-delay') ? parseFloat(step.querySelector('.step-delay').value) || 0 : 0
+        }));
+    }
+
+    async createSequence() {
+        const file = document.getElementById('sequence-csv').files[0];
+        if (!file) {
+            this.showToast('Error', 'Choose a CSV file first', 'error');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('userId', this.userId);
+        formData.append('sequenceName', document.getElementById('sequence-name').value.trim());
+        formData.append('csvFile', file);
+        formData.append('steps', JSON.stringify(this.getSteps()));
+        formData.append('rotationStrategy', document.getElementById('sequence-rotation-strategy').value);
+        formData.append('delayOption', document.getElementById('sequence-delay').value);
+
+        const button = document.getElementById('start-sequence-btn');
+        button.disabled = true;
+
+        try {
+            const response = await fetch('/api/sequences', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            document.getElementById('sequence-form').reset();
+            this.showToast('Success', `Sequence "${result.sequence.name}" started for ${result.sequence.progress.total} recipients`, 'success');
+            this.loadSequences();
+        } catch (error) {
+            this.showToast('Error', `Could not start sequence: ${error.message}`, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    viewSequence(sequenceId) {
+        this.socket.emit('get-sequence-history', { sequenceId: sequenceId });
+    }
+
+    pauseSequence(sequenceId) {
+        this.socket.emit('pause-sequence', { sequenceId: sequenceId });
+    }
+
+    resumeSequence(sequenceId) {
+        this.socket.emit('resume-sequence', { sequenceId: sequenceId });
+    }
+
+    stopSequence(sequenceId) {
+        if (confirm('Stop this sequence? Recipients still in it will not get any further steps.')) {
+            this.socket.emit('stop-sequence', { sequenceId: sequenceId });
+        }
+    }
+
+    getStatusColor(status) {
+        const colors = {
+            'active': 'success',
+            'paused': 'warning',
+            'completed': 'primary',
+            'stopped': 'secondary',
+            'replied': 'info',
+            'failed': 'danger',
+            'skipped': 'dark',
+            'pending': 'light text-dark',
+            'sending': 'success',
+            'sent': 'primary'
+        };
+        return colors[status] || 'secondary';
+    }
+
+    describeNextStep(sequence) {
+        const step = sequence.steps[sequence.currentStep];
+        if (!['active', 'paused'].includes(sequence.status) || !step) return '-';
+        if (step.status === 'sending') return `Step ${step.number} sending`;
+        return `Step ${step.number} ${step.dueAt ? new Date(step.dueAt).toLocaleString() : ''}`;
+    }
+
+    renderSequences() {
+        const table = document.getElementById('sequence-table');
+        document.getElementById('sequence-count').textContent = this.sequences.length;
+
+        if (this.sequences.length === 0) {
+            table.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center text-muted py-4">No sequences yet</td>
+                </tr>
+            `;
+            return;
+        }
+
+        table.innerHTML = this.sequences.map(sequence => `
+            <tr>
+                <td>${this.escapeHtml(sequence.name)}<br><small class="text-muted">${new Date(sequence.createdAt).toLocaleString()}</small></td>
+                <td><span class="badge bg-${this.getStatusColor(sequence.status)}">${sequence.status}</span></td>
+                <td>${sequence.currentStep + 1} / ${sequence.steps.length}</td>
+                <td>
+                    <small>
+                        ${sequence.progress.active} active,
+                        ${sequence.progress.replied} replied,
+                        ${sequence.progress.completed} completed
+                        ${sequence.progress.failed ? `, ${sequence.progress.failed} failed` : ''}
+                    </small>
+                </td>
+                <td><small>${this.describeNextStep(sequence)}</small></td>
+                <td class="text-end text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary" title="Progress and history"
+                            onclick="sequencePage.viewSequence('${sequence.id}')">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    ${sequence.status === 'active' ? `
+                        <button class="btn btn-sm btn-outline-warning" title="Pause" onclick="sequencePage.pauseSequence('${sequence.id}')">
+                            <i class="fas fa-pause"></i>
+                        </button>` : ''}
+                    ${sequence.status === 'paused' ? `
+                        <button class="btn btn-sm btn-outline-success" title="Resume" onclick="sequencePage.resumeSequence('${sequence.id}')">
+                            <i class="fas fa-play"></i>
+                        </button>` : ''}
+                    ${['active', 'paused'].includes(sequence.status) ? `
+                        <button class="btn btn-sm btn-outline-danger" title="Stop" onclick="sequencePage.stopSequence('${sequence.id}')">
+                            <i class="fas fa-stop"></i>
+                        </button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderDetails() {
+        const { sequence } = this.details;
+        document.getElementById('sequence-details').classList.remove('d-none');
+        document.getElementById('sequence-details-name').textContent = `${sequence.name} (${sequence.status})`;
+
+        const progress = sequence.progress;
+        document.getElementById('sequence-progress').innerHTML = `
+            <div class="d-flex flex-wrap gap-2 mb-3">
+                <span class="badge bg-secondary">${progress.total} recipients</span>
+                <span class="badge bg-success">${progress.active} active</span>
+                <span class="badge bg-info">${progress.replied} replied</span>
+                <span class="badge bg-primary">${progress.completed} completed</span>
+                <span class="badge bg-danger">${progress.failed} failed</span>
+                <span class="badge bg-dark">${progress.skipped} skipped</span>
+                ${progress.stopped ? `<span class="badge bg-secondary">${progress.stopped} stopped</span>` : ''}
+            </div>
+            <table class="table table-sm">
+                <thead class="table-light">
+                    <tr>
+                        <th>Step</th>
+                        <th>Delay</th>
+                        <th>Status</th>
+                        <th>Started</th>
+                        <th>Sent</th>
+                        <th>Failed</th>
+                        <th>Replies After</th>
+                        <th>Message</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sequence.steps.map(step => `
+                        <tr>
+                            <td>${step.number}</td>
+                            <td>${step.number === 1 ? 'Now' : `${step.delayDays} day${step.delayDays === 1 ? '' : 's'}`}</td>
+                            <td>
+                                <span class="badge bg-${this.getStatusColor(step.status)}">${step.status}</span>
+                                ${step.status === 'pending' && step.dueAt ? `<br><small class="text-muted">due ${new Date(step.dueAt).toLocaleString()}</small>` : ''}
+                                ${step.error ? `<br><small class="text-danger">${this.escapeHtml(step.error)}</small>` : ''}
+                            </td>
+                            <td><small>${step.startedAt ? new Date(step.startedAt).toLocaleString() : '-'}</small></td>
+                            <td>${step.stats ? step.stats.sent : '-'}</td>
+                            <td>${step.stats ? step.stats.failed : '-'}</td>
+                            <td>${step.replied}</td>
+                            <td><small>${this.escapeHtml(step.message.length > 80 ? step.message.substring(0, 80) + '...' : step.message)}</small></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.renderRecipients();
+        this.renderHistory();
+    }
+
+    renderRecipients() {
+        if (!this.details) return;
+        const filter = document.getElementById('sequence-recipient-filter').value;
+        const recipients = this.details.recipients.filter(recipient => filter === 'all' || recipient.status === filter);
+        const table = document.getElementById('sequence-recipient-table');
+
+        if (recipients.length === 0) {
+            table.innerHTML = '<tr><td colspan="5" class="text-center text-muted py-3">No recipients</td></tr>';
+            return;
+        }
+
+        table.innerHTML = recipients.map(recipient => `
+            <tr>
+                <td>${this.escapeHtml(recipient.name || recipient.phoneNumber)}<br><small class="text-muted">${recipient.phoneNumber}</small></td>
+                <td>
+                    <span class="badge bg-${this.getStatusColor(recipient.status)}">${recipient.status}</span>
+                    ${recipient.error ? `<br><small class="text-danger">${this.escapeHtml(recipient.error)}</small>` : ''}
+                </td>
+                <td>${recipient.step} / ${this.details.sequence.steps.length}</td>
+                <td><small>${recipient.lastSentAt ? new Date(recipient.lastSentAt).toLocaleString() : '-'}</small></td>
+                <td><small>${recipient.repliedAt ? `${new Date(recipient.repliedAt).toLocaleString()}<br>${this.escapeHtml(recipient.reply || '')}` : '-'}</small></td>
+            </tr>
+        `).join('');
+    }
+
+    renderHistory() {
+        const table = document.getElementById('sequence-history-table');
+        const messages = this.details.messages.slice().sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        if (messages.length === 0) {
+            table.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-3">No messages sent yet</td></tr>';
+            return;
+        }
+
+        table.innerHTML = messages.map(message => `
+            <tr>
+                <td><small>${new Date(message.timestamp).toLocaleString()}</small></td>
+                <td>${message.sequenceStep}</td>
+                <td>${this.escapeHtml(message.recipient.name || message.recipient.phoneNumber)}<br><small class="text-muted">${message.recipient.phoneNumber}</small></td>
+                <td><small>${this.escapeHtml(message.content || '')}</small></td>
+                <td><small>${this.escapeHtml(message.deviceName || '-')}</small></td>
+                <td>
+                    <span class="badge bg-${this.getStatusColor(message.status === 'sent' || message.status === 'delivered' || message.status === 'read' ? 'sent' : message.status)}">${message.status}</span>
+                    ${message.error ? `<br><small class="text-danger">${this.escapeHtml(message.error)}</small>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML;
+    }
+
+    updateConnectionStatus(status) {
+        const connectionStatus = document.getElementById('connection-status');
+        if (!connectionStatus) return;
+
+        const badge = connectionStatus.querySelector('.badge');
+        if (status === 'connected') {
+            badge.className = 'badge bg-success';
+            badge.innerHTML = '<i class="fas fa-check-circle me-1"></i>Connected';
+        } else {
+            badge.className = 'badge bg-danger';
+            badge.innerHTML = '<i class="fas fa-times-circle me-1"></i>Disconnected';
+        }
+    }
+
+    updateUserDisplay() {
+        const userDisplay = document.getElementById('user-display-name');
+        if (userDisplay) {
+            userDisplay.textContent = this.userId || 'User';
+        }
+    }
+
+    showToast(title, message, type = 'info') {
+        const toast = document.getElementById('toast');
+        const toastTitle = document.getElementById('toast-title');
+        const toastBody = document.getElementById('toast-body');
+        const toastIcon = document.getElementById('toast-icon');
+
+        if (toast && toastTitle && toastBody) {
+            toastTitle.textContent = title;
+            toastBody.textContent = message;
+
+            if (toastIcon) {
+                const icons = {
+                    'success': 'fas fa-check-circle text-success',
+                    'error': 'fas fa-exclamation-circle text-danger',
+                    'warning': 'fas fa-exclamation-triangle text-warning',
+                    'info': 'fas fa-info-circle text-info'
+                };
+                toastIcon.className = icons[type] + ' me-2';
+            }
+
+            new bootstrap.Toast(toast).show();
+        }
+    }
+}
+
+// Initialize sequence page when DOM is loaded
+let sequencePage;
+document.addEventListener('DOMContentLoaded', () => {
+    sequencePage = new SequencePage();
+});
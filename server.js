@@ -11,8 +11,17 @@ const DeviceManager = require('./DeviceManager');
 const SessionManager = require('./SessionManager');
 const CampaignManager = require('./CampaignManager');
 const WhatsAppAPI = require('./WhatsAppAPI');
+const InboxManager = require('./InboxManager');
+const SuppressionManager = require('./SuppressionManager');
+const SequenceManager = require('./SequenceManager');
+const AutoReplyManager = require('./AutoReplyManager');
+const ContactManager = require('./ContactManager');
+const MessageTemplate = require('./MessageTemplate');
+const PhoneNumber = require('./PhoneNumber');
+const RecipientFiles = require('./RecipientFiles');
 const database = require('./config/database'); // Keep for backward compatibility but won't be used
 const authService = require('./config/auth');
+const { getStorage } = require('./storage');
 
 // Initialize Express app and server
 const app = express();
@@ -24,19 +33,26 @@ const io = socketIo(server, {
     }
 });
 
-// Initialize managers
-const deviceManager = new DeviceManager(io);
+// Initialize storage (STORAGE_DRIVER=json|sqlite) and managers
+const dataStorage = getStorage();
+const deviceManager = new DeviceManager(io, dataStorage);
+deviceManager.setDefaultCountryLookup(accountId => authService.getDefaultCountry(accountId));
 const sessionManager = new SessionManager(io); // Keep for backward compatibility
-const campaignManager = new CampaignManager(io, deviceManager);
-const whatsappAPI = new WhatsAppAPI(io, sessionManager, deviceManager); // API functionality disabled
+const suppressionManager = new SuppressionManager(io, deviceManager, dataStorage);
+const campaignManager = new CampaignManager(io, deviceManager, dataStorage, suppressionManager);
+const inboxManager = new InboxManager(io, deviceManager, campaignManager, dataStorage);
+const sequenceManager = new SequenceManager(io, deviceManager, campaignManager, dataStorage);
+const autoReplyManager = new AutoReplyManager(io, deviceManager, campaignManager, inboxManager, dataStorage);
+const contactManager = new ContactManager(io, deviceManager, campaignManager, dataStorage);
+const whatsappAPI = new WhatsAppAPI(io, sessionManager, deviceManager, campaignManager);
 
 // Middleware
 app.use(express.static('public'));
-app.use(express.json());
+app.use(express.json({ limit: '10mb' })); // Recipient lists are posted for number normalization
 app.use(express.urlencoded({ extended: true }));
 
-// Session configuration
-app.use(session({
+// Session configuration, shared with socket.io so devices know which account linked them
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'whatsapp-sender-secret-key',
     resave: false,
     saveUninitialized: false,
@@ -44,7 +60,9 @@ app.use(session({
         secure: false, // Set to true in production with HTTPS
         maxAge: 24 * 60 * 60 * 1000 // 24 hours
     }
-}));
+});
+app.use(sessionMiddleware);
+io.engine.use(sessionMiddleware);
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -62,42 +80,54 @@ const storage = multer.diskStorage({
     }
 });
 
+const uploadFileFilter = (req, file, cb) => {
+    // Allow common file types + CSV, and ZIPs of per-recipient files
+    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|mp3|ogg|opus|m4a|mp4|avi|mov|csv|zip/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    
+    // Also check MIME type for CSV files
+    const allowedMimeTypes = [
+        'image/jpeg', 'image/jpg', 'image/png', 'image/gif',
+        'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'text/plain', 'text/csv', 'application/csv',
+        'audio/mpeg', 'audio/mp3', 'audio/ogg', 'audio/opus', 'audio/mp4', 'audio/x-m4a',
+        'video/mp4', 'video/avi', 'video/quicktime',
+        'application/zip', 'application/x-zip-compressed'
+    ];
+    
+    const mimetypeAllowed = allowedMimeTypes.includes(file.mimetype) || file.mimetype.includes('csv');
+    
+    console.log('File upload check:', {
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        extname: path.extname(file.originalname).toLowerCase(),
+        extnameAllowed: extname,
+        mimetypeAllowed: mimetypeAllowed
+    });
+
+    if (mimetypeAllowed || extname) {
+        return cb(null, true);
+    } else {
+        console.error('File rejected:', file.originalname, file.mimetype);
+        cb(new Error(`Invalid file type: ${file.mimetype}. Allowed types: images, documents, audio, video, CSV, ZIP`));
+    }
+};
+
 const upload = multer({
     storage: storage,
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB limit
     },
-    fileFilter: (req, file, cb) => {
-        // Allow common file types + CSV
-        const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|mp3|mp4|avi|mov|csv/;
-        const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-        
-        // Also check MIME type for CSV files
-        const allowedMimeTypes = [
-            'image/jpeg', 'image/jpg', 'image/png', 'image/gif',
-            'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'text/plain', 'text/csv', 'application/csv',
-            'audio/mpeg', 'audio/mp3',
-            'video/mp4', 'video/avi', 'video/quicktime'
-        ];
-        
-        const mimetypeAllowed = allowedMimeTypes.includes(file.mimetype) || file.mimetype.includes('csv');
-        
-        console.log('File upload check:', {
-            filename: file.originalname,
-            mimetype: file.mimetype,
-            extname: path.extname(file.originalname).toLowerCase(),
-            extnameAllowed: extname,
-            mimetypeAllowed: mimetypeAllowed
-        });
-
-        if (mimetypeAllowed || extname) {
-            return cb(null, true);
-        } else {
-            console.error('File rejected:', file.originalname, file.mimetype);
-            cb(new Error(`Invalid file type: ${file.mimetype}. Allowed types: images, documents, audio, video, CSV`));
-        }
-    }
+    fileFilter: uploadFileFilter
+});
+
+// Bulk sends may include a ZIP with a file per recipient
+const bulkUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 100 * 1024 * 1024 // 100MB limit
+    },
+    fileFilter: uploadFileFilter
 });
 
 // Authentication middleware
@@ -236,8 +266,19 @@ app.put('/api/user/profile', requireAuth, async (req, res) => {
     try {
         const { fullName, company, phone } = req.body;
         const userId = req.session.user.id;
+
+        // Country used for numbers written without a country code
+        let defaultCountry;
+        try {
+            defaultCountry = req.body.defaultCountry === undefined ? undefined : PhoneNumber.normalizeCountry(req.body.defaultCountry);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
         
-        console.log(`📝 Updating profile for user ${userId}:`, { fullName, company, phone });
+        console.log(`📝 Updating profile for user ${userId}:`, { fullName, company, phone, defaultCountry });
         
         // Try database first, fall back to local users
         if (database.isAvailable) {
@@ -247,17 +288,25 @@ app.put('/api/user/profile', requireAuth, async (req, res) => {
                     [fullName, userId]
                 );
                 console.log('✅ Database profile update successful');
+
+                // The users table has no column for it; sessions read it from the local profile
+                if (defaultCountry !== undefined) {
+                    await authService.updateUserProfile(userId, { defaultCountry });
+                }
             } catch (dbError) {
                 console.log('⚠️  Database update failed, using local auth:', dbError.message);
-                await authService.updateUserProfile(userId, { fullName, company, phone });
+                await authService.updateUserProfile(userId, { fullName, company, phone, defaultCountry });
             }
         } else {
-            await authService.updateUserProfile(userId, { fullName, company, phone });
+            await authService.updateUserProfile(userId, { fullName, company, phone, defaultCountry });
         }
         
         // Update session user data
         req.session.user.fullName = fullName;
         req.session.user.full_name = fullName;
+        if (defaultCountry !== undefined) {
+            req.session.user.defaultCountry = defaultCountry;
+        }
         
         res.json({
             success: true,
@@ -354,6 +403,10 @@ app.get('/api/user/statistics', requireAuth, async (req, res) => {
         const campaignStats = {
             total: userCampaigns.length,
             active: userCampaigns.filter(c => c.status === 'active').length,
+            scheduled: userCampaigns.filter(c => c.status === 'scheduled').length,
+            waitingWindow: userCampaigns.filter(c => c.status === 'waiting-window').length,
+            quotaWait: userCampaigns.filter(c => c.status === 'quota-wait').length,
+            paused: userCampaigns.filter(c => c.status === 'paused').length,
             completed: userCampaigns.filter(c => c.status === 'completed').length,
             stopped: userCampaigns.filter(c => c.status === 'stopped').length
         };
@@ -362,18 +415,26 @@ app.get('/api/user/statistics', requireAuth, async (req, res) => {
         let totalMessages = 0;
         let successfulMessages = 0;
         let failedMessages = 0;
+        let deliveredMessages = 0;
+        let readMessages = 0;
         
         userCampaigns.forEach(campaign => {
             if (campaign.progress) {
                 totalMessages += campaign.progress.sent || 0;
                 successfulMessages += campaign.progress.sent || 0;
                 failedMessages += campaign.progress.failed || 0;
+                deliveredMessages += campaign.progress.delivered || 0;
+                readMessages += campaign.progress.read || 0;
             }
         });
         
         // Calculate success rate
         const successRate = totalMessages > 0 ? Math.round((successfulMessages / totalMessages) * 100) : 0;
         
+        // Delivery and read rates are relative to messages accepted by WhatsApp
+        const deliveryRate = successfulMessages > 0 ? Math.round((deliveredMessages / successfulMessages) * 100) : 0;
+        const readRate = successfulMessages > 0 ? Math.round((readMessages / successfulMessages) * 100) : 0;
+        
         const statistics = {
             devices: {
                 total: deviceStats.total,
@@ -384,6 +445,9 @@ app.get('/api/user/statistics', requireAuth, async (req, res) => {
             campaigns: {
                 total: campaignStats.total,
                 active: campaignStats.active,
+                scheduled: campaignStats.scheduled,
+                waitingWindow: campaignStats.waitingWindow,
+                paused: campaignStats.paused,
                 completed: campaignStats.completed,
                 stopped: campaignStats.stopped
             },
@@ -391,7 +455,11 @@ app.get('/api/user/statistics', requireAuth, async (req, res) => {
                 total: totalMessages,
                 successful: successfulMessages,
                 failed: failedMessages,
-                successRate: successRate
+                delivered: deliveredMessages,
+                read: readMessages,
+                successRate: successRate,
+                deliveryRate: deliveryRate,
+                readRate: readRate
             }
         };
         
@@ -932,8 +1000,8 @@ app.get('/api/footer-settings', (req, res) => {
     }
 });
 
-// WhatsApp API functionality removed
-// whatsappAPI.setupRoutes(app);
+// Public REST API (/api/v1) authenticated with per-user API keys
+whatsappAPI.setupRoutes(app, requireAuth);
 
 // Routes
 app.get('/', (req, res) => {
@@ -956,21 +1024,29 @@ app.get('/admin', requireAdmin, (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
-// API Documentation route - REMOVED (API functionality disabled)
-
 // API endpoint for sending messages
 app.post('/send-message', requireAuth, upload.single('attachment'), async (req, res) => {
     try {
-        const { sessionId, deviceId, phoneNumber, message } = req.body;
+        const { sessionId, deviceId, message } = req.body;
         const attachment = req.file;
 
-        if (!phoneNumber || !message) {
+        if (!req.body.phoneNumber || !message) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields: phoneNumber, message'
             });
         }
 
+        // Local-format numbers get the account's default country; group ids are kept as they are
+        const parsedNumber = PhoneNumber.isGroupId(req.body.phoneNumber) ? null : PhoneNumber.normalize(req.body.phoneNumber, getDefaultCountry(req));
+        if (parsedNumber && !parsedNumber.valid) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid phone number: ${parsedNumber.reason}`
+            });
+        }
+        const phoneNumber = parsedNumber ? parsedNumber.phoneNumber : req.body.phoneNumber.trim().toLowerCase();
+
         let result;
         
         // Try to use DeviceManager first, fall back to SessionManager for backward compatibility
@@ -983,6 +1059,45 @@ app.post('/send-message', requireAuth, upload.single('attachment'), async (req,
                 });
             }
 
+            // Respect the device's hourly/daily sending caps
+            const quotaStatus = deviceManager.getQuotaStatus(deviceId);
+            if (quotaStatus.capped) {
+                return res.status(429).json({
+                    success: false,
+                    quotaExceeded: true,
+                    error: `This device has reached its ${quotaStatus.reason} sending limit`,
+                    retryAt: quotaStatus.resetsAt
+                });
+            }
+
+            // Never message numbers that opted out
+            if (suppressionManager.isSuppressed(device.userId, phoneNumber)) {
+                campaignManager.storeMessage({
+                    id: uuidv4(),
+                    userId: device.userId,
+                    campaignId: null,
+                    campaignName: null,
+                    recipient: {
+                        phoneNumber: phoneNumber,
+                        name: req.body.recipientName || phoneNumber,
+                        city: req.body.recipientCity || '',
+                        order: req.body.recipientOrder || ''
+                    },
+                    content: message,
+                    deviceId: deviceId,
+                    deviceName: device.name,
+                    status: 'suppressed',
+                    timestamp: new Date(),
+                    responseTime: null
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    suppressed: true,
+                    error: 'This number is on your opt-out list'
+                });
+            }
+
             try {
                 result = await deviceManager.sendMessage(deviceId, phoneNumber, message, attachment);
                 
@@ -1001,6 +1116,7 @@ app.post('/send-message', requireAuth, upload.single('attachment'), async (req,
                     content: message,
                     deviceId: deviceId,
                     deviceName: device.name,
+                    whatsappMessageId: result?.id?._serialized || null,
                     status: 'sent',
                     timestamp: new Date(),
                     responseTime: null
@@ -1048,9 +1164,8 @@ app.post('/send-message', requireAuth, upload.single('attachment'), async (req,
                 });
             }
 
-            // Format phone number
-            const formattedNumber = phoneNumber.replace(/\D/g, '');
-            const chatId = formattedNumber.includes('@') ? formattedNumber : `${formattedNumber}@c.us`;
+            // Normalized above with the account's default country
+            const chatId = phoneNumber.includes('@') ? phoneNumber : `${phoneNumber}@c.us`;
 
             // Send message
             if (attachment) {
@@ -1115,13 +1230,95 @@ app.post('/send-message', requireAuth, upload.single('attachment'), async (req,
     }
 });
 
+/**
+ * Read recipients from an uploaded CSV. Every column is kept in fields for {column} placeholders.
+ * Numbers are normalized to E.164 digits (local numbers use the default country) and repeats dropped;
+ * resolves to { recipients, invalid, ambiguous, duplicates } as PhoneNumber.normalizeRecipients.
+ * Group ids (…@g.us) in the phone column are kept so campaigns can post to groups.
+ */
+function readRecipientsCsv(csvPath, defaultCountry = null) {
+    const recipients = [];
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(csvPath)
+            .pipe(csv())
+            .on('data', (row) => {
+                // Support multiple CSV formats
+                const phoneNumber = row.phone || row.phoneNumber || row.number || row.Phone || row.PhoneNumber;
+                const name = row.name || row.Name || phoneNumber;
+                const city = row.city || row.City || '';
+                const order = row.order || row.Order || row.id || row.ID || '';
+                
+                if (phoneNumber) {
+                    recipients.push({
+                        phoneNumber: phoneNumber.toString(),
+                        name: name.toString(),
+                        city: city.toString(),
+                        order: order.toString(),
+                        fields: { ...row } // Every column, usable as {column} in the message
+                    });
+                }
+            })
+            .on('end', () => {
+                resolve(PhoneNumber.normalizeRecipients(recipients, defaultCountry));
+            })
+            .on('error', (error) => {
+                reject(error);
+            });
+    });
+}
+
+/**
+ * Default country for local-format numbers, from the logged-in account's profile
+ */
+function getDefaultCountry(req) {
+    return req.session && req.session.user ? req.session.user.defaultCountry || null : null;
+}
+
+/**
+ * Numbers dropped or flagged while normalizing a recipient list, for API responses
+ */
+function describePhoneIssues(summary) {
+    return {
+        invalid: summary.invalid,
+        ambiguous: summary.ambiguous,
+        duplicates: summary.duplicates.length
+    };
+}
+
+/**
+ * Send window from form fields (sendWindowTimezone, sendWindowStart, sendWindowEnd, quietDays)
+ */
+function parseSendWindowFields(body) {
+    let quietDays = [];
+    if (body.quietDays) {
+        quietDays = body.quietDays.trim().startsWith('[') ?
+            JSON.parse(body.quietDays) :
+            body.quietDays.split(',');
+    }
+    return campaignManager.normalizeSendWindow({
+        timezone: body.sendWindowTimezone,
+        startTime: body.sendWindowStart,
+        endTime: body.sendWindowEnd,
+        quietDays: quietDays
+    });
+}
+
 // API endpoint for bulk messaging
-app.post('/send-bulk-messages', requireAuth, upload.fields([
+app.post('/send-bulk-messages', requireAuth, bulkUpload.fields([
     { name: 'csvFile', maxCount: 1 },
-    { name: 'attachment', maxCount: 1 }
+    { name: 'attachment', maxCount: 1 },
+    { name: 'attachmentsZip', maxCount: 1 },
+    { name: 'partFiles', maxCount: 10 }
 ]), async (req, res) => {
+    const attachmentsZip = req.files && req.files['attachmentsZip'] ? req.files['attachmentsZip'][0] : null;
+    // A dry run goes through the whole pipeline and returns what would be sent, without sending
+    const dryRun = req.body.dryRun === 'true';
+    let extractedDir = null;
+    // Uploads are only kept for a campaign that was created; every other exit removes them
+    let campaignCreated = false;
+
     try {
-        const { userId, message, delay, rotationStrategy, selectedDevices } = req.body;
+        const { userId, message, delay, rotationStrategy, selectedDevices, segmentId } = req.body;
         const csvFile = req.files['csvFile'] ? req.files['csvFile'][0] : null;
         const attachment = req.files['attachment'] ? req.files['attachment'][0] : null;
 
@@ -1134,60 +1331,131 @@ app.post('/send-bulk-messages', requireAuth, upload.fields([
             });
         }
         
-        if (!csvFile) {
+        if (!csvFile && !segmentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'CSV file or contact segment is required for bulk messaging'
+            });
+        }
+
+        // A segment is snapshotted now; contacts added later don't join the campaign
+        const segment = segmentId ? contactManager.getSegment(segmentId, userId) : null;
+        if (segmentId && !segment) {
+            return res.status(400).json({
+                success: false,
+                error: 'Contact segment not found'
+            });
+        }
+
+        // Optional start time and send window
+        const scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : null;
+        if (scheduledAt && isNaN(scheduledAt.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid scheduledAt date'
+            });
+        }
+        const isScheduled = Boolean(scheduledAt && scheduledAt > new Date());
+
+        // Optional alternative bodies, rotated or picked at random per recipient
+        let messageVariants;
+        try {
+            messageVariants = MessageTemplate.normalizeVariants(req.body.messageVariants);
+            MessageTemplate.normalizeVariantMode(req.body.variantMode);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        // Follow-up parts: [{ type, text, delay, file }] where file indexes the uploaded partFiles
+        let parts;
+        try {
+            const partFiles = req.files['partFiles'] || [];
+            parts = campaignManager.normalizeParts((req.body.parts ? JSON.parse(req.body.parts) : []).map(part => ({
+                ...part,
+                attachment: part.file !== undefined && part.file !== null ? partFiles[part.file] : null
+            })));
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        let sendWindow = null;
+        try {
+            sendWindow = parseSendWindowFields(req.body);
+        } catch (error) {
             return res.status(400).json({
                 success: false,
-                error: 'CSV file is required for bulk messaging'
+                error: error.message
             });
         }
 
-        // Check if user has ready devices
+        // Check if user has ready devices (scheduled campaigns and dry runs only need them at send time)
         const readyDevices = deviceManager.getReadyDevices(userId);
-        if (readyDevices.length === 0) {
+        if (readyDevices.length === 0 && !isScheduled && !dryRun) {
             return res.status(400).json({
                 success: false,
                 error: 'No ready WhatsApp devices available. Please connect at least one device.'
             });
         }
 
-        // Parse CSV file
-        const recipients = [];
-        const csvPath = csvFile.path;
-        
-        await new Promise((resolve, reject) => {
-            fs.createReadStream(csvPath)
-                .pipe(csv())
-                .on('data', (row) => {
-                    // Support multiple CSV formats
-                    const phoneNumber = row.phone || row.phoneNumber || row.number || row.Phone || row.PhoneNumber;
-                    const name = row.name || row.Name || phoneNumber;
-                    const city = row.city || row.City || '';
-                    const order = row.order || row.Order || row.id || row.ID || '';
-                    
-                    if (phoneNumber) {
-                        recipients.push({
-                            phoneNumber: phoneNumber.toString().replace(/\D/g, ''),
-                            name: name.toString(),
-                            city: city.toString(),
-                            order: order.toString()
-                        });
-                    }
-                })
-                .on('end', () => {
-                    resolve();
-                })
-                .on('error', (error) => {
-                    reject(error);
-                });
-        });
+        // Parse CSV file, or take the segment's contacts (stored already normalized)
+        const parsed = segment ?
+            { recipients: contactManager.getSegmentRecipients(userId, segment.id), invalid: [], ambiguous: [], duplicates: [] } :
+            await readRecipientsCsv(csvFile.path, getDefaultCountry(req));
+        const recipients = parsed.recipients;
 
         if (recipients.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'No valid recipients found in CSV file. Make sure it has a "phone" or "phoneNumber" column.'
+                error: segment ?
+                    `No contacts match the segment "${segment.name}"` :
+                    parsed.invalid.length > 0 ?
+                        `None of the ${parsed.invalid.length} phone numbers in the CSV file are valid. Check the country codes or set a default country in your profile.` :
+                        'No valid recipients found in CSV file. Make sure it has a "phone" or "phoneNumber" column.',
+                phoneNumbers: describePhoneIssues(parsed)
             });
         }
 
+        // Every placeholder needs a CSV column or a default
+        try {
+            MessageTemplate.validate([message, ...messageVariants, ...parts.map(part => part.text)], recipients);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                unknownPlaceholders: error.unknownPlaceholders
+            });
+        }
+
+        // Per-recipient files named in a CSV column, from the uploaded ZIP or the user's media folder
+        const attachmentColumn = (req.body.attachmentColumn || '').trim() || (attachmentsZip ? 'file' : '');
+        if (attachmentColumn) {
+            try {
+                const directories = [];
+                if (attachmentsZip) {
+                    extractedDir = RecipientFiles.extractZip(attachmentsZip.path, uuidv4());
+                    directories.push(extractedDir);
+                }
+                directories.push(RecipientFiles.getMediaDirectory(userId));
+
+                const missing = RecipientFiles.resolve(recipients, attachmentColumn, directories);
+                if (missing.length > 0) {
+                    throw RecipientFiles.missingFilesError(missing);
+                }
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    missingFiles: error.missingFiles
+                });
+            }
+        }
+
         // Parse selected devices if provided
         let parsedSelectedDevices = null;
         if (selectedDevices) {
@@ -1202,6 +1470,9 @@ app.post('/send-bulk-messages', requireAuth, upload.fields([
         const campaignData = {
             name: req.body.campaignName || `Campaign ${Date.now()}`,
             message: message,
+            messageVariants: messageVariants,
+            variantMode: req.body.variantMode,
+            parts: parts,
             recipients: recipients,
             attachment: attachment,
             delay: req.body.delayOption || delay,
@@ -1210,27 +1481,50 @@ app.post('/send-bulk-messages', requireAuth, upload.fields([
             messagesPerDevice: parseInt(req.body.messagesPerDevice) || 10,
             customMinDelay: parseInt(req.body.customMinDelay) || 5,
             customMaxDelay: parseInt(req.body.customMaxDelay) || 20,
-            enableTypingSimulation: req.body.enableTypingSimulation !== 'false'
+            enableTypingSimulation: req.body.enableTypingSimulation !== 'false',
+            parallelSending: req.body.parallelSending !== 'false',
+            attachmentColumn: attachmentColumn || null,
+            validateNumbers: req.body.validateNumbers === 'true',
+            scheduledAt: scheduledAt,
+            sendWindow: sendWindow,
+            segmentId: segment ? segment.id : null,
+            segmentName: segment ? segment.name : null,
+            // The campaign removes these once it and its retries are finished
+            uploads: [attachment, ...(req.files['partFiles'] || [])]
+                .filter(Boolean)
+                .map(file => file.path)
+                .concat(extractedDir ? [extractedDir] : [])
         };
 
+        if (dryRun) {
+            const preview = campaignManager.previewCampaign(userId, campaignData);
+            return res.json({
+                success: true,
+                dryRun: true,
+                campaignName: campaignData.name,
+                scheduledAt: isScheduled ? scheduledAt : null,
+                sendWindow: sendWindow,
+                phoneNumbers: describePhoneIssues(parsed),
+                ...preview
+            });
+        }
+
         console.log('Creating persistent campaign with data:', campaignData);
 
         // Create and start campaign
         const campaign = await campaignManager.createCampaign(userId, campaignData);
-
-        // Clean up CSV file
-        setTimeout(() => {
-            fs.unlink(csvPath, (err) => {
-                if (err) console.error('Error deleting CSV file:', err);
-            });
-        }, 5000);
+        campaignCreated = true;
 
         res.json({
             success: true,
-            message: 'Persistent campaign started',
+            message: campaign.status === 'scheduled' ? 'Campaign scheduled' : 'Persistent campaign started',
             campaignId: campaign.id,
             campaignName: campaign.name,
+            status: campaign.status,
+            scheduledAt: campaign.scheduledAt,
+            sendWindow: campaign.options.sendWindow,
             recipients: recipients.length,
+            phoneNumbers: describePhoneIssues(parsed),
             devices: readyDevices.length
         });
 
@@ -1240,109 +1534,615 @@ app.post('/send-bulk-messages', requireAuth, upload.fields([
             success: false,
             error: error.message
         });
+    } finally {
+        // The recipients were read from the CSV and the files the ZIP held were extracted
+        const uploads = ['csvFile', 'attachmentsZip'];
+        // The attachments and extracted files are sent by the campaign, which removes them when it's finished
+        if (!campaignCreated) {
+            uploads.push('attachment', 'partFiles');
+            if (extractedDir) {
+                fs.rm(extractedDir, { recursive: true, force: true }, () => {});
+            }
+        }
+        if (req.files) {
+            uploads.forEach(field => (req.files[field] || []).forEach(file => {
+                fs.unlink(file.path, (err) => {
+                    if (err) console.error('Error deleting uploaded file:', err);
+                });
+            }));
+        }
     }
 });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
-    let userId = null;
+// Sample renders of a message template (spintax, alternative bodies and variables)
+app.post('/api/message-preview', requireAuth, (req, res) => {
+    try {
+        const { message, variantMode } = req.body;
+        if (!message) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required field: message'
+            });
+        }
 
-    // Handle user identification (supports both Firebase and legacy users)
-    socket.on('identify-user', (data) => {
-        userId = data.userId;
-        socket.join(userId);
-        socket.userId = userId;
-        
-        // Check if this is a Firebase user
-        const isFirebaseUser = userId && userId.startsWith('firebase_');
-        
-        console.log(`User ${socket.id} identified as ${userId} (Firebase: ${isFirebaseUser})`);
-        
-        // Send current devices for this user
-        const userDevices = deviceManager.getUserDevices(userId);
-        socket.emit('user-devices', {
-            devices: userDevices.map(device => ({
-                id: device.id,
-                name: device.name,
-                status: device.status,
-                isReady: device.isReady,
-                phoneNumber: device.phoneNumber,
-                createdAt: device.createdAt,
-                lastActivity: device.lastActivity
-            }))
-        });
-        
-        // Send active campaigns for this user
-        const userCampaigns = campaignManager.getUserCampaigns(userId);
-        const activeCampaigns = userCampaigns.filter(c => c.status === 'active');
-        if (activeCampaigns.length > 0) {
-            socket.emit('active-campaigns-recovered', {
-                campaigns: activeCampaigns.map(campaign => ({
-                    id: campaign.id,
-                    name: campaign.name,
-                    progress: campaign.progress
-                }))
+        const bodies = [message, ...MessageTemplate.normalizeVariants(req.body.messageVariants)];
+        const mode = MessageTemplate.normalizeVariantMode(variantMode);
+        const recipients = Array.isArray(req.body.recipients) && req.body.recipients.length > 0 ?
+            req.body.recipients :
+            [{ phoneNumber: '14155550123', name: 'Alex', city: 'London', order: '1001' }];
+        const count = Math.min(parseInt(req.body.count) || 5, 20);
+
+        // Columns of the loaded CSV, so placeholders can be checked before the list is uploaded
+        const columns = MessageTemplate.getColumns(recipients);
+        (Array.isArray(req.body.columns) ? req.body.columns : []).forEach(column => columns.add(MessageTemplate.variableKey(column)));
+        const unknownPlaceholders = MessageTemplate.findUnknownPlaceholders(bodies, columns);
+
+        const samples = [];
+        for (let index = 0; index < count; index++) {
+            const recipient = recipients[index % recipients.length];
+            samples.push({
+                recipient: recipient,
+                ...MessageTemplate.render(bodies, recipient, index, { variantMode: mode })
             });
         }
+
+        res.json({
+            success: true,
+            samples: samples,
+            unknownPlaceholders: unknownPlaceholders
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Countries that can be the default for local-format numbers, and the account's current choice
+app.get('/api/phone-numbers/countries', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        countries: PhoneNumber.getCountries(),
+        defaultCountry: getDefaultCountry(req)
     });
+});
 
-    // Handle creating new device
-    socket.on('create-device', async (data) => {
-        try {
-            if (!userId) {
-                socket.emit('error', { message: 'User not identified' });
-                return;
-            }
+// Normalize recipients typed or loaded in the browser: drops invalid numbers and repeats, flags ambiguous ones
+app.post('/api/phone-numbers/normalize', requireAuth, (req, res) => {
+    const { recipients } = req.body;
 
-            const deviceName = data.deviceName || 'WhatsApp Device';
-            console.log(`Creating device "${deviceName}" for user: ${userId}`);
-            
-            const device = await deviceManager.createDevice(userId, deviceName);
-            
-            console.log(`Device "${deviceName}" created successfully with ID: ${device.id}`);
-            
-            socket.emit('device-created', {
-                deviceId: device.id,
-                message: `Device "${deviceName}" created successfully`,
-                device: {
-                    id: device.id,
-                    name: device.name,
-                    status: device.status,
-                    isReady: device.isReady,
-                    createdAt: device.createdAt
-                }
-            });
+    if (!Array.isArray(recipients)) {
+        return res.status(400).json({
+            success: false,
+            error: 'recipients must be an array'
+        });
+    }
 
-        } catch (error) {
-            console.error(`Error creating device "${data.deviceName || 'Unknown'}":`, error);
-            socket.emit('error', {
-                message: `Failed to create device "${data.deviceName || 'Unknown'}": ${error.message}`,
-                deviceName: data.deviceName,
-                error: error.message
-            });
-        }
+    const parsed = PhoneNumber.normalizeRecipients(recipients, getDefaultCountry(req));
+    res.json({
+        success: true,
+        defaultCountry: getDefaultCountry(req),
+        recipients: parsed.recipients,
+        ...describePhoneIssues(parsed)
     });
+});
 
-    // Handle device deletion
-    socket.on('delete-device', async (data) => {
-        try {
-            const { deviceId } = data;
-            const device = deviceManager.getDevice(deviceId);
-            
-            if (!device || device.userId !== userId) {
-                socket.emit('error', { message: 'Device not found or access denied' });
-                return;
-            }
+// Check a CSV of numbers against WhatsApp; progress is pushed over the socket
+app.post('/api/validate-numbers', requireAuth, upload.single('csvFile'), async (req, res) => {
+    const csvFile = req.file;
 
-            await deviceManager.deleteDevice(deviceId);
-            
-            io.to(userId).emit('device-deleted', {
-                deviceId: deviceId,
-                message: 'Device deleted successfully'
+    try {
+        const { userId, selectedDevices } = req.body;
+
+        if (!userId || !csvFile) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: userId and csvFile are required'
             });
+        }
 
-        } catch (error) {
+        const rows = [];
+        let headers = [];
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(csvFile.path)
+                .pipe(csv())
+                .on('headers', (csvHeaders) => {
+                    headers = csvHeaders;
+                })
+                .on('data', (row) => rows.push(row))
+                .on('end', resolve)
+                .on('error', reject);
+        });
+
+        const phoneColumn = ['phone', 'phoneNumber', 'number', 'Phone', 'PhoneNumber'].find(column => headers.includes(column));
+        if (!phoneColumn || rows.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid recipients found in CSV file. Make sure it has a "phone" or "phoneNumber" column.'
+            });
+        }
+
+        let parsedSelectedDevices = null;
+        if (selectedDevices) {
+            try {
+                parsedSelectedDevices = JSON.parse(selectedDevices);
+            } catch (e) {
+                console.warn('Failed to parse selectedDevices:', e);
+            }
+        }
+
+        const job = campaignManager.startValidationJob(userId, rows, {
+            headers: headers,
+            phoneColumn: phoneColumn,
+            defaultCountry: getDefaultCountry(req),
+            selectedDevices: parsedSelectedDevices
+        });
+
+        res.json({
+            success: true,
+            jobId: job.id,
+            total: job.total
+        });
+    } catch (error) {
+        console.error('Error starting number check:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    } finally {
+        if (csvFile) {
+            fs.unlink(csvFile.path, (err) => {
+                if (err) console.error('Error deleting CSV file:', err);
+            });
+        }
+    }
+});
+
+// Status of a number check
+app.get('/api/validate-numbers/:jobId', requireAuth, (req, res) => {
+    const job = campaignManager.getValidationJob(req.params.jobId, req.query.userId);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Validation job not found' });
+    }
+
+    res.json({ success: true, ...campaignManager.describeValidationJob(job) });
+});
+
+// Download the cleaned CSV (unregistered numbers removed) once a check has finished
+app.get('/api/validate-numbers/:jobId/csv', requireAuth, (req, res) => {
+    const job = campaignManager.getValidationJob(req.params.jobId, req.query.userId);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Validation job not found' });
+    }
+
+    const csvContent = campaignManager.getValidatedCsv(job.id, job.userId);
+    if (csvContent === null) {
+        return res.status(409).json({ success: false, error: `Validation is ${job.status}` });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="validated-recipients.csv"');
+    res.send(csvContent);
+});
+
+// Import numbers into a user's opt-out list from a CSV file
+app.post('/api/suppressions/import', requireAuth, upload.single('csvFile'), async (req, res) => {
+    const csvFile = req.file;
+
+    try {
+        const { userId } = req.body;
+
+        if (!userId || !csvFile) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: userId and csvFile are required'
+            });
+        }
+
+        const defaultCountry = getDefaultCountry(req);
+        const items = [];
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(csvFile.path)
+                .pipe(csv())
+                .on('data', (row) => {
+                    const phoneNumber = row.phone || row.phoneNumber || row.number || row.Phone || row.PhoneNumber;
+                    if (phoneNumber) {
+                        const parsed = PhoneNumber.normalize(phoneNumber, defaultCountry);
+                        items.push({
+                            phoneNumber: parsed.valid ? parsed.phoneNumber : phoneNumber.toString(),
+                            name: (row.name || row.Name || '').toString(),
+                            reason: (row.reason || row.Reason || 'Imported').toString()
+                        });
+                    }
+                })
+                .on('end', resolve)
+                .on('error', reject);
+        });
+
+        const result = suppressionManager.addSuppressions(userId, items, 'import');
+
+        res.json({
+            success: true,
+            added: result.added.length,
+            duplicates: result.duplicates,
+            invalid: result.invalid,
+            total: suppressionManager.getUserSuppressions(userId).length
+        });
+    } catch (error) {
+        console.error('Error importing opt-out list:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    } finally {
+        if (csvFile) {
+            fs.unlink(csvFile.path, (err) => {
+                if (err) console.error('Error deleting CSV file:', err);
+            });
+        }
+    }
+});
+
+// Download a user's opt-out list as CSV
+app.get('/api/suppressions/export', requireAuth, (req, res) => {
+    const { userId } = req.query;
+
+    if (!userId) {
+        return res.status(400).json({
+            success: false,
+            error: 'userId is required'
+        });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="opt-out-list-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(suppressionManager.toCsv(userId));
+});
+
+// Import contacts from CSV, merging into existing contacts with the same phone number.
+// Columns other than phone, name and tags become custom fields; tags adds tags to every row.
+app.post('/api/contacts/import', requireAuth, upload.single('csvFile'), async (req, res) => {
+    const csvFile = req.file;
+
+    try {
+        const { userId } = req.body;
+
+        if (!userId || !csvFile) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: userId and csvFile are required'
+            });
+        }
+
+        const parsed = await readRecipientsCsv(csvFile.path, getDefaultCountry(req));
+        const result = contactManager.importContacts(userId, parsed.recipients, { tags: req.body.tags, source: 'import' });
+
+        res.json({
+            success: true,
+            created: result.created,
+            updated: result.updated,
+            invalid: result.invalid + parsed.invalid.length,
+            phoneNumbers: describePhoneIssues(parsed),
+            total: contactManager.getUserContacts(userId).length
+        });
+    } catch (error) {
+        console.error('Error importing contacts:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    } finally {
+        if (csvFile) {
+            fs.unlink(csvFile.path, (err) => {
+                if (err) console.error('Error deleting CSV file:', err);
+            });
+        }
+    }
+});
+
+// Download a user's contacts as CSV (re-importable)
+app.get('/api/contacts/export', requireAuth, (req, res) => {
+    const { userId } = req.query;
+
+    if (!userId) {
+        return res.status(400).json({
+            success: false,
+            error: 'userId is required'
+        });
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="contacts-${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(contactManager.toCsv(userId));
+});
+
+// Download a device's groups as a recipient CSV; a campaign sent from that device posts to each group
+app.get('/api/devices/:deviceId/groups/csv', requireAuth, async (req, res) => {
+    const device = deviceManager.getDevice(req.params.deviceId);
+    if (!device || device.userId !== req.query.userId) {
+        return res.status(404).json({ success: false, error: 'Device not found or access denied' });
+    }
+
+    try {
+        const csvContent = await deviceManager.getGroupsCsv(device.id);
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="groups-${device.name.replace(/[^\w-]+/g, '_')}.csv"`);
+        res.send(csvContent);
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Download a group's members as a recipient CSV for the bulk sender
+app.get('/api/devices/:deviceId/groups/:groupId/participants/csv', requireAuth, async (req, res) => {
+    const device = deviceManager.getDevice(req.params.deviceId);
+    if (!device || device.userId !== req.query.userId) {
+        return res.status(404).json({ success: false, error: 'Device not found or access denied' });
+    }
+
+    try {
+        const { group, csv: csvContent } = await deviceManager.getGroupParticipantsCsv(device.id, req.params.groupId);
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="group-members-${group.name.replace(/[^\w-]+/g, '_')}.csv"`);
+        res.send(csvContent);
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// Create a drip sequence from a CSV; step 1 goes out now, later steps only to recipients who haven't replied
+app.post('/api/sequences', requireAuth, upload.single('csvFile'), async (req, res) => {
+    const csvFile = req.file;
+
+    try {
+        const { userId, steps } = req.body;
+
+        if (!userId || !steps || !csvFile) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: userId, steps and csvFile are required'
+            });
+        }
+
+        let parsedSteps;
+        let sendWindow;
+        try {
+            parsedSteps = sequenceManager.normalizeSteps(steps);
+            sendWindow = parseSendWindowFields(req.body);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const { recipients } = await readRecipientsCsv(csvFile.path, getDefaultCountry(req));
+        if (recipients.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No valid recipients found in CSV file. Make sure it has a "phone" or "phoneNumber" column.'
+            });
+        }
+
+        // Every placeholder needs a CSV column or a default
+        try {
+            MessageTemplate.validate([].concat(...parsedSteps.map(step => [step.message, ...step.messageVariants])), recipients);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                unknownPlaceholders: error.unknownPlaceholders
+            });
+        }
+
+        let selectedDevices = null;
+        if (req.body.selectedDevices) {
+            try {
+                selectedDevices = JSON.parse(req.body.selectedDevices);
+            } catch (e) {
+                console.warn('Failed to parse selectedDevices:', e);
+            }
+        }
+
+        const sequence = await sequenceManager.createSequence(userId, {
+            name: req.body.sequenceName,
+            steps: parsedSteps,
+            recipients: recipients,
+            delay: req.body.delayOption || req.body.delay,
+            rotationStrategy: req.body.rotationStrategy,
+            selectedDevices: selectedDevices,
+            messagesPerDevice: parseInt(req.body.messagesPerDevice) || 10,
+            customMinDelay: parseInt(req.body.customMinDelay) || 5,
+            customMaxDelay: parseInt(req.body.customMaxDelay) || 20,
+            enableTypingSimulation: req.body.enableTypingSimulation !== 'false',
+            parallelSending: req.body.parallelSending !== 'false',
+            sendWindow: sendWindow
+        });
+
+        res.json({
+            success: true,
+            message: 'Sequence started',
+            sequence: sequenceManager.describeSequence(sequence)
+        });
+    } catch (error) {
+        console.error('Error creating sequence:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    } finally {
+        if (csvFile) {
+            fs.unlink(csvFile.path, (err) => {
+                if (err) console.error('Error deleting CSV file:', err);
+            });
+        }
+    }
+});
+
+/**
+ * Auto-reply rule fields from a form; fields that were not sent stay undefined so updates keep them
+ */
+function readAutoReplyRuleFields(req) {
+    const body = req.body;
+    return {
+        name: body.name,
+        deviceId: body.deviceId,
+        matchType: body.matchType,
+        pattern: body.pattern,
+        reply: body.reply,
+        priority: body.priority,
+        cooldownMinutes: body.cooldownMinutes,
+        enabled: body.enabled,
+        activeHours: body.activeHours !== undefined ? JSON.parse(body.activeHours || 'null') : undefined,
+        attachment: req.file || undefined,
+        removeAttachment: body.removeAttachment
+    };
+}
+
+// Create an auto-reply rule (optionally with a file sent along with the reply)
+app.post('/api/auto-replies', requireAuth, upload.single('attachment'), (req, res) => {
+    try {
+        const { userId } = req.body;
+        if (!userId) {
+            throw new Error('userId is required');
+        }
+
+        const rule = autoReplyManager.saveRule(userId, readAutoReplyRuleFields(req));
+        res.json({ success: true, rule: rule });
+    } catch (error) {
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Update an auto-reply rule
+app.put('/api/auto-replies/:ruleId', requireAuth, upload.single('attachment'), (req, res) => {
+    try {
+        const { userId } = req.body;
+        if (!userId) {
+            throw new Error('userId is required');
+        }
+
+        const rule = autoReplyManager.saveRule(userId, readAutoReplyRuleFields(req), req.params.ruleId);
+        res.json({ success: true, rule: rule });
+    } catch (error) {
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+    console.log(`User connected: ${socket.id}`);
+    let userId = null;
+
+    // Handle user identification (supports both Firebase and legacy users)
+    socket.on('identify-user', (data) => {
+        userId = data.userId;
+        socket.join(userId);
+        socket.userId = userId;
+        
+        // Check if this is a Firebase user
+        const isFirebaseUser = userId && userId.startsWith('firebase_');
+        
+        console.log(`User ${socket.id} identified as ${userId} (Firebase: ${isFirebaseUser})`);
+        
+        // Send current devices for this user
+        const userDevices = deviceManager.getUserDevices(userId);
+        socket.emit('user-devices', {
+            devices: userDevices.map(device => deviceManager.describeDevice(device))
+        });
+        
+        // Send active campaigns for this user
+        const userCampaigns = campaignManager.getUserCampaigns(userId);
+        const activeCampaigns = userCampaigns.filter(c => c.status === 'active');
+        if (activeCampaigns.length > 0) {
+            socket.emit('active-campaigns-recovered', {
+                campaigns: activeCampaigns.map(campaign => ({
+                    id: campaign.id,
+                    name: campaign.name,
+                    progress: campaign.progress
+                }))
+            });
+        }
+    });
+
+    // Handle creating new device
+    socket.on('create-device', async (data) => {
+        try {
+            if (!userId) {
+                socket.emit('error', { message: 'User not identified' });
+                return;
+            }
+
+            const deviceName = data.deviceName || 'WhatsApp Device';
+            console.log(`Creating device "${deviceName}" for user: ${userId}`);
+            
+            if (data.linkMethod === 'code' && !data.phoneNumber) {
+                throw new Error('A phone number is required to link with a pairing code');
+            }
+
+            const session = socket.request.session;
+            const device = await deviceManager.createDevice(userId, deviceName, {
+                pairingPhoneNumber: data.linkMethod === 'code' ? data.phoneNumber : null,
+                ownerId: session && session.user ? session.user.id : null
+            });
+            
+            console.log(`Device "${deviceName}" created successfully with ID: ${device.id}`);
+            
+            socket.emit('device-created', {
+                deviceId: device.id,
+                message: `Device "${deviceName}" created successfully`,
+                device: {
+                    id: device.id,
+                    name: device.name,
+                    status: device.status,
+                    isReady: device.isReady,
+                    linkMethod: device.linkMethod,
+                    createdAt: device.createdAt
+                }
+            });
+
+        } catch (error) {
+            console.error(`Error creating device "${data.deviceName || 'Unknown'}":`, error);
+            socket.emit('error', {
+                message: `Failed to create device "${data.deviceName || 'Unknown'}": ${error.message}`,
+                deviceName: data.deviceName,
+                error: error.message
+            });
+        }
+    });
+
+    // Handle device deletion
+    socket.on('delete-device', async (data) => {
+        try {
+            const { deviceId } = data;
+            const device = deviceManager.getDevice(deviceId);
+            
+            if (!device || device.userId !== userId) {
+                socket.emit('error', { message: 'Device not found or access denied' });
+                return;
+            }
+
+            await deviceManager.deleteDevice(deviceId);
+            
+            io.to(userId).emit('device-deleted', {
+                deviceId: deviceId,
+                message: 'Device deleted successfully'
+            });
+
+        } catch (error) {
             console.error('Error deleting device:', error);
             socket.emit('error', {
                 message: 'Failed to delete device',
@@ -1351,6 +2151,64 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Handle manual reconnect of a disconnected device
+    socket.on('reconnect-device', async (data) => {
+        try {
+            const { deviceId } = data;
+            const device = deviceManager.getDevice(deviceId);
+            
+            if (!device || device.userId !== userId) {
+                socket.emit('error', { message: 'Device not found or access denied' });
+                return;
+            }
+
+            if (device.isReady) {
+                socket.emit('error', { message: 'Device is already connected' });
+                return;
+            }
+
+            await deviceManager.reconnectDevice(deviceId, { resetAttempts: true });
+
+        } catch (error) {
+            console.error('Error reconnecting device:', error);
+            socket.emit('error', {
+                message: 'Failed to reconnect device',
+                error: error.message
+            });
+        }
+    });
+
+    // Handle per-device sending limits
+    socket.on('update-device-quota', (data) => {
+        try {
+            const { deviceId } = data;
+            const device = deviceManager.getDevice(deviceId);
+            
+            if (!device || device.userId !== userId) {
+                socket.emit('error', { message: 'Device not found or access denied' });
+                return;
+            }
+
+            const quota = deviceManager.setDeviceQuota(deviceId, {
+                hourly: data.hourly,
+                daily: data.daily
+            });
+
+            socket.emit('device-quota-updated', {
+                deviceId: deviceId,
+                quota: quota
+            });
+            deviceManager.emitUserDevices(userId);
+
+        } catch (error) {
+            console.error('Error updating device quota:', error);
+            socket.emit('error', {
+                message: 'Failed to update sending limits',
+                error: error.message
+            });
+        }
+    });
+
     // Handle get device status
     socket.on('get-device-status', (data) => {
         const { deviceId } = data;
@@ -1369,6 +2227,29 @@ io.on('connection', (socket) => {
         });
     });
     
+    // List the groups a device is in
+    socket.on('get-device-groups', async (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        const device = deviceManager.getDevice(data?.deviceId);
+        if (!device || device.userId !== userId) {
+            socket.emit('error', { message: 'Device not found or access denied' });
+            return;
+        }
+
+        try {
+            socket.emit('device-groups', {
+                deviceId: device.id,
+                groups: await deviceManager.getDeviceGroups(device.id)
+            });
+        } catch (error) {
+            socket.emit('device-groups', { deviceId: device.id, groups: [], error: error.message });
+        }
+    });
+    
     // Handle get device QR code
     socket.on('get-device-qr', async (data) => {
         const { deviceId } = data;
@@ -1410,37 +2291,169 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Handle pairing code request (alternative to scanning a QR code)
+    socket.on('get-device-pairing-code', async (data) => {
+        const { deviceId, phoneNumber } = data;
+        const device = deviceManager.getDevice(deviceId);
+        
+        if (!device || device.userId !== userId) {
+            socket.emit('error', { message: 'Device not found or access denied' });
+            return;
+        }
+        
+        try {
+            const requestedNumber = phoneNumber ? deviceManager.normalizePairingPhoneNumber(phoneNumber) : device.pairingPhoneNumber;
+            if (!requestedNumber) {
+                socket.emit('error', { message: 'Enter the phone number to link', deviceId: deviceId });
+                return;
+            }
+
+            // If the device already has a code for this number, send it
+            if (device.pairingCode && device.pairingPhoneNumber === requestedNumber) {
+                socket.emit('device-pairing-code', {
+                    deviceId: deviceId,
+                    pairingCode: device.pairingCode,
+                    phoneNumber: device.pairingPhoneNumber,
+                    message: 'Pairing code retrieved from cache',
+                    timestamp: device.pairingCodeGeneratedAt || new Date()
+                });
+            } else {
+                await deviceManager.requestPairingCode(deviceId, requestedNumber);
+
+                socket.emit('device-status', {
+                    deviceId: deviceId,
+                    status: device.status,
+                    isReady: device.isReady,
+                    message: 'Generating pairing code...'
+                });
+            }
+        } catch (error) {
+            console.error(`Error getting pairing code for device ${deviceId}:`, error);
+            socket.emit('error', { 
+                message: 'Failed to get pairing code: ' + error.message,
+                deviceId: deviceId
+            });
+        }
+    });
+
     // Handle get user statistics
     socket.on('get-user-stats', () => {
         if (!userId) {
             socket.emit('error', { message: 'User not identified' });
             return;
         }
-
-        const stats = deviceManager.getDeviceStats(userId);
-        socket.emit('user-stats', stats);
+
+        const stats = deviceManager.getDeviceStats(userId);
+        socket.emit('user-stats', stats);
+    });
+
+    // Campaign management socket events
+    socket.on('stop-campaign', (data) => {
+        try {
+            const { campaignId } = data;
+            const success = campaignManager.stopCampaign(campaignId, userId);
+            
+            if (success) {
+                socket.emit('campaign-stopped', {
+                    campaignId: campaignId,
+                    message: 'Campaign stopped successfully'
+                });
+            } else {
+                socket.emit('error', {
+                    message: 'Campaign not found or access denied'
+                });
+            }
+        } catch (error) {
+            console.error('Error stopping campaign:', error);
+            socket.emit('error', {
+                message: 'Failed to stop campaign',
+                error: error.message
+            });
+        }
+    });
+
+    // Pause campaign socket event (keeps progress so it can be resumed)
+    socket.on('pause-campaign', (data) => {
+        try {
+            const { campaignId } = data;
+            const success = campaignManager.pauseCampaign(campaignId, userId);
+            
+            if (success) {
+                socket.emit('campaign-paused', {
+                    campaignId: campaignId,
+                    message: 'Campaign paused successfully'
+                });
+            } else {
+                socket.emit('error', {
+                    message: 'Campaign not found, not active or access denied'
+                });
+            }
+        } catch (error) {
+            console.error('Error pausing campaign:', error);
+            socket.emit('error', {
+                message: 'Failed to pause campaign',
+                error: error.message
+            });
+        }
     });
 
-    // Campaign management socket events
-    socket.on('stop-campaign', (data) => {
+    // Resume campaign socket event
+    socket.on('resume-campaign', (data) => {
         try {
             const { campaignId } = data;
-            const success = campaignManager.stopCampaign(campaignId, userId);
+            const success = campaignManager.resumeCampaign(campaignId, userId);
             
             if (success) {
-                socket.emit('campaign-stopped', {
+                socket.emit('campaign-resumed', {
                     campaignId: campaignId,
-                    message: 'Campaign stopped successfully'
+                    message: 'Campaign resumed successfully'
                 });
             } else {
                 socket.emit('error', {
-                    message: 'Campaign not found or access denied'
+                    message: 'Campaign not found, not paused or access denied'
                 });
             }
         } catch (error) {
-            console.error('Error stopping campaign:', error);
+            console.error('Error resuming campaign:', error);
             socket.emit('error', {
-                message: 'Failed to stop campaign',
+                message: 'Failed to resume campaign',
+                error: error.message
+            });
+        }
+    });
+
+    // Retry only the failed recipients of a finished campaign
+    socket.on('retry-failed-campaign', async (data) => {
+        try {
+            const { campaignId } = data;
+            const retryCampaign = await campaignManager.retryFailedRecipients(campaignId, userId);
+            
+            socket.emit('campaign-retry-started', {
+                campaignId: campaignId,
+                retryCampaignId: retryCampaign.id,
+                message: `Retrying ${retryCampaign.recipients.length} failed recipients`
+            });
+        } catch (error) {
+            console.error('Error retrying failed recipients:', error);
+            socket.emit('error', {
+                message: error.message || 'Failed to retry campaign',
+                error: error.message
+            });
+        }
+    });
+
+    // Per-recipient attempt counts across a campaign and its retries
+    socket.on('get-campaign-attempts', (data) => {
+        try {
+            const { campaignId } = data;
+            socket.emit('campaign-attempts', {
+                campaignId: campaignId,
+                recipients: campaignManager.getRecipientAttempts(campaignId, userId)
+            });
+        } catch (error) {
+            console.error('Error getting campaign attempts:', error);
+            socket.emit('error', {
+                message: 'Failed to get campaign attempts',
                 error: error.message
             });
         }
@@ -1465,7 +2478,7 @@ io.on('connection', (socket) => {
         } catch (error) {
             console.error('Error restarting campaign:', error);
             socket.emit('error', {
-                message: 'Failed to restart campaign',
+                message: error.message || 'Failed to restart campaign',
                 error: error.message
             });
         }
@@ -1566,7 +2579,20 @@ io.on('connection', (socket) => {
                     createdAt: campaign.createdAt,
                     updatedAt: campaign.updatedAt,
                     progress: campaign.progress,
-                    message: campaign.message
+                    message: campaign.message,
+                    scheduledAt: campaign.scheduledAt,
+                    waitingUntil: campaign.waitingUntil,
+                    waitReason: campaign.waitReason || null,
+                    options: {
+                        sendWindow: campaign.options?.sendWindow || null,
+                        validateNumbers: Boolean(campaign.options?.validateNumbers)
+                    },
+                    validation: campaign.validation || null,
+                    parentCampaignId: campaign.parentCampaignId,
+                    retryPass: campaign.retryPass,
+                    sequenceId: campaign.sequenceId || null,
+                    sequenceStep: campaign.sequenceStep || null,
+                    segmentName: campaign.segmentName || null
                 })),
                 messages: messages // Real messages from campaigns
             };
@@ -1617,8 +2643,330 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Inbox: conversations with everyone who messaged the user's devices
+    socket.on('get-inbox', (data) => {
+        try {
+            if (!userId) {
+                socket.emit('error', { message: 'User not identified' });
+                return;
+            }
+
+            const conversations = inboxManager.getConversations(userId, { deviceId: data?.deviceId });
+            socket.emit('inbox-data', {
+                conversations: conversations,
+                unread: conversations.reduce((sum, c) => sum + c.unread, 0)
+            });
+        } catch (error) {
+            console.error('Error getting inbox:', error);
+            socket.emit('error', {
+                message: 'Failed to get inbox',
+                error: error.message
+            });
+        }
+    });
+
+    socket.on('get-conversation', (data) => {
+        try {
+            if (!userId) {
+                socket.emit('error', { message: 'User not identified' });
+                return;
+            }
+
+            const { phoneNumber } = data;
+            socket.emit('conversation-data', {
+                phoneNumber: phoneNumber,
+                messages: inboxManager.getConversation(userId, phoneNumber)
+            });
+        } catch (error) {
+            console.error('Error getting conversation:', error);
+            socket.emit('error', {
+                message: 'Failed to get conversation',
+                error: error.message
+            });
+        }
+    });
+
+    socket.on('mark-conversation-read', (data) => {
+        try {
+            if (!userId) {
+                socket.emit('error', { message: 'User not identified' });
+                return;
+            }
+
+            const { phoneNumber } = data;
+            const updated = inboxManager.markConversationRead(userId, phoneNumber);
+            socket.emit('conversation-read', { phoneNumber: phoneNumber, updated: updated });
+        } catch (error) {
+            console.error('Error marking conversation read:', error);
+            socket.emit('error', {
+                message: 'Failed to mark conversation as read',
+                error: error.message
+            });
+        }
+    });
+
+    socket.on('send-inbox-reply', async (data) => {
+        try {
+            if (!userId) {
+                socket.emit('error', { message: 'User not identified' });
+                return;
+            }
+
+            const { deviceId, phoneNumber, message } = data;
+            if (!deviceId || !phoneNumber || !message) {
+                socket.emit('error', { message: 'Device, phone number and message are required' });
+                return;
+            }
+
+            const record = await inboxManager.sendReply(userId, { deviceId, phoneNumber, message });
+            socket.emit('inbox-reply-sent', {
+                phoneNumber: phoneNumber,
+                message: record
+            });
+        } catch (error) {
+            console.error('Error sending inbox reply:', error);
+            socket.emit('error', {
+                message: 'Failed to send reply: ' + error.message,
+                error: error.message
+            });
+        }
+    });
+
     // Legacy session management (backward compatibility)
     // Handle session joining
+    // Opt-out list
+    socket.on('get-suppressions', () => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        socket.emit('suppression-list', {
+            suppressions: suppressionManager.getUserSuppressions(userId),
+            settings: suppressionManager.getOptOutSettings(userId)
+        });
+    });
+
+    socket.on('add-suppression', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        try {
+            const entry = suppressionManager.addSuppression(userId, {
+                phoneNumber: data.phoneNumber,
+                name: data.name,
+                reason: data.reason
+            });
+            socket.emit('suppression-added', { entry: entry });
+        } catch (error) {
+            socket.emit('error', { message: 'Failed to add number to opt-out list', error: error.message });
+        }
+    });
+
+    socket.on('remove-suppression', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        const removed = suppressionManager.removeSuppression(userId, data.phoneNumber);
+        if (removed) {
+            socket.emit('suppression-removed', { phoneNumber: data.phoneNumber });
+        } else {
+            socket.emit('error', { message: 'Number is not on the opt-out list' });
+        }
+    });
+
+    socket.on('update-opt-out-settings', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        try {
+            const settings = suppressionManager.updateOptOutSettings(userId, data || {});
+            socket.emit('opt-out-settings-updated', { settings: settings });
+        } catch (error) {
+            socket.emit('error', { message: 'Failed to save opt-out settings', error: error.message });
+        }
+    });
+
+    // Auto-reply rules
+    socket.on('get-auto-reply-rules', () => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        socket.emit('auto-reply-rules', {
+            rules: autoReplyManager.getUserRules(userId)
+        });
+    });
+
+    socket.on('toggle-auto-reply-rule', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        try {
+            autoReplyManager.setRuleEnabled(userId, data?.ruleId, data?.enabled);
+        } catch (error) {
+            socket.emit('error', { message: 'Failed to update auto-reply rule', error: error.message });
+        }
+    });
+
+    socket.on('delete-auto-reply-rule', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        if (!autoReplyManager.deleteRule(userId, data?.ruleId)) {
+            socket.emit('error', { message: 'Auto-reply rule not found' });
+        }
+    });
+
+    // Contact book
+    socket.on('get-contacts', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        try {
+            const contacts = contactManager.getUserContacts(userId, data?.filter || null);
+            socket.emit('contacts-data', {
+                contacts: contacts,
+                total: contactManager.getUserContacts(userId).length,
+                tags: contactManager.getUserTags(userId),
+                fields: contactManager.getUserFieldNames(userId)
+            });
+        } catch (error) {
+            socket.emit('error', { message: 'Failed to filter contacts', error: error.message });
+        }
+    });
+
+    socket.on('save-contact', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        try {
+            const contact = contactManager.saveContact(userId, data || {});
+            socket.emit('contact-saved', { contact: contact });
+        } catch (error) {
+            socket.emit('error', { message: 'Failed to save contact', error: error.message });
+        }
+    });
+
+    socket.on('delete-contacts', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        contactManager.deleteContacts(userId, data?.phoneNumbers);
+    });
+
+    socket.on('get-segments', () => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        socket.emit('segments-data', {
+            segments: contactManager.getUserSegments(userId)
+        });
+    });
+
+    socket.on('save-segment', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        try {
+            const segment = contactManager.saveSegment(userId, data || {}, data?.segmentId || null);
+            socket.emit('segment-saved', { segment: segment });
+        } catch (error) {
+            socket.emit('error', { message: 'Failed to save segment', error: error.message });
+        }
+    });
+
+    socket.on('delete-segment', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        if (!contactManager.deleteSegment(userId, data?.segmentId)) {
+            socket.emit('error', { message: 'Segment not found' });
+        }
+    });
+
+    // Drip sequences
+    socket.on('get-sequences', () => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        socket.emit('sequences-data', {
+            sequences: sequenceManager.getUserSequences(userId).map(sequence => sequenceManager.describeSequence(sequence))
+        });
+    });
+
+    socket.on('get-sequence-history', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        const history = sequenceManager.getSequenceHistory(data?.sequenceId, userId);
+        if (history) {
+            socket.emit('sequence-history', history);
+        } else {
+            socket.emit('error', { message: 'Sequence not found' });
+        }
+    });
+
+    socket.on('pause-sequence', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        if (!sequenceManager.pauseSequence(data?.sequenceId, userId)) {
+            socket.emit('error', { message: 'Only an active sequence can be paused' });
+        }
+    });
+
+    socket.on('resume-sequence', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        if (!sequenceManager.resumeSequence(data?.sequenceId, userId)) {
+            socket.emit('error', { message: 'Only a paused sequence can be resumed' });
+        }
+    });
+
+    socket.on('stop-sequence', (data) => {
+        if (!userId) {
+            socket.emit('error', { message: 'User not identified' });
+            return;
+        }
+
+        if (!sequenceManager.stopSequence(data?.sequenceId, userId)) {
+            socket.emit('error', { message: 'Sequence is not running' });
+        }
+    });
+
     socket.on('join-session', async (sessionId) => {
         try {
             console.log(`User ${socket.id} joining session: ${sessionId}`);
@@ -1806,6 +3154,8 @@ process.on('SIGINT', async () => {
         console.error('Error during cleanup:', error);
     }
     
+    dataStorage.close();
+    
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -1824,6 +3174,8 @@ process.on('SIGTERM', async () => {
         console.error('Error during cleanup:', error);
     }
     
+    dataStorage.close();
+    
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -1835,6 +3187,11 @@ const PORT = process.env.PORT || 3001; // Use port 3001 for local development
 server.listen(PORT, () => {
     console.log(`WhatsApp Sender Server running on port ${PORT}`);
     console.log(`Open http://localhost:${PORT} to access the application`);
+
+    // Bring back devices that were connected before the restart
+    deviceManager.restoreDevices().catch(error => {
+        console.error('Error restoring devices:', error);
+    });
 });
 
 module.exports = { app, server, io, deviceManager, sessionManager };
\ No newline at end of file
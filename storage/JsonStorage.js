@@ -0,0 +1,425 @@
+// JSON file storage - keeps the original campaigns.json / messages.json layout
+const fs = require('fs');
+const path = require('path');
+
+// Layout version of users.json
+const USERS_SCHEMA_VERSION = 1;
+
+class JsonStorage {
+    constructor(options = {}) {
+        this.driver = 'json';
+        this.baseDir = options.baseDir || path.join(__dirname, '..');
+        this.campaignsFilePath = path.join(this.baseDir, 'campaigns.json');
+        this.messagesFilePath = path.join(this.baseDir, 'messages.json');
+        this.devicesFilePath = path.join(this.baseDir, 'devices.json');
+        this.inboxFilePath = path.join(this.baseDir, 'inbox.json');
+        this.suppressionsFilePath = path.join(this.baseDir, 'suppressions.json');
+        this.sequencesFilePath = path.join(this.baseDir, 'sequences.json');
+        this.autoRepliesFilePath = path.join(this.baseDir, 'auto-replies.json');
+        this.contactsFilePath = path.join(this.baseDir, 'contacts.json');
+        this.usersFilePath = path.join(this.baseDir, 'users.json');
+
+        // In-memory copies of each file, rewritten on every change
+        this.campaigns = new Map(); // Map<campaignId, serializedCampaign>
+        this.messages = {}; // { userId: Array<message> }
+        this.devices = new Map(); // Map<deviceId, deviceRecord>
+        this.inbox = {}; // { userId: Array<inboundMessage> }
+        this.suppressions = { entries: {}, settings: {} }; // { entries: { userId: Array<entry> }, settings: { userId: settings } }
+        this.sequences = new Map(); // Map<sequenceId, sequence>
+        this.autoReplyRules = new Map(); // Map<ruleId, rule>
+        this.contactBook = { contacts: {}, segments: [] }; // { contacts: { userId: Array<contact> }, segments: Array<segment> }
+        this.hasUserState = false;
+        this.userState = {
+            userIdCounter: 1,
+            users: new Map(), // Map<userId, user>
+            loginAttempts: {},
+            systemSettings: {}
+        };
+    }
+
+    /**
+     * Read every file into memory so later writes never drop records
+     */
+    init() {
+        const savedCampaigns = this.readJson(this.campaignsFilePath, []);
+        this.campaigns = new Map(savedCampaigns.map(campaign => [campaign.id, campaign]));
+
+        this.messages = this.readJson(this.messagesFilePath, {});
+
+        const savedDevices = this.readJson(this.devicesFilePath, []);
+        this.devices = new Map(savedDevices.map(device => [device.id, device]));
+
+        this.inbox = this.readJson(this.inboxFilePath, {});
+
+        const savedSuppressions = this.readJson(this.suppressionsFilePath, {});
+        this.suppressions = {
+            entries: savedSuppressions.entries || {},
+            settings: savedSuppressions.settings || {}
+        };
+
+        const savedSequences = this.readJson(this.sequencesFilePath, []);
+        this.sequences = new Map(savedSequences.map(sequence => [sequence.id, sequence]));
+
+        const savedRules = this.readJson(this.autoRepliesFilePath, []);
+        this.autoReplyRules = new Map(savedRules.map(rule => [rule.id, rule]));
+
+        const savedContactBook = this.readJson(this.contactsFilePath, {});
+        this.contactBook = {
+            contacts: savedContactBook.contacts || {},
+            segments: savedContactBook.segments || []
+        };
+
+        const userData = this.readUsers();
+        this.hasUserState = Boolean(userData);
+        if (userData) {
+            this.userState = {
+                userIdCounter: userData.userIdCounter,
+                users: new Map(userData.users.map(user => [user.id, user])),
+                loginAttempts: userData.loginAttempts,
+                systemSettings: userData.systemSettings
+            };
+        }
+
+        return this;
+    }
+
+    /**
+     * Deep copy so callers never share objects with the write cache
+     */
+    clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Read a JSON file, returning the fallback when it does not exist
+     */
+    readJson(filePath, fallback) {
+        try {
+            if (!fs.existsSync(filePath)) {
+                return fallback;
+            }
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error(`Error loading ${path.basename(filePath)}:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a JSON file atomically (temp file + rename)
+     */
+    writeJson(filePath, data) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    // ---- Campaigns ----
+
+    loadCampaigns() {
+        return this.clone(Array.from(this.campaigns.values()));
+    }
+
+    saveCampaign(campaign) {
+        this.campaigns.set(campaign.id, this.clone(campaign));
+        this.writeJson(this.campaignsFilePath, Array.from(this.campaigns.values()));
+    }
+
+    deleteCampaigns(campaignIds) {
+        campaignIds.forEach(id => this.campaigns.delete(id));
+        this.writeJson(this.campaignsFilePath, Array.from(this.campaigns.values()));
+    }
+
+    deleteUserCampaigns(userId) {
+        for (const [id, campaign] of this.campaigns) {
+            if (String(campaign.userId) === String(userId)) {
+                this.campaigns.delete(id);
+            }
+        }
+        this.writeJson(this.campaignsFilePath, Array.from(this.campaigns.values()));
+    }
+
+    // ---- Messages ----
+
+    loadMessages() {
+        return this.clone(this.messages);
+    }
+
+    insertMessage(message) {
+        const userId = message.userId;
+        if (!this.messages[userId]) {
+            this.messages[userId] = [];
+        }
+        this.messages[userId].push(this.clone(message));
+        this.writeJson(this.messagesFilePath, this.messages);
+    }
+
+    updateMessage(message) {
+        const userMessages = this.messages[message.userId] || [];
+        const index = userMessages.findIndex(m => m.id === message.id);
+        if (index === -1) {
+            return;
+        }
+        userMessages[index] = this.clone(message);
+        this.writeJson(this.messagesFilePath, this.messages);
+    }
+
+    deleteUserMessages(userId) {
+        delete this.messages[userId];
+        this.writeJson(this.messagesFilePath, this.messages);
+    }
+
+    // ---- Inbound messages ----
+
+    loadInboundMessages() {
+        return this.clone(this.inbox);
+    }
+
+    insertInboundMessage(message) {
+        const userId = message.userId;
+        if (!this.inbox[userId]) {
+            this.inbox[userId] = [];
+        }
+        this.inbox[userId].push(this.clone(message));
+        this.writeJson(this.inboxFilePath, this.inbox);
+    }
+
+    updateInboundMessages(messages) {
+        messages.forEach(message => {
+            const userMessages = this.inbox[message.userId] || [];
+            const index = userMessages.findIndex(m => m.id === message.id);
+            if (index !== -1) {
+                userMessages[index] = this.clone(message);
+            }
+        });
+        this.writeJson(this.inboxFilePath, this.inbox);
+    }
+
+    deleteUserInboundMessages(userId) {
+        delete this.inbox[userId];
+        this.writeJson(this.inboxFilePath, this.inbox);
+    }
+
+    // ---- Suppression lists ----
+
+    loadSuppressions() {
+        return this.clone(this.suppressions.entries);
+    }
+
+    saveSuppressions(entries) {
+        entries.forEach(entry => {
+            const userEntries = this.suppressions.entries[entry.userId] || [];
+            const index = userEntries.findIndex(e => e.phoneNumber === entry.phoneNumber);
+            if (index === -1) {
+                userEntries.push(this.clone(entry));
+            } else {
+                userEntries[index] = this.clone(entry);
+            }
+            this.suppressions.entries[entry.userId] = userEntries;
+        });
+        this.writeJson(this.suppressionsFilePath, this.suppressions);
+    }
+
+    deleteSuppressions(userId, phoneNumbers) {
+        const userEntries = this.suppressions.entries[userId] || [];
+        this.suppressions.entries[userId] = userEntries.filter(entry => !phoneNumbers.includes(entry.phoneNumber));
+        this.writeJson(this.suppressionsFilePath, this.suppressions);
+    }
+
+    loadOptOutSettings() {
+        return this.clone(this.suppressions.settings);
+    }
+
+    saveOptOutSettings(userId, settings) {
+        this.suppressions.settings[userId] = this.clone(settings);
+        this.writeJson(this.suppressionsFilePath, this.suppressions);
+    }
+
+    // ---- Sequences ----
+
+    loadSequences() {
+        return this.clone(Array.from(this.sequences.values()));
+    }
+
+    saveSequence(sequence) {
+        this.sequences.set(sequence.id, this.clone(sequence));
+        this.writeJson(this.sequencesFilePath, Array.from(this.sequences.values()));
+    }
+
+    // ---- Auto-reply rules ----
+
+    loadAutoReplyRules() {
+        return this.clone(Array.from(this.autoReplyRules.values()));
+    }
+
+    saveAutoReplyRule(rule) {
+        this.autoReplyRules.set(rule.id, this.clone(rule));
+        this.writeJson(this.autoRepliesFilePath, Array.from(this.autoReplyRules.values()));
+    }
+
+    deleteAutoReplyRule(ruleId) {
+        if (this.autoReplyRules.delete(ruleId)) {
+            this.writeJson(this.autoRepliesFilePath, Array.from(this.autoReplyRules.values()));
+        }
+    }
+
+    // ---- Contacts and segments ----
+
+    loadContacts() {
+        return this.clone(this.contactBook.contacts);
+    }
+
+    saveContacts(contacts) {
+        contacts.forEach(contact => {
+            const userContacts = this.contactBook.contacts[contact.userId] || [];
+            const index = userContacts.findIndex(c => c.phoneNumber === contact.phoneNumber);
+            if (index === -1) {
+                userContacts.push(this.clone(contact));
+            } else {
+                userContacts[index] = this.clone(contact);
+            }
+            this.contactBook.contacts[contact.userId] = userContacts;
+        });
+        this.writeJson(this.contactsFilePath, this.contactBook);
+    }
+
+    deleteContacts(userId, phoneNumbers) {
+        const userContacts = this.contactBook.contacts[userId] || [];
+        this.contactBook.contacts[userId] = userContacts.filter(contact => !phoneNumbers.includes(contact.phoneNumber));
+        this.writeJson(this.contactsFilePath, this.contactBook);
+    }
+
+    loadSegments() {
+        return this.clone(this.contactBook.segments);
+    }
+
+    saveSegment(segment) {
+        const index = this.contactBook.segments.findIndex(s => s.id === segment.id);
+        if (index === -1) {
+            this.contactBook.segments.push(this.clone(segment));
+        } else {
+            this.contactBook.segments[index] = this.clone(segment);
+        }
+        this.writeJson(this.contactsFilePath, this.contactBook);
+    }
+
+    deleteSegment(segmentId) {
+        this.contactBook.segments = this.contactBook.segments.filter(segment => segment.id !== segmentId);
+        this.writeJson(this.contactsFilePath, this.contactBook);
+    }
+
+    // ---- Users and system settings ----
+
+    /**
+     * Read users.json, upgrading older layouts. Returns null when no users have been saved yet.
+     */
+    readUsers() {
+        try {
+            if (!fs.existsSync(this.usersFilePath)) {
+                return null;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.usersFilePath, 'utf8'));
+            const version = data.schemaVersion || 0;
+            if (version > USERS_SCHEMA_VERSION) {
+                throw new Error(`User store schema version ${version} is newer than supported version ${USERS_SCHEMA_VERSION}`);
+            }
+
+            return {
+                userIdCounter: data.userIdCounter || 1,
+                users: Array.isArray(data.users) ? data.users : [],
+                loginAttempts: data.loginAttempts || {},
+                systemSettings: data.systemSettings || {}
+            };
+        } catch (error) {
+            console.error('Error loading user store:', error);
+
+            // Keep the unreadable file around instead of overwriting it on the next save
+            const backupPath = `${this.usersFilePath}.corrupt-${Date.now()}`;
+            try {
+                fs.renameSync(this.usersFilePath, backupPath);
+                console.error(`⚠️  Corrupted user store moved to ${backupPath}`);
+            } catch (renameError) {
+                console.error('Could not back up corrupted user store:', renameError.message);
+            }
+            return null;
+        }
+    }
+
+    loadUserState() {
+        if (!this.hasUserState) {
+            return null;
+        }
+
+        return this.clone({
+            userIdCounter: this.userState.userIdCounter,
+            users: Array.from(this.userState.users.values()),
+            loginAttempts: this.userState.loginAttempts,
+            systemSettings: this.userState.systemSettings
+        });
+    }
+
+    saveUserState() {
+        this.hasUserState = true;
+        this.writeJson(this.usersFilePath, {
+            schemaVersion: USERS_SCHEMA_VERSION,
+            savedAt: new Date(),
+            userIdCounter: this.userState.userIdCounter,
+            users: Array.from(this.userState.users.values()),
+            loginAttempts: this.userState.loginAttempts,
+            systemSettings: this.userState.systemSettings
+        });
+    }
+
+    saveUser(user) {
+        this.userState.users.set(user.id, this.clone(user));
+        this.saveUserState();
+    }
+
+    deleteUser(userId) {
+        this.userState.users.delete(userId);
+        this.saveUserState();
+    }
+
+    saveUserIdCounter(userIdCounter) {
+        this.userState.userIdCounter = userIdCounter;
+        this.saveUserState();
+    }
+
+    saveLoginAttempts(key, attempts) {
+        if (attempts) {
+            this.userState.loginAttempts[key] = attempts;
+        } else {
+            delete this.userState.loginAttempts[key];
+        }
+        this.saveUserState();
+    }
+
+    saveSystemSetting(key, value) {
+        this.userState.systemSettings[key] = value;
+        this.saveUserState();
+    }
+
+    // ---- Devices ----
+
+    loadDevices() {
+        return this.clone(Array.from(this.devices.values()));
+    }
+
+    saveDevice(device) {
+        this.devices.set(device.id, this.clone(device));
+        this.writeJson(this.devicesFilePath, Array.from(this.devices.values()));
+    }
+
+    deleteDevice(deviceId) {
+        if (this.devices.delete(deviceId)) {
+            this.writeJson(this.devicesFilePath, Array.from(this.devices.values()));
+        }
+    }
+
+    close() {
+        // Nothing to release - every change is already on disk
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,596 @@
+// Embedded SQLite storage - one row per campaign, recipient, message, user and device
+const path = require('path');
+
+// Each entry upgrades the schema by one version
+const MIGRATIONS = [
+    `
+    CREATE TABLE users (
+        id INTEGER PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_users_email ON users (email);
+
+    CREATE TABLE login_attempts (
+        key TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE system_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    CREATE TABLE campaigns (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        status TEXT NOT NULL,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_campaigns_user ON campaigns (user_id);
+    CREATE INDEX idx_campaigns_status ON campaigns (status);
+
+    CREATE TABLE recipients (
+        campaign_id TEXT NOT NULL REFERENCES campaigns (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        phone_number TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (campaign_id, position)
+    );
+    CREATE INDEX idx_recipients_phone ON recipients (phone_number);
+
+    CREATE TABLE messages (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        campaign_id TEXT,
+        phone_number TEXT,
+        status TEXT,
+        timestamp TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_messages_user_time ON messages (user_id, timestamp);
+    CREATE INDEX idx_messages_campaign ON messages (campaign_id);
+    CREATE INDEX idx_messages_phone ON messages (phone_number);
+
+    CREATE TABLE devices (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_devices_user ON devices (user_id);
+    `,
+    `
+    CREATE TABLE inbound_messages (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        device_id TEXT,
+        phone_number TEXT,
+        campaign_id TEXT,
+        timestamp TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_inbound_user_time ON inbound_messages (user_id, timestamp);
+    CREATE INDEX idx_inbound_phone ON inbound_messages (phone_number);
+    `,
+    `
+    CREATE TABLE suppressions (
+        user_id TEXT NOT NULL,
+        phone_number TEXT NOT NULL,
+        created_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (user_id, phone_number)
+    );
+
+    CREATE TABLE opt_out_settings (
+        user_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    `,
+    `
+    CREATE TABLE sequences (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        status TEXT NOT NULL,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_sequences_user ON sequences (user_id);
+    `,
+    `
+    CREATE TABLE auto_reply_rules (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        created_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_auto_reply_rules_user ON auto_reply_rules (user_id);
+    `,
+    `
+    CREATE TABLE contacts (
+        user_id TEXT NOT NULL,
+        phone_number TEXT NOT NULL,
+        created_at TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (user_id, phone_number)
+    );
+
+    CREATE TABLE segments (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        created_at TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_segments_user ON segments (user_id);
+    `
+];
+
+class SqliteStorage {
+    constructor(options = {}) {
+        this.driver = 'sqlite';
+        this.filePath = options.filePath || path.join(__dirname, '..', 'whatsapp-sender.db');
+        this.db = null;
+        this.statements = {};
+    }
+
+    /**
+     * Open the database and bring the schema up to date
+     */
+    init() {
+        // Loaded lazily so the JSON backend works without the native module
+        const Database = require('better-sqlite3');
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('foreign_keys = ON');
+
+        this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+        this.migrate();
+        this.prepareStatements();
+
+        console.log(`💾 SQLite storage ready at ${this.filePath} (schema v${this.getSchemaVersion()})`);
+        return this;
+    }
+
+    getSchemaVersion() {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('schema_version');
+        return row ? parseInt(row.value) : 0;
+    }
+
+    migrate() {
+        const currentVersion = this.getSchemaVersion();
+
+        if (currentVersion > MIGRATIONS.length) {
+            throw new Error(`Database schema version ${currentVersion} is newer than supported version ${MIGRATIONS.length}`);
+        }
+
+        for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+            this.db.transaction(() => {
+                this.db.exec(MIGRATIONS[version]);
+                this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('schema_version', String(version + 1));
+            })();
+            console.log(`💾 SQLite schema migrated to v${version + 1}`);
+        }
+    }
+
+    prepareStatements() {
+        const db = this.db;
+        this.statements = {
+            getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+
+            allCampaigns: db.prepare('SELECT data FROM campaigns ORDER BY created_at'),
+            campaignExists: db.prepare('SELECT 1 FROM campaigns WHERE id = ?'),
+            campaignRecipients: db.prepare('SELECT data FROM recipients WHERE campaign_id = ? ORDER BY position'),
+            upsertCampaign: db.prepare(`
+                INSERT INTO campaigns (id, user_id, name, status, created_at, updated_at, data)
+                VALUES (@id, @userId, @name, @status, @createdAt, @updatedAt, @data)
+                ON CONFLICT (id) DO UPDATE SET
+                    name = excluded.name,
+                    status = excluded.status,
+                    updated_at = excluded.updated_at,
+                    data = excluded.data
+            `),
+            deleteCampaign: db.prepare('DELETE FROM campaigns WHERE id = ?'),
+            deleteUserCampaigns: db.prepare('DELETE FROM campaigns WHERE user_id = ?'),
+            deleteRecipients: db.prepare('DELETE FROM recipients WHERE campaign_id = ?'),
+            insertRecipient: db.prepare('INSERT INTO recipients (campaign_id, position, phone_number, data) VALUES (?, ?, ?, ?)'),
+
+            allMessages: db.prepare('SELECT data FROM messages ORDER BY timestamp, rowid'),
+            upsertMessage: db.prepare(`
+                INSERT INTO messages (id, user_id, campaign_id, phone_number, status, timestamp, data)
+                VALUES (@id, @userId, @campaignId, @phoneNumber, @status, @timestamp, @data)
+                ON CONFLICT (id) DO UPDATE SET
+                    status = excluded.status,
+                    data = excluded.data
+            `),
+            deleteUserMessages: db.prepare('DELETE FROM messages WHERE user_id = ?'),
+
+            allUsers: db.prepare('SELECT data FROM users ORDER BY id'),
+            upsertUser: db.prepare(`
+                INSERT INTO users (id, username, email, data) VALUES (@id, @username, @email, @data)
+                ON CONFLICT (id) DO UPDATE SET username = excluded.username, email = excluded.email, data = excluded.data
+            `),
+            deleteUser: db.prepare('DELETE FROM users WHERE id = ?'),
+            allLoginAttempts: db.prepare('SELECT key, data FROM login_attempts'),
+            upsertLoginAttempts: db.prepare('INSERT OR REPLACE INTO login_attempts (key, data) VALUES (?, ?)'),
+            deleteLoginAttempts: db.prepare('DELETE FROM login_attempts WHERE key = ?'),
+            allSettings: db.prepare('SELECT key, value FROM system_settings'),
+            upsertSetting: db.prepare('INSERT OR REPLACE INTO system_settings (key, value) VALUES (?, ?)'),
+
+            allInboundMessages: db.prepare('SELECT data FROM inbound_messages ORDER BY timestamp, rowid'),
+            upsertInboundMessage: db.prepare(`
+                INSERT INTO inbound_messages (id, user_id, device_id, phone_number, campaign_id, timestamp, data)
+                VALUES (@id, @userId, @deviceId, @phoneNumber, @campaignId, @timestamp, @data)
+                ON CONFLICT (id) DO UPDATE SET
+                    campaign_id = excluded.campaign_id,
+                    data = excluded.data
+            `),
+            deleteUserInboundMessages: db.prepare('DELETE FROM inbound_messages WHERE user_id = ?'),
+
+            allSuppressions: db.prepare('SELECT data FROM suppressions ORDER BY created_at, rowid'),
+            upsertSuppression: db.prepare('INSERT OR REPLACE INTO suppressions (user_id, phone_number, created_at, data) VALUES (?, ?, ?, ?)'),
+            deleteSuppression: db.prepare('DELETE FROM suppressions WHERE user_id = ? AND phone_number = ?'),
+            allOptOutSettings: db.prepare('SELECT user_id, data FROM opt_out_settings'),
+            upsertOptOutSettings: db.prepare('INSERT OR REPLACE INTO opt_out_settings (user_id, data) VALUES (?, ?)'),
+
+            allSequences: db.prepare('SELECT data FROM sequences ORDER BY created_at'),
+            upsertSequence: db.prepare(`
+                INSERT INTO sequences (id, user_id, name, status, created_at, updated_at, data)
+                VALUES (@id, @userId, @name, @status, @createdAt, @updatedAt, @data)
+                ON CONFLICT (id) DO UPDATE SET
+                    name = excluded.name,
+                    status = excluded.status,
+                    updated_at = excluded.updated_at,
+                    data = excluded.data
+            `),
+
+            allAutoReplyRules: db.prepare('SELECT data FROM auto_reply_rules ORDER BY created_at, rowid'),
+            upsertAutoReplyRule: db.prepare('INSERT OR REPLACE INTO auto_reply_rules (id, user_id, created_at, data) VALUES (?, ?, ?, ?)'),
+            deleteAutoReplyRule: db.prepare('DELETE FROM auto_reply_rules WHERE id = ?'),
+            allContacts: db.prepare('SELECT data FROM contacts ORDER BY created_at, rowid'),
+            upsertContact: db.prepare('INSERT OR REPLACE INTO contacts (user_id, phone_number, created_at, data) VALUES (?, ?, ?, ?)'),
+            deleteContact: db.prepare('DELETE FROM contacts WHERE user_id = ? AND phone_number = ?'),
+            allSegments: db.prepare('SELECT data FROM segments ORDER BY created_at, rowid'),
+            upsertSegment: db.prepare('INSERT OR REPLACE INTO segments (id, user_id, created_at, data) VALUES (?, ?, ?, ?)'),
+            deleteSegment: db.prepare('DELETE FROM segments WHERE id = ?'),
+
+            allDevices: db.prepare('SELECT data FROM devices'),
+            upsertDevice: db.prepare('INSERT OR REPLACE INTO devices (id, user_id, data) VALUES (?, ?, ?)'),
+            deleteDevice: db.prepare('DELETE FROM devices WHERE id = ?')
+        };
+    }
+
+    toTimestamp(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+
+    // ---- Campaigns ----
+
+    loadCampaigns() {
+        return this.statements.allCampaigns.all().map(row => {
+            const campaign = JSON.parse(row.data);
+            campaign.recipients = this.statements.campaignRecipients.all(campaign.id).map(r => JSON.parse(r.data));
+            return campaign;
+        });
+    }
+
+    /**
+     * Save campaign state. Recipients are only rewritten for new campaigns
+     * or when options.recipients is set, so progress updates stay one row.
+     */
+    saveCampaign(campaign, options = {}) {
+        const { recipients, ...state } = campaign;
+
+        this.db.transaction(() => {
+            const exists = this.statements.campaignExists.get(campaign.id);
+
+            this.statements.upsertCampaign.run({
+                id: campaign.id,
+                userId: String(campaign.userId),
+                name: campaign.name || null,
+                status: campaign.status,
+                createdAt: this.toTimestamp(campaign.createdAt),
+                updatedAt: this.toTimestamp(campaign.updatedAt),
+                data: JSON.stringify(state)
+            });
+
+            if (!exists || options.recipients) {
+                this.statements.deleteRecipients.run(campaign.id);
+                (recipients || []).forEach((recipient, position) => {
+                    this.statements.insertRecipient.run(campaign.id, position, recipient.phoneNumber || null, JSON.stringify(recipient));
+                });
+            }
+        })();
+    }
+
+    deleteCampaigns(campaignIds) {
+        this.db.transaction(() => {
+            campaignIds.forEach(id => this.statements.deleteCampaign.run(id));
+        })();
+    }
+
+    deleteUserCampaigns(userId) {
+        this.statements.deleteUserCampaigns.run(String(userId));
+    }
+
+    // ---- Messages ----
+
+    loadMessages() {
+        const messages = {};
+        for (const row of this.statements.allMessages.iterate()) {
+            const message = JSON.parse(row.data);
+            if (!messages[message.userId]) {
+                messages[message.userId] = [];
+            }
+            messages[message.userId].push(message);
+        }
+        return messages;
+    }
+
+    insertMessage(message) {
+        this.statements.upsertMessage.run({
+            id: message.id,
+            userId: String(message.userId),
+            campaignId: message.campaignId || null,
+            phoneNumber: message.recipient?.phoneNumber || null,
+            status: message.status || null,
+            timestamp: this.toTimestamp(message.timestamp),
+            data: JSON.stringify(message)
+        });
+    }
+
+    updateMessage(message) {
+        this.insertMessage(message);
+    }
+
+    deleteUserMessages(userId) {
+        this.statements.deleteUserMessages.run(String(userId));
+    }
+
+    // ---- Inbound messages ----
+
+    loadInboundMessages() {
+        const messages = {};
+        for (const row of this.statements.allInboundMessages.iterate()) {
+            const message = JSON.parse(row.data);
+            if (!messages[message.userId]) {
+                messages[message.userId] = [];
+            }
+            messages[message.userId].push(message);
+        }
+        return messages;
+    }
+
+    insertInboundMessage(message) {
+        this.statements.upsertInboundMessage.run({
+            id: message.id,
+            userId: String(message.userId),
+            deviceId: message.deviceId || null,
+            phoneNumber: message.phoneNumber || null,
+            campaignId: message.campaignId || null,
+            timestamp: this.toTimestamp(message.timestamp),
+            data: JSON.stringify(message)
+        });
+    }
+
+    updateInboundMessages(messages) {
+        this.db.transaction(() => {
+            messages.forEach(message => this.insertInboundMessage(message));
+        })();
+    }
+
+    deleteUserInboundMessages(userId) {
+        this.statements.deleteUserInboundMessages.run(String(userId));
+    }
+
+    // ---- Suppression lists ----
+
+    loadSuppressions() {
+        const suppressions = {};
+        for (const row of this.statements.allSuppressions.iterate()) {
+            const entry = JSON.parse(row.data);
+            if (!suppressions[entry.userId]) {
+                suppressions[entry.userId] = [];
+            }
+            suppressions[entry.userId].push(entry);
+        }
+        return suppressions;
+    }
+
+    saveSuppressions(entries) {
+        this.db.transaction(() => {
+            entries.forEach(entry => {
+                this.statements.upsertSuppression.run(String(entry.userId), entry.phoneNumber, this.toTimestamp(entry.createdAt), JSON.stringify(entry));
+            });
+        })();
+    }
+
+    deleteSuppressions(userId, phoneNumbers) {
+        this.db.transaction(() => {
+            phoneNumbers.forEach(phoneNumber => this.statements.deleteSuppression.run(String(userId), phoneNumber));
+        })();
+    }
+
+    loadOptOutSettings() {
+        const settings = {};
+        for (const row of this.statements.allOptOutSettings.all()) {
+            settings[row.user_id] = JSON.parse(row.data);
+        }
+        return settings;
+    }
+
+    saveOptOutSettings(userId, settings) {
+        this.statements.upsertOptOutSettings.run(String(userId), JSON.stringify(settings));
+    }
+
+    // ---- Sequences ----
+
+    loadSequences() {
+        return this.statements.allSequences.all().map(row => JSON.parse(row.data));
+    }
+
+    saveSequence(sequence) {
+        this.statements.upsertSequence.run({
+            id: sequence.id,
+            userId: String(sequence.userId),
+            name: sequence.name || null,
+            status: sequence.status,
+            createdAt: this.toTimestamp(sequence.createdAt),
+            updatedAt: this.toTimestamp(sequence.updatedAt),
+            data: JSON.stringify(sequence)
+        });
+    }
+
+    // ---- Auto-reply rules ----
+
+    loadAutoReplyRules() {
+        return this.statements.allAutoReplyRules.all().map(row => JSON.parse(row.data));
+    }
+
+    saveAutoReplyRule(rule) {
+        this.statements.upsertAutoReplyRule.run(rule.id, String(rule.userId), this.toTimestamp(rule.createdAt), JSON.stringify(rule));
+    }
+
+    deleteAutoReplyRule(ruleId) {
+        this.statements.deleteAutoReplyRule.run(ruleId);
+    }
+
+    // ---- Contacts and segments ----
+
+    loadContacts() {
+        const contacts = {};
+        for (const row of this.statements.allContacts.iterate()) {
+            const contact = JSON.parse(row.data);
+            if (!contacts[contact.userId]) {
+                contacts[contact.userId] = [];
+            }
+            contacts[contact.userId].push(contact);
+        }
+        return contacts;
+    }
+
+    saveContacts(contacts) {
+        this.db.transaction(() => {
+            contacts.forEach(contact => {
+                this.statements.upsertContact.run(String(contact.userId), contact.phoneNumber, this.toTimestamp(contact.createdAt), JSON.stringify(contact));
+            });
+        })();
+    }
+
+    deleteContacts(userId, phoneNumbers) {
+        this.db.transaction(() => {
+            phoneNumbers.forEach(phoneNumber => this.statements.deleteContact.run(String(userId), phoneNumber));
+        })();
+    }
+
+    loadSegments() {
+        return this.statements.allSegments.all().map(row => JSON.parse(row.data));
+    }
+
+    saveSegment(segment) {
+        this.statements.upsertSegment.run(segment.id, String(segment.userId), this.toTimestamp(segment.createdAt), JSON.stringify(segment));
+    }
+
+    deleteSegment(segmentId) {
+        this.statements.deleteSegment.run(segmentId);
+    }
+
+    // ---- Users and system settings ----
+
+    loadUserState() {
+        const users = this.statements.allUsers.all().map(row => JSON.parse(row.data));
+        const settings = this.statements.allSettings.all();
+
+        if (users.length === 0 && settings.length === 0) {
+            return null;
+        }
+
+        const loginAttempts = {};
+        for (const row of this.statements.allLoginAttempts.all()) {
+            loginAttempts[row.key] = JSON.parse(row.data);
+        }
+
+        const systemSettings = {};
+        for (const row of settings) {
+            systemSettings[row.key] = JSON.parse(row.value);
+        }
+
+        const counter = this.statements.getMeta.get('user_id_counter');
+
+        return {
+            userIdCounter: counter ? parseInt(counter.value) : 1,
+            users: users,
+            loginAttempts: loginAttempts,
+            systemSettings: systemSettings
+        };
+    }
+
+    saveUser(user) {
+        this.statements.upsertUser.run({
+            id: user.id,
+            username: user.username,
+            email: user.email || null,
+            data: JSON.stringify(user)
+        });
+    }
+
+    deleteUser(userId) {
+        this.statements.deleteUser.run(userId);
+    }
+
+    saveUserIdCounter(userIdCounter) {
+        this.statements.setMeta.run('user_id_counter', String(userIdCounter));
+    }
+
+    saveLoginAttempts(key, attempts) {
+        if (attempts) {
+            this.statements.upsertLoginAttempts.run(key, JSON.stringify(attempts));
+        } else {
+            this.statements.deleteLoginAttempts.run(key);
+        }
+    }
+
+    saveSystemSetting(key, value) {
+        this.statements.upsertSetting.run(key, JSON.stringify(value));
+    }
+
+    // ---- Devices ----
+
+    loadDevices() {
+        return this.statements.allDevices.all().map(row => JSON.parse(row.data));
+    }
+
+    saveDevice(device) {
+        this.statements.upsertDevice.run(device.id, String(device.userId), JSON.stringify(device));
+    }
+
+    deleteDevice(deviceId) {
+        this.statements.deleteDevice.run(deviceId);
+    }
+
+    /**
+     * Run several writes in one transaction (used by the JSON import)
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+SqliteStorage.SCHEMA_VERSION = MIGRATIONS.length;
+SqliteStorage.MIGRATIONS = MIGRATIONS;
+
+module.exports = SqliteStorage;
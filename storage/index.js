@@ -0,0 +1,42 @@
+// Storage factory - picks the backend from STORAGE_DRIVER ('json' or 'sqlite')
+const path = require('path');
+const JsonStorage = require('./JsonStorage');
+const SqliteStorage = require('./SqliteStorage');
+
+let sharedStorage = null;
+
+/**
+ * Create and initialize a storage backend
+ */
+function createStorage(options = {}) {
+    const driver = (options.driver || process.env.STORAGE_DRIVER || 'json').toLowerCase();
+
+    switch (driver) {
+        case 'sqlite':
+            return new SqliteStorage({
+                filePath: options.filePath || process.env.SQLITE_PATH || path.join(__dirname, '..', 'whatsapp-sender.db')
+            }).init();
+        case 'json':
+            return new JsonStorage({ baseDir: options.baseDir }).init();
+        default:
+            throw new Error(`Unknown storage driver: ${driver}. Use 'json' or 'sqlite'.`);
+    }
+}
+
+/**
+ * Get the storage instance shared by all managers
+ */
+function getStorage() {
+    if (!sharedStorage) {
+        sharedStorage = createStorage();
+        console.log(`💾 Using ${sharedStorage.driver} storage`);
+    }
+    return sharedStorage;
+}
+
+module.exports = {
+    createStorage,
+    getStorage,
+    JsonStorage,
+    SqliteStorage
+};
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WhatsAppAPI = require('../WhatsAppAPI');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+function createApi() {
+    const { io, deviceManager, campaignManager } = createManagers();
+    const api = new WhatsAppAPI(io, null, deviceManager, campaignManager);
+    api.apiKeys.clear();
+    return { api, deviceManager };
+}
+
+test('keys are only created for workspaces whose devices the account linked', () => {
+    const { api, deviceManager } = createApi();
+
+    assert.strictEqual(api.checkWorkspaceAccess('user_a', 1).status, 400);
+
+    deviceManager.addDevice('user_a', 'd1').ownerId = 1;
+    assert.strictEqual(api.checkWorkspaceAccess('user_a', 1), null);
+    assert.strictEqual(api.checkWorkspaceAccess('user_a', 2).status, 403);
+
+    // A device linked by someone else in the same workspace blocks it too
+    deviceManager.addDevice('user_a', 'd2').ownerId = 2;
+    assert.strictEqual(api.checkWorkspaceAccess('user_a', 1).status, 403);
+});
+
+test('devices linked before owners were recorded need an existing key from the account', () => {
+    const { api, deviceManager } = createApi();
+    deviceManager.addDevice('user_a', 'd1');
+
+    assert.strictEqual(api.checkWorkspaceAccess('user_a', 1).status, 403);
+
+    api.apiKeys.set('k1', { id: 'k1', userId: 'user_a', ownerId: 1 });
+    assert.strictEqual(api.checkWorkspaceAccess('user_a', 1), null);
+    assert.strictEqual(api.checkWorkspaceAccess('user_a', 2).status, 403);
+});
+
+test('API sends read local numbers with the default country of the account that linked the devices', async () => {
+    const { api, deviceManager } = createApi();
+    deviceManager.setDefaultCountryLookup(accountId => (accountId === 1 ? 'PK' : null));
+    deviceManager.addDevice('user_a', 'd1').ownerId = 1;
+
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    await api.sendMessage({
+        apiKey: { id: 'k1', userId: 'user_a', ownerId: 1 },
+        body: { deviceId: 'd1', phoneNumber: '0300 1234567', message: 'Hi' }
+    }, res);
+
+    assert.strictEqual(res.body.success, true);
+    assert.strictEqual(deviceManager.sent[0].chatId, '923001234567@c.us');
+    assert.strictEqual(api.formatPhoneNumber('0300 1234567'), null);
+});
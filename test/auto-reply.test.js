@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AutoReplyManager = require('../AutoReplyManager');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+function createAutoReplies() {
+    const { io, deviceManager, campaignManager, storage } = createManagers();
+    return new AutoReplyManager(io, deviceManager, campaignManager, null, storage);
+}
+
+const incoming = (body) => ({ body: body });
+
+test('regex rules with nested repeats or back-references are rejected', () => {
+    const autoReplies = createAutoReplies();
+    const save = (pattern) => autoReplies.saveRule('u1', { name: 'R', matchType: 'regex', pattern: pattern, reply: 'Hi' });
+
+    assert.throws(() => save('(a+)+$'), /could make matching hang/);
+    assert.throws(() => save('^(\\w+\\s?)*$'), /could make matching hang/);
+    assert.throws(() => save('(.*,){2,}x'), /could make matching hang/);
+    assert.throws(() => save('(yes)\\1'), /back-references/);
+    assert.throws(() => save('(unclosed'), /not a valid regular expression/);
+
+    assert.doesNotThrow(() => save('^(price|cost)s?\\b'));
+    assert.doesNotThrow(() => save('order\\s*#?\\d+'));
+    assert.doesNotThrow(() => save('[(+]+ and \\(x+\\)+'));
+});
+
+test('regex rules compile once and recompile when the pattern changes', () => {
+    const autoReplies = createAutoReplies();
+    const rule = autoReplies.saveRule('u1', { name: 'Price', matchType: 'regex', pattern: '^price', reply: 'Hi' });
+
+    assert.strictEqual(autoReplies.matchesRule(rule, incoming('Price please')), true);
+    const compiled = autoReplies.compiledPatterns.get(rule.id).regex;
+    assert.strictEqual(autoReplies.matchesRule(rule, incoming('What price?')), false);
+    assert.strictEqual(autoReplies.compiledPatterns.get(rule.id).regex, compiled);
+
+    const updated = autoReplies.saveRule('u1', { pattern: 'price\\?$' }, rule.id);
+    assert.strictEqual(autoReplies.matchesRule(updated, incoming('What price?')), true);
+
+    autoReplies.deleteRule('u1', rule.id);
+    assert.strictEqual(autoReplies.compiledPatterns.has(rule.id), false);
+});
+
+test('unsafe regex rules saved before the check never match', () => {
+    const autoReplies = createAutoReplies();
+    const stored = { id: 'old', name: 'Old', matchType: 'regex', pattern: '(a+)+$' };
+
+    assert.strictEqual(autoReplies.matchesRule(stored, incoming('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!')), false);
+});
+
+test('exact and contains rules ignore case, and exact ignores trailing punctuation', () => {
+    const autoReplies = createAutoReplies();
+    const exact = { matchType: 'exact', pattern: 'STOP' };
+    const contains = { matchType: 'contains', pattern: 'Price' };
+
+    assert.strictEqual(autoReplies.matchesRule(exact, incoming(' stop!! ')), true);
+    assert.strictEqual(autoReplies.matchesRule(exact, incoming('stop it')), false);
+    assert.strictEqual(autoReplies.matchesRule(contains, incoming('what is the price?')), true);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createManagers, removeTempDirs, tempDir } = require('./helpers');
+
+test.after(removeTempDirs);
+
+const recipients = () => [
+    { phoneNumber: '923001110001', name: 'Ali' },
+    { phoneNumber: '923002220002', name: 'Sara' }
+];
+
+// Scheduled far ahead so nothing sends until the test moves it along
+const scheduled = (fields = {}) => ({
+    message: 'Hi {name}',
+    recipients: recipients(),
+    scheduledAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...fields
+});
+
+test('a retry is refused while an earlier pass is still validating numbers', async () => {
+    const { campaignManager } = createManagers();
+    const original = await campaignManager.createCampaign('u1', scheduled());
+    const retry = await campaignManager.createCampaign('u1', scheduled({ parentCampaignId: original.id, rootCampaignId: original.id, retryPass: 1 }));
+    original.status = 'stopped';
+    retry.status = 'validating';
+
+    try {
+        await assert.rejects(campaignManager.retryFailedRecipients(original.id, 'u1'), /still running/);
+    } finally {
+        campaignManager.clearUserCampaigns('u1');
+    }
+});
+
+test('clearing campaigns stops parallel device workers, including one mid-send', async () => {
+    const { campaignManager, deviceManager } = createManagers();
+    deviceManager.addDevice('u1', 'd1', { sendDelay: 200 });
+    deviceManager.addDevice('u1', 'd2', { sendDelay: 200 });
+    const many = Array.from({ length: 8 }, (_, i) => ({ phoneNumber: `92300111000${i}`, name: `R${i}` }));
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    try {
+        await campaignManager.createCampaign('u1', { message: 'Hi {name}', recipients: many, delay: 50, enableTypingSimulation: false });
+        for (let i = 0; i < 100 && deviceManager.sent.length === 0; i++) {
+            await wait(20);
+        }
+        assert.ok(deviceManager.sent.length > 0, 'campaign never started sending');
+    } finally {
+        campaignManager.clearUserCampaigns('u1');
+    }
+
+    const sentAtClear = deviceManager.sent.length;
+    await wait(600);
+    assert.strictEqual(deviceManager.sent.length, sentAtClear);
+    assert.strictEqual(campaignManager.campaignWorkers.size, 0);
+    assert.strictEqual(campaignManager.campaignTimers.size, 0);
+});
+
+test('campaigns built internally send unknown placeholders as written instead of failing', async () => {
+    const { campaignManager } = createManagers();
+    try {
+        const campaign = await campaignManager.createCampaign('u1', scheduled({ message: 'Hi {name}, code {voucher}' }));
+        assert.strictEqual(campaignManager.renderCampaignMessage(campaign, campaign.recipients[0], 0).content, 'Hi Ali, code {voucher}');
+    } finally {
+        campaignManager.clearUserCampaigns('u1');
+    }
+});
+
+test('a recipient goes back in the queue when another campaign uses up the device limit mid-send', async () => {
+    const { campaignManager, deviceManager } = createManagers();
+    deviceManager.addDevice('u1', 'd1', { quota: { hourly: 2 }, sendDelay: 100 });
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const options = { delay: 50, enableTypingSimulation: false };
+
+    try {
+        // Both first messages pass the limit check together; the follow-up part then finds the device capped
+        const sequence = await campaignManager.createCampaign('u1', {
+            ...options,
+            message: 'Hi {name}',
+            recipients: [{ phoneNumber: '923001110001', name: 'Ali' }],
+            parts: [{ type: 'text', text: 'Details inside', delay: 0.3 }]
+        });
+        const other = await campaignManager.createCampaign('u1', {
+            ...options,
+            message: 'Hello {name}',
+            recipients: [{ phoneNumber: '923002220002', name: 'Sara' }]
+        });
+
+        for (let i = 0; i < 150 && sequence.status !== 'quota-wait'; i++) {
+            await wait(20);
+        }
+
+        assert.strictEqual(other.status, 'completed');
+        assert.strictEqual(sequence.status, 'quota-wait');
+        assert.strictEqual(sequence.progress.failed, 0);
+        assert.strictEqual(sequence.progress.currentIndex, 0);
+        assert.strictEqual(sequence.progress.partsSent[0], 1);
+        assert.deepStrictEqual(campaignManager.getUserMessages('u1').filter(message => message.campaignId === sequence.id).map(message => message.status), ['sent']);
+    } finally {
+        campaignManager.clearUserCampaigns('u1');
+    }
+});
+
+test('uploaded files stay while a retry can still send them and are removed once every pass is finished', async () => {
+    const { campaignManager } = createManagers();
+    const dir = tempDir();
+    const attachment = path.join(dir, 'flyer.pdf');
+    const extracted = path.join(dir, 'recipient-files');
+    fs.writeFileSync(attachment, 'pdf');
+    fs.mkdirSync(extracted);
+    fs.writeFileSync(path.join(extracted, 'invoice.pdf'), 'pdf');
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    try {
+        const original = await campaignManager.createCampaign('u1', scheduled({ uploads: [attachment, extracted] }));
+        const retry = await campaignManager.createCampaign('u1', scheduled({ parentCampaignId: original.id, rootCampaignId: original.id, retryPass: 1 }));
+
+        campaignManager.stopCampaign(original.id, 'u1');
+        await wait(50);
+        assert.ok(fs.existsSync(attachment) && fs.existsSync(extracted), 'files removed while the retry is scheduled');
+
+        campaignManager.stopCampaign(retry.id, 'u1');
+        await wait(50);
+        assert.ok(!fs.existsSync(attachment) && !fs.existsSync(extracted), 'files kept after every pass stopped');
+        assert.deepStrictEqual(original.uploads, []);
+        await assert.rejects(campaignManager.retryFailedRecipients(retry.id, 'u1'), /files this campaign sent were removed/);
+    } finally {
+        campaignManager.clearUserCampaigns('u1');
+    }
+});
+
+test('clearing campaigns removes their uploaded files', async () => {
+    const { campaignManager } = createManagers();
+    const attachment = path.join(tempDir(), 'flyer.pdf');
+    fs.writeFileSync(attachment, 'pdf');
+
+    await campaignManager.createCampaign('u1', scheduled({ uploads: [attachment] }));
+    campaignManager.clearUserCampaigns('u1');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(!fs.existsSync(attachment));
+});
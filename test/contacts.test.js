@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ContactManager = require('../ContactManager');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+// Workspace u1 belongs to an account whose default country is Pakistan
+function setup() {
+    const managers = createManagers();
+    managers.deviceManager.setDefaultCountryLookup(() => 'PK');
+    managers.deviceManager.addDevice('u1', 'd1').ownerId = 1;
+    return managers;
+}
+
+test('imports merge a local number into the contact with its international number', () => {
+    const { io, deviceManager, campaignManager, storage } = setup();
+    const contacts = new ContactManager(io, deviceManager, campaignManager, storage);
+
+    contacts.importContacts('u1', [{ phoneNumber: '923001234567', name: 'Ali', fields: { city: 'Lahore' } }]);
+    const result = contacts.importContacts('u1', [{ phoneNumber: '0300 1234567', name: '', fields: { tags: 'vip' } }]);
+
+    assert.deepStrictEqual([result.created, result.updated], [0, 1]);
+    const contact = contacts.findContact('u1', '+92 300 1234567');
+    assert.deepStrictEqual([contact.phoneNumber, contact.name, contact.fields.city, contact.tags], ['923001234567', 'Ali', 'Lahore', ['vip']]);
+    assert.strictEqual(contacts.getUserContacts('u1').length, 1);
+    // Same last nine digits in another country is someone else
+    assert.strictEqual(contacts.findContact('u1', '443001234567'), null);
+});
+
+test('invalid numbers are counted and not imported', () => {
+    const { io, deviceManager, campaignManager, storage } = setup();
+    const contacts = new ContactManager(io, deviceManager, campaignManager, storage);
+
+    const result = contacts.importContacts('u1', [{ phoneNumber: '12345' }, { phoneNumber: '120363012345678901@g.us' }]);
+    assert.deepStrictEqual([result.created, result.invalid], [0, 2]);
+    assert.throws(() => contacts.saveContact('u1', { phoneNumber: '12345' }), /Invalid phone number/);
+});
+
+test('contacts saved under a local number are merged into their international duplicate', () => {
+    const { io, deviceManager, campaignManager, storage } = setup();
+    const now = new Date();
+    storage.saveContacts([
+        { userId: 'u1', phoneNumber: '923001234567', name: 'Ali', fields: {}, tags: ['vip'], createdAt: now, updatedAt: now, lastMessagedAt: null },
+        { userId: 'u1', phoneNumber: '03001234567', name: 'Ali K', fields: { city: 'Lahore' }, tags: ['lahore'], createdAt: now, updatedAt: now, lastMessagedAt: null }
+    ]);
+    const contacts = new ContactManager(io, deviceManager, campaignManager, storage);
+
+    const [contact] = contacts.getUserContacts('u1');
+    assert.deepStrictEqual([contact.name, contact.fields.city, contact.tags], ['Ali', 'Lahore', ['vip', 'lahore']]);
+    assert.deepStrictEqual(storage.loadContacts().u1.map(saved => saved.phoneNumber), ['923001234567']);
+});
@@ -0,0 +1,86 @@
+// Shared test setup: managers on a throwaway JSON store, with fake devices that never start WhatsApp
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonStorage } = require('../storage');
+const DeviceManager = require('../DeviceManager');
+const CampaignManager = require('../CampaignManager');
+
+const tempDirs = [];
+
+function tempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whatsapp-sender-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+function removeTempDirs() {
+    tempDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+/**
+ * socket.io stand-in that records what was emitted
+ */
+function createIo() {
+    const events = [];
+    return {
+        events: events,
+        to: (room) => ({ emit: (event, data) => events.push({ room, event, data }) })
+    };
+}
+
+class TestDeviceManager extends DeviceManager {
+    ensureAuthDirectory() {}
+    startCleanupInterval() {}
+    resetDeviceTimeout() {}
+    saveDeviceRecord() {}
+
+    /**
+     * Register a ready device whose client records sends; sendDelay (ms) keeps a send in flight
+     */
+    addDevice(userId, id, { quota = {}, isReady = true, sendDelay = 0 } = {}) {
+        this.sent = this.sent || [];
+        const device = {
+            id: id,
+            userId: userId,
+            name: id.toUpperCase(),
+            status: isReady ? 'ready' : 'disconnected',
+            isReady: isReady,
+            quota: this.normalizeQuota(quota),
+            usage: {},
+            createdAt: new Date(),
+            client: {
+                getChatById: async () => ({ sendStateTyping: async () => {}, clearState: async () => {} }),
+                sendMessage: async (chatId, content) => {
+                    this.sent.push({ deviceId: id, chatId: chatId, content: content });
+                    if (sendDelay > 0) {
+                        await new Promise(resolve => setTimeout(resolve, sendDelay));
+                    }
+                    return { id: { _serialized: `msg-${this.sent.length}` } };
+                }
+            }
+        };
+        this.devices.set(id, device);
+        if (!this.userDevices.has(userId)) {
+            this.userDevices.set(userId, new Set());
+        }
+        this.userDevices.get(userId).add(id);
+        return device;
+    }
+}
+
+function createManagers() {
+    const storage = new JsonStorage({ baseDir: tempDir() }).init();
+    const io = createIo();
+    const deviceManager = new TestDeviceManager(io, storage);
+    const campaignManager = new CampaignManager(io, deviceManager, storage);
+    return { storage, io, deviceManager, campaignManager };
+}
+
+module.exports = {
+    tempDir,
+    removeTempDirs,
+    createIo,
+    createManagers,
+    TestDeviceManager
+};
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageTemplate = require('../MessageTemplate');
+
+// Math.random stand-in that returns the given values in turn
+const sequence = (...values) => {
+    let i = 0;
+    return () => values[i++ % values.length];
+};
+
+const recipient = {
+    phoneNumber: '923001234567',
+    name: 'ali khan',
+    fields: { 'Order Date': '2030-03-05', Amount: '1250.5', City: 'Lahore', Coupon: '' }
+};
+
+test('render substitutes built-ins and CSV columns by normalized name', () => {
+    const { content } = MessageTemplate.render('Hi {name}, your order of {order_date} from {city} ({mobile})', recipient);
+    assert.strictEqual(content, 'Hi ali khan, your order of 2030-03-05 from Lahore (923001234567)');
+});
+
+test('render applies filters and defaults', () => {
+    const render = (body, to = recipient) => MessageTemplate.render(body, to).content;
+
+    assert.strictEqual(render('{name|title}'), 'Ali Khan');
+    assert.strictEqual(render('{name|upper}'), 'ALI KHAN');
+    assert.strictEqual(render('{order date|date:DD/MM/YYYY}'), '05/03/2030');
+    assert.strictEqual(render('{order_date|date}'), '05 Mar 2030');
+    assert.strictEqual(render('{amount|currency:USD}'), '$1,250.50');
+    assert.strictEqual(render('{coupon|none}'), 'none');
+    assert.strictEqual(render('{coupon}'), '');
+
+    // A name that is just the number falls back to the default, or to the number without one
+    const unnamed = { phoneNumber: '923001234567', name: '923001234567' };
+    assert.strictEqual(render('Hi {name|Customer}', unnamed), 'Hi Customer');
+    assert.strictEqual(render('Hi {name}', unnamed), 'Hi 923001234567');
+});
+
+test('render expands spintax, including nested groups, and reports the choices', () => {
+    const first = MessageTemplate.render('{Hi|Hello} {there|{dear|good} friend}', recipient, 0, { random: sequence(0.9, 0.1, 0.9) });
+    assert.strictEqual(first.content, 'Hello dear friend');
+    assert.deepStrictEqual(first.variant.choices, ['Hello', 'dear friend', 'dear']);
+
+    // A group whose first option is a variable is a placeholder with a default, not spintax
+    const named = MessageTemplate.render('{name|Customer}', recipient, 0, { random: sequence(0.9) });
+    assert.strictEqual(named.content, 'ali khan');
+
+    // So is one written as a column key, even when the recipient has no such column
+    const keyed = MessageTemplate.render('Hi {first_name|there}', recipient, 0, { random: sequence(0) });
+    assert.strictEqual(keyed.content, 'Hi there');
+    assert.deepStrictEqual(keyed.variant.choices, []);
+});
+
+test('render rotates or randomly picks message variants', () => {
+    const bodies = ['A {name}', 'B {name}'];
+    assert.strictEqual(MessageTemplate.render(bodies, recipient, 3).variant.body, 2);
+    assert.strictEqual(MessageTemplate.render(bodies, recipient, 3, { variantMode: 'random', random: () => 0 }).content, 'A ali khan');
+});
+
+test('render leaves unknown placeholders as written and sends escaped braces as text', () => {
+    assert.strictEqual(MessageTemplate.render('Use code {voucher}', recipient).content, 'Use code {voucher}');
+    assert.strictEqual(MessageTemplate.render('Hi {name}, reply \\{YES\\} or \\{NO|STOP\\}', recipient).content, 'Hi ali khan, reply {YES} or {NO|STOP}');
+    assert.strictEqual(MessageTemplate.render('{Hi|{name}}', recipient, 0, { random: () => 0.9 }).content, 'ali khan');
+});
+
+test('validate rejects placeholders with no column or default', () => {
+    assert.doesNotThrow(() => MessageTemplate.validate('Hi {name|there}, {order date|date} {Hi|Hello}', [recipient]));
+    assert.throws(
+        () => MessageTemplate.validate(['Hi {name}', 'Code: {promo}', '{Hi|{voucher}}'], [recipient]),
+        error => {
+            assert.deepStrictEqual(error.unknownPlaceholders, ['promo', 'voucher']);
+            return true;
+        }
+    );
+});
+
+test('validate reports a missing column even when the placeholder has a default', () => {
+    assert.deepStrictEqual(MessageTemplate.findUnknownPlaceholders('Hi {first_name|there}, {coupon|none} {promo|upper}', MessageTemplate.getColumns([recipient])), ['first_name', 'promo']);
+    assert.throws(() => MessageTemplate.validate('Hi {first_name|there}', [recipient]), /No matching column for \{first_name\}/);
+});
+
+test('validate accepts escaped braces and brace text that is not a column name', () => {
+    assert.doesNotThrow(() => MessageTemplate.validate('Reply \\{promo\\} for {50% off!} or {:)}', [recipient]));
+    assert.deepStrictEqual(MessageTemplate.findUnknownPlaceholders('\\{ "json": true \\} {promo code}', MessageTemplate.getColumns([recipient])), ['promo code']);
+});
+
+test('normalizeVariants and normalizeVariantMode validate their input', () => {
+    assert.deepStrictEqual(MessageTemplate.normalizeVariants('["A", " ", "B "]'), ['A', 'B']);
+    assert.deepStrictEqual(MessageTemplate.normalizeVariants('Just one'), ['Just one']);
+    assert.throws(() => MessageTemplate.normalizeVariants({}), /must be a list/);
+    assert.strictEqual(MessageTemplate.normalizeVariantMode(), 'rotate');
+    assert.throws(() => MessageTemplate.normalizeVariantMode('shuffle'), /Variant mode/);
+});
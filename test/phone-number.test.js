@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PhoneNumber = require('../PhoneNumber');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+const normalized = (input, defaultCountry) => PhoneNumber.normalize(input, defaultCountry).phoneNumber;
+
+test('international numbers keep their country code whatever the formatting', () => {
+    assert.strictEqual(normalized('+92 300 123-4567'), '923001234567');
+    assert.strictEqual(normalized('0092 300 1234567'), '923001234567');
+    assert.strictEqual(normalized('923001234567'), '923001234567');
+    assert.strictEqual(PhoneNumber.normalize('+92 300 1234567').country, 'PK');
+    assert.strictEqual(PhoneNumber.normalize('+1 415 555 0123').country, 'US');
+});
+
+test('national numbers anywhere in a country\'s length range are accepted', () => {
+    // German numbers run from 7 to 13 digits after the calling code
+    assert.strictEqual(normalized('+49 30 12345'), '493012345');
+    assert.strictEqual(normalized('+49 1512 34567890'), '49151234567890');
+    assert.strictEqual(normalized('+49 1512 3456789012'), null);
+    assert.strictEqual(normalized('+39 06 1234'), '39061234');
+    assert.match(PhoneNumber.normalize('+92 300 123').reason, /Wrong length for a Pakistan number/);
+});
+
+test('numbers without a country code use the default country, with or without its trunk prefix', () => {
+    assert.strictEqual(normalized('0300 1234567', 'PK'), '923001234567');
+    assert.strictEqual(normalized('300 1234567', 'PK'), '923001234567');
+    assert.strictEqual(normalized('030 1234567', 'DE'), '49301234567');
+    assert.strictEqual(normalized('(415) 555-0123', 'US'), '14155550123');
+    assert.match(PhoneNumber.normalize('0300 1234567').reason, /set a default country/);
+});
+
+test('digits that read as both a national and an international number are flagged', () => {
+    const parsed = PhoneNumber.normalize('14155550123', 'DE');
+    assert.strictEqual(parsed.ambiguous, true);
+    assert.strictEqual(parsed.phoneNumber, '4914155550123');
+    assert.strictEqual(parsed.alternative, '+14155550123');
+
+    // Digits already starting with the default country's code are that country's number
+    assert.deepStrictEqual(
+        [normalized('923001234567', 'PK'), PhoneNumber.normalize('923001234567', 'PK').ambiguous],
+        ['923001234567', false]
+    );
+});
+
+test('normalizeRecipients drops invalid numbers and repeats and keeps group ids', () => {
+    const summary = PhoneNumber.normalizeRecipients([
+        { phoneNumber: '0300 1234567', name: 'Ali' },
+        { phoneNumber: '+92 300 1234567', name: 'Ali again' },
+        { phoneNumber: '12', name: 'Short' },
+        { phoneNumber: '120363012345678901@G.US', name: 'Group' },
+        { phoneNumber: '14155550123', name: 'Maybe US' }
+    ], 'PK');
+
+    assert.deepStrictEqual(summary.recipients.map(recipient => recipient.phoneNumber), ['923001234567', '120363012345678901@g.us', '14155550123']);
+    assert.deepStrictEqual(summary.duplicates.map(duplicate => duplicate.name), ['Ali again']);
+    assert.deepStrictEqual(summary.invalid.map(invalid => invalid.name), ['Short']);
+    assert.deepStrictEqual(summary.ambiguous, []);
+});
+
+test('normalizeCountry accepts known codes and empty values only', () => {
+    assert.strictEqual(PhoneNumber.normalizeCountry(' de '), 'DE');
+    assert.strictEqual(PhoneNumber.normalizeCountry(''), null);
+    assert.throws(() => PhoneNumber.normalizeCountry('XX'), /Unknown country/);
+});
+
+test('device sends read numbers the same way and pass group ids through', () => {
+    const { deviceManager } = createManagers();
+
+    assert.strictEqual(deviceManager.getChatId('+92 300 1234567'), '923001234567@c.us');
+    assert.strictEqual(deviceManager.getChatId('0092-300-1234567'), '923001234567@c.us');
+    assert.strictEqual(deviceManager.getChatId('923001234567@c.us'), '923001234567@c.us');
+    assert.strictEqual(deviceManager.getChatId('120363012345678901@G.US'), '120363012345678901@g.us');
+    assert.throws(() => deviceManager.getChatId('12345'), /Invalid phone number 12345/);
+});
+
+test('numbers only match when they normalize to the same E.164 number', () => {
+    // Same last nine digits, different countries
+    assert.strictEqual(PhoneNumber.isSame('923001234567', '443001234567'), false);
+    assert.strictEqual(PhoneNumber.isSame('+92 300 1234567', '00923001234567'), true);
+    assert.strictEqual(PhoneNumber.isSame('0300 1234567', '923001234567', 'PK'), true);
+    assert.strictEqual(PhoneNumber.isSame('0300 1234567', '923001234567'), false);
+    // Stored E.164 digits aren't re-read as a national number of the default country
+    assert.strictEqual(PhoneNumber.isSame('+92 300 1234567', '923001234567', 'DE'), true);
+    assert.strictEqual(PhoneNumber.toKey('3001234567', 'PK'), '923001234567');
+    assert.strictEqual(PhoneNumber.isSame('120363012345678901@G.US', '120363012345678901@g.us'), true);
+    assert.strictEqual(PhoneNumber.isSame('', ''), false);
+});
+
+test('campaign number matching uses the workspace owner\'s default country', () => {
+    const { campaignManager, deviceManager } = createManagers();
+    deviceManager.setDefaultCountryLookup(accountId => accountId === 7 ? 'PK' : null);
+
+    assert.strictEqual(campaignManager.isSamePhoneNumber('0300 1234567', '923001234567', 'u1'), false);
+    deviceManager.addDevice('u1', 'd1').ownerId = 7;
+    assert.strictEqual(campaignManager.isSamePhoneNumber('0300 1234567', '923001234567', 'u1'), true);
+    assert.strictEqual(campaignManager.isSamePhoneNumber('923001234567', '443001234567', 'u1'), false);
+});
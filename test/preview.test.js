@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+const start = new Date('2030-01-07T10:00:00');
+const recipients = (count) => Array.from({ length: count }, (_, i) => ({ phoneNumber: `92300111000${i}`, name: `R${i}` }));
+const campaignData = (fields = {}) => ({
+    message: '{Hi|Hello} {name}',
+    recipients: recipients(4),
+    delay: 1000,
+    enableTypingSimulation: false,
+    scheduledAt: start,
+    ...fields
+});
+
+test('a preview renders every message without storing or sending anything', () => {
+    const { campaignManager, deviceManager, storage } = createManagers();
+    deviceManager.addDevice('u1', 'd1');
+
+    const preview = campaignManager.previewCampaign('u1', campaignData({ recipients: recipients(2) }));
+
+    assert.strictEqual(preview.messages, 2);
+    assert.match(preview.recipients[0].content, /^(Hi|Hello) R0$/);
+    assert.deepStrictEqual(preview.recipients.map(recipient => recipient.deviceId), ['d1', 'd1']);
+    assert.strictEqual(campaignManager.campaigns.size, 0);
+    assert.deepStrictEqual(storage.loadCampaigns(), []);
+    assert.deepStrictEqual(deviceManager.sent, []);
+});
+
+test('parallel sending spreads recipients over devices that each keep the delay', () => {
+    const { campaignManager, deviceManager } = createManagers();
+    deviceManager.addDevice('u1', 'd1');
+    deviceManager.addDevice('u1', 'd2');
+
+    const preview = campaignManager.previewCampaign('u1', campaignData());
+
+    assert.deepStrictEqual(preview.recipients.map(recipient => [recipient.deviceId, recipient.sendAt.getTime() - start.getTime()]), [
+        ['d1', 0], ['d2', 0], ['d1', 1000], ['d2', 1000]
+    ]);
+    assert.deepStrictEqual(preview.devices.map(device => device.messages), [2, 2]);
+    assert.strictEqual(preview.estimatedDuration, 1000);
+});
+
+test('sending one at a time waits out a device\'s hourly cap', () => {
+    const { campaignManager, deviceManager } = createManagers();
+    deviceManager.addDevice('u1', 'd1', { quota: { hourly: 2 } });
+
+    const preview = campaignManager.previewCampaign('u1', campaignData({ recipients: recipients(3), parallelSending: false }));
+
+    assert.deepStrictEqual(preview.recipients.map(recipient => recipient.sendAt.toTimeString().slice(0, 8)), ['10:00:00', '10:00:01', '11:00:01']);
+    assert.strictEqual(preview.finishesAt.getTime(), new Date('2030-01-07T11:00:01').getTime());
+});
+
+test('skipped recipients are counted and devices that aren\'t there are warned about', () => {
+    const { campaignManager } = createManagers();
+    campaignManager.addSkipCheck((campaign, recipient) => recipient.name === 'R1' ? { status: 'replied', error: 'Replied already' } : null);
+
+    const preview = campaignManager.previewCampaign('u1', campaignData({ validateNumbers: true }));
+
+    assert.strictEqual(preview.messages, 3);
+    assert.deepStrictEqual(preview.skipped, { replied: 1 });
+    assert.strictEqual(preview.recipients[1].error, 'Replied already');
+    assert.deepStrictEqual(preview.devices, []);
+    assert.strictEqual(preview.warnings.length, 2);
+    assert.match(preview.warnings[0], /No WhatsApp devices/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+const at = (time) => new Date(`2030-01-07T${time}:00`);
+
+test('normalizeQuota treats empty and 0 as no limit and rejects other values', () => {
+    const { deviceManager } = createManagers();
+
+    assert.deepStrictEqual(deviceManager.normalizeQuota({ hourly: '', daily: 0 }), { hourly: null, daily: null });
+    assert.deepStrictEqual(deviceManager.normalizeQuota({ hourly: '20', daily: 200 }), { hourly: 20, daily: 200 });
+    assert.throws(() => deviceManager.normalizeQuota({ hourly: 2.5 }), /whole number/);
+    assert.throws(() => deviceManager.normalizeQuota({ daily: -1 }), /whole number/);
+});
+
+test('sends count against the current hour and day only', () => {
+    const { deviceManager } = createManagers();
+    deviceManager.addDevice('u1', 'd1', { quota: { hourly: 2, daily: 3 } });
+
+    let usage = deviceManager.countDeviceSend(null, at('10:05'));
+    usage = deviceManager.countDeviceSend(usage, at('10:40'));
+    assert.deepStrictEqual([usage.hourCount, usage.dayCount], [2, 2]);
+
+    const capped = deviceManager.getQuotaStatus('d1', at('10:50'), usage);
+    assert.strictEqual(capped.capped, true);
+    assert.strictEqual(capped.reason, 'hourly');
+    assert.strictEqual(capped.resetsAt.getTime(), at('11:00').getTime());
+
+    // The next hour starts a new hourly count; the day keeps counting
+    assert.strictEqual(deviceManager.getQuotaStatus('d1', at('11:00'), usage).capped, false);
+    usage = deviceManager.countDeviceSend(usage, at('11:00'));
+    assert.deepStrictEqual([usage.hourCount, usage.dayCount], [1, 3]);
+
+    const daily = deviceManager.getQuotaStatus('d1', at('11:30'), usage);
+    assert.strictEqual(daily.reason, 'daily');
+    assert.strictEqual(daily.resetsAt.getTime(), new Date('2030-01-08T00:00:00').getTime());
+});
+
+test('recordDeviceSend updates the device and isDeviceCapped reads it', () => {
+    const { deviceManager } = createManagers();
+    const device = deviceManager.addDevice('u1', 'd1', { quota: { hourly: 1 } });
+
+    assert.strictEqual(deviceManager.isDeviceCapped('d1'), false);
+    deviceManager.recordDeviceSend(device);
+    assert.strictEqual(deviceManager.isDeviceCapped('d1'), true);
+});
+
+test('devices without limits are never capped', () => {
+    const { deviceManager } = createManagers();
+    deviceManager.addDevice('u1', 'd1');
+
+    let usage = null;
+    for (let i = 0; i < 1000; i++) {
+        usage = deviceManager.countDeviceSend(usage, at('12:00'));
+    }
+    assert.strictEqual(deviceManager.getQuotaStatus('d1', at('12:00'), usage).capped, false);
+});
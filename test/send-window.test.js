@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+const { campaignManager } = createManagers();
+const MINUTE = 60 * 1000;
+
+// 2030-01-07 is a Monday
+const at = (time) => new Date(`2030-01-07T${time}:00Z`);
+const window = (fields) => campaignManager.normalizeSendWindow({ timezone: 'UTC', ...fields });
+
+test('normalizeSendWindow validates and drops empty windows', () => {
+    assert.strictEqual(campaignManager.normalizeSendWindow(null), null);
+    assert.strictEqual(window({}), null);
+    assert.deepStrictEqual(window({ startTime: '09:00', endTime: '17:00', quietDays: ['0', 6, 6, 9] }), {
+        timezone: 'UTC', startTime: '09:00', endTime: '17:00', quietDays: [0, 6]
+    });
+
+    assert.throws(() => window({ timezone: 'Mars/Base' }), /Invalid send window time zone/);
+    assert.throws(() => window({ startTime: '9am', endTime: '17:00' }), /HH:MM/);
+    assert.throws(() => window({ startTime: '09:00' }), /both a start and an end/);
+    assert.throws(() => window({ quietDays: [0, 1, 2, 3, 4, 5, 6] }), /every day/);
+});
+
+test('no window or inside the window sends now', () => {
+    assert.strictEqual(campaignManager.getSendWindowDelay(null, at('03:00')), 0);
+    assert.strictEqual(campaignManager.getSendWindowDelay(window({ startTime: '09:00', endTime: '17:00' }), at('12:30')), 0);
+});
+
+test('before the window waits until it opens, after it until the next day', () => {
+    const workHours = window({ startTime: '09:00', endTime: '17:00' });
+
+    assert.strictEqual(campaignManager.getSendWindowDelay(workHours, at('08:00')), 60 * MINUTE);
+    assert.strictEqual(campaignManager.getSendWindowDelay(workHours, at('17:00')), 16 * 60 * MINUTE);
+});
+
+test('overnight windows span midnight', () => {
+    const nights = window({ startTime: '20:00', endTime: '02:00' });
+
+    assert.strictEqual(campaignManager.getSendWindowDelay(nights, at('23:00')), 0);
+    assert.strictEqual(campaignManager.getSendWindowDelay(nights, at('01:30')), 0);
+    assert.strictEqual(campaignManager.getSendWindowDelay(nights, at('02:00')), 18 * 60 * MINUTE);
+});
+
+test('quiet days are skipped', () => {
+    // Monday 18:00, after hours, with quiet Tuesday and Wednesday: next opening is Thursday 09:00
+    const weekdays = window({ startTime: '09:00', endTime: '17:00', quietDays: [2, 3] });
+    assert.strictEqual(campaignManager.getSendWindowDelay(weekdays, at('18:00')), (3 * 24 - 9) * 60 * MINUTE);
+
+    // A quiet day with no hours set is closed all day and opens at midnight
+    const noMondays = window({ quietDays: [1] });
+    assert.strictEqual(campaignManager.getSendWindowDelay(noMondays, at('22:00')), 2 * 60 * MINUTE);
+});
+
+test('window times are in the window time zone', () => {
+    // Asia/Karachi is UTC+5: 09:00-17:00 local is 04:00-12:00 UTC
+    const karachi = window({ timezone: 'Asia/Karachi', startTime: '09:00', endTime: '17:00' });
+
+    assert.strictEqual(campaignManager.getSendWindowDelay(karachi, at('05:00')), 0);
+    assert.strictEqual(campaignManager.getSendWindowDelay(karachi, at('03:00')), 60 * MINUTE);
+});
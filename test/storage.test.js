@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JsonStorage, SqliteStorage } = require('../storage');
+const { tempDir, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+function campaign(id, userId) {
+    return {
+        id: id,
+        userId: userId,
+        name: `Campaign ${id}`,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        progress: { total: 2, sent: 0, failed: 0, currentIndex: 0 },
+        recipients: [{ phoneNumber: '923001110001', name: 'Ali' }, { phoneNumber: '923002220002', name: 'Sara' }]
+    };
+}
+
+const backends = {
+    json: (dir) => new JsonStorage({ baseDir: dir }).init(),
+    sqlite: (dir) => new SqliteStorage({ filePath: path.join(dir, 'test.db') }).init()
+};
+
+for (const [driver, open] of Object.entries(backends)) {
+    test(`${driver}: campaigns round-trip and survive a reopen`, () => {
+        const dir = tempDir();
+        const storage = open(dir);
+        storage.saveCampaign(campaign('c1', 'u1'));
+        storage.saveCampaign({ ...campaign('c1', 'u1'), status: 'completed' });
+
+        const loaded = open(dir).loadCampaigns();
+        assert.strictEqual(loaded.length, 1);
+        assert.strictEqual(loaded[0].status, 'completed');
+        assert.deepStrictEqual(loaded[0].recipients.map(r => r.name), ['Ali', 'Sara']);
+    });
+
+    test(`${driver}: deleteUserCampaigns only removes that user's campaigns`, () => {
+        const dir = tempDir();
+        const storage = open(dir);
+        storage.saveCampaign(campaign('c1', 'u1'));
+        storage.saveCampaign(campaign('c2', 'u1'));
+        storage.saveCampaign(campaign('c3', 'u2'));
+
+        storage.deleteUserCampaigns('u1');
+
+        assert.deepStrictEqual(open(dir).loadCampaigns().map(c => c.id), ['c3']);
+    });
+
+    test(`${driver}: users, counters and settings persist`, () => {
+        const dir = tempDir();
+        const storage = open(dir);
+        assert.strictEqual(storage.loadUserState(), null);
+
+        storage.saveUser({ id: 1, username: 'admin', role: 'admin' });
+        storage.saveUserIdCounter(2);
+        storage.saveSystemSetting('maintenance', true);
+
+        const state = open(dir).loadUserState();
+        assert.strictEqual(state.userIdCounter, 2);
+        assert.deepStrictEqual(state.users.map(user => user.username), ['admin']);
+        assert.strictEqual(state.systemSettings.maintenance, true);
+    });
+}
+
+test('json: an unreadable users.json is set aside instead of overwritten', () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'users.json'), '{not json');
+
+    const storage = new JsonStorage({ baseDir: dir }).init();
+
+    assert.strictEqual(storage.loadUserState(), null);
+    assert.ok(fs.readdirSync(dir).some(file => file.startsWith('users.json.corrupt-')));
+});
+
+test('sqlite: a database at schema v1 migrates to the current version and keeps its data', () => {
+    const Database = require('better-sqlite3');
+    const filePath = path.join(tempDir(), 'test.db');
+
+    const db = new Database(filePath);
+    db.exec('CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+    db.exec(SqliteStorage.MIGRATIONS[0]);
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('schema_version', '1');
+    const { recipients, ...state } = campaign('c1', 'u1');
+    db.prepare('INSERT INTO campaigns (id, user_id, name, status, created_at, updated_at, data) VALUES (?, ?, ?, ?, ?, ?, ?)')
+        .run('c1', 'u1', state.name, state.status, state.createdAt, state.updatedAt, JSON.stringify(state));
+    db.close();
+
+    const storage = new SqliteStorage({ filePath: filePath }).init();
+
+    assert.strictEqual(storage.getSchemaVersion(), SqliteStorage.SCHEMA_VERSION);
+    assert.deepStrictEqual(storage.loadCampaigns().map(c => c.id), ['c1']);
+});
+
+test('sqlite: a database newer than this code is refused', () => {
+    const filePath = path.join(tempDir(), 'test.db');
+    const storage = new SqliteStorage({ filePath: filePath }).init();
+    storage.db.prepare('UPDATE meta SET value = ? WHERE key = ?').run(String(SqliteStorage.SCHEMA_VERSION + 1), 'schema_version');
+    storage.db.close();
+
+    assert.throws(() => new SqliteStorage({ filePath: filePath }).init(), /newer than supported/);
+});
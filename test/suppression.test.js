@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SuppressionManager = require('../SuppressionManager');
+const { createManagers, removeTempDirs } = require('./helpers');
+
+test.after(removeTempDirs);
+
+// Workspace u1 belongs to an account whose default country is Pakistan
+function createSuppressions() {
+    const { io, deviceManager, storage } = createManagers();
+    deviceManager.setDefaultCountryLookup(() => 'PK');
+    deviceManager.addDevice('u1', 'd1').ownerId = 1;
+    return { suppressions: new SuppressionManager(io, deviceManager, storage), storage };
+}
+
+test('opt-outs are stored as E.164 numbers and only match the same number', () => {
+    const { suppressions } = createSuppressions();
+    const entry = suppressions.addSuppression('u1', { phoneNumber: '0300 1234567' });
+
+    assert.strictEqual(entry.phoneNumber, '923001234567');
+    assert.strictEqual(suppressions.isSuppressed('u1', '923001234567'), true);
+    assert.strictEqual(suppressions.isSuppressed('u1', '+92 300 1234567'), true);
+    // Same last nine digits in another country
+    assert.strictEqual(suppressions.isSuppressed('u1', '443001234567'), false);
+    assert.strictEqual(suppressions.addSuppressions('u1', [{ phoneNumber: '+923001234567' }]).duplicates, 1);
+});
+
+test('numbers that are not valid phone numbers are refused', () => {
+    const { suppressions } = createSuppressions();
+
+    assert.throws(() => suppressions.addSuppression('u1', { phoneNumber: '12345' }), /Invalid phone number/);
+    assert.throws(() => suppressions.addSuppression('u1', { phoneNumber: '120363012345678901@g.us' }), /Invalid phone number/);
+});
+
+test('local numbers saved before normalization are re-keyed and saved again', () => {
+    const { io, deviceManager, storage } = createManagers();
+    storage.saveSuppressions([{ userId: 'u1', phoneNumber: '03001234567', name: 'Old', source: 'manual', createdAt: new Date() }]);
+    deviceManager.setDefaultCountryLookup(() => 'PK');
+    deviceManager.addDevice('u1', 'd1').ownerId = 1;
+
+    const suppressions = new SuppressionManager(io, deviceManager, storage);
+
+    assert.strictEqual(suppressions.isSuppressed('u1', '923001234567'), true);
+    assert.deepStrictEqual(storage.loadSuppressions().u1.map(entry => entry.phoneNumber), ['923001234567']);
+});